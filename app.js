@@ -8,6 +8,8 @@
  * - Batch processing (hasta 50 imágenes por lote)
  * - Métricas Prometheus en /metrics
  * - PM2 Cluster mode para 50-200 req/seg
+ * - Streaming WebSocket para cámaras en vivo (/ws/recognize)
+ * - Multi-tenant opcional por id_cliente (índice HNSW por tenant)
  */
 
 const express = require('express');
@@ -22,18 +24,25 @@ const config = require('./src/config/server');
 const faceRecognitionConfig = require('./src/config/face-recognition');
 const logger = require('./src/utils/logger');
 const errorMiddleware = require('./src/middleware/error.middleware');
+const { tenantScope } = require('./src/middleware/tenant.middleware');
 const metricsService = require('./src/services/metrics.service');
+const streamService = require('./src/services/stream.service');
 
 // Routes
 const authRoutes = require('./src/routes/auth.routes');
 const recognitionRoutes = require('./src/routes/recognition.routes');
 const userRoutes = require('./src/routes/user.routes');
 const faceConfigRoutes = require('./src/routes/face-config.routes');
+const unknownRoutes = require('./src/routes/unknown.routes');
+const watchlistRoutes = require('./src/routes/watchlist.routes');
+const collectionRoutes = require('./src/routes/collection.routes');
+const calibrationRoutes = require('./src/routes/calibration.routes');
 
 class FaceRecognitionServer {
     constructor() {
         this.app = express();
         this.port = config.PORT;
+        this.server = null;
         this.initializeMiddlewares();
         this.initializeRoutes();
         this.initializeErrorHandling();
@@ -126,7 +135,9 @@ class FaceRecognitionServer {
                         modelsLoaded: faceRecognitionConfig.getLoadedModels()
                     },
                     hnsw: hnswService.getStats(),
+                    ...(config.TENANCY.ENABLED && { tenantIndexes: hnswService.getTenantStats() }),
                     cache: cacheService.getStats(),
+                    stream: streamService.getStats(),
                     database: require('./src/config/database').getPoolStats(),
                     users: {
                         active: await User.count({ active_only: true })
@@ -145,9 +156,14 @@ class FaceRecognitionServer {
 
         // API Routes
         this.app.use('/api/auth', authRoutes);
-        this.app.use('/api/recognition', recognitionRoutes);
-        this.app.use('/api/users', userRoutes);
+        // Todo lo que toca datos de usuarios o rostros queda acotado al tenant de la petición (req.tenant)
+        this.app.use('/api/recognition', tenantScope, recognitionRoutes);
+        this.app.use('/api/users', tenantScope, userRoutes);
+        this.app.use('/api/collections', tenantScope, collectionRoutes);
         this.app.use('/api/face-config', faceConfigRoutes);
+        this.app.use('/api/unknown-faces', tenantScope, unknownRoutes);
+        this.app.use('/api/watchlists', tenantScope, watchlistRoutes);
+        this.app.use('/api/calibrations', tenantScope, calibrationRoutes);
     }
 
     initializeErrorHandling() {
@@ -164,31 +180,54 @@ class FaceRecognitionServer {
             // 1. Cargar modelos de face-api.js (con GPU si disponible)
             await faceRecognitionConfig.initialize();
 
+            // 1b. Liveness pasivo (modelo opcional en MODELS_PATH/liveness)
+            await require('./src/services/liveness.service').initialize();
+
             // 2. Inicializar índice HNSW (cargar desde disco o crear vacío)
+            // Con tenancy no hay índice global: cada tenant carga el suyo la primera vez que se usa
             const hnswService = require('./src/services/hnsw.service');
-            await hnswService.initialize();
+            if (config.TENANCY.ENABLED) {
+                logger.info('🏢 Tenancy habilitada: índices HNSW por tenant (carga bajo demanda)');
+            } else {
+                await hnswService.initialize();
+            }
 
             // 3. Si el índice HNSW está vacío, poblarlo desde la DB
-            if (hnswService.size() === 0) {
-                logger.info('📂 Índice HNSW vacío, cargando usuarios desde DB...');
-                const User = require('./src/models/User');
-                const users = await User.getActiveUsers();
-
-                if (users.length > 0) {
-                    await hnswService.rebuildIndex(users);
-                    logger.info(`✅ ${users.length} usuarios cargados en índice HNSW`);
+            if (hnswService.isInitialized && hnswService.size() === 0) {
+                logger.info('📂 Índice HNSW vacío, cargando plantillas desde DB...');
+                const FaceTemplate = require('./src/models/FaceTemplate');
+                const templates = await FaceTemplate.getActiveTemplates();
+
+                if (templates.length > 0) {
+                    await hnswService.rebuildIndex(templates);
+                    logger.info(`✅ ${templates.length} plantillas cargadas en índice HNSW`);
                 } else {
-                    logger.info('ℹ️ No hay usuarios en DB, índice HNSW vacío');
+                    logger.info('ℹ️ No hay plantillas en DB, índice HNSW vacío');
                 }
             }
 
+            // 3a. Plantillas calculadas con otra codificación (FACE_ALIGN_* cambió sin re-encode)
+            const encoding = faceRecognitionConfig.getEncoding('RECOGNIZE');
+            const staleTemplates = (await require('./src/models/FaceTemplate').countByEncoding())
+                .filter(row => row.encoding !== encoding)
+                .reduce((sum, row) => sum + row.total, 0);
+            if (staleTemplates > 0) {
+                logger.warn(`⚠️ ${staleTemplates} plantillas no usan la codificación '${encoding}' y no son comparables con las consultas. Ejecutar npm run reencode`);
+            }
+
+            // 3b. Calibración distancia → probabilidad (versión activa en DB)
+            await require('./src/services/calibration.service').initialize();
+
+            // 3c. Almacén de rostros desconocidos (opt-in, índice propio + clustering periódico)
+            await require('./src/services/unknown-face.service').initialize();
+
             // 4. Actualizar métricas iniciales
             const User = require('./src/models/User');
             metricsService.updateHnswIndexSize(hnswService.size());
             metricsService.updateActiveUsers(await User.count({ active_only: true }));
 
             // 5. Iniciar servidor HTTP
-            this.app.listen(this.port, () => {
+            this.server = this.app.listen(this.port, () => {
                 logger.info(`✅ Servidor listo en puerto ${this.port}`);
                 logger.info(`   Backend TF: ${faceRecognitionConfig.tfBackend}`);
                 logger.info(`   Modelos: ${faceRecognitionConfig.getLoadedModels().join(', ')}`);
@@ -198,6 +237,9 @@ class FaceRecognitionServer {
                 logger.info(`   Health: http://localhost:${this.port}/health/detailed`);
             });
 
+            // 6. Streaming WebSocket sobre el mismo servidor HTTP
+            streamService.attach(this.server);
+
             // Manejar señales de cierre limpio
             process.on('SIGTERM', () => this._gracefulShutdown('SIGTERM'));
             process.on('SIGINT', () => this._gracefulShutdown('SIGINT'));
@@ -212,9 +254,14 @@ class FaceRecognitionServer {
         logger.info(`⚡ ${signal} recibido. Cerrando servidor limpiamente...`);
 
         try {
-            // Guardar índice HNSW antes de cerrar
+            // Cerrar streams WebSocket (los clientes reconectan a otro worker)
+            streamService.close();
+            require('./src/services/unknown-face.service').stop();
+            require('./src/services/calibration.service').stop();
+
+            // Guardar índices HNSW (global y de tenants) antes de cerrar
             const hnswService = require('./src/services/hnsw.service');
-            await hnswService.saveIndex();
+            await hnswService.saveAll();
             logger.info('✅ Índice HNSW guardado');
 
             // Desconectar Redis si está activo
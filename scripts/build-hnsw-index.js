@@ -4,8 +4,12 @@
  *
  * Uso:
  *   node scripts/build-hnsw-index.js
+ *   node scripts/build-hnsw-index.js --tenant=ACME      (índice de un tenant)
+ *   node scripts/build-hnsw-index.js --all-tenants      (un índice por tenant)
  *   npm run build:index
  *
+ * Con TENANCY_ENABLED=true y sin argumentos se construyen los índices de todos los tenants.
+ *
  * Cuándo usarlo:
  * - Primera vez después de instalar v4.0
  * - Después de importar usuarios masivamente via SQL
@@ -19,6 +23,90 @@ const path = require('path');
 console.log('\n🔨 Face Recognition Server v4.0 - Construcción de Índice HNSW\n');
 console.log('='.repeat(60));
 
+const args = process.argv.slice(2);
+const tenantArg = args.find(arg => arg.startsWith('--tenant='));
+const singleTenant = tenantArg ? tenantArg.slice('--tenant='.length) : null;
+const allTenants = args.includes('--all-tenants') || (!singleTenant && process.env.TENANCY_ENABLED === 'true');
+
+/**
+ * Filtra las plantillas con descriptor válido (128D) informando las descartadas
+ */
+function filterValidTemplates(templates) {
+    const valid = [];
+    let invalidTemplates = 0;
+
+    for (const template of templates) {
+        try {
+            const desc = JSON.parse(template.descriptor);
+            if (Array.isArray(desc) && desc.length === 128) {
+                valid.push(template);
+            } else {
+                invalidTemplates++;
+                console.warn(`   ⚠️ Descriptor inválido en plantilla ${template.template_id} de ${template.ci} (dimensión: ${desc.length})`);
+            }
+        } catch {
+            invalidTemplates++;
+            console.warn(`   ⚠️ Descriptor corrupto en plantilla ${template.template_id} de ${template.ci}`);
+        }
+    }
+
+    console.log(`\n   Plantillas válidas: ${valid.length}`);
+    if (invalidTemplates > 0) {
+        console.log(`   Plantillas con descriptor inválido: ${invalidTemplates} (serán ignoradas)`);
+    }
+
+    return valid;
+}
+
+/**
+ * Reconstruye un índice (global o de tenant) y lo guarda en disco
+ */
+async function buildOne(index, templates) {
+    const validTemplatesToIndex = filterValidTemplates(templates);
+
+    const startTime = Date.now();
+    const result = await index.rebuildIndex(validTemplatesToIndex);
+    const elapsed = Date.now() - startTime;
+
+    await index.saveIndex();
+
+    console.log(`   Vectores indexados: ${result.added} (${result.users} usuarios)`);
+    console.log(`   Errores: ${result.errors}`);
+    console.log(`   Tiempo: ${(elapsed / 1000).toFixed(2)}s`);
+    console.log(`   Ruta: ${index.getStats().indexPath}`);
+
+    return { ...result, elapsed };
+}
+
+async function buildTenantIndexes(FaceTemplate, hnswService) {
+    const tenants = singleTenant
+        ? [{ tenant: singleTenant }]
+        : await FaceTemplate.getTenants();
+
+    console.log(`\n🏢 Índices por tenant: ${tenants.length}`);
+
+    if (tenants.length === 0) {
+        console.log('\n⚠️ No hay usuarios activos con id_cliente y plantillas.');
+        process.exit(0);
+    }
+
+    let totalVectors = 0;
+    for (const { tenant } of tenants) {
+        console.log(`\n🔨 Tenant ${tenant}`);
+        const templates = await FaceTemplate.getActiveTemplates({ tenant });
+        const index = await hnswService.forTenant(tenant);
+        const result = await buildOne(index, templates);
+        totalVectors += result.added;
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log('✅ ÍNDICES HNSW POR TENANT CONSTRUIDOS');
+    console.log('='.repeat(60));
+    console.log(`\n   Tenants: ${tenants.length}`);
+    console.log(`   Vectores indexados: ${totalVectors}`);
+    console.log('\n   El servidor cargará cada índice la primera vez que se use su tenant.\n');
+}
+
 async function buildIndex() {
     try {
         // Inicializar DB
@@ -26,41 +114,24 @@ async function buildIndex() {
         const db = require('../src/config/database');
         await db.initialize();
 
-        // Cargar todos los usuarios activos
-        console.log('📋 Cargando usuarios desde DB...');
-        const User = require('../src/models/User');
-        const users = await User.getActiveUsers();
-
-        console.log(`   Usuarios activos encontrados: ${users.length}`);
+        const FaceTemplate = require('../src/models/FaceTemplate');
+        const hnswService = require('../src/services/hnsw.service');
 
-        if (users.length === 0) {
-            console.log('\n⚠️ No hay usuarios en la base de datos.');
-            console.log('   El índice se construirá automáticamente cuando registres usuarios.');
+        if (singleTenant || allTenants) {
+            await buildTenantIndexes(FaceTemplate, hnswService);
             process.exit(0);
         }
 
-        // Validar que los descriptores sean válidos
-        let validUsers = 0;
-        let invalidUsers = 0;
-
-        for (const user of users) {
-            try {
-                const desc = JSON.parse(user.descriptor);
-                if (Array.isArray(desc) && desc.length === 128) {
-                    validUsers++;
-                } else {
-                    invalidUsers++;
-                    console.warn(`   ⚠️ Descriptor inválido para usuario ${user.ci} (dimensión: ${desc.length})`);
-                }
-            } catch {
-                invalidUsers++;
-                console.warn(`   ⚠️ Descriptor corrupto para usuario ${user.ci}`);
-            }
-        }
+        // Cargar todas las plantillas de usuarios activos
+        console.log('📋 Cargando plantillas desde DB...');
+        const templates = await FaceTemplate.getActiveTemplates();
 
-        console.log(`\n   Usuarios válidos: ${validUsers}`);
-        if (invalidUsers > 0) {
-            console.log(`   Usuarios con descriptor inválido: ${invalidUsers} (serán ignorados)`);
+        console.log(`   Plantillas de usuarios activos encontradas: ${templates.length}`);
+
+        if (templates.length === 0) {
+            console.log('\n⚠️ No hay plantillas en la base de datos (¿falta ejecutar npm run migrate?).');
+            console.log('   El índice se construirá automáticamente cuando registres usuarios.');
+            process.exit(0);
         }
 
         // Construir índice HNSW
@@ -68,32 +139,17 @@ async function buildIndex() {
         console.log('   Esto puede tomar varios minutos para datasets grandes.');
         console.log('   Estimación: ~1 segundo por cada 1000 usuarios');
 
-        const hnswService = require('../src/services/hnsw.service');
         await hnswService.initialize(); // Inicializar para crear índice vacío
 
-        // Pasar solo usuarios con descriptores válidos
-        const validUsersToIndex = users.filter(user => {
-            try {
-                const desc = JSON.parse(user.descriptor);
-                return Array.isArray(desc) && desc.length === 128;
-            } catch {
-                return false;
-            }
-        });
-
-        const startTime = Date.now();
-        const result = await hnswService.rebuildIndex(validUsersToIndex);
-        const elapsed = Date.now() - startTime;
-
-        // Guardar índice en disco
-        console.log('\n💾 Guardando índice en disco...');
-        await hnswService.saveIndex();
+        // Reconstruir y guardar en disco (solo plantillas con descriptores válidos)
+        const result = await buildOne(hnswService, templates);
+        const elapsed = result.elapsed;
 
         // Mostrar resultados
         console.log('\n' + '='.repeat(60));
         console.log('✅ ÍNDICE HNSW CONSTRUIDO EXITOSAMENTE');
         console.log('='.repeat(60));
-        console.log(`\n   Vectores indexados: ${result.added}`);
+        console.log(`\n   Vectores indexados: ${result.added} (${result.users} usuarios)`);
         console.log(`   Errores: ${result.errors}`);
         console.log(`   Tiempo total: ${(elapsed / 1000).toFixed(2)}s`);
         console.log(`   Velocidad: ${Math.round(result.added / (elapsed / 1000))} vectores/segundo`);
@@ -14,6 +14,16 @@ const REPO_NAME = 'face-api';
 const REPO_PATH = 'model';
 const API_URL = `https://api.github.com/repos/${REPO_OWNER}/${REPO_NAME}/contents/${REPO_PATH}`;
 const RAW_URL = `https://raw.githubusercontent.com/${REPO_OWNER}/${REPO_NAME}/master/${REPO_PATH}`;
+// Modelos que el servidor carga; se descargan aunque la API de GitHub no los liste.
+// ageGenderNet es opcional: solo se usa para atributos (edad/género).
+const REQUIRED_MODELS = {
+    ssdMobilenetv1: ['ssd_mobilenetv1_model.json', 'ssd_mobilenetv1_model.bin'],
+    tinyFaceDetector: ['tiny_face_detector_model.json', 'tiny_face_detector_model.bin'],
+    faceLandmark68Net: ['face_landmark_68_model.json', 'face_landmark_68_model.bin'],
+    faceRecognitionNet: ['face_recognition_model.json', 'face_recognition_model.bin'],
+    faceExpressionNet: ['face_expression_model.json', 'face_expression_model.bin'],
+    ageGenderNet: ['age_gender_model.json', 'age_gender_model.bin']
+};
 // Argumentos y Destino
 let destDir = path.resolve(process.cwd(), 'public/models');
 const destArgIdx = process.argv.indexOf('--dest');
@@ -79,9 +89,10 @@ async function run() {
     try {
         // 1. Obtener lista de archivos desde la API
         const response = await getHttps(API_URL);
-        const files = JSON.parse(response)
+        const listed = JSON.parse(response)
             .filter(item => item.type === 'file') // Solo archivos, no carpetas
             .map(item => item.name);
+        const files = [...new Set([...listed, ...Object.values(REQUIRED_MODELS).flat()])];
         console.log(`✅ Encontrados ${files.length} archivos.\n`);
         console.log(`📂 Destino: ${destDir}\n`);
         fs.mkdirSync(destDir, { recursive: true });
@@ -107,6 +118,13 @@ async function run() {
             }
         }
         console.log(`\n✨ Proceso finalizado. Descargados: ${downloaded}, Omitidos: ${skipped}.`);
+        // 3. Verificar que cada modelo usado por el servidor quedó completo
+        const incomplete = Object.entries(REQUIRED_MODELS)
+            .filter(([, modelFiles]) => modelFiles.some(f => !fs.existsSync(path.join(destDir, f))))
+            .map(([name]) => name);
+        if (incomplete.length > 0) {
+            console.warn(`⚠️  Modelos incompletos: ${incomplete.join(', ')}`);
+        }
     } catch (err) {
         console.error('\n❌ Error crítico:', err.message);
         process.exit(1);
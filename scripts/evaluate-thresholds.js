@@ -0,0 +1,367 @@
+#!/usr/bin/env node
+/**
+ * Evaluación offline de umbrales: FAR, FRR, EER y curva ROC/DET sobre un
+ * dataset etiquetado propio (las recomendaciones de CONFIG.SCENARIO.MD no están
+ * medidas sobre nuestra población).
+ *
+ * Datasets:
+ *   --dataset=DIR   Una carpeta por identidad (DIR/<identidad>/*.jpg). Las primeras
+ *                   --enroll imágenes (orden alfabético) se enrolan con el perfil REGISTER
+ *                   (mismas reglas de calidad que registerFace); el resto son consultas con
+ *                   el perfil RECOGNIZE. Genuino = consulta vs su identidad; impostor =
+ *                   consulta vs cada una de las demás (distancia mínima a sus plantillas,
+ *                   igual que /verify).
+ *   --pairs=FILE    CSV: imagen1,imagen2,etiqueta (1|0, same|different, genuine|impostor).
+ *                   imagen1 se procesa como enrolamiento y imagen2 como consulta. Las rutas
+ *                   relativas parten de la carpeta del archivo (o de --base=DIR).
+ *
+ * Uso:
+ *   node scripts/evaluate-thresholds.js --dataset=./eval/personas
+ *   node scripts/evaluate-thresholds.js --pairs=./eval/pares.csv --target-far=0.001,0.0001
+ *   npm run evaluate:thresholds -- --dataset=./eval/personas --out=./eval/resultado
+ *
+ * Opciones: --enroll=1  --target-far=0.001  --step=0.01  --out=./threshold-eval
+ *
+ * Salida (--out):
+ *   report.json        Resumen: EER, umbral por FAR objetivo, fallos de enrolamiento/detección
+ *   roc.csv            threshold,far,frr,tar (curva ROC; DET = far vs frr)
+ *   face-config.json   Cuerpo para PUT /api/face-config/config (umbral del primer FAR objetivo)
+ *   scores.json        Distancias genuinas/impostoras: cuerpo para POST /api/calibrations
+ *
+ * Sin liveness: se evalúa la comparación de rostros, no el anti-spoofing.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+const args = process.argv.slice(2);
+const argValue = (name, fallback = null) => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : fallback;
+};
+
+const datasetDir = argValue('dataset');
+const pairsFile = argValue('pairs');
+const baseDir = argValue('base', pairsFile ? path.dirname(pairsFile) : null);
+const enrollCount = Math.max(parseInt(argValue('enroll', '1')) || 1, 1);
+const targetFars = argValue('target-far', '0.001').split(',').map(Number).filter(f => f > 0 && f < 1);
+const step = parseFloat(argValue('step', '0.01')) || 0.01;
+const outDir = argValue('out', './threshold-eval');
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+const CURVE_MAX = 1.5;
+const GENUINE_LABELS = ['1', 'same', 'genuine', 'true'];
+const IMPOSTOR_LABELS = ['0', 'different', 'impostor', 'false'];
+
+const round = (value, decimals = 6) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Descriptor de una imagen con el mismo pipeline del servidor:
+ * REGISTER → detección + validaciones + reglas de calidad de registerFace
+ * RECOGNIZE → detección de recognizeFace
+ *
+ * @returns {{ descriptor?: Float32Array, error?: string }}
+ */
+async function encode(file, profile, services) {
+    const { faceConfig, faceRecognitionService, faceQualityService } = services;
+
+    try {
+        const image = await faceRecognitionService.processImageBuffer(fs.readFileSync(file));
+        const detection = await faceConfig.detectFace(image, profile);
+
+        if (!detection) return { error: 'NO_FACE_DETECTED' };
+
+        if (profile === 'REGISTER') {
+            faceRecognitionService.validateFaceQuality(detection, image);
+            faceQualityService.assertAcceptable(faceQualityService.assess(image, detection));
+        }
+
+        return { descriptor: detection.descriptor };
+
+    } catch (error) {
+        return { error: error.code || error.message };
+    }
+}
+
+/**
+ * Cuenta los fallos por motivo (FTE: failure to enroll, FTA: failure to acquire)
+ */
+function countFailure(failures, reason) {
+    failures[reason] = (failures[reason] || 0) + 1;
+}
+
+async function scoreIdentityFolders(services) {
+    const { faceapi } = services;
+    const identities = fs.readdirSync(datasetDir)
+        .filter(name => fs.statSync(path.join(datasetDir, name)).isDirectory())
+        .sort();
+
+    const enrolled = [];
+    const probes = [];
+    const fte = {};
+    const fta = {};
+
+    for (const identity of identities) {
+        const files = fs.readdirSync(path.join(datasetDir, identity))
+            .filter(name => IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+            .sort()
+            .map(name => path.join(datasetDir, identity, name));
+
+        const templates = [];
+        for (const file of files.slice(0, enrollCount)) {
+            const result = await encode(file, 'REGISTER', services);
+            if (result.descriptor) templates.push(result.descriptor); else countFailure(fte, result.error);
+        }
+
+        if (templates.length === 0) {
+            console.warn(`   ⚠️ ${identity}: ninguna imagen de enrolamiento válida (se descarta)`);
+            continue;
+        }
+        enrolled.push({ identity, templates });
+
+        for (const file of files.slice(enrollCount)) {
+            const result = await encode(file, 'RECOGNIZE', services);
+            if (result.descriptor) probes.push({ identity, descriptor: result.descriptor }); else countFailure(fta, result.error);
+        }
+
+        process.stdout.write(`\r   Identidades procesadas: ${enrolled.length}/${identities.length}`);
+    }
+    console.log();
+
+    const genuine = [];
+    const impostor = [];
+    for (const probe of probes) {
+        for (const { identity, templates } of enrolled) {
+            const distance = Math.min(...templates.map(t => faceapi.euclideanDistance(probe.descriptor, t)));
+            (identity === probe.identity ? genuine : impostor).push(distance);
+        }
+    }
+
+    return {
+        genuine,
+        impostor,
+        summary: { identities: enrolled.length, probes: probes.length, failureToEnroll: fte, failureToAcquire: fta }
+    };
+}
+
+async function scorePairsFile(services) {
+    const { faceapi } = services;
+    const lines = fs.readFileSync(pairsFile, 'utf8').split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'));
+
+    const genuine = [];
+    const impostor = [];
+    const fte = {};
+    const fta = {};
+    const cache = new Map(); // `${perfil}:${ruta}` -> resultado de encode
+    let skipped = 0;
+
+    const encodeCached = async (file, profile) => {
+        const key = `${profile}:${file}`;
+        if (!cache.has(key)) cache.set(key, await encode(file, profile, services));
+        return cache.get(key);
+    };
+
+    for (const [i, line] of lines.entries()) {
+        const [image1, image2, rawLabel = ''] = line.split(/[,;\t]/).map(v => v.trim());
+        const label = rawLabel.toLowerCase();
+
+        if (!GENUINE_LABELS.includes(label) && !IMPOSTOR_LABELS.includes(label)) {
+            // Encabezado o línea mal formada
+            skipped++;
+            continue;
+        }
+
+        const enrolled = await encodeCached(path.resolve(baseDir, image1), 'REGISTER');
+        if (!enrolled.descriptor) { countFailure(fte, enrolled.error); continue; }
+
+        const probe = await encodeCached(path.resolve(baseDir, image2), 'RECOGNIZE');
+        if (!probe.descriptor) { countFailure(fta, probe.error); continue; }
+
+        const distance = faceapi.euclideanDistance(enrolled.descriptor, probe.descriptor);
+        (GENUINE_LABELS.includes(label) ? genuine : impostor).push(distance);
+
+        process.stdout.write(`\r   Pares procesados: ${i + 1}/${lines.length}`);
+    }
+    console.log();
+
+    return {
+        genuine,
+        impostor,
+        summary: { pairs: lines.length - skipped, skippedLines: skipped, failureToEnroll: fte, failureToAcquire: fta }
+    };
+}
+
+/**
+ * FAR(t) = impostores con distancia ≤ t; FRR(t) = genuinos con distancia > t
+ */
+function buildCurve(genuine, impostor) {
+    const g = [...genuine].sort((a, b) => a - b);
+    const imp = [...impostor].sort((a, b) => a - b);
+    const points = [];
+
+    let gi = 0;
+    let ii = 0;
+    for (let k = 0; k <= Math.round(CURVE_MAX / step); k++) {
+        const threshold = round(k * step, 4);
+        while (gi < g.length && g[gi] <= threshold) gi++;
+        while (ii < imp.length && imp[ii] <= threshold) ii++;
+
+        const far = ii / imp.length;
+        const frr = 1 - gi / g.length;
+        points.push({ threshold, far: round(far), frr: round(frr), tar: round(1 - frr) });
+    }
+
+    return points;
+}
+
+/**
+ * Equal Error Rate: cruce FAR = FRR interpolado entre puntos de la curva
+ */
+function findEER(points) {
+    for (let i = 1; i < points.length; i++) {
+        const prev = points[i - 1];
+        const cur = points[i];
+        if (cur.far >= cur.frr) {
+            const dPrev = prev.frr - prev.far;
+            const dCur = cur.far - cur.frr;
+            const w = dPrev + dCur === 0 ? 0 : dPrev / (dPrev + dCur);
+            return {
+                threshold: round(prev.threshold + w * (cur.threshold - prev.threshold), 4),
+                rate: round(prev.far + w * (cur.far - prev.far))
+            };
+        }
+    }
+    return null;
+}
+
+/**
+ * Umbral más laxo cuya FAR empírica no supera el objetivo (exacto sobre las distancias)
+ */
+function thresholdForFar(targetFar, genuine, impostor) {
+    const imp = [...impostor].sort((a, b) => a - b);
+    const allowed = Math.floor(targetFar * imp.length);
+    const limit = allowed < imp.length ? imp[allowed] : Infinity;
+    const threshold = Math.floor((Math.min(limit, CURVE_MAX) - 1e-6) * 1e4) / 1e4;
+
+    const falseAccepts = imp.filter(d => d <= threshold).length;
+    const falseRejects = genuine.filter(d => d > threshold).length;
+
+    return {
+        targetFar,
+        threshold,
+        far: round(falseAccepts / imp.length),
+        frr: round(falseRejects / genuine.length),
+        // Con pocos impostores la FAR objetivo no es medible (menos de 1 falso aceptado esperado)
+        reliable: imp.length * targetFar >= 1
+    };
+}
+
+async function evaluate() {
+    console.log('\n📏 Face Recognition Server v4.0 - Evaluación de umbrales\n');
+    console.log('='.repeat(60));
+
+    try {
+        if ((!datasetDir && !pairsFile) || (datasetDir && pairsFile)) {
+            console.error('\n❌ Indique un dataset: --dataset=DIR (carpetas por identidad) o --pairs=FILE');
+            process.exit(1);
+        }
+        const input = datasetDir || pairsFile;
+        if (!fs.existsSync(input)) {
+            console.error(`\n❌ No existe: ${input}`);
+            process.exit(1);
+        }
+        if (targetFars.length === 0) {
+            console.error('\n❌ --target-far debe ser una lista de valores entre 0 y 1');
+            process.exit(1);
+        }
+
+        console.log('\n🧠 Cargando modelos...');
+        const faceConfig = require('../src/config/face-recognition');
+        await faceConfig.initialize();
+
+        const services = {
+            faceapi: require('@vladmandic/face-api'),
+            faceConfig,
+            faceRecognitionService: require('../src/services/face-recognition.service'),
+            faceQualityService: require('../src/services/face-quality.service')
+        };
+
+        console.log(`\n📂 Procesando ${datasetDir ? `identidades en ${datasetDir}` : `pares de ${pairsFile}`}...`);
+        const startTime = Date.now();
+        const { genuine, impostor, summary } = datasetDir
+            ? await scoreIdentityFolders(services)
+            : await scorePairsFile(services);
+
+        if (genuine.length === 0 || impostor.length === 0) {
+            console.error(`\n❌ Se necesitan pares genuinos e impostores (genuinos: ${genuine.length}, impostores: ${impostor.length})`);
+            process.exit(1);
+        }
+
+        const curve = buildCurve(genuine, impostor);
+        const eer = findEER(curve);
+        const operatingPoints = targetFars.map(far => thresholdForFar(far, genuine, impostor));
+        const current = faceConfig.CONFIDENCE_THRESHOLD;
+
+        const report = {
+            generatedAt: new Date().toISOString(),
+            dataset: datasetDir ? { type: 'identities', path: datasetDir, enroll: enrollCount } : { type: 'pairs', path: pairsFile },
+            encoding: faceConfig.getEncoding('RECOGNIZE'),
+            backend: faceConfig.tfBackend,
+            summary: { ...summary, genuinePairs: genuine.length, impostorPairs: impostor.length },
+            eer,
+            operatingPoints,
+            currentThreshold: {
+                threshold: current,
+                far: round(impostor.filter(d => d <= current).length / impostor.length),
+                frr: round(genuine.filter(d => d > current).length / genuine.length)
+            },
+            processingTimeMs: Date.now() - startTime
+        };
+
+        fs.mkdirSync(outDir, { recursive: true });
+        fs.writeFileSync(path.join(outDir, 'report.json'), JSON.stringify(report, null, 2));
+        fs.writeFileSync(
+            path.join(outDir, 'roc.csv'),
+            ['threshold,far,frr,tar', ...curve.map(p => `${p.threshold},${p.far},${p.frr},${p.tar}`)].join('\n') + '\n'
+        );
+        fs.writeFileSync(
+            path.join(outDir, 'face-config.json'),
+            JSON.stringify({ confidenceThreshold: operatingPoints[0].threshold }, null, 2)
+        );
+        fs.writeFileSync(
+            path.join(outDir, 'scores.json'),
+            JSON.stringify({ method: 'isotonic', notes: `evaluate-thresholds ${path.basename(input)}`, genuine, impostor })
+        );
+
+        console.log('\n' + '='.repeat(60));
+        console.log('✅ EVALUACIÓN COMPLETADA');
+        console.log('='.repeat(60));
+        console.log(`\n   Pares genuinos: ${genuine.length}   Pares impostores: ${impostor.length}`);
+        if (eer) console.log(`   EER: ${(eer.rate * 100).toFixed(2)}% (umbral ${eer.threshold})`);
+        console.log(`   Umbral actual ${current}: FAR ${report.currentThreshold.far}, FRR ${report.currentThreshold.frr}`);
+        for (const point of operatingPoints) {
+            console.log(`   FAR objetivo ${point.targetFar}: umbral ${point.threshold} (FAR ${point.far}, FRR ${point.frr})` +
+                `${point.reliable ? '' : ' ⚠️ pocos impostores para medir esta FAR'}`);
+        }
+        console.log(`\n   Resultados en ${path.resolve(outDir)}`);
+        console.log('   - Aplicar umbral: PUT /api/face-config/config con face-config.json');
+        console.log('   - Calibrar probabilidades: POST /api/calibrations con scores.json\n');
+
+    } catch (error) {
+        console.error('\n❌ Error en evaluación:', error.message);
+        console.error(error.stack);
+        process.exit(1);
+    }
+
+    process.exit(0);
+}
+
+// Ejecutar evaluación
+if (require.main === module) {
+    evaluate();
+}
+
+module.exports = { buildCurve, findEER, thresholdForFar };
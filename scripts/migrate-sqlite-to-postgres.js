@@ -193,8 +193,7 @@ async function main() {
                          created_at, updated_at, is_active, face_encoding_version,
                          last_recognition_at, recognition_count)
                      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
-                     ON CONFLICT (ci) DO UPDATE SET
-                         id_cliente           = EXCLUDED.id_cliente,
+                     ON CONFLICT (id_cliente, ci) DO UPDATE SET
                          name                 = EXCLUDED.name,
                          descriptor           = EXCLUDED.descriptor,
                          confidence_score     = EXCLUDED.confidence_score,
@@ -357,9 +356,10 @@ async function main() {
     console.log(`  Logs:          ${sqLogs === 0 ? 'N/A' : `${sqLogs}`}`);
     console.log('');
     console.log('  Próximos pasos:');
-    console.log('    1. Reconstruir índice HNSW:  npm run build:index');
-    console.log('    2. Iniciar servidor:         node app.js');
-    console.log('    3. Verificar salud:          curl http://localhost:4350/health/detailed');
+    console.log('    1. Crear plantillas:         npm run migrate');
+    console.log('    2. Reconstruir índice HNSW:  npm run build:index');
+    console.log('    3. Iniciar servidor:         node app.js');
+    console.log('    4. Verificar salud:          curl http://localhost:4350/health/detailed');
     console.log('═'.repeat(60) + '\n');
 
     // Cerrar conexiones
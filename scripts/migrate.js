@@ -46,7 +46,14 @@ async function migrate() {
 
             // Índice para consultas de logs recientes por IP (análisis de intentos)
             `CREATE INDEX IF NOT EXISTS idx_logs_ip_created
-                ON recognition_logs(ip_address, created_at DESC)`
+                ON recognition_logs(ip_address, created_at DESC)`,
+
+            // v4.1: plantillas múltiples — cada usuario sin plantillas recibe
+            // su descriptor actual como plantilla 'legacy'
+            `INSERT INTO face_templates (user_id, descriptor, quality_score, source, created_at)
+                SELECT u.id, u.descriptor, u.confidence_score, 'legacy', u.created_at
+                FROM users u
+                WHERE NOT EXISTS (SELECT 1 FROM face_templates t WHERE t.user_id = u.id)`
         ];
 
         let applied = 0;
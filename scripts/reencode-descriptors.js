@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+/**
+ * Script para recalcular los descriptores guardados con la codificación vigente
+ *
+ * Al activar (o desactivar) la alineación por landmarks (FACE_ALIGN_REGISTER /
+ * FACE_ALIGN_RECOGNIZE) los descriptores nuevos dejan de ser comparables con las
+ * plantillas existentes. La DB solo guarda descriptores, así que se recalculan desde
+ * las fotos de enrolamiento originales:
+ *
+ *   DIR/<ci>.jpg          (una foto por usuario)
+ *   DIR/<ci>/*.jpg        (varias fotos → varias plantillas)
+ *   Formatos: jpg, jpeg, png, webp
+ *
+ * Uso:
+ *   node scripts/reencode-descriptors.js --images=./fotos-enrolamiento
+ *   node scripts/reencode-descriptors.js --images=./fotos --tenant=ACME
+ *   node scripts/reencode-descriptors.js --images=./fotos --dry-run   (solo informa)
+ *   npm run reencode -- --images=./fotos
+ *
+ * Procedimiento:
+ * 1. Detener el servidor y configurar FACE_ALIGN_REGISTER / FACE_ALIGN_RECOGNIZE
+ * 2. Ejecutar este script (las plantillas de cada usuario se reemplazan por las recalculadas)
+ * 3. npm run build:index (reconstruir los índices HNSW)
+ * 4. Iniciar el servidor; los usuarios listados como pendientes deben re-enrolarse
+ *    (PUT /api/recognition/update)
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+console.log('\n🧬 Face Recognition Server v4.0 - Re-encode de descriptores\n');
+console.log('='.repeat(60));
+
+const args = process.argv.slice(2);
+const argValue = (name) => {
+    const arg = args.find(a => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : null;
+};
+
+const imagesDir = argValue('images');
+const tenant = argValue('tenant');
+const dryRun = args.includes('--dry-run');
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+/**
+ * Fotos de enrolamiento de un usuario: DIR/<ci>.<ext> y DIR/<ci>/*.<ext>
+ */
+function findImages(ci) {
+    // La CI forma parte de la ruta: no permitir separadores
+    if (!ci || ci !== path.basename(ci) || ci.startsWith('.')) return [];
+
+    const files = IMAGE_EXTENSIONS
+        .map(ext => path.join(imagesDir, `${ci}${ext}`))
+        .filter(file => fs.existsSync(file));
+
+    const folder = path.join(imagesDir, ci);
+    if (fs.existsSync(folder) && fs.statSync(folder).isDirectory()) {
+        for (const name of fs.readdirSync(folder).sort()) {
+            if (IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase())) {
+                files.push(path.join(folder, name));
+            }
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Descriptor de una foto con el perfil REGISTER (alineado si FACE_ALIGN_REGISTER=true)
+ * Sin reglas de calidad ni liveness: son fotos ya aceptadas en el enrolamiento original.
+ */
+async function encodeImage(file, faceConfig, faceRecognitionService) {
+    const image = await faceRecognitionService.processImageBuffer(fs.readFileSync(file));
+    const detection = await faceConfig.detectFace(image, 'REGISTER');
+
+    if (!detection) return null;
+
+    return {
+        descriptor: Array.from(detection.descriptor),
+        confidenceScore: faceRecognitionService.calculateConfidenceScore(detection)
+    };
+}
+
+async function reencode() {
+    try {
+        if (!imagesDir || !fs.existsSync(imagesDir)) {
+            console.error('\n❌ Indique el directorio de fotos de enrolamiento: --images=DIR');
+            process.exit(1);
+        }
+
+        console.log('\n📂 Conectando a base de datos...');
+        const db = require('../src/config/database');
+        await db.initialize();
+
+        const faceConfig = require('../src/config/face-recognition');
+        const faceRecognitionService = require('../src/services/face-recognition.service');
+        const templateService = require('../src/services/template.service');
+        const FaceTemplate = require('../src/models/FaceTemplate');
+        const User = require('../src/models/User');
+
+        const encoding = faceConfig.getEncoding('REGISTER');
+        if (encoding !== faceConfig.getEncoding('RECOGNIZE')) {
+            console.error('\n❌ FACE_ALIGN_REGISTER y FACE_ALIGN_RECOGNIZE difieren: las plantillas recalculadas no serían comparables con las consultas.');
+            process.exit(1);
+        }
+
+        const users = await FaceTemplate.findUsersWithStaleEncoding(encoding, { tenant });
+
+        console.log(`   Codificación vigente: ${encoding}`);
+        console.log(`   Usuarios con plantillas en otra codificación: ${users.length}${tenant ? ` (tenant ${tenant})` : ''}`);
+        if (dryRun) console.log('   Modo --dry-run: no se modifica la base de datos');
+
+        if (users.length === 0) {
+            console.log('\n✅ Todas las plantillas usan la codificación vigente.\n');
+            process.exit(0);
+        }
+
+        console.log('\n🧠 Cargando modelos...');
+        await faceConfig.initialize();
+
+        const pending = [];
+        const failed = [];
+        let reencodedUsers = 0;
+        let reencodedTemplates = 0;
+
+        for (const user of users) {
+            const files = findImages(user.ci).slice(0, templateService.maxTemplatesPerUser);
+
+            if (files.length === 0) {
+                pending.push(user);
+                continue;
+            }
+
+            const faces = [];
+            for (const file of files) {
+                try {
+                    const face = await encodeImage(file, faceConfig, faceRecognitionService);
+                    if (face) {
+                        faces.push(face);
+                    } else {
+                        console.warn(`   ⚠️ Sin rostro en ${file}`);
+                    }
+                } catch (error) {
+                    console.warn(`   ⚠️ ${file}: ${error.message}`);
+                }
+            }
+
+            // Sin ningún descriptor nuevo se conservan las plantillas actuales
+            if (faces.length === 0) {
+                failed.push(user);
+                continue;
+            }
+
+            if (!dryRun) {
+                // Nuevas y borrado de las anteriores en una transacción: un error no deja al usuario sin plantillas
+                await FaceTemplate.replaceByUser(user.id, faces.map(face => ({
+                    descriptor: JSON.stringify(face.descriptor),
+                    quality_score: face.confidenceScore,
+                    source: 'reencode',
+                    encoding
+                })));
+
+                const latest = faces[faces.length - 1];
+                await User.update(user.id, {
+                    descriptor: JSON.stringify(latest.descriptor),
+                    confidence_score: latest.confidenceScore,
+                    updated_at: new Date().toISOString()
+                });
+            }
+
+            reencodedUsers++;
+            reencodedTemplates += faces.length;
+            console.log(`   🧬 ${user.ci}: ${user.stale_templates} → ${faces.length} plantillas`);
+        }
+
+        console.log('\n' + '='.repeat(60));
+        console.log(dryRun ? '✅ SIMULACIÓN COMPLETADA' : '✅ RE-ENCODE COMPLETADO');
+        console.log('='.repeat(60));
+        console.log(`\n   Usuarios recalculados: ${reencodedUsers} (${reencodedTemplates} plantillas)`);
+        console.log(`   Usuarios sin fotos: ${pending.length}`);
+        console.log(`   Usuarios sin rostro detectable: ${failed.length}`);
+
+        const remaining = [...pending, ...failed];
+        if (remaining.length > 0) {
+            console.log('\n   ⚠️ Deben re-enrolarse (PUT /api/recognition/update):');
+            for (const user of remaining.slice(0, 50)) {
+                console.log(`   - ${user.ci} ${user.name}${user.id_cliente ? ` (tenant ${user.id_cliente})` : ''}`);
+            }
+            if (remaining.length > 50) console.log(`   ... y ${remaining.length - 50} más`);
+        }
+
+        if (!dryRun && reencodedUsers > 0) {
+            console.log('\n   Siguiente paso: npm run build:index (reconstruir índices HNSW)\n');
+        }
+
+    } catch (error) {
+        console.error('\n❌ Error en re-encode:', error.message);
+        console.error(error.stack);
+        process.exit(1);
+    }
+
+    process.exit(0);
+}
+
+reencode();
@@ -7,9 +7,10 @@
  */
 
 require('dotenv').config();
-const db     = require('../src/config/database');
-const User   = require('../src/models/User');
-const logger = require('../src/utils/logger');
+const db           = require('../src/config/database');
+const User         = require('../src/models/User');
+const FaceTemplate = require('../src/models/FaceTemplate');
+const logger       = require('../src/utils/logger');
 
 async function seed() {
     try {
@@ -37,6 +38,12 @@ async function seed() {
         for (const user of testUsers) {
             try {
                 const created = await User.create(user);
+                await FaceTemplate.create({
+                    user_id: created.id,
+                    descriptor: user.descriptor,
+                    quality_score: user.confidence_score,
+                    source: 'register'
+                });
                 logger.info(`✅ Usuario creado: ${user.name} (id: ${created.id})`);
             } catch (error) {
                 // PostgreSQL error 23505 = violación de UNIQUE constraint
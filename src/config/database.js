@@ -95,7 +95,7 @@ class DatabaseManager {
                     id                   SERIAL PRIMARY KEY,
                     id_cliente           TEXT        NOT NULL DEFAULT '',
                     name                 TEXT        NOT NULL,
-                    ci                   TEXT        UNIQUE NOT NULL,
+                    ci                   TEXT        NOT NULL,
                     descriptor           TEXT        NOT NULL,
                     confidence_score     REAL        DEFAULT 0,
                     created_at           TIMESTAMPTZ DEFAULT NOW(),
@@ -107,6 +107,16 @@ class DatabaseManager {
                 )
             `);
 
+            // Umbral de decisión propio del usuario (NULL → CONFIDENCE_THRESHOLD global)
+            await client.query(
+                'ALTER TABLE users ADD COLUMN IF NOT EXISTS match_threshold REAL'
+            );
+
+            // El CI pasa a ser único dentro del tenant (ver idx_users_tenant_ci)
+            await client.query(
+                'ALTER TABLE users DROP CONSTRAINT IF EXISTS users_ci_key'
+            );
+
             // ── Tabla recognition_logs ─────────────────────────────────
             await client.query(`
                 CREATE TABLE IF NOT EXISTS recognition_logs (
@@ -119,10 +129,189 @@ class DatabaseManager {
                     error_message       TEXT,
                     ip_address          TEXT,
                     user_agent          TEXT,
+                    id_cliente          TEXT,
+                    created_at          TIMESTAMPTZ DEFAULT NOW()
+                )
+            `);
+
+            // Tenant del evento (instalaciones previas a la tenancy)
+            await client.query(
+                'ALTER TABLE recognition_logs ADD COLUMN IF NOT EXISTS id_cliente TEXT'
+            );
+
+            // ── Tabla face_templates (varias plantillas por usuario) ───
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS face_templates (
+                    id                  SERIAL PRIMARY KEY,
+                    user_id             INTEGER     NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                    descriptor          TEXT        NOT NULL,
+                    quality_score       REAL        DEFAULT 0,
+                    source              TEXT        NOT NULL DEFAULT 'register',
+                    created_at          TIMESTAMPTZ DEFAULT NOW()
+                )
+            `);
+
+            // Codificación del descriptor: crop (recorte de face-api) | aligned (alineado por landmarks)
+            await client.query(
+                `ALTER TABLE face_templates ADD COLUMN IF NOT EXISTS encoding TEXT NOT NULL DEFAULT 'crop'`
+            );
+
+            // ── Tabla template_adaptations (auditoría de plantillas adaptativas) ──
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS template_adaptations (
+                    id                  SERIAL PRIMARY KEY,
+                    user_id             INTEGER     NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                    template_id         INTEGER     REFERENCES face_templates(id) ON DELETE SET NULL,
+                    action              TEXT        NOT NULL,
+                    previous_descriptor TEXT,
+                    new_descriptor      TEXT        NOT NULL,
+                    distance            REAL,
+                    quality_score       REAL,
+                    created_at          TIMESTAMPTZ DEFAULT NOW(),
+                    reverted_at         TIMESTAMPTZ
+                )
+            `);
+
+            // ── Auditoría de cambios del umbral por usuario ──
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS user_threshold_changes (
+                    id                  SERIAL PRIMARY KEY,
+                    user_id             INTEGER     NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                    previous_threshold  REAL,
+                    new_threshold       REAL,
+                    reason              TEXT        DEFAULT '',
+                    ip_address          TEXT,
                     created_at          TIMESTAMPTZ DEFAULT NOW()
                 )
             `);
 
+            // ── Rostros desconocidos (sin match) y sus clusters anónimos ──
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS unknown_clusters (
+                    id                  SERIAL PRIMARY KEY,
+                    centroid            TEXT,
+                    face_count          INTEGER     DEFAULT 0,
+                    sightings           INTEGER     DEFAULT 0,
+                    first_seen_at       TIMESTAMPTZ,
+                    last_seen_at        TIMESTAMPTZ,
+                    promoted_user_id    INTEGER     REFERENCES users(id) ON DELETE SET NULL,
+                    promoted_at         TIMESTAMPTZ,
+                    id_cliente          TEXT,
+                    created_at          TIMESTAMPTZ DEFAULT NOW(),
+                    updated_at          TIMESTAMPTZ DEFAULT NOW()
+                )
+            `);
+
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS unknown_faces (
+                    id                  SERIAL PRIMARY KEY,
+                    cluster_id          INTEGER     REFERENCES unknown_clusters(id) ON DELETE SET NULL,
+                    descriptor          TEXT        NOT NULL,
+                    detection_score     REAL,
+                    source              TEXT        NOT NULL DEFAULT 'recognize',
+                    sightings           INTEGER     DEFAULT 1,
+                    id_cliente          TEXT,
+                    created_at          TIMESTAMPTZ DEFAULT NOW(),
+                    last_seen_at        TIMESTAMPTZ DEFAULT NOW()
+                )
+            `);
+
+            // ── Watchlists (listas de vigilancia) y sus alertas ──────────
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS watchlists (
+                    id                  SERIAL PRIMARY KEY,
+                    name                TEXT        NOT NULL,
+                    severity            TEXT        NOT NULL DEFAULT 'medium',
+                    description         TEXT        DEFAULT '',
+                    match_threshold     REAL,
+                    is_active           BOOLEAN     DEFAULT TRUE,
+                    id_cliente          TEXT,
+                    created_at          TIMESTAMPTZ DEFAULT NOW(),
+                    updated_at          TIMESTAMPTZ DEFAULT NOW()
+                )
+            `);
+
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS watchlist_members (
+                    watchlist_id        INTEGER     NOT NULL REFERENCES watchlists(id) ON DELETE CASCADE,
+                    user_id             INTEGER     NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                    note                TEXT        DEFAULT '',
+                    added_at            TIMESTAMPTZ DEFAULT NOW(),
+                    PRIMARY KEY (watchlist_id, user_id)
+                )
+            `);
+
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS watchlist_alerts (
+                    id                  SERIAL PRIMARY KEY,
+                    watchlist_id        INTEGER     NOT NULL REFERENCES watchlists(id) ON DELETE CASCADE,
+                    user_id             INTEGER     REFERENCES users(id) ON DELETE SET NULL,
+                    severity            TEXT        NOT NULL,
+                    distance            REAL,
+                    threshold           REAL,
+                    source              TEXT,
+                    id_cliente          TEXT,
+                    created_at          TIMESTAMPTZ DEFAULT NOW(),
+                    acknowledged_at     TIMESTAMPTZ,
+                    acknowledged_by     TEXT,
+                    acknowledge_note    TEXT
+                )
+            `);
+
+            // Tenant (id_cliente) de desconocidos, watchlists y alertas (instalaciones previas).
+            // El nombre de watchlist pasa a ser único dentro del tenant (ver idx_watchlists_tenant_name)
+            for (const table of ['unknown_clusters', 'unknown_faces', 'watchlists', 'watchlist_alerts']) {
+                await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS id_cliente TEXT`);
+            }
+            await client.query(
+                'ALTER TABLE watchlists DROP CONSTRAINT IF EXISTS watchlists_name_key'
+            );
+
+            // ── Colecciones (galerías) de usuarios para acotar el reconocimiento ──
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS collections (
+                    id                  SERIAL PRIMARY KEY,
+                    name                TEXT        NOT NULL,
+                    description         TEXT        DEFAULT '',
+                    id_cliente          TEXT,
+                    created_at          TIMESTAMPTZ DEFAULT NOW(),
+                    updated_at          TIMESTAMPTZ DEFAULT NOW()
+                )
+            `);
+
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS collection_members (
+                    collection_id       INTEGER     NOT NULL REFERENCES collections(id) ON DELETE CASCADE,
+                    user_id             INTEGER     NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+                    added_at            TIMESTAMPTZ DEFAULT NOW(),
+                    PRIMARY KEY (collection_id, user_id)
+                )
+            `);
+
+            // ── Calibración distancia → probabilidad (versionada, una activa) ──
+            await client.query(`
+                CREATE TABLE IF NOT EXISTS score_calibrations (
+                    id                  SERIAL PRIMARY KEY,
+                    method              TEXT        NOT NULL,
+                    params              TEXT        NOT NULL,
+                    far_curve           TEXT        NOT NULL,
+                    genuine_pairs       INTEGER     NOT NULL,
+                    impostor_pairs      INTEGER     NOT NULL,
+                    brier_score         REAL,
+                    encoding            TEXT        NOT NULL DEFAULT 'crop',
+                    notes               TEXT        DEFAULT '',
+                    is_active           BOOLEAN     NOT NULL DEFAULT FALSE,
+                    id_cliente          TEXT,
+                    created_at          TIMESTAMPTZ DEFAULT NOW(),
+                    activated_at        TIMESTAMPTZ
+                )
+            `);
+
+            // Con tenancy cada tenant ajusta y activa su propia calibración
+            await client.query(
+                'ALTER TABLE score_calibrations ADD COLUMN IF NOT EXISTS id_cliente TEXT'
+            );
+
             await client.query('COMMIT');
 
             // ── Índices (fuera de la transacción para usar CREATE INDEX CONCURRENTLY si es posible) ──
@@ -139,6 +328,10 @@ class DatabaseManager {
                 `CREATE INDEX IF NOT EXISTS idx_users_id_cliente
                      ON users(id_cliente)`,
 
+                // CI único dentro del tenant: el mismo documento puede existir en otro id_cliente
+                `CREATE UNIQUE INDEX IF NOT EXISTS idx_users_tenant_ci
+                     ON users(id_cliente, ci)`,
+
                 `CREATE INDEX IF NOT EXISTS idx_users_active
                      ON users(id) WHERE is_active = TRUE`,
 
@@ -151,7 +344,56 @@ class DatabaseManager {
 
                 // Índice compuesto para getStats(): GROUP BY recognition_type + filtro created_at
                 `CREATE INDEX IF NOT EXISTS idx_logs_type_created
-                     ON recognition_logs(recognition_type, created_at DESC)`
+                     ON recognition_logs(recognition_type, created_at DESC)`,
+
+                // Logs y estadísticas por tenant
+                `CREATE INDEX IF NOT EXISTS idx_logs_tenant_created
+                     ON recognition_logs(id_cliente, created_at DESC)`,
+
+                // Plantillas por usuario (listado, conteo y borrado)
+                `CREATE INDEX IF NOT EXISTS idx_templates_user_id
+                     ON face_templates(user_id)`,
+
+                `CREATE INDEX IF NOT EXISTS idx_adaptations_user_created
+                     ON template_adaptations(user_id, created_at DESC)`,
+
+                `CREATE INDEX IF NOT EXISTS idx_threshold_changes_user_created
+                     ON user_threshold_changes(user_id, created_at DESC)`,
+
+                // Rostros desconocidos: miembros de cluster y purga por retención
+                `CREATE INDEX IF NOT EXISTS idx_unknown_faces_cluster
+                     ON unknown_faces(cluster_id)`,
+
+                `CREATE INDEX IF NOT EXISTS idx_unknown_faces_last_seen
+                     ON unknown_faces(last_seen_at)`,
+
+                // Clustering y listados por tenant
+                `CREATE INDEX IF NOT EXISTS idx_unknown_faces_tenant
+                     ON unknown_faces(id_cliente)`,
+
+                `CREATE INDEX IF NOT EXISTS idx_unknown_clusters_tenant
+                     ON unknown_clusters(id_cliente, last_seen_at DESC)`,
+
+                `CREATE INDEX IF NOT EXISTS idx_watchlist_members_user
+                     ON watchlist_members(user_id)`,
+
+                // Alertas pendientes de reconocer (listado principal)
+                `CREATE INDEX IF NOT EXISTS idx_watchlist_alerts_pending
+                     ON watchlist_alerts(created_at DESC) WHERE acknowledged_at IS NULL`,
+
+                `CREATE INDEX IF NOT EXISTS idx_watchlist_alerts_tenant
+                     ON watchlist_alerts(id_cliente, created_at DESC)`,
+
+                // Nombre de watchlist único dentro del tenant (NULL = sin tenancy)
+                `CREATE UNIQUE INDEX IF NOT EXISTS idx_watchlists_tenant_name
+                     ON watchlists(COALESCE(id_cliente, ''), name)`,
+
+                // Nombre de colección único dentro del tenant (NULL = sin tenancy)
+                `CREATE UNIQUE INDEX IF NOT EXISTS idx_collections_tenant_name
+                     ON collections(COALESCE(id_cliente, ''), name)`,
+
+                `CREATE INDEX IF NOT EXISTS idx_collection_members_user
+                     ON collection_members(user_id)`
             ];
 
             for (const ddl of indexes) {
@@ -40,6 +40,8 @@ const path = require('path');
 const fs = require('fs');
 const logger = require('../utils/logger');
 const config = require('./server');
+const imageProcessingService = require('../services/image-processing.service');
+const { RecognitionError } = require('../utils/errors');
 
 class FaceRecognitionConfig {
     constructor() {
@@ -64,6 +66,31 @@ class FaceRecognitionConfig {
         // En GPU usamos SSD para todo (más preciso, misma velocidad que Tiny en CPU)
         this.INPUT_SIZE_SSD_GPU = parseInt(process.env.FACE_INPUT_SIZE_SSD_GPU) || 608;
         this.MAX_RESULTS = parseInt(process.env.FACE_MAX_RESULTS) || 1;
+        // Máximo de rostros procesados por imagen en modo multi-rostro
+        this.MAX_FACES_PER_IMAGE = parseInt(process.env.FACE_MAX_FACES_PER_IMAGE) || 10;
+        // Máximo de candidatos top-K retornables en /recognize (opción candidates)
+        this.MAX_CANDIDATES = parseInt(process.env.FACE_MAX_CANDIDATES) || 50;
+
+        // Distancia máxima para considerar que un rostro nuevo ya está registrado (DUPLICATE_FACE)
+        this.DUPLICATE_THRESHOLD = parseFloat(process.env.FACE_DUPLICATE_THRESHOLD) || 0.4;
+
+        // Rechazo por ambigüedad (AMBIGUOUS_MATCH): margen mínimo entre el mejor usuario
+        // y el siguiente. Absoluto (d2 - d1) y/o relativo ((d2 - d1) / d2); 0 = desactivado
+        this.AMBIGUITY_MIN_MARGIN = parseFloat(process.env.FACE_AMBIGUITY_MIN_MARGIN) || 0;
+        this.AMBIGUITY_MIN_RATIO = parseFloat(process.env.FACE_AMBIGUITY_MIN_RATIO) || 0;
+
+        // Reglas de calidad facial (POST /quality y registro)
+        this.QUALITY_RULES = {
+            maxYaw: parseFloat(process.env.QUALITY_MAX_YAW) || 25,                       // grados
+            maxPitch: parseFloat(process.env.QUALITY_MAX_PITCH) || 20,                   // grados
+            maxRoll: parseFloat(process.env.QUALITY_MAX_ROLL) || 20,                     // grados
+            minSharpness: parseFloat(process.env.QUALITY_MIN_SHARPNESS) || 40,           // varianza del Laplaciano
+            minBrightness: parseFloat(process.env.QUALITY_MIN_BRIGHTNESS) || 60,         // 0-255 región facial
+            maxBrightness: parseFloat(process.env.QUALITY_MAX_BRIGHTNESS) || 200,        // 0-255 región facial
+            maxClippedRatio: parseFloat(process.env.QUALITY_MAX_CLIPPED_RATIO) || 0.1,   // fracción sub/sobreexpuesta
+            minEyeOpenness: parseFloat(process.env.QUALITY_MIN_EYE_OPENNESS) || 0.2,     // EAR promedio
+            minInterEyeDistance: parseFloat(process.env.QUALITY_MIN_INTER_EYE_DISTANCE) || 40 // píxeles
+        };
 
         // Configuración específica por tipo de operación
         this.OPERATION_CONFIG = {
@@ -72,7 +99,8 @@ class FaceRecognitionConfig {
                 detectionConfidence: parseFloat(process.env.REGISTER_DETECTION_CONFIDENCE) || 0.8,
                 inputSize: this.tfBackend === 'gpu' ? this.INPUT_SIZE_SSD_GPU : this.INPUT_SIZE_SSD,
                 requireLandmarks: true,
-                requireHighQuality: true
+                requireHighQuality: true,
+                align: process.env.FACE_ALIGN_REGISTER === 'true'
             },
             RECOGNIZE: {
                 confidence: parseFloat(process.env.RECOGNIZE_CONFIDENCE) || 0.42,
@@ -80,17 +108,22 @@ class FaceRecognitionConfig {
                 // En GPU usamos SSD para reconocimiento también (más preciso, igual de rápido)
                 inputSize: this.tfBackend === 'gpu' ? this.INPUT_SIZE_SSD : this.INPUT_SIZE_TINY,
                 requireLandmarks: false,
-                requireHighQuality: false
+                requireHighQuality: false,
+                align: process.env.FACE_ALIGN_RECOGNIZE === 'true'
             },
             PRECISE: {
                 confidence: parseFloat(process.env.PRECISE_CONFIDENCE) || 0.35,
                 detectionConfidence: parseFloat(process.env.PRECISE_DETECTION_CONFIDENCE) || 0.7,
                 inputSize: this.tfBackend === 'gpu' ? this.INPUT_SIZE_SSD_GPU : this.INPUT_SIZE_SSD,
                 requireLandmarks: true,
-                requireHighQuality: true
+                requireHighQuality: true,
+                align: process.env.FACE_ALIGN_PRECISE === 'true'
             }
         };
 
+        // Lado del rostro alineado que entra a faceRecognitionNet
+        this.ALIGNED_FACE_SIZE = parseInt(process.env.FACE_ALIGN_SIZE) || 150;
+
         // Configuración avanzada
         this.DETECTION_TIMEOUT = parseInt(process.env.FACE_DETECTION_TIMEOUT) || 10000;
         this.MODEL_LOAD_TIMEOUT = parseInt(process.env.FACE_MODEL_LOAD_TIMEOUT) || 60000;
@@ -143,7 +176,19 @@ class FaceRecognitionConfig {
             PRECISE: new faceapi.SsdMobilenetv1Options({
                 minConfidence: this.OPERATION_CONFIG.PRECISE.detectionConfidence,
                 maxResults: this.MAX_RESULTS
-            })
+            }),
+
+            // Para reconocimiento multi-rostro (fotos grupales, cámaras amplias):
+            // mismo detector que RECOGNIZE pero sin limitar a un único resultado
+            MULTI: useHighPrecision
+                ? new faceapi.SsdMobilenetv1Options({
+                    minConfidence: this.OPERATION_CONFIG.RECOGNIZE.detectionConfidence,
+                    maxResults: this.MAX_FACES_PER_IMAGE
+                })
+                : new faceapi.TinyFaceDetectorOptions({
+                    inputSize: this.OPERATION_CONFIG.RECOGNIZE.inputSize,
+                    scoreThreshold: this.OPERATION_CONFIG.RECOGNIZE.detectionConfidence
+                })
         };
     }
 
@@ -157,8 +202,18 @@ class FaceRecognitionConfig {
             maxFaceSize: this.MAX_FACE_SIZE,
             recognizeInputSize: this.OPERATION_CONFIG.RECOGNIZE.inputSize,
             requireLandmarks: this.REQUIRE_LANDMARKS,
-            validateFaceArea: this.VALIDATE_FACE_AREA
+            validateFaceArea: this.VALIDATE_FACE_AREA,
+            alignment: {
+                register: this.OPERATION_CONFIG.REGISTER.align,
+                recognize: this.OPERATION_CONFIG.RECOGNIZE.align,
+                precise: this.OPERATION_CONFIG.PRECISE.align
+            }
         });
+
+        // Los descriptores con y sin alineación no son comparables entre sí
+        if (this.OPERATION_CONFIG.REGISTER.align !== this.OPERATION_CONFIG.RECOGNIZE.align) {
+            logger.warn('⚠️ FACE_ALIGN_REGISTER y FACE_ALIGN_RECOGNIZE difieren: las plantillas y las consultas usarán descriptores no comparables');
+        }
     }
 
     async initialize() {
@@ -177,7 +232,9 @@ class FaceRecognitionConfig {
                 this.loadModel('ssdMobilenetv1', faceapi.nets.ssdMobilenetv1, modelPath),
                 this.loadModel('faceRecognitionNet', faceapi.nets.faceRecognitionNet, modelPath),
                 this.loadModel('faceLandmark68Net', faceapi.nets.faceLandmark68Net, modelPath),
-                this.loadModel('faceExpressionNet', faceapi.nets.faceExpressionNet, modelPath)
+                this.loadModel('faceExpressionNet', faceapi.nets.faceExpressionNet, modelPath),
+                // Opcional: solo para atributos (edad/género), no afecta reconocimiento
+                this.loadModel('ageGenderNet', faceapi.nets.ageGenderNet, modelPath)
             ];
 
             const loadWithTimeout = Promise.race([
@@ -279,6 +336,14 @@ class FaceRecognitionConfig {
         return this.OPERATION_CONFIG[type] || this.OPERATION_CONFIG.RECOGNIZE;
     }
 
+    /**
+     * Codificación de los descriptores que produce un perfil:
+     * 'aligned' (rostro alineado por landmarks) o 'crop' (recorte de face-api)
+     */
+    getEncoding(type = 'RECOGNIZE') {
+        return this.getOperationConfig(type).align ? 'aligned' : 'crop';
+    }
+
     getLoadedModels() {
         return this.loadedModels;
     }
@@ -287,7 +352,14 @@ class FaceRecognitionConfig {
         return this.loadedModels.includes(modelName);
     }
 
-    async detectFace(image, operationType = 'RECOGNIZE') {
+    /**
+     * Detecta un único rostro con landmarks + descriptor
+     *
+     * @param {Object} options
+     * @param {boolean} options.withExpressions - Agregar probabilidades de expresión (faceExpressionNet)
+     * @param {boolean} options.withAgeAndGender - Agregar edad y género estimados (ageGenderNet)
+     */
+    async detectFace(image, operationType = 'RECOGNIZE', options = {}) {
         if (!this.modelsLoaded) {
             throw new Error('Modelos no están cargados');
         }
@@ -296,10 +368,20 @@ class FaceRecognitionConfig {
         const operationConfig = this.getOperationConfig(operationType);
 
         try {
-            const detectionPromise = faceapi
+            let task = faceapi
                 .detectSingleFace(image, detectionOptions)
-                .withFaceLandmarks()
-                .withFaceDescriptor();
+                .withFaceLandmarks();
+
+            if (options.withExpressions) {
+                task = task.withFaceExpressions();
+            }
+            if (options.withAgeAndGender) {
+                task = task.withAgeAndGender();
+            }
+
+            const detectionPromise = operationConfig.align
+                ? task.then(detection => detection && this.withAlignedDescriptor(image, detection))
+                : task.withFaceDescriptor();
 
             const timeoutPromise = new Promise((_, reject) =>
                 setTimeout(() => reject(new Error('Timeout en detección facial')), this.DETECTION_TIMEOUT)
@@ -322,6 +404,80 @@ class FaceRecognitionConfig {
         }
     }
 
+    /**
+     * Detecta todos los rostros de la imagen (landmarks + descriptor por rostro)
+     * Los rostros más pequeños que MIN_FACE_SIZE se descartan y el resultado se
+     * limita a MAX_FACES_PER_IMAGE, priorizando los rostros más grandes.
+     *
+     * @param {Object} options - withExpressions / withAgeAndGender (igual que detectFace)
+     * @returns {{ faces: Array, totalDetected: number, skippedSmall: number }}
+     */
+    async detectAllFaces(image, options = {}) {
+        if (!this.modelsLoaded) {
+            throw new Error('Modelos no están cargados');
+        }
+
+        try {
+            let task = faceapi
+                .detectAllFaces(image, this.DETECTION_OPTIONS.MULTI)
+                .withFaceLandmarks();
+
+            if (options.withExpressions) {
+                task = task.withFaceExpressions();
+            }
+            if (options.withAgeAndGender) {
+                task = task.withAgeAndGender();
+            }
+
+            const detectionPromise = this.OPERATION_CONFIG.RECOGNIZE.align
+                ? task.then(detections => Promise.all(detections.map(d => this.withAlignedDescriptor(image, d))))
+                : task.withFaceDescriptors();
+
+            const timeoutPromise = new Promise((_, reject) =>
+                setTimeout(() => reject(new Error('Timeout en detección facial')), this.DETECTION_TIMEOUT)
+            );
+
+            const detections = await Promise.race([detectionPromise, timeoutPromise]) || [];
+
+            const validFaces = detections.filter(d => {
+                const { width, height } = d.detection.box;
+                return width >= this.MIN_FACE_SIZE && height >= this.MIN_FACE_SIZE;
+            });
+
+            const faces = validFaces
+                .sort((a, b) => b.detection.box.area - a.detection.box.area)
+                .slice(0, this.MAX_FACES_PER_IMAGE);
+
+            return {
+                faces,
+                totalDetected: detections.length,
+                skippedSmall: detections.length - validFaces.length
+            };
+        } catch (error) {
+            logger.error('Error en detección multi-rostro:', error);
+            throw new Error(`Error al procesar imagen para detección facial: ${error.message}`);
+        }
+    }
+
+    /**
+     * Descriptor sobre el rostro alineado por landmarks (perfiles con align)
+     * en lugar del recorte alignedRect que usa withFaceDescriptor().
+     * El canvas alineado queda en detection.alignedFace (explain).
+     */
+    async withAlignedDescriptor(image, detection) {
+        const alignedFace = imageProcessingService.alignFace(
+            image,
+            detection.landmarks.positions,
+            this.ALIGNED_FACE_SIZE
+        );
+
+        return {
+            ...detection,
+            descriptor: await faceapi.computeFaceDescriptor(alignedFace),
+            alignedFace
+        };
+    }
+
     validateFaceArea(detection, operationConfig) {
         if (!detection.detection || !detection.detection.box) {
             throw new Error('Información de detección incompleta');
@@ -342,7 +498,32 @@ class FaceRecognitionConfig {
         }
     }
 
+    /**
+     * Valida un valor numérico de PUT /api/face-config/config: un NaN guardado
+     * desactivaría en silencio la comparación que lo usa
+     *
+     * @throws {RecognitionError} INVALID_CONFIG
+     */
+    _parseSetting(newConfig, key, isValid, range) {
+        const value = parseFloat(newConfig[key]);
+        if (!Number.isFinite(value) || !isValid(value)) {
+            throw new RecognitionError(`${key} debe ser un número ${range}`, 'INVALID_CONFIG');
+        }
+        return value;
+    }
+
     updateConfiguration(newConfig) {
+        // Se valida antes de aplicar nada: un valor inválido no deja la configuración a medias
+        const duplicateThreshold = newConfig.duplicateThreshold !== undefined
+            ? this._parseSetting(newConfig, 'duplicateThreshold', v => v > 0 && v <= 1.5, 'en (0, 1.5]')
+            : undefined;
+        const ambiguityMinMargin = newConfig.ambiguityMinMargin !== undefined
+            ? this._parseSetting(newConfig, 'ambiguityMinMargin', v => v >= 0, 'mayor o igual a 0')
+            : undefined;
+        const ambiguityMinRatio = newConfig.ambiguityMinRatio !== undefined
+            ? this._parseSetting(newConfig, 'ambiguityMinRatio', v => v >= 0 && v < 1, 'en [0, 1)')
+            : undefined;
+
         try {
             if (newConfig.confidenceThreshold !== undefined) {
                 this.CONFIDENCE_THRESHOLD = parseFloat(newConfig.confidenceThreshold);
@@ -356,6 +537,26 @@ class FaceRecognitionConfig {
             if (newConfig.maxFaceSize !== undefined) {
                 this.MAX_FACE_SIZE = parseInt(newConfig.maxFaceSize);
             }
+            if (newConfig.maxFacesPerImage !== undefined) {
+                this.MAX_FACES_PER_IMAGE = parseInt(newConfig.maxFacesPerImage);
+            }
+            if (duplicateThreshold !== undefined) {
+                this.DUPLICATE_THRESHOLD = duplicateThreshold;
+            }
+            if (ambiguityMinMargin !== undefined) {
+                this.AMBIGUITY_MIN_MARGIN = ambiguityMinMargin;
+            }
+            if (ambiguityMinRatio !== undefined) {
+                this.AMBIGUITY_MIN_RATIO = ambiguityMinRatio;
+            }
+            if (newConfig.qualityRules !== undefined) {
+                for (const [rule, value] of Object.entries(newConfig.qualityRules)) {
+                    const parsed = parseFloat(value);
+                    if (rule in this.QUALITY_RULES && Number.isFinite(parsed)) {
+                        this.QUALITY_RULES[rule] = parsed;
+                    }
+                }
+            }
 
             this.buildDetectionOptions();
             logger.info('✅ Configuración actualizada en tiempo real:', newConfig);
@@ -379,7 +580,13 @@ class FaceRecognitionConfig {
             inputSizeSSD: this.INPUT_SIZE_SSD,
             inputSizeSSDGpu: this.INPUT_SIZE_SSD_GPU,
             maxResults: this.MAX_RESULTS,
+            maxFacesPerImage: this.MAX_FACES_PER_IMAGE,
+            maxCandidates: this.MAX_CANDIDATES,
+            duplicateThreshold: this.DUPLICATE_THRESHOLD,
+            ambiguityMinMargin: this.AMBIGUITY_MIN_MARGIN,
+            ambiguityMinRatio: this.AMBIGUITY_MIN_RATIO,
             operations: this.OPERATION_CONFIG,
+            qualityRules: this.QUALITY_RULES,
             validations: {
                 requireLandmarks: this.REQUIRE_LANDMARKS,
                 requireExpressions: this.REQUIRE_EXPRESSIONS,
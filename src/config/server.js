@@ -24,6 +24,10 @@ module.exports = {
 
     // ── Archivos ───────────────────────────────────────────────
     MAX_FILE_SIZE: process.env.MAX_FILE_SIZE || '50mb',
+    // Tamaño máximo por imagen (bytes) - base64, multipart y body binario
+    MAX_IMAGE_SIZE: parseInt(process.env.MAX_IMAGE_SIZE) || 10 * 1024 * 1024,
+    // Tamaño máximo de una petición multipart completa (bytes) - batch con varias imágenes
+    MAX_UPLOAD_SIZE: parseInt(process.env.MAX_UPLOAD_SIZE) || 100 * 1024 * 1024,
     UPLOAD_PATH:   process.env.UPLOAD_PATH   || './public/uploads',
     MODELS_PATH:   process.env.MODELS_PATH   || './public/models',
 
@@ -36,6 +40,23 @@ module.exports = {
         optionsSuccessStatus: 200
     },
 
+    // ── Streaming WebSocket (kioscos / cámaras en vivo) ───────
+    STREAM: {
+        ENABLED:         process.env.STREAM_ENABLED !== 'false',
+        PATH:            process.env.STREAM_PATH || '/ws/recognize',
+        MAX_CONNECTIONS: parseInt(process.env.STREAM_MAX_CONNECTIONS) || 50,
+        // Intervalo mínimo por defecto entre frames procesados (ms, configurable por conexión)
+        MIN_INTERVAL_MS: parseInt(process.env.STREAM_MIN_INTERVAL_MS) || 0,
+        HEARTBEAT_MS:    parseInt(process.env.STREAM_HEARTBEAT_MS) || 30000
+    },
+
+    // ── Multi-tenant (id_cliente) ──────────────────────────────
+    TENANCY: {
+        ENABLED:  process.env.TENANCY_ENABLED === 'true',
+        // "clave1:tenantA,clave2:tenantB" → el tenant sale de la credencial (X-API-Key)
+        API_KEYS: process.env.TENANT_API_KEYS || ''
+    },
+
     // ── Caché ──────────────────────────────────────────────────
     CACHE: {
         ENABLED:  process.env.CACHE_ENABLED !== 'false',
@@ -0,0 +1,159 @@
+const calibrationService = require('../services/calibration.service');
+const ScoreCalibration = require('../models/ScoreCalibration');
+const logger = require('../utils/logger');
+
+/**
+ * Busca la versión de req.params.version (del tenant de la petición);
+ * responde 400/404 y retorna null si no existe
+ */
+const findCalibrationOr404 = async (req, res) => {
+    const { version } = req.params;
+
+    if (!version || isNaN(version)) {
+        res.status(400).json({
+            error: 'Versión de calibración inválida',
+            code: 'INVALID_CALIBRATION_VERSION'
+        });
+        return null;
+    }
+
+    const calibration = await ScoreCalibration.findById(parseInt(version));
+    if (!calibration || (calibration.id_cliente || null) !== (req.tenant || null)) {
+        res.status(404).json({
+            error: 'Calibración no encontrada',
+            code: 'CALIBRATION_NOT_FOUND'
+        });
+        return null;
+    }
+
+    return calibration;
+};
+
+class CalibrationController {
+    /**
+     * GET /api/calibrations
+     * Versiones guardadas del tenant y tasas de error estimadas en el umbral vigente
+     */
+    async getAll(req, res, next) {
+        try {
+            res.json({
+                success: true,
+                data: {
+                    active: calibrationService.decision(undefined, req.tenant),
+                    versions: await ScoreCalibration.findAll(req.tenant)
+                }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/calibrations/:version
+     * Incluye parámetros y curva FAR/FRR
+     */
+    async getByVersion(req, res, next) {
+        try {
+            const calibration = await findCalibrationOr404(req, res);
+            if (!calibration) return;
+
+            res.json({
+                success: true,
+                data: calibration
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/calibrations
+     * Body: { method: platt|isotonic, genuine: [distancias], impostor: [distancias], notes?, activate? }
+     */
+    async create(req, res, next) {
+        try {
+            const { method, genuine, impostor, notes, activate } = calibrationService.parseFitRequest(req.body);
+
+            const calibration = await ScoreCalibration.create({
+                ...calibrationService.fit(method, genuine, impostor),
+                notes,
+                id_cliente: req.tenant
+            });
+
+            if (activate) {
+                await ScoreCalibration.activate(calibration.id, req.tenant);
+                await calibrationService.refresh();
+            }
+
+            logger.info(`📐 Calibración ${calibration.id} ajustada (${method}, ${genuine.length} genuinos / ` +
+                `${impostor.length} impostores, brier ${calibration.brier_score})${activate ? ' y activada' : ''}`);
+
+            res.status(201).json({
+                success: true,
+                message: activate ? 'Calibración ajustada y activada' : 'Calibración ajustada',
+                data: {
+                    version: calibration.id,
+                    method: calibration.method,
+                    genuine_pairs: calibration.genuine_pairs,
+                    impostor_pairs: calibration.impostor_pairs,
+                    brier_score: calibration.brier_score,
+                    encoding: calibration.encoding,
+                    is_active: activate,
+                    decision: activate ? calibrationService.decision(undefined, req.tenant) : null
+                }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/calibrations/:version/activate
+     */
+    async activate(req, res, next) {
+        try {
+            const calibration = await findCalibrationOr404(req, res);
+            if (!calibration) return;
+
+            await ScoreCalibration.activate(calibration.id, req.tenant);
+            await calibrationService.refresh();
+
+            logger.info(`📐 Calibración ${calibration.id} activada${req.tenant ? ` (tenant ${req.tenant})` : ''}`);
+
+            res.json({
+                success: true,
+                message: `Calibración ${calibration.id} activada`,
+                data: calibrationService.decision(undefined, req.tenant)
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * DELETE /api/calibrations/active
+     * Sin calibración activa las respuestas llevan probability = null
+     */
+    async deactivate(req, res, next) {
+        try {
+            await ScoreCalibration.activate(null, req.tenant);
+            await calibrationService.refresh();
+
+            logger.info(`📐 Calibración de scores desactivada${req.tenant ? ` (tenant ${req.tenant})` : ''}`);
+
+            res.json({
+                success: true,
+                message: 'Calibración desactivada'
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = new CalibrationController();
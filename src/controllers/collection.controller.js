@@ -0,0 +1,264 @@
+const collectionService = require('../services/collection.service');
+const Collection = require('../models/Collection');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { sanitizeInput } = require('../utils/validators');
+const { belongsToTenant } = require('../middleware/tenant.middleware');
+
+// Usuarios que se pueden agregar en una sola petición
+const MAX_MEMBERS_PER_REQUEST = 500;
+
+/**
+ * Busca la colección de req.params.id (del tenant de la petición);
+ * responde 400/404 y retorna null si no existe
+ */
+const findCollectionOr404 = async (req, res) => {
+    const { id } = req.params;
+
+    if (!id || isNaN(id)) {
+        res.status(400).json({
+            error: 'ID de colección inválido',
+            code: 'INVALID_COLLECTION_ID'
+        });
+        return null;
+    }
+
+    const collection = await Collection.findById(parseInt(id));
+    if (!collection || (collection.id_cliente || null) !== (req.tenant || null)) {
+        res.status(404).json({
+            error: 'Colección no encontrada',
+            code: 'COLLECTION_NOT_FOUND'
+        });
+        return null;
+    }
+
+    return collection;
+};
+
+class CollectionController {
+    /**
+     * GET /api/collections
+     */
+    async getAll(req, res, next) {
+        try {
+            res.json({
+                success: true,
+                data: await Collection.findAll(req.tenant)
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/collections
+     * Body: { name, description? }
+     */
+    async create(req, res, next) {
+        try {
+            const data = collectionService.parseCollection(req.body);
+
+            if ((await Collection.findByNames([data.name], req.tenant)).length > 0) {
+                return res.status(409).json({
+                    error: 'Ya existe una colección con ese nombre',
+                    code: 'COLLECTION_EXISTS'
+                });
+            }
+
+            const collection = await Collection.create({ ...data, id_cliente: req.tenant });
+
+            logger.info(`🗂️ Colección creada: ${collection.name}${req.tenant ? ` (tenant ${req.tenant})` : ''}`);
+
+            res.status(201).json({
+                success: true,
+                message: 'Colección creada',
+                data: collection
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/collections/:id?page=1&limit=100
+     */
+    async getById(req, res, next) {
+        try {
+            const collection = await findCollectionOr404(req, res);
+            if (!collection) return;
+
+            const { page = 1, limit = 100 } = req.query;
+            const pageSize = Math.min(parseInt(limit) || 100, 500);
+
+            res.json({
+                success: true,
+                data: {
+                    ...collection,
+                    members: await Collection.getMembers(collection.id, {
+                        limit: pageSize,
+                        offset: (Math.max(parseInt(page) || 1, 1) - 1) * pageSize
+                    })
+                }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * PUT /api/collections/:id
+     */
+    async update(req, res, next) {
+        try {
+            const collection = await findCollectionOr404(req, res);
+            if (!collection) return;
+
+            const data = collectionService.parseCollection(req.body, true);
+
+            if (data.name && data.name !== collection.name &&
+                (await Collection.findByNames([data.name], req.tenant)).length > 0) {
+                return res.status(409).json({
+                    error: 'Ya existe una colección con ese nombre',
+                    code: 'COLLECTION_EXISTS'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Colección actualizada',
+                data: await Collection.update(collection.id, data)
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * DELETE /api/collections/:id
+     * Elimina la colección (los usuarios no se tocan)
+     */
+    async delete(req, res, next) {
+        try {
+            const collection = await findCollectionOr404(req, res);
+            if (!collection) return;
+
+            await Collection.deleteById(collection.id);
+            collectionService.invalidate(collection.id);
+
+            logger.info(`🗑️ Colección eliminada: ${collection.name}`);
+
+            res.json({
+                success: true,
+                message: 'Colección eliminada'
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/collections/:id/members
+     * Body: { user_ids: [1, 2] } y/o { cis: ["12345678"] }
+     */
+    async addMembers(req, res, next) {
+        try {
+            const collection = await findCollectionOr404(req, res);
+            if (!collection) return;
+
+            const userIds = Array.isArray(req.body.user_ids) ? req.body.user_ids : [];
+            const cis = Array.isArray(req.body.cis) ? req.body.cis : [];
+
+            if (userIds.length + cis.length === 0) {
+                return res.status(400).json({
+                    error: 'Se requiere user_ids y/o cis (arrays no vacíos)',
+                    code: 'MISSING_IDENTIFIER'
+                });
+            }
+
+            if (userIds.length + cis.length > MAX_MEMBERS_PER_REQUEST) {
+                return res.status(400).json({
+                    error: `Máximo ${MAX_MEMBERS_PER_REQUEST} usuarios por petición`,
+                    code: 'TOO_MANY_MEMBERS'
+                });
+            }
+
+            // Todos los usuarios deben existir (y ser del tenant) o no se agrega ninguno
+            const found = new Set();
+            const missing = [];
+            for (const id of userIds) {
+                const user = isNaN(id) ? null : await User.findById(parseInt(id));
+                if (user && belongsToTenant(req, user)) {
+                    found.add(user.id);
+                } else {
+                    missing.push(id);
+                }
+            }
+            for (const ci of cis) {
+                const user = await User.findByCI(sanitizeInput(String(ci)), req.tenant);
+                if (user && belongsToTenant(req, user)) {
+                    found.add(user.id);
+                } else {
+                    missing.push(ci);
+                }
+            }
+
+            if (missing.length > 0) {
+                return res.status(404).json({
+                    error: 'Usuario no encontrado',
+                    code: 'USER_NOT_FOUND',
+                    missing
+                });
+            }
+
+            const added = await Collection.addMembers(collection.id, [...found]);
+            collectionService.invalidate(collection.id);
+
+            logger.info(`🗂️ Colección ${collection.name}: ${added} usuarios agregados`);
+
+            res.status(added > 0 ? 201 : 200).json({
+                success: true,
+                message: added > 0 ? `${added} usuarios agregados a la colección` : 'Los usuarios ya eran miembros de la colección',
+                data: { collection_id: collection.id, added }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * DELETE /api/collections/:id/members/:userId
+     */
+    async removeMember(req, res, next) {
+        try {
+            const collection = await findCollectionOr404(req, res);
+            if (!collection) return;
+
+            const removed = await Collection.removeMember(collection.id, parseInt(req.params.userId));
+
+            if (!removed) {
+                return res.status(404).json({
+                    error: 'El usuario no es miembro de la colección',
+                    code: 'MEMBER_NOT_FOUND'
+                });
+            }
+
+            collectionService.invalidate(collection.id);
+
+            res.json({
+                success: true,
+                message: 'Usuario quitado de la colección'
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = new CollectionController();
@@ -0,0 +1,92 @@
+const livenessChallengeService = require('../services/liveness-challenge.service');
+const Recognition = require('../models/Recognition');
+const logger = require('../utils/logger');
+const { validateBase64Image } = require('../utils/validators');
+
+class LivenessController {
+    /**
+     * POST /api/recognition/liveness/challenge
+     * Crea una sesión de liveness activo con un desafío aleatorio
+     */
+    async createChallenge(req, res, next) {
+        try {
+            const session = await livenessChallengeService.createSession();
+
+            res.status(201).json({
+                success: true,
+                message: 'Desafío de liveness creado',
+                data: session
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/recognition/liveness/challenge/:sessionId/verify
+     * Verifica la secuencia de frames contra el desafío de la sesión
+     *
+     * Body: { frames: ["base64...", ...] } o multipart/form-data con archivos en `images`
+     */
+    async verifyChallenge(req, res, next) {
+        const startTime = Date.now();
+
+        try {
+            const { sessionId } = req.params;
+            let frameBuffers;
+
+            if (req.imageBuffers) {
+                frameBuffers = req.imageBuffers.map(item => item.buffer);
+            } else {
+                const { frames } = req.body;
+
+                if (!Array.isArray(frames) || frames.length === 0) {
+                    return res.status(400).json({
+                        error: 'Se requiere un array de frames: { frames: ["base64...", ...] }',
+                        code: 'MISSING_FRAMES'
+                    });
+                }
+
+                const invalidIdx = frames.findIndex(frame => !validateBase64Image(frame));
+                if (invalidIdx !== -1) {
+                    return res.status(400).json({
+                        error: `Frame inválido en posición ${invalidIdx}`,
+                        code: 'INVALID_IMAGE_FORMAT'
+                    });
+                }
+
+                frameBuffers = frames.map(frame => Buffer.from(frame, 'base64'));
+            }
+
+            const result = await livenessChallengeService.verifySession(sessionId, frameBuffers);
+
+            await Recognition.logEvent({
+                recognition_type: 'LIVENESS_CHALLENGE',
+                confidence_score: result.maxFaceDistance,
+                processing_time_ms: Date.now() - startTime,
+                success: result.passed,
+                error_message: result.passed ? null : `Desafío ${result.challenge} no superado`,
+                id_cliente: req.tenant,
+                ip_address: req.ip,
+                user_agent: req.get('User-Agent')
+            });
+
+            logger.info(`${result.passed ? '✅' : '❌'} Desafío de liveness ${sessionId}: ${result.challenge}`);
+
+            res.status(result.passed ? 200 : 422).json({
+                success: result.passed,
+                message: result.passed
+                    ? 'Desafío de liveness superado'
+                    : 'Desafío de liveness no superado',
+                ...(!result.passed && { code: 'LIVENESS_CHALLENGE_FAILED' }),
+                data: result
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = new LivenessController();
@@ -1,41 +1,69 @@
 const faceRecognitionService = require('../services/face-recognition.service');
-const imageProcessingService = require('../services/image-processing.service');
 const batchService = require('../services/batch.service');
+const livenessChallengeService = require('../services/liveness-challenge.service');
+const faceAttributesService = require('../services/face-attributes.service');
+const templateService = require('../services/template.service');
+const collectionService = require('../services/collection.service');
+const calibrationService = require('../services/calibration.service');
 const hnswService = require('../services/hnsw.service');
 const metricsService = require('../services/metrics.service');
+const faceConfig = require('../config/face-recognition');
 const User = require('../models/User');
+const FaceTemplate = require('../models/FaceTemplate');
 const Recognition = require('../models/Recognition');
 const logger = require('../utils/logger');
-const { validateBase64Image, sanitizeInput } = require('../utils/validators');
+const { validateBase64Image, resolveImageBuffer, parseDescriptor, sanitizeInput } = require('../utils/validators');
+const { isAdminRequest } = require('../middleware/auth.middleware');
+const { belongsToTenant } = require('../middleware/tenant.middleware');
+
+// /compare no persiste nada; solo el evento COMPARE en recognition_logs (desactivable)
+const LOG_COMPARISONS = process.env.COMPARE_LOG_EVENTS !== 'false';
 
 class RecognitionController {
     async register(req, res, next) {
         const startTime = Date.now();
 
         try {
-            const { ci, id_cliente, name, image } = req.body;
+            const { ci, id_cliente, name, image, liveness_session_id } = req.body;
+            const allowDuplicate = req.body.allowDuplicate === true || req.body.allowDuplicate === 'true';
 
-            if (!ci || !name || !image) {
+            if (!ci || !name || (!image && !req.imageBuffer)) {
                 return res.status(400).json({
                     error: 'Campos requeridos: ci, name, image',
                     code: 'MISSING_FIELDS'
                 });
             }
 
+            // Con tenancy el usuario pertenece al tenant de la petición
+            if (req.tenant && id_cliente && sanitizeInput(id_cliente) !== req.tenant) {
+                return res.status(403).json({
+                    error: 'id_cliente no corresponde al tenant de la petición',
+                    code: 'TENANT_MISMATCH'
+                });
+            }
+
             const sanitizedData = {
                 ci: sanitizeInput(ci),
-                id_cliente: sanitizeInput(id_cliente || ''),
+                id_cliente: req.tenant || sanitizeInput(id_cliente || ''),
                 name: sanitizeInput(name)
             };
 
-            if (!validateBase64Image(image)) {
+            const imageBuffer = resolveImageBuffer(req);
+            if (!imageBuffer) {
                 return res.status(400).json({
                     error: 'Formato de imagen inválido',
                     code: 'INVALID_IMAGE_FORMAT'
                 });
             }
 
-            const existingUser = await User.findByCI(sanitizedData.ci);
+            if (allowDuplicate && !isAdminRequest(req)) {
+                return res.status(403).json({
+                    error: 'allowDuplicate requiere credenciales de administrador (header X-Admin-Key)',
+                    code: 'ADMIN_REQUIRED'
+                });
+            }
+
+            const existingUser = await User.findByCI(sanitizedData.ci, req.tenant);
             if (existingUser) {
                 return res.status(409).json({
                     error: 'Ya existe una persona registrada con ese documento',
@@ -43,20 +71,51 @@ class RecognitionController {
                 });
             }
 
-            const imageBuffer = Buffer.from(image, 'base64');
+            const faceData = await faceRecognitionService.registerFace(imageBuffer, sanitizedData, {
+                requireHighQuality: true
+            });
 
-            const imageQuality = await imageProcessingService.analyzeImageQuality(imageBuffer);
-            if (imageQuality.quality === 'poor') {
-                return res.status(400).json({
-                    error: 'Calidad de imagen insuficiente. Mejore la iluminación y nitidez.',
-                    code: 'POOR_IMAGE_QUALITY',
-                    quality: imageQuality
+            // Misma persona con otro documento: se rechaza salvo override de administrador
+            const duplicate = await faceRecognitionService.findDuplicateIdentity(faceData.descriptor, {
+                tenant: req.tenant
+            });
+            if (duplicate && !allowDuplicate) {
+                logger.warn(`⚠️ Registro rechazado: CI ${sanitizedData.ci} coincide con usuario ` +
+                    `${duplicate.id} (CI ${duplicate.ci}, dist: ${duplicate.distance.toFixed(4)})`);
+
+                await Recognition.logEvent({
+                    user_id: duplicate.id,
+                    recognition_type: 'REGISTER',
+                    confidence_score: duplicate.distance,
+                    processing_time_ms: Date.now() - startTime,
+                    success: false,
+                    error_message: `Rostro duplicado: CI ${sanitizedData.ci} coincide con CI ${duplicate.ci}`,
+                    id_cliente: req.tenant,
+                    ip_address: req.ip,
+                    user_agent: req.get('User-Agent')
+                });
+
+                return res.status(409).json({
+                    error: 'El rostro ya está registrado con otro documento',
+                    code: 'DUPLICATE_FACE',
+                    conflict: {
+                        id: duplicate.id,
+                        ci: duplicate.ci,
+                        distance: duplicate.distance,
+                        similarity: duplicate.similarity
+                    }
                 });
             }
 
-            const faceData = await faceRecognitionService.registerFace(imageBuffer, sanitizedData, {
-                requireHighQuality: true
-            });
+            // Enrolamiento de alta seguridad: el rostro debe haber superado un desafío de liveness activo.
+            // Se consume recién aquí: un registro rechazado (p.ej. duplicado) no gasta la verificación
+            let activeLiveness = null;
+            if (liveness_session_id || livenessChallengeService.requiredOnRegister) {
+                activeLiveness = await livenessChallengeService.consumeVerification(
+                    liveness_session_id,
+                    faceData.descriptor
+                );
+            }
 
             const userData = {
                 ...sanitizedData,
@@ -66,13 +125,26 @@ class RecognitionController {
 
             const newUser = await User.create(userData);
 
-            // Agregar al índice HNSW para búsqueda rápida futura
-            await faceRecognitionService.syncHNSWIndex(
-                newUser.id,
-                faceData.descriptor,
-                { ci: sanitizedData.ci, name: sanitizedData.name, id_cliente: sanitizedData.id_cliente },
-                'add'
-            );
+            if (duplicate) {
+                logger.warn(`🔓 Override de duplicado (admin): usuario ${newUser.id} (CI ${sanitizedData.ci}) ` +
+                    `registrado pese a coincidir con usuario ${duplicate.id} (CI ${duplicate.ci}, ` +
+                    `dist: ${duplicate.distance.toFixed(4)}, IP: ${req.ip})`);
+
+                await Recognition.logEvent({
+                    user_id: newUser.id,
+                    recognition_type: 'DUPLICATE_OVERRIDE',
+                    confidence_score: duplicate.distance,
+                    processing_time_ms: Date.now() - startTime,
+                    success: true,
+                    error_message: `Duplicado permitido por administrador: coincide con usuario ${duplicate.id} (CI ${duplicate.ci})`,
+                    id_cliente: req.tenant,
+                    ip_address: req.ip,
+                    user_agent: req.get('User-Agent')
+                });
+            }
+
+            // Primera plantilla de enrolamiento (también la agrega al índice HNSW)
+            await templateService.addTemplate(newUser, faceData, 'register', { syncUserDescriptor: false });
 
             // Actualizar métrica de usuarios activos
             metricsService.updateActiveUsers(await User.count({ active_only: true }));
@@ -83,6 +155,7 @@ class RecognitionController {
                 confidence_score: faceData.confidenceScore,
                 processing_time_ms: Date.now() - startTime,
                 success: true,
+                id_cliente: req.tenant,
                 ip_address: req.ip,
                 user_agent: req.get('User-Agent')
             });
@@ -97,8 +170,12 @@ class RecognitionController {
                     ci: newUser.ci,
                     name: newUser.name,
                     confidence_score: faceData.confidenceScore,
+                    quality: faceData.quality,
+                    liveness: faceData.liveness,
+                    ...(activeLiveness && { active_liveness: activeLiveness }),
+                    ...(duplicate && { duplicate_of: { id: duplicate.id, ci: duplicate.ci, distance: duplicate.distance } }),
                     processing_time_ms: Date.now() - startTime,
-                    backend: faceData.backend || require('../config/face-recognition').tfBackend
+                    backend: faceData.backend || faceConfig.tfBackend
                 }
             });
 
@@ -108,6 +185,7 @@ class RecognitionController {
                 processing_time_ms: Date.now() - startTime,
                 success: false,
                 error_message: error.message,
+                id_cliente: req.tenant,
                 ip_address: req.ip,
                 user_agent: req.get('User-Agent')
             });
@@ -119,26 +197,65 @@ class RecognitionController {
         const startTime = Date.now();
 
         try {
-            const { image } = req.body;
+            const { image, mode, candidates, applyThreshold, attributes, collections } = req.body;
+            const explain = req.body.explain === true || req.body.explain === 'true';
 
-            if (!image) {
+            if (!image && !req.imageBuffer) {
                 return res.status(400).json({
                     error: 'Campo requerido: image',
                     code: 'MISSING_IMAGE'
                 });
             }
 
-            if (!validateBase64Image(image)) {
+            const imageBuffer = resolveImageBuffer(req);
+            if (!imageBuffer) {
                 return res.status(400).json({
                     error: 'Formato de imagen inválido',
                     code: 'INVALID_IMAGE_FORMAT'
                 });
             }
 
-            // Si HNSW está disponible, no necesitamos cargar usuarios de la DB
+            // Lista top-K opcional: { candidates: 10, applyThreshold: false }
+            let candidatesK = 0;
+            if (candidates !== undefined && candidates !== null && candidates !== false) {
+                candidatesK = parseInt(candidates);
+                if (isNaN(candidatesK) || candidatesK < 1 || candidatesK > faceConfig.MAX_CANDIDATES) {
+                    return res.status(400).json({
+                        error: `candidates debe ser un número entre 1 y ${faceConfig.MAX_CANDIDATES}`,
+                        code: 'INVALID_CANDIDATES'
+                    });
+                }
+            }
+
+            // Atributos opcionales (opt-in): { attributes: true } o ["expression", "age", "gender"]
+            let requestedAttributes;
+            try {
+                requestedAttributes = faceAttributesService.parseRequest(attributes);
+            } catch (error) {
+                return res.status(error.statusCode).json({ error: error.message, code: error.code });
+            }
+
+            // Salida explain (landmarks, preprocesamiento, recorte alineado): expone datos biométricos
+            if (explain && !isAdminRequest(req)) {
+                return res.status(403).json({
+                    error: 'explain requiere credenciales de administrador (header X-Admin-Key)',
+                    code: 'ADMIN_REQUIRED'
+                });
+            }
+
+            // Colecciones opcionales: { collections: ["empleados-hq", "visitantes-2026"] }
+            let collectionNames;
+            try {
+                collectionNames = collectionService.parseNames(collections);
+            } catch (error) {
+                return res.status(error.statusCode).json({ error: error.message, code: error.code });
+            }
+
+            // Si HNSW está disponible (índice del tenant con tenancy), no necesitamos cargar usuarios de la DB
             let users = [];
-            if (!hnswService.isInitialized || hnswService.size() === 0) {
-                users = await User.getActiveUsers();
+            const index = await faceRecognitionService.indexFor(req.tenant);
+            if (!index.isInitialized || index.size() === 0) {
+                users = await User.getActiveUsers({ tenant: req.tenant });
                 if (users.length === 0) {
                     return res.status(404).json({
                         error: 'No hay usuarios registrados en el sistema',
@@ -147,15 +264,86 @@ class RecognitionController {
                 }
             }
 
-            const imageBuffer = Buffer.from(image, 'base64');
+            // Modo multi-rostro: identifica cada rostro de la imagen por separado
+            if (mode === 'multi') {
+                const multi = await faceRecognitionService.recognizeFaces(imageBuffer, users, {
+                    attributes: requestedAttributes,
+                    tenant: req.tenant,
+                    collections: collectionNames,
+                    explain
+                });
+                const processingTime = Date.now() - startTime;
+
+                for (const face of multi.faces) {
+                    await Recognition.logEvent({
+                        user_id: face.match ? face.match.id : null,
+                        recognition_type: 'RECOGNIZE',
+                        confidence_score: face.distance || 0,
+                        processing_time_ms: processingTime,
+                        success: !!face.match,
+                        error_message: face.match ? null
+                            : face.spoofSuspected ? 'SPOOF_SUSPECTED'
+                            : face.ambiguity ? 'Match ambiguo' : 'Usuario no reconocido',
+                        id_cliente: req.tenant,
+                        ip_address: req.ip,
+                        user_agent: req.get('User-Agent')
+                    });
+                }
+
+                multi.faces.forEach((face, i) => faceAttributesService.log(`recognize multi #${i}`, face.attributes));
+
+                const recognizedCount = multi.faces.filter(f => f.match).length;
+                logger.info(`✅ Multi-rostro: ${recognizedCount}/${multi.faces.length} reconocidos`);
+
+                return res.json({
+                    success: true,
+                    message: `${recognizedCount} de ${multi.faces.length} rostros reconocidos`,
+                    data: {
+                        faces: multi.faces.map(face => ({
+                            box: face.box,
+                            status: face.match ? 'recognized'
+                                : face.spoofSuspected ? 'spoof_suspected'
+                                : face.ambiguity ? 'ambiguous' : 'unknown',
+                            match: face.match ? {
+                                id: face.match.id,
+                                id_cliente: face.match.id_cliente,
+                                name: face.match.name,
+                                ci: face.match.ci,
+                                similarity: face.match.similarity,
+                                probability: face.match.probability
+                            } : null,
+                            distance: face.distance,
+                            // Cada rostro se decidió con el umbral de su propio candidato
+                            calibration: calibrationService.decision(faceRecognitionService.effectiveThreshold(face), req.tenant),
+                            liveness: face.liveness,
+                            ...(face.ambiguity && { ambiguity: face.ambiguity }),
+                            ...(face.attributes && { attributes: face.attributes }),
+                            ...(face.explain && { explain: face.explain })
+                        })),
+                        total_detected: multi.totalDetected,
+                        skipped_small: multi.skippedSmall,
+                        processing_time_ms: processingTime,
+                        backend: multi.backend
+                    }
+                });
+            }
 
             const recognition = await faceRecognitionService.recognizeFace(
                 imageBuffer,
                 users,
-                { enableCache: true }
+                {
+                    enableCache: true,
+                    tenant: req.tenant,
+                    collections: collectionNames,
+                    candidates: candidatesK,
+                    applyThreshold: applyThreshold !== false && applyThreshold !== 'false',
+                    attributes: requestedAttributes,
+                    explain
+                }
             );
 
             const processingTime = Date.now() - startTime;
+            faceAttributesService.log('recognize', recognition.attributes);
 
             if (recognition.match) {
                 await Recognition.logEvent({
@@ -164,6 +352,7 @@ class RecognitionController {
                     confidence_score: recognition.confidence,
                     processing_time_ms: processingTime,
                     success: true,
+                    id_cliente: req.tenant,
                     ip_address: req.ip,
                     user_agent: req.get('User-Agent')
                 });
@@ -180,8 +369,44 @@ class RecognitionController {
                         ci: recognition.match.ci,
                         confidence: recognition.confidence,
                         similarity: recognition.match.similarity,
+                        probability: recognition.match.probability,
+                        calibration: calibrationService.decision(recognition.match.threshold, req.tenant),
+                        liveness: recognition.liveness,
                         processing_time_ms: processingTime,
-                        backend: recognition.backend
+                        backend: recognition.backend,
+                        ...(recognition.candidates && { candidates: recognition.candidates }),
+                        ...(recognition.attributes && { attributes: recognition.attributes }),
+                        ...(recognition.explain && { explain: recognition.explain })
+                    }
+                });
+            } else if (recognition.ambiguity) {
+                // Varios usuarios a distancia similar: no se elige a ninguno
+                await Recognition.logEvent({
+                    recognition_type: 'RECOGNIZE',
+                    confidence_score: recognition.ambiguity.candidates[0].distance,
+                    processing_time_ms: processingTime,
+                    success: false,
+                    error_message: 'Match ambiguo',
+                    id_cliente: req.tenant,
+                    ip_address: req.ip,
+                    user_agent: req.get('User-Agent')
+                });
+
+                logger.info(`⚖️ Match ambiguo (margen ${recognition.ambiguity.margin.toFixed(4)})`);
+
+                res.status(409).json({
+                    success: false,
+                    message: 'Match ambiguo: varios usuarios a distancia similar',
+                    code: 'AMBIGUOUS_MATCH',
+                    data: {
+                        ambiguity: recognition.ambiguity,
+                        calibration: calibrationService.decision(faceRecognitionService.effectiveThreshold(recognition), req.tenant),
+                        liveness: recognition.liveness,
+                        processing_time_ms: processingTime,
+                        backend: recognition.backend,
+                        ...(recognition.candidates && { candidates: recognition.candidates }),
+                        ...(recognition.attributes && { attributes: recognition.attributes }),
+                        ...(recognition.explain && { explain: recognition.explain })
                     }
                 });
             } else {
@@ -191,6 +416,7 @@ class RecognitionController {
                     processing_time_ms: processingTime,
                     success: false,
                     error_message: 'Usuario no reconocido',
+                    id_cliente: req.tenant,
                     ip_address: req.ip,
                     user_agent: req.get('User-Agent')
                 });
@@ -203,8 +429,13 @@ class RecognitionController {
                     code: 'USER_NOT_RECOGNIZED',
                     data: {
                         confidence: recognition.confidence,
+                        calibration: calibrationService.decision(faceRecognitionService.effectiveThreshold(recognition), req.tenant),
+                        liveness: recognition.liveness,
                         processing_time_ms: processingTime,
-                        backend: recognition.backend
+                        backend: recognition.backend,
+                        ...(recognition.candidates && { candidates: recognition.candidates }),
+                        ...(recognition.attributes && { attributes: recognition.attributes }),
+                        ...(recognition.explain && { explain: recognition.explain })
                     }
                 });
             }
@@ -215,6 +446,7 @@ class RecognitionController {
                 processing_time_ms: Date.now() - startTime,
                 success: false,
                 error_message: error.message,
+                id_cliente: req.tenant,
                 ip_address: req.ip,
                 user_agent: req.get('User-Agent')
             });
@@ -222,53 +454,528 @@ class RecognitionController {
         }
     }
 
+    /**
+     * POST /api/recognition/search-descriptor
+     * Identificación 1:N con un descriptor ya calculado en el cliente (sin imagen)
+     *
+     * Body: { descriptor: [128 números], encoding?: crop|aligned, candidates?: 10, applyThreshold?: false, collections?: [...] }
+     */
+    async searchDescriptor(req, res, next) {
+        const startTime = Date.now();
+
+        try {
+            const { candidates, applyThreshold, collections, encoding } = req.body;
+
+            const descriptor = parseDescriptor(req.body.descriptor, hnswService.DESCRIPTOR_DIM);
+            if (!descriptor) {
+                return res.status(400).json({
+                    error: `descriptor debe ser un array de ${hnswService.DESCRIPTOR_DIM} números finitos`,
+                    code: 'INVALID_DESCRIPTOR'
+                });
+            }
+
+            let candidatesK = 0;
+            if (candidates !== undefined && candidates !== null && candidates !== false) {
+                candidatesK = parseInt(candidates);
+                if (isNaN(candidatesK) || candidatesK < 1 || candidatesK > faceConfig.MAX_CANDIDATES) {
+                    return res.status(400).json({
+                        error: `candidates debe ser un número entre 1 y ${faceConfig.MAX_CANDIDATES}`,
+                        code: 'INVALID_CANDIDATES'
+                    });
+                }
+            }
+
+            let collectionNames;
+            try {
+                collectionNames = collectionService.parseNames(collections);
+            } catch (error) {
+                return res.status(error.statusCode).json({ error: error.message, code: error.code });
+            }
+
+            // Con índice HNSW no se cargan usuarios de la DB (ver recognize)
+            let users = [];
+            const index = await faceRecognitionService.indexFor(req.tenant);
+            if (!index.isInitialized || index.size() === 0) {
+                users = await User.getActiveUsers({ tenant: req.tenant });
+                if (users.length === 0) {
+                    return res.status(404).json({
+                        error: 'No hay usuarios registrados en el sistema',
+                        code: 'NO_USERS_REGISTERED'
+                    });
+                }
+            }
+
+            const result = await faceRecognitionService.searchByDescriptor(descriptor, users, {
+                tenant: req.tenant,
+                collections: collectionNames,
+                candidates: candidatesK,
+                applyThreshold: applyThreshold !== false && applyThreshold !== 'false',
+                encoding
+            });
+
+            const processingTime = Date.now() - startTime;
+
+            await Recognition.logEvent({
+                user_id: result.match ? result.match.id : null,
+                recognition_type: 'DESCRIPTOR_SEARCH',
+                confidence_score: result.confidence || 0,
+                processing_time_ms: processingTime,
+                success: !!result.match,
+                error_message: result.match ? null : (result.ambiguity ? 'Match ambiguo' : 'Usuario no reconocido'),
+                id_cliente: req.tenant,
+                ip_address: req.ip,
+                user_agent: req.get('User-Agent')
+            });
+
+            logger.info(result.match
+                ? `✅ Descriptor reconocido: ${result.match.ci} (dist: ${result.confidence.toFixed(4)})`
+                : (result.ambiguity ? '⚖️ Descriptor con match ambiguo' : '❌ Descriptor no reconocido'));
+
+            const data = {
+                confidence: result.confidence,
+                threshold: result.threshold,
+                calibration: calibrationService.decision(result.threshold, req.tenant),
+                processing_time_ms: processingTime,
+                ...(result.candidates && { candidates: result.candidates })
+            };
+
+            if (result.ambiguity) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Match ambiguo: varios usuarios a distancia similar',
+                    code: 'AMBIGUOUS_MATCH',
+                    data: { ambiguity: result.ambiguity, ...data }
+                });
+            }
+
+            if (!result.match) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Usuario no reconocido',
+                    code: 'USER_NOT_RECOGNIZED',
+                    data
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Usuario reconocido exitosamente',
+                data: {
+                    id: result.match.id,
+                    id_cliente: result.match.id_cliente,
+                    name: result.match.name,
+                    ci: result.match.ci,
+                    similarity: result.match.similarity,
+                    probability: result.match.probability,
+                    ...data
+                }
+            });
+
+        } catch (error) {
+            await Recognition.logEvent({
+                recognition_type: 'DESCRIPTOR_SEARCH',
+                processing_time_ms: Date.now() - startTime,
+                success: false,
+                error_message: error.message,
+                id_cliente: req.tenant,
+                ip_address: req.ip,
+                user_agent: req.get('User-Agent')
+            });
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/recognition/verify
+     * Verificación 1:1: ¿la persona de la imagen es quien dice ser?
+     *
+     * Body: { ci: "12345678", image: "base64..." } o { user_id: 42, image: "base64..." }
+     */
+    async verify(req, res, next) {
+        const startTime = Date.now();
+        let user = null;
+
+        try {
+            const { ci, user_id, image } = req.body;
+
+            if ((!ci && !user_id) || (!image && !req.imageBuffer)) {
+                return res.status(400).json({
+                    error: 'Campos requeridos: ci o user_id, image',
+                    code: 'MISSING_FIELDS'
+                });
+            }
+
+            if (user_id !== undefined && isNaN(user_id)) {
+                return res.status(400).json({
+                    error: 'ID de usuario inválido',
+                    code: 'INVALID_USER_ID'
+                });
+            }
+
+            const imageBuffer = resolveImageBuffer(req);
+            if (!imageBuffer) {
+                return res.status(400).json({
+                    error: 'Formato de imagen inválido',
+                    code: 'INVALID_IMAGE_FORMAT'
+                });
+            }
+
+            user = ci
+                ? await User.findByCI(sanitizeInput(ci), req.tenant)
+                : await User.findById(parseInt(user_id));
+
+            if (!user || !belongsToTenant(req, user)) {
+                return res.status(404).json({
+                    error: 'Usuario no encontrado',
+                    code: 'USER_NOT_FOUND'
+                });
+            }
+
+            const verification = await faceRecognitionService.verifyFace(imageBuffer, user, { tenant: req.tenant });
+
+            const processingTime = Date.now() - startTime;
+
+            await Recognition.logEvent({
+                user_id: user.id,
+                recognition_type: 'VERIFY',
+                confidence_score: verification.distance,
+                processing_time_ms: processingTime,
+                success: verification.match,
+                error_message: verification.match ? null : 'Rostro no coincide con el usuario',
+                id_cliente: req.tenant,
+                ip_address: req.ip,
+                user_agent: req.get('User-Agent')
+            });
+
+            logger.info(`${verification.match ? '✅' : '❌'} Verificación ${user.ci}: ` +
+                `${verification.match ? 'coincide' : 'no coincide'} (dist: ${verification.distance.toFixed(4)})`);
+
+            res.json({
+                success: true,
+                message: verification.match
+                    ? 'El rostro coincide con el usuario'
+                    : 'El rostro no coincide con el usuario',
+                data: {
+                    match: verification.match,
+                    id: user.id,
+                    ci: user.ci,
+                    name: user.name,
+                    distance: verification.distance,
+                    similarity: verification.similarity,
+                    probability: verification.probability,
+                    threshold: verification.threshold,
+                    calibration: calibrationService.decision(verification.threshold, req.tenant),
+                    templates_compared: verification.templatesCompared,
+                    liveness: verification.liveness,
+                    processing_time_ms: processingTime,
+                    backend: verification.backend
+                }
+            });
+
+        } catch (error) {
+            await Recognition.logEvent({
+                user_id: user ? user.id : null,
+                recognition_type: 'VERIFY',
+                processing_time_ms: Date.now() - startTime,
+                success: false,
+                error_message: error.message,
+                id_cliente: req.tenant,
+                ip_address: req.ip,
+                user_agent: req.get('User-Agent')
+            });
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/recognition/compare
+     * Comparación 1:1 entre dos imágenes sin usuario registrado (documento vs selfie)
+     *
+     * Body: { image1: "base64...", image2: "base64..." } o multipart con los campos image1 e image2
+     */
+    async compare(req, res, next) {
+        const startTime = Date.now();
+
+        try {
+            const buffers = ['image1', 'image2'].map(field => resolveImageBuffer(req, field));
+
+            if (buffers.some(buffer => !buffer)) {
+                return res.status(400).json({
+                    error: 'Se requieren dos imágenes válidas: image1 e image2',
+                    code: 'INVALID_IMAGE_FORMAT'
+                });
+            }
+
+            const comparison = await faceRecognitionService.compareFaces(buffers, { tenant: req.tenant });
+            const processingTime = Date.now() - startTime;
+
+            if (LOG_COMPARISONS) {
+                await Recognition.logEvent({
+                    recognition_type: 'COMPARE',
+                    confidence_score: comparison.distance,
+                    processing_time_ms: processingTime,
+                    success: comparison.match,
+                    error_message: comparison.match ? null : 'Los rostros no coinciden',
+                    id_cliente: req.tenant,
+                    ip_address: req.ip,
+                    user_agent: req.get('User-Agent')
+                });
+            }
+
+            res.json({
+                success: true,
+                message: comparison.match
+                    ? 'Los rostros corresponden a la misma persona'
+                    : 'Los rostros no corresponden a la misma persona',
+                data: {
+                    match: comparison.match,
+                    distance: comparison.distance,
+                    similarity: comparison.similarity,
+                    probability: comparison.probability,
+                    threshold: comparison.threshold,
+                    calibration: calibrationService.decision(comparison.threshold, req.tenant),
+                    faces: comparison.faces,
+                    processing_time_ms: processingTime,
+                    backend: comparison.backend
+                }
+            });
+
+        } catch (error) {
+            if (LOG_COMPARISONS) {
+                await Recognition.logEvent({
+                    recognition_type: 'COMPARE',
+                    processing_time_ms: Date.now() - startTime,
+                    success: false,
+                    error_message: error.message,
+                    id_cliente: req.tenant,
+                    ip_address: req.ip,
+                    user_agent: req.get('User-Agent')
+                });
+            }
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/recognition/quality
+     * Métricas de calidad por rostro (pose, nitidez, exposición, ojos, distancia entre ojos)
+     * y resultado apto/no apto según las reglas configuradas. No identifica a nadie.
+     *
+     * Body: { image: "base64..." }
+     */
+    async quality(req, res, next) {
+        try {
+            const { image } = req.body;
+
+            if (!image && !req.imageBuffer) {
+                return res.status(400).json({
+                    error: 'Campo requerido: image',
+                    code: 'MISSING_IMAGE'
+                });
+            }
+
+            const imageBuffer = resolveImageBuffer(req);
+            if (!imageBuffer) {
+                return res.status(400).json({
+                    error: 'Formato de imagen inválido',
+                    code: 'INVALID_IMAGE_FORMAT'
+                });
+            }
+
+            const assessment = await faceRecognitionService.assessQuality(imageBuffer);
+
+            if (assessment.faces.length === 0) {
+                return res.status(404).json({
+                    error: assessment.totalDetected > 0
+                        ? `Rostros demasiado pequeños. Mínimo ${faceConfig.MIN_FACE_SIZE}px`
+                        : 'No se detectó ningún rostro en la imagen',
+                    code: 'NO_FACE_DETECTED',
+                    total_detected: assessment.totalDetected
+                });
+            }
+
+            res.json({
+                success: true,
+                message: `${assessment.faces.filter(f => f.passed).length} de ${assessment.faces.length} rostros aptos`,
+                data: {
+                    passed: assessment.faces.every(f => f.passed),
+                    faces: assessment.faces,
+                    total_detected: assessment.totalDetected,
+                    skipped_small: assessment.skippedSmall,
+                    rules: assessment.rules,
+                    processing_time_ms: assessment.processingTime
+                }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/recognition/analyze
+     * Atributos estimados por rostro (expresión, edad, género), sin identificar a nadie
+     *
+     * Body: { image: "base64...", attributes: ["expression", "age", "gender"] } (por defecto todos)
+     */
+    async analyze(req, res, next) {
+        try {
+            const { image, attributes } = req.body;
+
+            if (!image && !req.imageBuffer) {
+                return res.status(400).json({
+                    error: 'Campo requerido: image',
+                    code: 'MISSING_IMAGE'
+                });
+            }
+
+            const imageBuffer = resolveImageBuffer(req);
+            if (!imageBuffer) {
+                return res.status(400).json({
+                    error: 'Formato de imagen inválido',
+                    code: 'INVALID_IMAGE_FORMAT'
+                });
+            }
+
+            const requestedAttributes = faceAttributesService.parseRequest(
+                attributes === undefined ? true : attributes
+            );
+
+            const analysis = await faceRecognitionService.analyzeFaces(imageBuffer, requestedAttributes);
+
+            if (analysis.faces.length === 0) {
+                return res.status(404).json({
+                    error: analysis.totalDetected > 0
+                        ? `Rostros demasiado pequeños. Mínimo ${faceConfig.MIN_FACE_SIZE}px`
+                        : 'No se detectó ningún rostro en la imagen',
+                    code: 'NO_FACE_DETECTED',
+                    total_detected: analysis.totalDetected
+                });
+            }
+
+            analysis.faces.forEach((face, i) => faceAttributesService.log(`analyze #${i}`, face.attributes));
+
+            res.json({
+                success: true,
+                message: `${analysis.faces.length} rostros analizados`,
+                data: {
+                    faces: analysis.faces,
+                    attributes: analysis.attributes,
+                    total_detected: analysis.totalDetected,
+                    skipped_small: analysis.skippedSmall,
+                    processing_time_ms: analysis.processingTime,
+                    backend: analysis.backend
+                }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
     async update(req, res, next) {
         const startTime = Date.now();
 
         try {
-            const { ci, image } = req.body;
+            const { ci, image, mode = 'replace' } = req.body;
+            const allowDuplicate = req.body.allowDuplicate === true || req.body.allowDuplicate === 'true';
 
-            if (!ci || !image) {
+            if (!ci || (!image && !req.imageBuffer)) {
                 return res.status(400).json({
                     error: 'Campos requeridos: ci, image',
                     code: 'MISSING_FIELDS'
                 });
             }
 
-            const user = await User.findByCI(sanitizeInput(ci));
-            if (!user) {
+            if (allowDuplicate && !isAdminRequest(req)) {
+                return res.status(403).json({
+                    error: 'allowDuplicate requiere credenciales de administrador (header X-Admin-Key)',
+                    code: 'ADMIN_REQUIRED'
+                });
+            }
+
+            // replace: la nueva foto sustituye todas las plantillas; append: se suma a las existentes
+            if (!['replace', 'append'].includes(mode)) {
+                return res.status(400).json({
+                    error: 'mode debe ser "replace" o "append"',
+                    code: 'INVALID_MODE'
+                });
+            }
+
+            const user = await User.findByCI(sanitizeInput(ci), req.tenant);
+            if (!user || !belongsToTenant(req, user)) {
                 return res.status(404).json({
                     error: 'Usuario no encontrado',
                     code: 'USER_NOT_FOUND'
                 });
             }
 
-            if (!validateBase64Image(image)) {
+            const imageBuffer = resolveImageBuffer(req);
+            if (!imageBuffer) {
                 return res.status(400).json({
                     error: 'Formato de imagen inválido',
                     code: 'INVALID_IMAGE_FORMAT'
                 });
             }
 
-            const imageBuffer = Buffer.from(image, 'base64');
-
             const faceData = await faceRecognitionService.registerFace(imageBuffer, user, {
                 requireHighQuality: true
             });
 
-            await User.update(user.id, {
-                descriptor: JSON.stringify(faceData.descriptor),
-                confidence_score: faceData.confidenceScore,
-                updated_at: new Date().toISOString()
+            // El rostro nuevo no puede ser el de otro usuario enrolado (mismo control que /register)
+            const duplicate = await faceRecognitionService.findDuplicateIdentity(faceData.descriptor, {
+                excludeUserId: user.id,
+                tenant: req.tenant
             });
+            if (duplicate && !allowDuplicate) {
+                logger.warn(`⚠️ Actualización rechazada: nueva foto de CI ${user.ci} coincide con usuario ` +
+                    `${duplicate.id} (CI ${duplicate.ci}, dist: ${duplicate.distance.toFixed(4)})`);
 
-            // Actualizar en índice HNSW
-            await faceRecognitionService.syncHNSWIndex(
-                user.id,
-                faceData.descriptor,
-                { ci: user.ci, name: user.name, id_cliente: user.id_cliente },
-                'update'
-            );
+                await Recognition.logEvent({
+                    user_id: user.id,
+                    recognition_type: 'UPDATE',
+                    confidence_score: duplicate.distance,
+                    processing_time_ms: Date.now() - startTime,
+                    success: false,
+                    error_message: `Rostro duplicado: CI ${user.ci} coincide con CI ${duplicate.ci}`,
+                    id_cliente: req.tenant,
+                    ip_address: req.ip,
+                    user_agent: req.get('User-Agent')
+                });
+
+                return res.status(409).json({
+                    error: 'El rostro ya está registrado con otro documento',
+                    code: 'DUPLICATE_FACE',
+                    conflict: {
+                        id: duplicate.id,
+                        ci: duplicate.ci,
+                        distance: duplicate.distance,
+                        similarity: duplicate.similarity
+                    }
+                });
+            }
+
+            if (duplicate) {
+                logger.warn(`🔓 Override de duplicado (admin): usuario ${user.id} (CI ${user.ci}) ` +
+                    `actualizado pese a coincidir con usuario ${duplicate.id} (CI ${duplicate.ci}, ` +
+                    `dist: ${duplicate.distance.toFixed(4)}, IP: ${req.ip})`);
+
+                await Recognition.logEvent({
+                    user_id: user.id,
+                    recognition_type: 'DUPLICATE_OVERRIDE',
+                    confidence_score: duplicate.distance,
+                    processing_time_ms: Date.now() - startTime,
+                    success: true,
+                    error_message: `Duplicado permitido por administrador: coincide con usuario ${duplicate.id} (CI ${duplicate.ci})`,
+                    id_cliente: req.tenant,
+                    ip_address: req.ip,
+                    user_agent: req.get('User-Agent')
+                });
+            }
+
+            const template = mode === 'append'
+                ? await templateService.addTemplate(user, faceData, 'update')
+                : (await templateService.replaceTemplates(user, faceData, 'update')).template;
 
             await Recognition.logEvent({
                 user_id: user.id,
@@ -276,11 +983,12 @@ class RecognitionController {
                 confidence_score: faceData.confidenceScore,
                 processing_time_ms: Date.now() - startTime,
                 success: true,
+                id_cliente: req.tenant,
                 ip_address: req.ip,
                 user_agent: req.get('User-Agent')
             });
 
-            logger.info(`✅ Usuario actualizado: ${ci}`);
+            logger.info(`✅ Usuario actualizado (${mode}): ${ci}`);
 
             res.json({
                 success: true,
@@ -288,6 +996,8 @@ class RecognitionController {
                 data: {
                     id: user.id,
                     ci: user.ci,
+                    mode,
+                    template_id: template.id,
                     confidence_score: faceData.confidenceScore,
                     processing_time_ms: Date.now() - startTime
                 }
@@ -299,6 +1009,7 @@ class RecognitionController {
                 processing_time_ms: Date.now() - startTime,
                 success: false,
                 error_message: error.message,
+                id_cliente: req.tenant,
                 ip_address: req.ip,
                 user_agent: req.get('User-Agent')
             });
@@ -310,11 +1021,28 @@ class RecognitionController {
      * POST /api/recognition/batch
      * Procesa múltiples imágenes en paralelo (máx 50 por lote)
      *
-     * Body: { images: [{ id: "item1", image: "base64..." }, ...] }
+     * Body: { images: [{ id: "item1", image: "base64..." }, ...], collections?: ["empleados-hq"] }
+     *   o multipart/form-data con uno o más archivos en el campo `images`
      * Response: { jobId, status, totalImages }
      */
     async batchRecognize(req, res, next) {
         try {
+            // Las colecciones se validan antes de encolar: un nombre inexistente es 404 para todo el lote
+            const collectionNames = collectionService.parseNames(req.body.collections);
+            await collectionService.resolve(collectionNames, req.tenant);
+            const jobOptions = { enableCache: true, tenant: req.tenant, collections: collectionNames };
+
+            // Archivos multipart: se pasan como buffer, sin re-codificar a base64
+            if (req.imageBuffers) {
+                const job = await batchService.createRecognitionJob(req.imageBuffers, jobOptions);
+
+                return res.status(202).json({
+                    success: true,
+                    message: `Lote de ${req.imageBuffers.length} imágenes encolado para procesamiento`,
+                    data: job
+                });
+            }
+
             const { images } = req.body;
 
             if (!Array.isArray(images) || images.length === 0) {
@@ -335,7 +1063,7 @@ class RecognitionController {
                 }
             }
 
-            const job = await batchService.createRecognitionJob(images, { enableCache: true });
+            const job = await batchService.createRecognitionJob(images, jobOptions);
 
             res.status(202).json({
                 success: true,
@@ -355,7 +1083,7 @@ class RecognitionController {
     async getBatchJob(req, res, next) {
         try {
             const { jobId } = req.params;
-            const job = batchService.getJob(jobId);
+            const job = batchService.getJob(jobId, req.tenant);
 
             if (!job) {
                 return res.status(404).json({
@@ -381,7 +1109,7 @@ class RecognitionController {
     async listBatchJobs(req, res, next) {
         try {
             const limit = Math.min(parseInt(req.query.limit) || 20, 100);
-            const jobs = batchService.listJobs(limit);
+            const jobs = batchService.listJobs(limit, req.tenant);
 
             res.json({
                 success: true,
@@ -396,24 +1124,26 @@ class RecognitionController {
 
     /**
      * POST /api/recognition/index/rebuild
-     * Reconstruye el índice HNSW desde la base de datos
+     * Reconstruye el índice HNSW desde la base de datos (con tenancy, el del tenant)
      * Útil después de importaciones masivas o cuando el índice está desincronizado
      */
     async rebuildHNSWIndex(req, res, next) {
         try {
-            logger.info('🔨 Solicitud de reconstrucción de índice HNSW recibida');
-            const users = await User.getActiveUsers();
+            logger.info(`🔨 Solicitud de reconstrucción de índice HNSW recibida${req.tenant ? ` (tenant ${req.tenant})` : ''}`);
+            const templates = await FaceTemplate.getActiveTemplates({ tenant: req.tenant });
+            const index = await faceRecognitionService.indexFor(req.tenant);
 
             // Ejecutar en background para no bloquear
             const startResult = {
                 message: 'Reconstrucción iniciada en background',
-                usersToIndex: users.length
+                templatesToIndex: templates.length,
+                ...(req.tenant && { tenant: req.tenant })
             };
 
             // Procesar async
-            hnswService.rebuildIndex(users).then(result => {
-                metricsService.updateHnswIndexSize(hnswService.size());
-                logger.info(`✅ Índice HNSW reconstruido: ${result.added} usuarios`);
+            index.rebuildIndex(templates).then(result => {
+                metricsService.updateHnswIndexSize(hnswService.totalSize());
+                logger.info(`✅ Índice HNSW reconstruido: ${result.added} plantillas de ${result.users} usuarios`);
             }).catch(err => {
                 logger.error('Error reconstruyendo índice HNSW:', err);
             });
@@ -429,8 +1159,47 @@ class RecognitionController {
         }
     }
 
+    /**
+     * GET /api/recognition/logs?limit=100
+     * Eventos de reconocimiento más recientes (con tenancy, solo los del tenant)
+     */
+    async getLogs(req, res, next) {
+        try {
+            const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+            const logs = await Recognition.getRecentLogs(limit, req.tenant);
+
+            res.json({
+                success: true,
+                data: {
+                    logs,
+                    total: logs.length,
+                    ...(req.tenant && { tenant: req.tenant })
+                }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
     async getStats(req, res, next) {
         try {
+            // Con tenancy: solo datos del tenant (eventos, usuarios e índice propio)
+            if (req.tenant) {
+                const index = await faceRecognitionService.indexFor(req.tenant);
+
+                return res.json({
+                    success: true,
+                    data: {
+                        tenant: req.tenant,
+                        database: await Recognition.getStats(30, req.tenant),
+                        users: { active: await User.count({ active_only: true, tenant: req.tenant }) },
+                        hnsw: index.getStats(),
+                        timestamp: new Date().toISOString()
+                    }
+                });
+            }
+
             const faceStats = faceRecognitionService.getStats();
             const dbStats = await Recognition.getStats();
             const cacheService = require('../services/cache.service');
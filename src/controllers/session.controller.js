@@ -0,0 +1,169 @@
+const recognitionSessionService = require('../services/recognition-session.service');
+const faceRecognitionService = require('../services/face-recognition.service');
+const Recognition = require('../models/Recognition');
+const logger = require('../utils/logger');
+const { validateBase64Image } = require('../utils/validators');
+
+/**
+ * Frames de la petición: multipart (`images` / `image`), { frames: [...] } o { image }.
+ * Retorna { frameBuffers } o { error } con la respuesta 400 a enviar.
+ */
+const resolveFrames = (req, required) => {
+    if (req.imageBuffers) {
+        return { frameBuffers: req.imageBuffers.map(item => item.buffer) };
+    }
+    if (req.imageBuffer) {
+        return { frameBuffers: [req.imageBuffer] };
+    }
+
+    const { frames, image } = req.body || {};
+    const list = Array.isArray(frames) ? frames : (image ? [image] : []);
+
+    if (list.length === 0) {
+        return required
+            ? { error: { error: 'Se requieren frames: { frames: ["base64...", ...] }', code: 'MISSING_FRAMES' } }
+            : { frameBuffers: [] };
+    }
+
+    const invalidIdx = list.findIndex(frame => !validateBase64Image(frame));
+    if (invalidIdx !== -1) {
+        return { error: { error: `Frame inválido en posición ${invalidIdx}`, code: 'INVALID_IMAGE_FORMAT' } };
+    }
+
+    return { frameBuffers: list.map(frame => Buffer.from(frame, 'base64')) };
+};
+
+const isFinalize = (value) => value === true || value === 'true';
+
+class SessionController {
+    /**
+     * POST /api/recognition/sessions
+     * Crea una sesión multi-frame. Puede incluir frames y decidir en la misma petición.
+     *
+     * Body: { strategy: "vote" | "average", frames?: ["base64...", ...], finalize?: true }
+     */
+    async createSession(req, res, next) {
+        const startTime = Date.now();
+
+        try {
+            const { frameBuffers, error } = resolveFrames(req, false);
+            if (error) return res.status(400).json(error);
+
+            const strategy = req.body?.strategy || req.query.strategy;
+            const session = await recognitionSessionService.createSession(strategy || undefined, req.tenant);
+            const users = frameBuffers.length > 0 ? await faceRecognitionService.getFallbackUsers(req.tenant) : [];
+
+            if (frameBuffers.length > 0) {
+                await recognitionSessionService.addFrames(session.id, frameBuffers, users, req.tenant);
+            }
+
+            if (isFinalize(req.body?.finalize ?? req.query.finalize)) {
+                return await SessionController.respondDecision(req, res, session.id, users, startTime);
+            }
+
+            const updated = await recognitionSessionService.getSession(session.id, req.tenant);
+
+            res.status(201).json({
+                success: true,
+                message: 'Sesión de reconocimiento creada',
+                data: recognitionSessionService.summarize(updated)
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/recognition/sessions/:sessionId/frames
+     * Agrega frames a la sesión (opcionalmente decide con finalize: true)
+     */
+    async addFrames(req, res, next) {
+        const startTime = Date.now();
+
+        try {
+            const { sessionId } = req.params;
+            const { frameBuffers, error } = resolveFrames(req, true);
+            if (error) return res.status(400).json(error);
+
+            const users = await faceRecognitionService.getFallbackUsers(req.tenant);
+            const session = await recognitionSessionService.addFrames(sessionId, frameBuffers, users, req.tenant);
+
+            if (isFinalize(req.body?.finalize ?? req.query.finalize)) {
+                return await SessionController.respondDecision(req, res, sessionId, users, startTime);
+            }
+
+            res.json({
+                success: true,
+                message: `${frameBuffers.length} frames agregados`,
+                data: recognitionSessionService.summarize(session)
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/recognition/sessions/:sessionId
+     */
+    async getSession(req, res, next) {
+        try {
+            const session = await recognitionSessionService.getSession(req.params.sessionId, req.tenant);
+
+            res.json({
+                success: true,
+                data: recognitionSessionService.summarize(session)
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/recognition/sessions/:sessionId/decide
+     * Decide con los frames acumulados (la sesión se consume)
+     */
+    async decide(req, res, next) {
+        const startTime = Date.now();
+
+        try {
+            const users = await faceRecognitionService.getFallbackUsers(req.tenant);
+            await SessionController.respondDecision(req, res, req.params.sessionId, users, startTime);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    static async respondDecision(req, res, sessionId, users, startTime) {
+        const result = await recognitionSessionService.decide(sessionId, users, req.tenant);
+        const processingTime = Date.now() - startTime;
+
+        await Recognition.logEvent({
+            user_id: result.match ? result.match.id : null,
+            recognition_type: 'RECOGNIZE_SESSION',
+            confidence_score: result.match ? result.match.distance : 0,
+            processing_time_ms: processingTime,
+            success: result.recognized,
+            error_message: result.recognized
+                ? null
+                : `Sesión no concluyente (consistencia ${result.consistency})`,
+            id_cliente: req.tenant,
+            ip_address: req.ip,
+            user_agent: req.get('User-Agent')
+        });
+
+        logger.info(`${result.recognized ? '✅' : '❌'} Sesión ${sessionId}: ` +
+            `${result.recognized ? result.match.ci : 'no reconocido'}`);
+
+        res.status(result.recognized ? 200 : 404).json({
+            success: result.recognized,
+            message: result.recognized ? 'Usuario reconocido exitosamente' : 'Usuario no reconocido',
+            ...(!result.recognized && { code: 'USER_NOT_RECOGNIZED' }),
+            data: { ...result, processing_time_ms: processingTime }
+        });
+    }
+}
+
+module.exports = new SessionController();
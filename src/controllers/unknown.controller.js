@@ -0,0 +1,222 @@
+const unknownFaceService = require('../services/unknown-face.service');
+const UnknownCluster = require('../models/UnknownCluster');
+const UnknownFace = require('../models/UnknownFace');
+const User = require('../models/User');
+const Recognition = require('../models/Recognition');
+const metricsService = require('../services/metrics.service');
+const logger = require('../utils/logger');
+const { sanitizeInput, isValidCI, isValidName } = require('../utils/validators');
+
+class UnknownController {
+    /**
+     * GET /api/unknown-faces/clusters
+     * Clusters de desconocidos del tenant, vistos más recientemente primero
+     */
+    async listClusters(req, res, next) {
+        try {
+            const { page = 1, limit = 50, include_promoted = 'false' } = req.query;
+
+            const options = {
+                limit: Math.min(parseInt(limit) || 50, 100),
+                includePromoted: include_promoted === 'true',
+                tenant: req.tenant
+            };
+            options.offset = (Math.max(parseInt(page) || 1, 1) - 1) * options.limit;
+
+            const clusters = await UnknownCluster.findAll(options);
+            const total = await UnknownCluster.count(options);
+
+            res.json({
+                success: true,
+                data: {
+                    clusters,
+                    pagination: {
+                        page: parseInt(page) || 1,
+                        limit: options.limit,
+                        total,
+                        totalPages: Math.ceil(total / options.limit)
+                    },
+                    store: {
+                        ...unknownFaceService.getStats(req.tenant),
+                        storedFaces: await UnknownFace.count(req.tenant)
+                    }
+                }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/unknown-faces/clusters/:id
+     * Detalle del cluster con sus rostros (sin descriptores)
+     */
+    async getCluster(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            if (!id || isNaN(id)) {
+                return res.status(400).json({
+                    error: 'ID de cluster inválido',
+                    code: 'INVALID_CLUSTER_ID'
+                });
+            }
+
+            const { centroid, ...cluster } = await unknownFaceService.getCluster(parseInt(id), req.tenant);
+            const faces = await UnknownFace.findByCluster(cluster.id);
+
+            res.json({
+                success: true,
+                data: { ...cluster, faces }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/unknown-faces/clusters/:id/promote
+     * Registra al desconocido como usuario con las plantillas de sus mejores rostros
+     *
+     * Body: { ci, name, id_cliente?, allowDuplicate? }
+     */
+    async promoteCluster(req, res, next) {
+        const startTime = Date.now();
+
+        try {
+            const { id } = req.params;
+            const { ci, name, id_cliente, allowDuplicate } = req.body;
+
+            if (!id || isNaN(id)) {
+                return res.status(400).json({
+                    error: 'ID de cluster inválido',
+                    code: 'INVALID_CLUSTER_ID'
+                });
+            }
+
+            if (!isValidCI(ci) || !isValidName(name)) {
+                return res.status(400).json({
+                    error: 'Campos requeridos: ci y name válidos',
+                    code: 'VALIDATION_ERROR'
+                });
+            }
+
+            // Con tenancy el usuario pertenece al tenant de la petición (y del cluster)
+            if (req.tenant && id_cliente && sanitizeInput(id_cliente) !== req.tenant) {
+                return res.status(403).json({
+                    error: 'id_cliente no corresponde al tenant de la petición',
+                    code: 'TENANT_MISMATCH'
+                });
+            }
+
+            const userData = {
+                ci: sanitizeInput(ci),
+                name: sanitizeInput(name),
+                id_cliente: req.tenant || sanitizeInput(id_cliente || '')
+            };
+
+            const result = await unknownFaceService.promoteCluster(parseInt(id), userData, {
+                allowDuplicate: allowDuplicate === true || allowDuplicate === 'true',
+                tenant: req.tenant
+            });
+
+            metricsService.updateActiveUsers(await User.count({ active_only: true }));
+
+            await Recognition.logEvent({
+                user_id: result.user.id,
+                recognition_type: 'UNKNOWN_PROMOTE',
+                processing_time_ms: Date.now() - startTime,
+                success: true,
+                error_message: `Cluster ${id} promovido` +
+                    (result.duplicate ? ` pese a coincidir con usuario ${result.duplicate.id} (CI ${result.duplicate.ci})` : ''),
+                ip_address: req.ip,
+                user_agent: req.get('User-Agent'),
+                id_cliente: req.tenant
+            });
+
+            logger.info(`✅ Cluster ${id} registrado como ${userData.ci}`);
+
+            res.status(201).json({
+                success: true,
+                message: 'Cluster registrado como usuario',
+                data: {
+                    id: result.user.id,
+                    ci: result.user.ci,
+                    name: result.user.name,
+                    templates: result.templates,
+                    cluster_id: parseInt(id),
+                    ...(result.duplicate && {
+                        duplicate_of: { id: result.duplicate.id, ci: result.duplicate.ci, distance: result.duplicate.distance }
+                    })
+                }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * DELETE /api/unknown-faces/clusters/:id
+     * Descarta el cluster y sus rostros
+     */
+    async deleteCluster(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            if (!id || isNaN(id)) {
+                return res.status(400).json({
+                    error: 'ID de cluster inválido',
+                    code: 'INVALID_CLUSTER_ID'
+                });
+            }
+
+            const result = await unknownFaceService.deleteCluster(parseInt(id), req.tenant);
+
+            res.json({
+                success: true,
+                message: 'Cluster eliminado',
+                data: result
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/unknown-faces/clusters/run
+     * Ejecuta ahora la purga + clustering del tenant (normalmente periódico, de todos)
+     */
+    async runClustering(req, res, next) {
+        try {
+            if (!unknownFaceService.enabled) {
+                return res.status(409).json({
+                    error: 'El almacén de rostros desconocidos está deshabilitado (UNKNOWN_FACES_ENABLED)',
+                    code: 'UNKNOWN_FACES_DISABLED'
+                });
+            }
+
+            const result = await unknownFaceService.runJob([req.tenant]);
+
+            if (!result) {
+                return res.status(409).json({
+                    error: 'El clustering ya está en ejecución',
+                    code: 'CLUSTERING_IN_PROGRESS'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: result
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = new UnknownController();
@@ -1,6 +1,17 @@
 const User = require('../models/User');
+const FaceTemplate = require('../models/FaceTemplate');
+const Recognition = require('../models/Recognition');
+const faceRecognitionService = require('../services/face-recognition.service');
+const templateService = require('../services/template.service');
+const adaptiveTemplateService = require('../services/adaptive-template.service');
+const userThresholdService = require('../services/user-threshold.service');
+const faceConfig = require('../config/face-recognition');
+const TemplateAdaptation = require('../models/TemplateAdaptation');
+const ThresholdChange = require('../models/ThresholdChange');
+const Collection = require('../models/Collection');
 const logger = require('../utils/logger');
-const { sanitizeInput } = require('../utils/validators');
+const { sanitizeInput, resolveImageBuffer } = require('../utils/validators');
+const { belongsToTenant } = require('../middleware/tenant.middleware');
 
 class UserController {
     async getAll(req, res, next) {
@@ -10,7 +21,8 @@ class UserController {
             const options = {
                 page: parseInt(page),
                 limit: Math.min(parseInt(limit), 100), // Máximo 100 por página
-                activeOnly: active_only === 'true'
+                activeOnly: active_only === 'true',
+                tenant: req.tenant
             };
 
             const users = await User.getAll(options);
@@ -47,7 +59,7 @@ class UserController {
 
             const user = await User.findById(parseInt(id));
             
-            if (!user) {
+            if (!user || !belongsToTenant(req, user)) {
                 return res.status(404).json({
                     error: 'Usuario no encontrado',
                     code: 'USER_NOT_FOUND'
@@ -59,7 +71,10 @@ class UserController {
 
             res.json({
                 success: true,
-                data: userResponse
+                data: {
+                    ...userResponse,
+                    collections: await Collection.findByUser(user.id)
+                }
             });
 
         } catch (error) {
@@ -78,9 +93,9 @@ class UserController {
                 });
             }
 
-            const user = await User.findByCI(sanitizeInput(ci));
+            const user = await User.findByCI(sanitizeInput(ci), req.tenant);
             
-            if (!user) {
+            if (!user || !belongsToTenant(req, user)) {
                 return res.status(404).json({
                     error: 'Usuario no encontrado',
                     code: 'USER_NOT_FOUND'
@@ -113,7 +128,7 @@ class UserController {
 
             const user = await User.findById(parseInt(id));
             
-            if (!user) {
+            if (!user || !belongsToTenant(req, user)) {
                 return res.status(404).json({
                     error: 'Usuario no encontrado',
                     code: 'USER_NOT_FOUND'
@@ -151,7 +166,7 @@ class UserController {
 
             const user = await User.findById(parseInt(id));
             
-            if (!user) {
+            if (!user || !belongsToTenant(req, user)) {
                 return res.status(404).json({
                     error: 'Usuario no encontrado',
                     code: 'USER_NOT_FOUND'
@@ -174,6 +189,418 @@ class UserController {
             next(error);
         }
     }
+
+    /**
+     * GET /api/users/:id/templates
+     * Lista las plantillas de enrolamiento del usuario (sin descriptores)
+     */
+    async listTemplates(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            if (!id || isNaN(id)) {
+                return res.status(400).json({
+                    error: 'ID de usuario inválido',
+                    code: 'INVALID_USER_ID'
+                });
+            }
+
+            const user = await User.findById(parseInt(id));
+
+            if (!user || !belongsToTenant(req, user)) {
+                return res.status(404).json({
+                    error: 'Usuario no encontrado',
+                    code: 'USER_NOT_FOUND'
+                });
+            }
+
+            const templates = await FaceTemplate.findByUser(user.id);
+
+            res.json({
+                success: true,
+                data: {
+                    user_id: user.id,
+                    ci: user.ci,
+                    templates,
+                    total: templates.length,
+                    max_templates: templateService.maxTemplatesPerUser
+                }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/users/:id/templates
+     * Agrega una plantilla a partir de una nueva foto del usuario
+     *
+     * Body: { image: "base64..." } o multipart/form-data con `image`
+     */
+    async addTemplate(req, res, next) {
+        const startTime = Date.now();
+
+        try {
+            const { id } = req.params;
+
+            if (!id || isNaN(id)) {
+                return res.status(400).json({
+                    error: 'ID de usuario inválido',
+                    code: 'INVALID_USER_ID'
+                });
+            }
+
+            const user = await User.findById(parseInt(id));
+
+            if (!user || !belongsToTenant(req, user)) {
+                return res.status(404).json({
+                    error: 'Usuario no encontrado',
+                    code: 'USER_NOT_FOUND'
+                });
+            }
+
+            const imageBuffer = resolveImageBuffer(req);
+            if (!imageBuffer) {
+                return res.status(400).json({
+                    error: 'Formato de imagen inválido',
+                    code: 'INVALID_IMAGE_FORMAT'
+                });
+            }
+
+            const faceData = await faceRecognitionService.registerFace(imageBuffer, user, {
+                requireHighQuality: true
+            });
+
+            // La foto no puede pertenecer a otra persona registrada
+            const duplicate = await faceRecognitionService.findDuplicateIdentity(faceData.descriptor, {
+                excludeUserId: user.id,
+                tenant: req.tenant
+            });
+            if (duplicate) {
+                return res.status(409).json({
+                    error: 'El rostro corresponde a otro usuario registrado',
+                    code: 'DUPLICATE_FACE',
+                    conflict: {
+                        id: duplicate.id,
+                        ci: duplicate.ci,
+                        distance: duplicate.distance,
+                        similarity: duplicate.similarity
+                    }
+                });
+            }
+
+            const template = await templateService.addTemplate(user, faceData, 'api');
+
+            await Recognition.logEvent({
+                user_id: user.id,
+                recognition_type: 'TEMPLATE_ADD',
+                confidence_score: faceData.confidenceScore,
+                processing_time_ms: Date.now() - startTime,
+                success: true,
+                id_cliente: req.tenant,
+                ip_address: req.ip,
+                user_agent: req.get('User-Agent')
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Plantilla agregada exitosamente',
+                data: {
+                    id: template.id,
+                    user_id: user.id,
+                    quality_score: template.quality_score,
+                    source: template.source,
+                    quality: faceData.quality,
+                    processing_time_ms: Date.now() - startTime
+                }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * DELETE /api/users/:id/templates/:templateId
+     * Elimina una plantilla (no se puede eliminar la última)
+     */
+    async removeTemplate(req, res, next) {
+        try {
+            const { id, templateId } = req.params;
+
+            if (!id || isNaN(id) || !templateId || isNaN(templateId)) {
+                return res.status(400).json({
+                    error: 'ID de usuario o plantilla inválido',
+                    code: 'INVALID_ID'
+                });
+            }
+
+            const user = await User.findById(parseInt(id));
+
+            if (!user || !belongsToTenant(req, user)) {
+                return res.status(404).json({
+                    error: 'Usuario no encontrado',
+                    code: 'USER_NOT_FOUND'
+                });
+            }
+
+            const result = await templateService.removeTemplate(user, parseInt(templateId));
+
+            await Recognition.logEvent({
+                user_id: user.id,
+                recognition_type: 'TEMPLATE_REMOVE',
+                processing_time_ms: 0,
+                success: true,
+                id_cliente: req.tenant,
+                ip_address: req.ip,
+                user_agent: req.get('User-Agent')
+            });
+
+            res.json({
+                success: true,
+                message: 'Plantilla eliminada exitosamente',
+                data: result
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/users/:id/templates/adaptations
+     * Auditoría de adaptaciones automáticas de plantillas del usuario
+     */
+    async listAdaptations(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            if (!id || isNaN(id)) {
+                return res.status(400).json({
+                    error: 'ID de usuario inválido',
+                    code: 'INVALID_USER_ID'
+                });
+            }
+
+            const user = await User.findById(parseInt(id));
+
+            if (!user || !belongsToTenant(req, user)) {
+                return res.status(404).json({
+                    error: 'Usuario no encontrado',
+                    code: 'USER_NOT_FOUND'
+                });
+            }
+
+            const adaptations = await TemplateAdaptation.findByUser(user.id, {
+                limit: Math.min(parseInt(req.query.limit) || 100, 500)
+            });
+
+            res.json({
+                success: true,
+                data: {
+                    user_id: user.id,
+                    ci: user.ci,
+                    adaptations,
+                    settings: adaptiveTemplateService.getStats()
+                }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/users/:id/templates/adaptations/revert
+     * Revierte todas las adaptaciones vigentes del usuario (solo administradores)
+     */
+    async revertAdaptations(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            if (!id || isNaN(id)) {
+                return res.status(400).json({
+                    error: 'ID de usuario inválido',
+                    code: 'INVALID_USER_ID'
+                });
+            }
+
+            const user = await User.findById(parseInt(id));
+
+            if (!user || !belongsToTenant(req, user)) {
+                return res.status(404).json({
+                    error: 'Usuario no encontrado',
+                    code: 'USER_NOT_FOUND'
+                });
+            }
+
+            const result = await adaptiveTemplateService.revertUser(user);
+
+            await Recognition.logEvent({
+                user_id: user.id,
+                recognition_type: 'TEMPLATE_ADAPTATION_REVERT',
+                processing_time_ms: 0,
+                success: true,
+                error_message: `Adaptaciones revertidas: ${result.reverted}`,
+                id_cliente: req.tenant,
+                ip_address: req.ip,
+                user_agent: req.get('User-Agent')
+            });
+
+            res.json({
+                success: true,
+                message: `${result.reverted} adaptaciones revertidas`,
+                data: result
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/users/:id/threshold
+     * Umbral de decisión propio, el vigente y el historial de cambios
+     */
+    async getThreshold(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            if (!id || isNaN(id)) {
+                return res.status(400).json({
+                    error: 'ID de usuario inválido',
+                    code: 'INVALID_USER_ID'
+                });
+            }
+
+            const user = await User.findById(parseInt(id));
+
+            if (!user || !belongsToTenant(req, user)) {
+                return res.status(404).json({
+                    error: 'Usuario no encontrado',
+                    code: 'USER_NOT_FOUND'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: {
+                    user_id: user.id,
+                    ci: user.ci,
+                    match_threshold: user.match_threshold,
+                    effective_threshold: user.match_threshold ?? faceConfig.CONFIDENCE_THRESHOLD,
+                    global_threshold: faceConfig.CONFIDENCE_THRESHOLD,
+                    history: await ThresholdChange.findByUser(user.id, {
+                        limit: Math.min(parseInt(req.query.limit) || 100, 500)
+                    })
+                }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * PUT /api/users/:id/threshold (solo administradores)
+     * Body: { match_threshold, reason? }
+     */
+    async setThreshold(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            if (!id || isNaN(id)) {
+                return res.status(400).json({
+                    error: 'ID de usuario inválido',
+                    code: 'INVALID_USER_ID'
+                });
+            }
+
+            const user = await User.findById(parseInt(id));
+
+            if (!user || !belongsToTenant(req, user)) {
+                return res.status(404).json({
+                    error: 'Usuario no encontrado',
+                    code: 'USER_NOT_FOUND'
+                });
+            }
+
+            const threshold = userThresholdService.parseThreshold(req.body.match_threshold);
+
+            const change = await userThresholdService.setThreshold(user, threshold, {
+                reason: req.body.reason,
+                ip: req.ip
+            });
+
+            res.json({
+                success: true,
+                message: `Umbral de decisión del usuario fijado en ${threshold}`,
+                data: {
+                    user_id: user.id,
+                    ci: user.ci,
+                    previous_threshold: change.previous,
+                    match_threshold: change.current
+                }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * DELETE /api/users/:id/threshold (solo administradores)
+     * Vuelve al umbral global
+     */
+    async clearThreshold(req, res, next) {
+        try {
+            const { id } = req.params;
+
+            if (!id || isNaN(id)) {
+                return res.status(400).json({
+                    error: 'ID de usuario inválido',
+                    code: 'INVALID_USER_ID'
+                });
+            }
+
+            const user = await User.findById(parseInt(id));
+
+            if (!user || !belongsToTenant(req, user)) {
+                return res.status(404).json({
+                    error: 'Usuario no encontrado',
+                    code: 'USER_NOT_FOUND'
+                });
+            }
+
+            if (user.match_threshold === null || user.match_threshold === undefined) {
+                return res.status(404).json({
+                    error: 'El usuario no tiene un umbral propio',
+                    code: 'THRESHOLD_NOT_SET'
+                });
+            }
+
+            const change = await userThresholdService.setThreshold(user, null, {
+                reason: req.body?.reason,
+                ip: req.ip
+            });
+
+            res.json({
+                success: true,
+                message: 'El usuario vuelve a usar el umbral global',
+                data: {
+                    user_id: user.id,
+                    ci: user.ci,
+                    previous_threshold: change.previous,
+                    match_threshold: null,
+                    effective_threshold: faceConfig.CONFIDENCE_THRESHOLD
+                }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
 }
 
 module.exports = new UserController();
\ No newline at end of file
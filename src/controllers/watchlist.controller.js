@@ -0,0 +1,319 @@
+const watchlistService = require('../services/watchlist.service');
+const Watchlist = require('../models/Watchlist');
+const WatchlistAlert = require('../models/WatchlistAlert');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { sanitizeInput } = require('../utils/validators');
+const { belongsToTenant } = require('../middleware/tenant.middleware');
+
+/**
+ * Busca la watchlist de req.params.id (del tenant de la petición);
+ * responde 400/404 y retorna null si no existe
+ */
+const findWatchlistOr404 = async (req, res) => {
+    const { id } = req.params;
+
+    if (!id || isNaN(id)) {
+        res.status(400).json({
+            error: 'ID de watchlist inválido',
+            code: 'INVALID_WATCHLIST_ID'
+        });
+        return null;
+    }
+
+    const watchlist = await Watchlist.findById(parseInt(id));
+    if (!watchlist || (watchlist.id_cliente || null) !== (req.tenant || null)) {
+        res.status(404).json({
+            error: 'Watchlist no encontrada',
+            code: 'WATCHLIST_NOT_FOUND'
+        });
+        return null;
+    }
+
+    return watchlist;
+};
+
+class WatchlistController {
+    /**
+     * GET /api/watchlists
+     */
+    async getAll(req, res, next) {
+        try {
+            const watchlists = await Watchlist.findAll(req.tenant);
+
+            res.json({
+                success: true,
+                data: {
+                    watchlists,
+                    pending_alerts: await WatchlistAlert.countPending(req.tenant)
+                }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/watchlists
+     * Body: { name, severity?, description?, match_threshold? }
+     */
+    async create(req, res, next) {
+        try {
+            const data = watchlistService.parseWatchlist(req.body);
+
+            if (await Watchlist.findByName(data.name, req.tenant)) {
+                return res.status(409).json({
+                    error: 'Ya existe una watchlist con ese nombre',
+                    code: 'WATCHLIST_EXISTS'
+                });
+            }
+
+            const watchlist = await Watchlist.create({ ...data, id_cliente: req.tenant });
+            watchlistService.invalidate();
+
+            logger.info(`👁️ Watchlist creada: ${watchlist.name} (${watchlist.severity})${req.tenant ? ` (tenant ${req.tenant})` : ''}`);
+
+            res.status(201).json({
+                success: true,
+                message: 'Watchlist creada',
+                data: watchlist
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/watchlists/:id
+     */
+    async getById(req, res, next) {
+        try {
+            const watchlist = await findWatchlistOr404(req, res);
+            if (!watchlist) return;
+
+            res.json({
+                success: true,
+                data: {
+                    ...watchlist,
+                    members: await Watchlist.getMembers(watchlist.id)
+                }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * PUT /api/watchlists/:id
+     */
+    async update(req, res, next) {
+        try {
+            const watchlist = await findWatchlistOr404(req, res);
+            if (!watchlist) return;
+
+            const data = watchlistService.parseWatchlist(req.body, true);
+
+            if (data.name && data.name !== watchlist.name && await Watchlist.findByName(data.name, req.tenant)) {
+                return res.status(409).json({
+                    error: 'Ya existe una watchlist con ese nombre',
+                    code: 'WATCHLIST_EXISTS'
+                });
+            }
+
+            const updated = await Watchlist.update(watchlist.id, data);
+            watchlistService.invalidate();
+
+            res.json({
+                success: true,
+                message: 'Watchlist actualizada',
+                data: updated
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * DELETE /api/watchlists/:id
+     */
+    async delete(req, res, next) {
+        try {
+            const watchlist = await findWatchlistOr404(req, res);
+            if (!watchlist) return;
+
+            await Watchlist.deleteById(watchlist.id);
+            watchlistService.invalidate();
+
+            logger.info(`🗑️ Watchlist eliminada: ${watchlist.name}`);
+
+            res.json({
+                success: true,
+                message: 'Watchlist eliminada'
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/watchlists/:id/members
+     * Body: { user_id } o { ci }, note?
+     */
+    async addMember(req, res, next) {
+        try {
+            const watchlist = await findWatchlistOr404(req, res);
+            if (!watchlist) return;
+
+            const { user_id, ci, note } = req.body;
+
+            if (!user_id && !ci) {
+                return res.status(400).json({
+                    error: 'Se requiere user_id o ci',
+                    code: 'MISSING_IDENTIFIER'
+                });
+            }
+
+            const user = user_id
+                ? await User.findById(parseInt(user_id))
+                : await User.findByCI(sanitizeInput(ci), req.tenant);
+
+            // Solo usuarios del mismo tenant que la watchlist
+            if (!user || !belongsToTenant(req, user)) {
+                return res.status(404).json({
+                    error: 'Usuario no encontrado',
+                    code: 'USER_NOT_FOUND'
+                });
+            }
+
+            const added = await Watchlist.addMember(watchlist.id, user.id, sanitizeInput(note || ''));
+            watchlistService.invalidate();
+
+            logger.info(`👁️ Usuario ${user.ci} ${added ? 'agregado a' : 'ya estaba en'} watchlist ${watchlist.name}`);
+
+            res.status(added ? 201 : 200).json({
+                success: true,
+                message: added ? 'Usuario agregado a la watchlist' : 'El usuario ya era miembro de la watchlist',
+                data: { watchlist_id: watchlist.id, user_id: user.id, ci: user.ci }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * DELETE /api/watchlists/:id/members/:userId
+     */
+    async removeMember(req, res, next) {
+        try {
+            const watchlist = await findWatchlistOr404(req, res);
+            if (!watchlist) return;
+
+            const removed = await Watchlist.removeMember(watchlist.id, parseInt(req.params.userId));
+
+            if (!removed) {
+                return res.status(404).json({
+                    error: 'El usuario no es miembro de la watchlist',
+                    code: 'MEMBER_NOT_FOUND'
+                });
+            }
+
+            watchlistService.invalidate();
+
+            res.json({
+                success: true,
+                message: 'Usuario quitado de la watchlist'
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * GET /api/watchlists/alerts?acknowledged=false&watchlist_id=1&severity=high&page=1&limit=50
+     */
+    async listAlerts(req, res, next) {
+        try {
+            const { acknowledged, watchlist_id, severity, page = 1, limit = 50 } = req.query;
+            const pageSize = Math.min(parseInt(limit) || 50, 200);
+
+            const alerts = await WatchlistAlert.findAll({
+                tenant: req.tenant,
+                acknowledged: acknowledged === undefined ? undefined : acknowledged === 'true',
+                watchlistId: watchlist_id ? parseInt(watchlist_id) : undefined,
+                severity,
+                limit: pageSize,
+                offset: (Math.max(parseInt(page) || 1, 1) - 1) * pageSize
+            });
+
+            res.json({
+                success: true,
+                data: {
+                    alerts,
+                    pending: await WatchlistAlert.countPending(req.tenant)
+                }
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    /**
+     * POST /api/watchlists/alerts/:alertId/acknowledge
+     * Body: { acknowledged_by?, note? }
+     */
+    async acknowledgeAlert(req, res, next) {
+        try {
+            const { alertId } = req.params;
+
+            if (!alertId || isNaN(alertId)) {
+                return res.status(400).json({
+                    error: 'ID de alerta inválido',
+                    code: 'INVALID_ALERT_ID'
+                });
+            }
+
+            const alert = await WatchlistAlert.findById(parseInt(alertId));
+            if (!alert || (alert.id_cliente || null) !== (req.tenant || null)) {
+                return res.status(404).json({
+                    error: 'Alerta no encontrada',
+                    code: 'ALERT_NOT_FOUND'
+                });
+            }
+
+            if (alert.acknowledged_at) {
+                return res.status(409).json({
+                    error: 'La alerta ya fue reconocida',
+                    code: 'ALERT_ALREADY_ACKNOWLEDGED',
+                    acknowledged_at: alert.acknowledged_at,
+                    acknowledged_by: alert.acknowledged_by
+                });
+            }
+
+            const { acknowledged_by, note } = req.body;
+            await WatchlistAlert.acknowledge(
+                alert.id,
+                sanitizeInput(acknowledged_by || 'admin'),
+                sanitizeInput(note || '')
+            );
+
+            res.json({
+                success: true,
+                message: 'Alerta reconocida',
+                data: await WatchlistAlert.findById(alert.id)
+            });
+
+        } catch (error) {
+            next(error);
+        }
+    }
+}
+
+module.exports = new WatchlistController();
@@ -0,0 +1,42 @@
+/**
+ * Middleware de autorización administrativa
+ *
+ * Las operaciones sensibles (overrides, gestión de índices/umbrales) requieren
+ * el header `X-Admin-Key` igual a ADMIN_API_KEY. Sin ADMIN_API_KEY configurada
+ * ninguna petición se considera administrativa.
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * ¿La petición trae una clave de administrador válida?
+ * Comparación en tiempo constante para no filtrar la clave por timing.
+ */
+const isAdminRequest = (req) => {
+    const adminKey = process.env.ADMIN_API_KEY;
+    // headers crudos: también sirve para el upgrade de WebSocket (sin req.get)
+    const provided = req.headers['x-admin-key'];
+
+    if (!adminKey || !provided) return false;
+
+    const expected = Buffer.from(adminKey);
+    const received = Buffer.from(provided);
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+const requireAdmin = (req, res, next) => {
+    if (isAdminRequest(req)) return next();
+
+    logger.warn(`🔒 Acceso administrativo denegado: ${req.method} ${req.originalUrl} (IP: ${req.ip})`);
+    res.status(403).json({
+        error: 'Operación restringida a administradores (header X-Admin-Key)',
+        code: 'ADMIN_REQUIRED'
+    });
+};
+
+module.exports = {
+    isAdminRequest,
+    requireAdmin
+};
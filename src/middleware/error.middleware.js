@@ -19,6 +19,14 @@ const errorHandler = (error, req, res, next) => {
         });
     }
 
+    if (error.name === 'RecognitionError') {
+        return res.status(error.statusCode).json({
+            error: error.message,
+            code: error.code,
+            ...error.details
+        });
+    }
+
     if (error.name === 'UnauthorizedError') {
         return res.status(401).json({
             error: 'No autorizado',
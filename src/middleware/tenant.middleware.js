@@ -0,0 +1,111 @@
+/**
+ * Middleware de tenancy (id_cliente)
+ *
+ * Con TENANCY_ENABLED=true cada petición queda asociada a un tenant (req.tenant):
+ * - `X-API-Key` registrada en TENANT_API_KEYS ("clave:tenant,...") → el tenant de la clave
+ * - `X-Tenant-Id` → solo si no hay TENANT_API_KEYS configuradas (un gateway ya autentica)
+ *   o si la petición es de administrador (X-Admin-Key puede operar sobre cualquier tenant)
+ *
+ * El tenant acota la búsqueda (índice HNSW propio), los usuarios, los logs y las estadísticas.
+ * Sin tenancy req.tenant = null y todo funciona como antes (un único índice global).
+ */
+
+const crypto = require('crypto');
+const config = require('../config/server');
+const logger = require('../utils/logger');
+const { isAdminRequest } = require('./auth.middleware');
+const { RecognitionError } = require('../utils/errors');
+
+const TENANT_PATTERN = /^[\w.-]{1,64}$/;
+
+// clave → tenant
+const apiKeys = new Map(
+    config.TENANCY.API_KEYS.split(',')
+        .map(entry => {
+            const separator = entry.lastIndexOf(':');
+            return [entry.slice(0, separator).trim(), entry.slice(separator + 1).trim()];
+        })
+        .filter(([key, tenant]) => key && tenant)
+);
+
+/**
+ * Tenant dueño de una API key (comparación en tiempo constante)
+ */
+const findTenantByApiKey = (provided) => {
+    const received = Buffer.from(provided);
+    let tenant = null;
+
+    for (const [key, keyTenant] of apiKeys) {
+        const expected = Buffer.from(key);
+        if (expected.length === received.length && crypto.timingSafeEqual(expected, received)) {
+            tenant = keyTenant;
+        }
+    }
+
+    return tenant;
+};
+
+/**
+ * Resuelve el tenant de una petición HTTP o del upgrade de un WebSocket (headers crudos)
+ *
+ * @param {Object} req
+ * @param {string} [requestedTenant] - Tenant pedido por otra vía (query string del WebSocket)
+ * @returns {string|null} null si la tenancy está deshabilitada
+ * @throws {RecognitionError} INVALID_API_KEY | API_KEY_REQUIRED | TENANT_MISMATCH | TENANT_REQUIRED | INVALID_TENANT
+ */
+const resolveTenant = (req, requestedTenant) => {
+    if (!config.TENANCY.ENABLED) return null;
+
+    const apiKey = req.headers['x-api-key'];
+    const requested = req.headers['x-tenant-id'] || requestedTenant;
+
+    if (apiKey) {
+        const tenant = findTenantByApiKey(apiKey);
+        if (!tenant) {
+            throw new RecognitionError('API key inválida', 'INVALID_API_KEY', 401);
+        }
+        if (requested && requested !== tenant) {
+            throw new RecognitionError('X-Tenant-Id no corresponde a la API key', 'TENANT_MISMATCH', 403);
+        }
+        return tenant;
+    }
+
+    if (apiKeys.size > 0 && !isAdminRequest(req)) {
+        throw new RecognitionError('Se requiere una API key de tenant (header X-API-Key)', 'API_KEY_REQUIRED', 401);
+    }
+
+    if (!requested) {
+        throw new RecognitionError('Se requiere un tenant (header X-Tenant-Id)', 'TENANT_REQUIRED');
+    }
+
+    if (!TENANT_PATTERN.test(requested)) {
+        throw new RecognitionError('Tenant inválido (1-64 caracteres: letras, números, _ . -)', 'INVALID_TENANT');
+    }
+
+    return requested;
+};
+
+const tenantScope = (req, res, next) => {
+    try {
+        req.tenant = resolveTenant(req);
+        next();
+    } catch (error) {
+        logger.warn(`🏢 Tenant rechazado: ${req.method} ${req.originalUrl} (${error.code}, IP: ${req.ip})`);
+        res.status(error.statusCode).json({
+            error: error.message,
+            code: error.code
+        });
+    }
+};
+
+/**
+ * ¿El usuario pertenece al tenant de la petición? (siempre true sin tenancy)
+ * Los recursos de otro tenant se responden como inexistentes (404), sin revelar que existen.
+ */
+const belongsToTenant = (req, user) => !req.tenant || user.id_cliente === req.tenant;
+
+module.exports = {
+    resolveTenant,
+    tenantScope,
+    belongsToTenant
+};
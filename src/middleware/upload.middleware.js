@@ -0,0 +1,165 @@
+/**
+ * Middleware de subida de imágenes sin base64
+ *
+ * Además del contrato JSON con base64 (sin cambios), acepta:
+ * - multipart/form-data: campo `image` (un archivo), `images` (batch)
+ *   o `image1` + `image2` (comparación)
+ * - Body binario crudo con Content-Type image/jpeg|png|webp
+ *   (los campos de texto como ci/name se envían por query string)
+ *
+ * Los límites de tamaño se aplican mientras se recibe el stream: la petición
+ * se corta apenas una imagen supera MAX_IMAGE_SIZE o el multipart completo supera
+ * MAX_UPLOAD_SIZE, sin acumular el body completo en memoria.
+ *
+ * Resultado:
+ * - req.imageBuffer  → Buffer de la imagen (campo `image` o body crudo)
+ * - req.imageBuffers → [{ id, buffer }] para batch (campo `images`)
+ * - req.fileBuffers  → { image1, image2 } demás campos de un solo archivo
+ */
+
+const express = require('express');
+const multer = require('multer');
+const { Transform } = require('stream');
+const config = require('../config/server');
+const logger = require('../utils/logger');
+
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+// Mismo límite que batch.service (BATCH_MAX_SIZE)
+const MAX_BATCH_FILES = parseInt(process.env.BATCH_MAX_SIZE) || 50;
+
+/**
+ * Pasa el body a busboy contando bytes: sin Content-Length (chunked) el tope total
+ * MAX_UPLOAD_SIZE también se aplica mientras se recibe
+ */
+const limitedStreamHandler = (req, busboy) => {
+    let received = 0;
+    const counter = new Transform({
+        transform(chunk, encoding, callback) {
+            received += chunk.length;
+            if (received > config.MAX_UPLOAD_SIZE) {
+                const error = new Error('Subida multipart demasiado grande');
+                error.code = 'LIMIT_UPLOAD_SIZE';
+                return callback(error);
+            }
+            callback(null, chunk);
+        }
+    });
+
+    counter.on('error', error => busboy.destroy(error));
+    req.pipe(counter).pipe(busboy);
+};
+
+const multipartParser = multer({
+    storage: multer.memoryStorage(),
+    streamHandler: limitedStreamHandler,
+    limits: {
+        fileSize: config.MAX_IMAGE_SIZE,
+        files: MAX_BATCH_FILES,
+        fields: 20
+    },
+    fileFilter: (req, file, cb) => {
+        if (!IMAGE_MIME_TYPES.includes(file.mimetype)) {
+            const error = new Error(`Tipo de archivo no soportado: ${file.mimetype}`);
+            error.code = 'UNSUPPORTED_MEDIA_TYPE';
+            return cb(error);
+        }
+        cb(null, true);
+    }
+}).fields([
+    { name: 'image', maxCount: 1 },
+    { name: 'images', maxCount: MAX_BATCH_FILES },
+    { name: 'image1', maxCount: 1 },
+    { name: 'image2', maxCount: 1 }
+]);
+
+const rawParser = express.raw({
+    type: IMAGE_MIME_TYPES,
+    limit: config.MAX_IMAGE_SIZE
+});
+
+const handleUploadError = (error, res) => {
+    logger.warn('Error en subida de imagen:', error.message);
+
+    if (error.code === 'LIMIT_FILE_SIZE' || error.type === 'entity.too.large') {
+        return res.status(413).json({
+            error: `Imagen demasiado grande (máximo ${Math.round(config.MAX_IMAGE_SIZE / 1024 / 1024)}MB)`,
+            code: 'IMAGE_TOO_LARGE'
+        });
+    }
+
+    if (error.code === 'LIMIT_UPLOAD_SIZE') {
+        return res.status(413).json({
+            error: `Subida demasiado grande (máximo ${Math.round(config.MAX_UPLOAD_SIZE / 1024 / 1024)}MB en total)`,
+            code: 'UPLOAD_TOO_LARGE'
+        });
+    }
+
+    if (error.code === 'UNSUPPORTED_MEDIA_TYPE') {
+        return res.status(415).json({
+            error: error.message,
+            code: 'UNSUPPORTED_MEDIA_TYPE'
+        });
+    }
+
+    return res.status(400).json({
+        error: 'Error procesando archivos subidos',
+        code: 'INVALID_UPLOAD',
+        message: error.message
+    });
+};
+
+/**
+ * Acepta imágenes como multipart/form-data o body binario crudo.
+ * Las peticiones JSON pasan sin cambios.
+ */
+const acceptImageUpload = (req, res, next) => {
+    if (req.is('multipart/form-data')) {
+        // Content-Length declarado: se rechaza antes de leer el body
+        if (parseInt(req.headers['content-length']) > config.MAX_UPLOAD_SIZE) {
+            const error = new Error('Content-Length supera MAX_UPLOAD_SIZE');
+            error.code = 'LIMIT_UPLOAD_SIZE';
+            return handleUploadError(error, res);
+        }
+
+        return multipartParser(req, res, (error) => {
+            if (error) return handleUploadError(error, res);
+
+            const files = req.files || {};
+            if (files.image && files.image.length > 0) {
+                req.imageBuffer = files.image[0].buffer;
+            }
+            if (files.images && files.images.length > 0) {
+                req.imageBuffers = files.images.map((file, i) => ({
+                    id: file.originalname || `item_${i}`,
+                    buffer: file.buffer
+                }));
+            }
+            for (const field of ['image1', 'image2']) {
+                if (files[field] && files[field].length > 0) {
+                    req.fileBuffers = { ...req.fileBuffers, [field]: files[field][0].buffer };
+                }
+            }
+            next();
+        });
+    }
+
+    if (req.is(IMAGE_MIME_TYPES)) {
+        return rawParser(req, res, (error) => {
+            if (error) return handleUploadError(error, res);
+
+            if (Buffer.isBuffer(req.body) && req.body.length > 0) {
+                req.imageBuffer = req.body;
+            }
+            // Body binario: los campos de texto llegan por query string
+            req.body = { ...req.query };
+            next();
+        });
+    }
+
+    next();
+};
+
+module.exports = {
+    acceptImageUpload,
+    IMAGE_MIME_TYPES
+};
@@ -1,6 +1,11 @@
 const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
 const logger = require('../utils/logger');
+const config = require('../config/server');
+
+// Si la imagen llegó como archivo (multipart / binario) no hay base64 que validar
+const hasNoUploadedImage = (value, { req }) => !req.imageBuffer;
+const MAX_IMAGE_MB = Math.round(config.MAX_IMAGE_SIZE / 1024 / 1024);
 
 // Rate limiting específico para reconocimiento
 const recognitionLimiter = rateLimit({
@@ -51,15 +56,15 @@ const validateRegister = [
         .withMessage('ID cliente muy largo'),
     
     body('image')
+        .if(hasNoUploadedImage)
         .notEmpty()
         .withMessage('Imagen es requerida')
         .isBase64()
         .withMessage('Imagen debe estar en formato base64')
         .custom((value) => {
             const sizeInBytes = Buffer.byteLength(value, 'base64');
-            const maxSize = 10 * 1024 * 1024; // 10MB
-            if (sizeInBytes > maxSize) {
-                throw new Error('Imagen demasiado grande (máximo 10MB)');
+            if (sizeInBytes > config.MAX_IMAGE_SIZE) {
+                throw new Error(`Imagen demasiado grande (máximo ${MAX_IMAGE_MB}MB)`);
             }
             return true;
         })
@@ -68,15 +73,15 @@ const validateRegister = [
 // Validaciones para reconocimiento
 const validateRecognize = [
     body('image')
+        .if(hasNoUploadedImage)
         .notEmpty()
         .withMessage('Imagen es requerida')
         .isBase64()
         .withMessage('Imagen debe estar en formato base64')
         .custom((value) => {
             const sizeInBytes = Buffer.byteLength(value, 'base64');
-            const maxSize = 10 * 1024 * 1024; // 10MB
-            if (sizeInBytes > maxSize) {
-                throw new Error('Imagen demasiado grande (máximo 10MB)');
+            if (sizeInBytes > config.MAX_IMAGE_SIZE) {
+                throw new Error(`Imagen demasiado grande (máximo ${MAX_IMAGE_MB}MB)`);
             }
             return true;
         })
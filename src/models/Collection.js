@@ -0,0 +1,234 @@
+/**
+ * Collection Model — PostgreSQL
+ *
+ * Colecciones (galerías) de usuarios enrolados: "empleados-hq", "visitantes-2026"...
+ * Un usuario puede pertenecer a varias. El reconocimiento puede acotarse a una o
+ * varias colecciones en lugar de toda la base.
+ *
+ * Con tenancy cada colección pertenece a un tenant (id_cliente); el nombre es único
+ * dentro del tenant. Sin tenancy id_cliente es NULL.
+ */
+
+const db = require('../config/database');
+const logger = require('../utils/logger');
+
+class Collection {
+    static async create(data) {
+        try {
+            await db.initialize();
+
+            const result = await db.run(
+                `INSERT INTO collections (name, description, id_cliente, created_at, updated_at)
+                 VALUES ($1, $2, $3, NOW(), NOW())
+                 RETURNING id`,
+                [data.name, data.description || '', data.id_cliente || null]
+            );
+
+            return Collection.findById(result.id);
+
+        } catch (error) {
+            logger.error('Error al crear colección:', error);
+            throw error;
+        }
+    }
+
+    static async findById(id) {
+        try {
+            await db.initialize();
+
+            const rows = await db.query(
+                `SELECT c.*, (SELECT COUNT(*) FROM collection_members m WHERE m.collection_id = c.id)::int AS member_count
+                 FROM collections c
+                 WHERE c.id = $1`,
+                [id]
+            );
+
+            return rows[0] || null;
+
+        } catch (error) {
+            logger.error('Error al buscar colección:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Colecciones del tenant con esos nombres (las inexistentes no aparecen)
+     */
+    static async findByNames(names, tenant = null) {
+        try {
+            await db.initialize();
+
+            return await db.query(
+                `SELECT * FROM collections
+                 WHERE name = ANY($1) AND id_cliente IS NOT DISTINCT FROM $2`,
+                [names, tenant]
+            );
+
+        } catch (error) {
+            logger.error('Error al buscar colecciones por nombre:', error);
+            throw error;
+        }
+    }
+
+    static async findAll(tenant = null) {
+        try {
+            await db.initialize();
+
+            return await db.query(
+                `SELECT c.*, COUNT(m.user_id)::int AS member_count
+                 FROM collections c
+                 LEFT JOIN collection_members m ON m.collection_id = c.id
+                 WHERE c.id_cliente IS NOT DISTINCT FROM $1
+                 GROUP BY c.id
+                 ORDER BY c.name`,
+                [tenant]
+            );
+
+        } catch (error) {
+            logger.error('Error al listar colecciones:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Actualiza solo los campos presentes en `data`
+     */
+    static async update(id, data) {
+        try {
+            await db.initialize();
+
+            const fields = ['name', 'description'].filter(field => data[field] !== undefined);
+            if (fields.length === 0) return Collection.findById(id);
+
+            const assignments = fields.map((field, i) => `${field} = $${i + 1}`);
+            await db.run(
+                `UPDATE collections SET ${assignments.join(', ')}, updated_at = NOW() WHERE id = $${fields.length + 1}`,
+                [...fields.map(field => data[field]), id]
+            );
+
+            return Collection.findById(id);
+
+        } catch (error) {
+            logger.error('Error al actualizar colección:', error);
+            throw error;
+        }
+    }
+
+    static async deleteById(id) {
+        try {
+            await db.initialize();
+
+            const result = await db.run('DELETE FROM collections WHERE id = $1', [id]);
+            return result.changes > 0;
+
+        } catch (error) {
+            logger.error('Error al eliminar colección:', error);
+            throw error;
+        }
+    }
+
+    static async getMembers(collectionId, options = {}) {
+        try {
+            await db.initialize();
+
+            const { limit = 100, offset = 0 } = options;
+
+            return await db.query(
+                `SELECT u.id AS user_id, u.ci, u.name, u.id_cliente, u.is_active, m.added_at
+                 FROM collection_members m
+                 JOIN users u ON u.id = m.user_id
+                 WHERE m.collection_id = $1
+                 ORDER BY m.added_at DESC
+                 LIMIT $2 OFFSET $3`,
+                [collectionId, limit, offset]
+            );
+
+        } catch (error) {
+            logger.error('Error al listar miembros de colección:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * IDs de los miembros de una colección (filtro de búsqueda, ver collectionService)
+     */
+    static async getMemberIds(collectionId) {
+        try {
+            await db.initialize();
+
+            const rows = await db.query(
+                'SELECT user_id FROM collection_members WHERE collection_id = $1',
+                [collectionId]
+            );
+
+            return rows.map(row => row.user_id);
+
+        } catch (error) {
+            logger.error('Error al obtener miembros de colección:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * @returns {Promise<number>} Usuarios agregados (los que ya eran miembros se ignoran)
+     */
+    static async addMembers(collectionId, userIds) {
+        try {
+            await db.initialize();
+
+            const result = await db.run(
+                `INSERT INTO collection_members (collection_id, user_id, added_at)
+                 SELECT $1, unnest($2::int[]), NOW()
+                 ON CONFLICT (collection_id, user_id) DO NOTHING`,
+                [collectionId, userIds]
+            );
+
+            return result.changes;
+
+        } catch (error) {
+            logger.error('Error al agregar miembros a colección:', error);
+            throw error;
+        }
+    }
+
+    static async removeMember(collectionId, userId) {
+        try {
+            await db.initialize();
+
+            const result = await db.run(
+                'DELETE FROM collection_members WHERE collection_id = $1 AND user_id = $2',
+                [collectionId, userId]
+            );
+
+            return result.changes > 0;
+
+        } catch (error) {
+            logger.error('Error al quitar miembro de colección:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Colecciones a las que pertenece un usuario
+     */
+    static async findByUser(userId) {
+        try {
+            await db.initialize();
+
+            return await db.query(
+                `SELECT c.id, c.name
+                 FROM collection_members m
+                 JOIN collections c ON c.id = m.collection_id
+                 WHERE m.user_id = $1
+                 ORDER BY c.name`,
+                [userId]
+            );
+
+        } catch (error) {
+            logger.error('Error al listar colecciones del usuario:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = Collection;
@@ -0,0 +1,277 @@
+/**
+ * FaceTemplate Model — PostgreSQL
+ *
+ * Plantillas de enrolamiento: varios descriptores por usuario, cada uno con
+ * su score de calidad, origen y fecha. users.descriptor se conserva como
+ * espejo de la plantilla más reciente (compatibilidad con búsqueda lineal).
+ *
+ * source: register | update | api | adaptive | unknown_cluster (cluster de desconocidos promovido)
+ *         | legacy (migrado desde users.descriptor) | reencode (scripts/reencode-descriptors.js)
+ *
+ * encoding: crop | aligned — cómo se calculó el descriptor (ver FACE_ALIGN_*); solo
+ *           son comparables descriptores de la misma codificación
+ */
+
+const db = require('../config/database');
+const logger = require('../utils/logger');
+
+class FaceTemplate {
+    static async create(templateData) {
+        try {
+            await db.initialize();
+
+            const result = await db.run(
+                `INSERT INTO face_templates
+                    (user_id, descriptor, quality_score, source, encoding, created_at)
+                 VALUES ($1, $2, $3, $4, $5, NOW())
+                 RETURNING id`,
+                [
+                    templateData.user_id,
+                    templateData.descriptor,
+                    templateData.quality_score || 0,
+                    templateData.source || 'register',
+                    templateData.encoding || 'crop'
+                ]
+            );
+
+            return { id: result.id, ...templateData };
+
+        } catch (error) {
+            logger.error('Error al crear plantilla facial:', error);
+            throw error;
+        }
+    }
+
+    static async findById(id) {
+        try {
+            await db.initialize();
+
+            const templates = await db.query(
+                'SELECT * FROM face_templates WHERE id = $1',
+                [id]
+            );
+
+            return templates[0] || null;
+
+        } catch (error) {
+            logger.error('Error al buscar plantilla facial:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Plantillas de un usuario, más recientes primero
+     * @param {boolean} withDescriptor - Incluir el descriptor (no exponer en respuestas API)
+     */
+    static async findByUser(userId, withDescriptor = false) {
+        try {
+            await db.initialize();
+
+            return await db.query(
+                `SELECT id, user_id, ${withDescriptor ? 'descriptor, ' : ''}quality_score, source, encoding, created_at
+                 FROM face_templates
+                 WHERE user_id = $1
+                 ORDER BY created_at DESC, id DESC`,
+                [userId]
+            );
+
+        } catch (error) {
+            logger.error('Error al listar plantillas faciales:', error);
+            throw error;
+        }
+    }
+
+    static async countByUser(userId) {
+        try {
+            await db.initialize();
+
+            const rows = await db.query(
+                'SELECT COUNT(*) AS total FROM face_templates WHERE user_id = $1',
+                [userId]
+            );
+
+            return parseInt(rows[0].total);
+
+        } catch (error) {
+            logger.error('Error al contar plantillas faciales:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Todas las plantillas de usuarios activos con los datos del dueño
+     * (entrada de hnswService.rebuildIndex)
+     *
+     * @param {Object} options
+     * @param {string} options.tenant - Solo plantillas de usuarios de este id_cliente
+     */
+    static async getActiveTemplates(options = {}) {
+        try {
+            await db.initialize();
+
+            const { tenant } = options;
+
+            return await db.query(
+                `SELECT t.id AS template_id, t.user_id, t.descriptor,
+                        u.ci, u.name, u.id_cliente
+                 FROM face_templates t
+                 JOIN users u ON u.id = t.user_id
+                 WHERE u.is_active = TRUE ${tenant ? 'AND u.id_cliente = $1' : ''}
+                 ORDER BY t.id`,
+                tenant ? [tenant] : []
+            );
+
+        } catch (error) {
+            logger.error('Error al obtener plantillas activas:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Tenants (id_cliente) con plantillas de usuarios activos y cuántas tienen
+     * (construcción de índices por tenant)
+     */
+    static async getTenants() {
+        try {
+            await db.initialize();
+
+            return await db.query(
+                `SELECT u.id_cliente AS tenant, COUNT(*)::int AS templates
+                 FROM face_templates t
+                 JOIN users u ON u.id = t.user_id
+                 WHERE u.is_active = TRUE AND u.id_cliente <> ''
+                 GROUP BY u.id_cliente
+                 ORDER BY u.id_cliente`,
+                []
+            );
+
+        } catch (error) {
+            logger.error('Error al listar tenants con plantillas:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Usuarios activos con alguna plantilla en otra codificación (re-encode pendiente)
+     *
+     * @param {string} encoding - Codificación vigente (crop | aligned)
+     * @param {Object} options
+     * @param {string} options.tenant - Solo usuarios de este id_cliente
+     */
+    static async findUsersWithStaleEncoding(encoding, options = {}) {
+        try {
+            await db.initialize();
+
+            const { tenant } = options;
+
+            return await db.query(
+                `SELECT u.id, u.ci, u.name, u.id_cliente, COUNT(*)::int AS stale_templates
+                 FROM face_templates t
+                 JOIN users u ON u.id = t.user_id
+                 WHERE u.is_active = TRUE AND t.encoding <> $1 ${tenant ? 'AND u.id_cliente = $2' : ''}
+                 GROUP BY u.id, u.ci, u.name, u.id_cliente
+                 ORDER BY u.id`,
+                tenant ? [encoding, tenant] : [encoding]
+            );
+
+        } catch (error) {
+            logger.error('Error al buscar plantillas con otra codificación:', error);
+            throw error;
+        }
+    }
+
+    static async countByEncoding() {
+        try {
+            await db.initialize();
+
+            return await db.query(
+                `SELECT t.encoding, COUNT(*)::int AS total
+                 FROM face_templates t
+                 JOIN users u ON u.id = t.user_id
+                 WHERE u.is_active = TRUE
+                 GROUP BY t.encoding`,
+                []
+            );
+
+        } catch (error) {
+            logger.error('Error al contar plantillas por codificación:', error);
+            throw error;
+        }
+    }
+
+    static async updateDescriptor(id, descriptor) {
+        try {
+            await db.initialize();
+
+            await db.run(
+                'UPDATE face_templates SET descriptor = $1 WHERE id = $2',
+                [descriptor, id]
+            );
+
+            return true;
+
+        } catch (error) {
+            logger.error('Error al actualizar plantilla facial:', error);
+            throw error;
+        }
+    }
+
+    static async deleteById(id) {
+        try {
+            await db.initialize();
+
+            await db.run('DELETE FROM face_templates WHERE id = $1', [id]);
+            return true;
+
+        } catch (error) {
+            logger.error('Error al eliminar plantilla facial:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Reemplaza todas las plantillas del usuario por las dadas en una transacción:
+     * las nuevas se insertan antes de borrar las anteriores, así un error no deja
+     * al usuario sin plantillas
+     *
+     * @returns {Promise<{ templates: Object[], removed: number }>}
+     */
+    static async replaceByUser(userId, templatesData) {
+        try {
+            await db.initialize();
+
+            return await db.transaction(async (client) => {
+                const templates = [];
+                for (const templateData of templatesData) {
+                    const inserted = await client.query(
+                        `INSERT INTO face_templates
+                            (user_id, descriptor, quality_score, source, encoding, created_at)
+                         VALUES ($1, $2, $3, $4, $5, NOW())
+                         RETURNING id`,
+                        [
+                            userId,
+                            templateData.descriptor,
+                            templateData.quality_score || 0,
+                            templateData.source || 'register',
+                            templateData.encoding || 'crop'
+                        ]
+                    );
+                    templates.push({ id: inserted.rows[0].id, ...templateData, user_id: userId });
+                }
+
+                const deleted = await client.query(
+                    'DELETE FROM face_templates WHERE user_id = $1 AND NOT (id = ANY($2::int[]))',
+                    [userId, templates.map(t => t.id)]
+                );
+
+                return { templates, removed: deleted.rowCount };
+            });
+
+        } catch (error) {
+            logger.error('Error al reemplazar plantillas del usuario:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = FaceTemplate;
@@ -17,6 +17,7 @@ class Recognition {
     /**
      * Registra un evento de reconocimiento/registro.
      * Los errores se logean pero NO se propagan para no interrumpir el flujo principal.
+     * Sin id_cliente explícito el evento hereda el tenant del usuario (si lo hay).
      */
     static async logEvent(eventData) {
         try {
@@ -25,8 +26,9 @@ class Recognition {
             await db.run(
                 `INSERT INTO recognition_logs
                     (user_id, recognition_type, confidence_score, processing_time_ms,
-                     success, error_message, ip_address, user_agent, created_at)
-                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())`,
+                     success, error_message, ip_address, user_agent, id_cliente, created_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8,
+                         COALESCE($9, (SELECT id_cliente FROM users WHERE id = $1)), NOW())`,
                 [
                     eventData.user_id        || null,
                     eventData.recognition_type,
@@ -35,7 +37,8 @@ class Recognition {
                     !!eventData.success,                   // boolean nativo PostgreSQL
                     eventData.error_message  || null,
                     eventData.ip_address     || null,
-                    eventData.user_agent     || null
+                    eventData.user_agent     || null,
+                    eventData.id_cliente     || null
                 ]
             );
 
@@ -52,11 +55,16 @@ class Recognition {
      * - Parámetro `days` vinculado con $1 (evita inyección, plan cacheado)
      * - COUNT(*) FILTER más eficiente que SUM(CASE WHEN ...)
      * - Índice idx_logs_type_created cubre esta query (no seq scan)
+     *
+     * @param {string|null} tenant - Solo eventos de este id_cliente (null = todos)
      */
-    static async getStats(days = 30) {
+    static async getStats(days = 30, tenant = null) {
         try {
             await db.initialize();
 
+            const params = tenant ? [days, tenant] : [days];
+            const tenantFilter = tenant ? 'AND id_cliente = $2' : '';
+
             const stats = await db.query(
                 `SELECT
                     recognition_type,
@@ -65,10 +73,10 @@ class Recognition {
                     ROUND(AVG(processing_time_ms)::NUMERIC, 2)    AS avg_processing_time,
                     ROUND(AVG(confidence_score)::NUMERIC, 4)       AS avg_confidence
                  FROM recognition_logs
-                 WHERE created_at >= NOW() - ($1 * INTERVAL '1 day')
+                 WHERE created_at >= NOW() - ($1 * INTERVAL '1 day') ${tenantFilter}
                  GROUP BY recognition_type
                  ORDER BY recognition_type`,
-                [days]
+                params
             );
 
             const totalStats = await db.query(
@@ -79,14 +87,15 @@ class Recognition {
                     COUNT(*) FILTER (WHERE success = TRUE)     AS total_successful,
                     COUNT(*) FILTER (WHERE success = FALSE)    AS total_failed
                  FROM recognition_logs
-                 WHERE created_at >= NOW() - ($1 * INTERVAL '1 day')`,
-                [days]
+                 WHERE created_at >= NOW() - ($1 * INTERVAL '1 day') ${tenantFilter}`,
+                params
             );
 
             // PG retorna BIGINT como string → convertir a número
             const overall = totalStats[0] || {};
             return {
                 period_days: days,
+                ...(tenant && { tenant }),
                 by_type: stats.map(row => ({
                     ...row,
                     total_attempts:       parseInt(row.total_attempts, 10),
@@ -111,8 +120,9 @@ class Recognition {
 
     /**
      * Logs de reconocimiento más recientes con JOIN a usuarios.
+     * @param {string|null} tenant - Solo eventos de este id_cliente (null = todos)
      */
-    static async getRecentLogs(limit = 100) {
+    static async getRecentLogs(limit = 100, tenant = null) {
         try {
             await db.initialize();
 
@@ -126,14 +136,16 @@ class Recognition {
                     rl.success,
                     rl.error_message,
                     rl.ip_address,
+                    rl.id_cliente,
                     rl.created_at,
                     u.name AS user_name,
                     u.ci   AS user_ci
                  FROM recognition_logs rl
                  LEFT JOIN users u ON rl.user_id = u.id
+                 ${tenant ? 'WHERE rl.id_cliente = $2' : ''}
                  ORDER BY rl.created_at DESC
                  LIMIT $1`,
-                [limit]
+                tenant ? [limit, tenant] : [limit]
             );
 
             return logs;
@@ -0,0 +1,143 @@
+/**
+ * ScoreCalibration Model — PostgreSQL
+ *
+ * Versiones de calibración distancia L2 → probabilidad de match. Cada versión
+ * guarda el método (platt | isotonic), sus parámetros, la curva FAR/FRR de los
+ * pares con los que se ajustó y la codificación de descriptores (crop | aligned).
+ * Solo una versión está activa a la vez (is_active) por tenant (id_cliente, NULL sin
+ * tenancy); la versión es el id.
+ */
+
+const db = require('../config/database');
+const logger = require('../utils/logger');
+
+// params y far_curve se guardan como JSON en TEXT (igual que los descriptores)
+const parseRow = (row) => row && {
+    ...row,
+    params: JSON.parse(row.params),
+    far_curve: JSON.parse(row.far_curve)
+};
+
+class ScoreCalibration {
+    static async create(data) {
+        try {
+            await db.initialize();
+
+            const result = await db.run(
+                `INSERT INTO score_calibrations
+                    (method, params, far_curve, genuine_pairs, impostor_pairs, brier_score, encoding, notes, id_cliente, created_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+                 RETURNING id`,
+                [
+                    data.method,
+                    JSON.stringify(data.params),
+                    JSON.stringify(data.far_curve),
+                    data.genuine_pairs,
+                    data.impostor_pairs,
+                    data.brier_score ?? null,
+                    data.encoding || 'crop',
+                    data.notes || '',
+                    data.id_cliente || null
+                ]
+            );
+
+            return ScoreCalibration.findById(result.id);
+
+        } catch (error) {
+            logger.error('Error al crear calibración:', error);
+            throw error;
+        }
+    }
+
+    static async findById(id) {
+        try {
+            await db.initialize();
+
+            const rows = await db.query('SELECT * FROM score_calibrations WHERE id = $1', [id]);
+            return parseRow(rows[0]);
+
+        } catch (error) {
+            logger.error('Error al buscar calibración:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Versiones activas (una por tenant)
+     */
+    static async findActive() {
+        try {
+            await db.initialize();
+
+            const rows = await db.query(
+                `SELECT DISTINCT ON (COALESCE(id_cliente, '')) *
+                 FROM score_calibrations
+                 WHERE is_active = TRUE
+                 ORDER BY COALESCE(id_cliente, ''), activated_at DESC`,
+                []
+            );
+            return rows.map(parseRow);
+
+        } catch (error) {
+            logger.error('Error al buscar calibración activa:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Listado de versiones del tenant (sin parámetros ni curva)
+     */
+    static async findAll(tenant = null) {
+        try {
+            await db.initialize();
+
+            return await db.query(
+                `SELECT id, method, genuine_pairs, impostor_pairs, brier_score, encoding, notes,
+                        is_active, created_at, activated_at
+                 FROM score_calibrations
+                 WHERE id_cliente IS NOT DISTINCT FROM $1
+                 ORDER BY id DESC`,
+                [tenant]
+            );
+
+        } catch (error) {
+            logger.error('Error al listar calibraciones:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Activa una versión del tenant y desactiva las demás del mismo tenant (null = ninguna activa)
+     */
+    static async activate(id, tenant = null) {
+        try {
+            await db.initialize();
+
+            return await db.transaction(async (client) => {
+                await client.query(
+                    `UPDATE score_calibrations SET is_active = FALSE
+                     WHERE is_active = TRUE AND id_cliente IS NOT DISTINCT FROM $1`,
+                    [tenant]
+                );
+
+                if (id === null) return true;
+
+                const result = await client.query(
+                    `UPDATE score_calibrations SET is_active = TRUE, activated_at = NOW()
+                     WHERE id = $1 AND id_cliente IS NOT DISTINCT FROM $2`,
+                    [id, tenant]
+                );
+                if (result.rowCount === 0) {
+                    throw new Error(`Calibración ${id} no encontrada`);
+                }
+                return true;
+            });
+
+        } catch (error) {
+            logger.error('Error al activar calibración:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = ScoreCalibration;
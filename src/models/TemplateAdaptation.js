@@ -0,0 +1,146 @@
+/**
+ * TemplateAdaptation Model — PostgreSQL
+ *
+ * Auditoría de las plantillas modificadas automáticamente tras reconocimientos
+ * confiables. Cada fila guarda el descriptor anterior para poder revertir.
+ *
+ * action: blend (mezcla sobre una plantilla existente) | append (plantilla nueva)
+ */
+
+const db = require('../config/database');
+const logger = require('../utils/logger');
+
+class TemplateAdaptation {
+    static async create(data) {
+        try {
+            await db.initialize();
+
+            const result = await db.run(
+                `INSERT INTO template_adaptations
+                    (user_id, template_id, action, previous_descriptor, new_descriptor,
+                     distance, quality_score, created_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+                 RETURNING id`,
+                [
+                    data.user_id,
+                    data.template_id,
+                    data.action,
+                    data.previous_descriptor || null,
+                    data.new_descriptor,
+                    data.distance,
+                    data.quality_score
+                ]
+            );
+
+            return { id: result.id, ...data };
+
+        } catch (error) {
+            logger.error('Error al registrar adaptación de plantilla:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Adaptaciones de un usuario, más recientes primero
+     */
+    static async findByUser(userId, options = {}) {
+        try {
+            await db.initialize();
+
+            const { includeReverted = true, limit = 100 } = options;
+
+            return await db.query(
+                `SELECT id, user_id, template_id, action, distance, quality_score, created_at, reverted_at
+                 FROM template_adaptations
+                 WHERE user_id = $1 ${includeReverted ? '' : 'AND reverted_at IS NULL'}
+                 ORDER BY created_at DESC, id DESC
+                 LIMIT $2`,
+                [userId, limit]
+            );
+
+        } catch (error) {
+            logger.error('Error al listar adaptaciones de plantillas:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Adaptaciones vigentes (no revertidas) con descriptores, más recientes primero
+     */
+    static async findActiveByUser(userId) {
+        try {
+            await db.initialize();
+
+            return await db.query(
+                `SELECT * FROM template_adaptations
+                 WHERE user_id = $1 AND reverted_at IS NULL
+                 ORDER BY created_at DESC, id DESC`,
+                [userId]
+            );
+
+        } catch (error) {
+            logger.error('Error al obtener adaptaciones vigentes:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Descriptor original de una plantilla: el previo a su primera adaptación
+     */
+    static async getOriginalDescriptor(templateId) {
+        try {
+            await db.initialize();
+
+            const rows = await db.query(
+                `SELECT previous_descriptor FROM template_adaptations
+                 WHERE template_id = $1 AND action = 'blend'
+                 ORDER BY created_at ASC, id ASC
+                 LIMIT 1`,
+                [templateId]
+            );
+
+            return rows[0] ? rows[0].previous_descriptor : null;
+
+        } catch (error) {
+            logger.error('Error al obtener descriptor original de plantilla:', error);
+            throw error;
+        }
+    }
+
+    static async getLastAdaptationAt(userId) {
+        try {
+            await db.initialize();
+
+            const rows = await db.query(
+                `SELECT MAX(created_at) AS last_at FROM template_adaptations
+                 WHERE user_id = $1 AND reverted_at IS NULL`,
+                [userId]
+            );
+
+            return rows[0] && rows[0].last_at ? new Date(rows[0].last_at) : null;
+
+        } catch (error) {
+            logger.error('Error al obtener última adaptación:', error);
+            throw error;
+        }
+    }
+
+    static async markReverted(id) {
+        try {
+            await db.initialize();
+
+            await db.run(
+                'UPDATE template_adaptations SET reverted_at = NOW() WHERE id = $1',
+                [id]
+            );
+
+            return true;
+
+        } catch (error) {
+            logger.error('Error al marcar adaptación como revertida:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = TemplateAdaptation;
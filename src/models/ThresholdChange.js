@@ -0,0 +1,63 @@
+/**
+ * ThresholdChange Model — PostgreSQL
+ *
+ * Auditoría de los cambios de umbral de decisión por usuario (users.match_threshold).
+ * new_threshold NULL = se quitó el umbral propio (vuelve al global).
+ */
+
+const db = require('../config/database');
+const logger = require('../utils/logger');
+
+class ThresholdChange {
+    static async create(data) {
+        try {
+            await db.initialize();
+
+            const result = await db.run(
+                `INSERT INTO user_threshold_changes
+                    (user_id, previous_threshold, new_threshold, reason, ip_address, created_at)
+                 VALUES ($1, $2, $3, $4, $5, NOW())
+                 RETURNING id`,
+                [
+                    data.user_id,
+                    data.previous_threshold ?? null,
+                    data.new_threshold ?? null,
+                    data.reason || '',
+                    data.ip_address || null
+                ]
+            );
+
+            return { id: result.id, ...data };
+
+        } catch (error) {
+            logger.error('Error al registrar cambio de umbral:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Cambios de un usuario, más recientes primero
+     */
+    static async findByUser(userId, options = {}) {
+        try {
+            await db.initialize();
+
+            const { limit = 100 } = options;
+
+            return await db.query(
+                `SELECT id, previous_threshold, new_threshold, reason, ip_address, created_at
+                 FROM user_threshold_changes
+                 WHERE user_id = $1
+                 ORDER BY created_at DESC, id DESC
+                 LIMIT $2`,
+                [userId, limit]
+            );
+
+        } catch (error) {
+            logger.error('Error al listar cambios de umbral:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = ThresholdChange;
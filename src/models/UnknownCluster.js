@@ -0,0 +1,186 @@
+/**
+ * UnknownCluster Model — PostgreSQL
+ *
+ * Identidades anónimas ("persona desconocida") formadas al agrupar unknown_faces.
+ * Los contadores y fechas se recalculan en cada corrida del clustering; un cluster
+ * promovido a usuario conserva su historial (promoted_user_id) sin rostros asociados.
+ *
+ * Con tenancy cada cluster pertenece a un tenant (id_cliente); sin tenancy es NULL.
+ */
+
+const db = require('../config/database');
+const logger = require('../utils/logger');
+
+class UnknownCluster {
+    static async create(clusterData) {
+        try {
+            await db.initialize();
+
+            const result = await db.run(
+                `INSERT INTO unknown_clusters
+                    (centroid, face_count, sightings, first_seen_at, last_seen_at, id_cliente, created_at, updated_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+                 RETURNING id`,
+                [
+                    clusterData.centroid,
+                    clusterData.face_count,
+                    clusterData.sightings,
+                    clusterData.first_seen_at,
+                    clusterData.last_seen_at,
+                    clusterData.id_cliente || null
+                ]
+            );
+
+            return { id: result.id, ...clusterData };
+
+        } catch (error) {
+            logger.error('Error al crear cluster de desconocidos:', error);
+            throw error;
+        }
+    }
+
+    static async findById(id) {
+        try {
+            await db.initialize();
+
+            const clusters = await db.query(
+                'SELECT * FROM unknown_clusters WHERE id = $1',
+                [id]
+            );
+
+            return clusters[0] || null;
+
+        } catch (error) {
+            logger.error('Error al buscar cluster de desconocidos:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Clusters visibles del tenant, más recientes primero (sin centroide)
+     */
+    static async findAll(options = {}) {
+        try {
+            await db.initialize();
+
+            const { limit = 50, offset = 0, includePromoted = false, tenant = null } = options;
+
+            return await db.query(
+                `SELECT id, face_count, sightings, first_seen_at, last_seen_at,
+                        promoted_user_id, promoted_at, id_cliente, created_at, updated_at
+                 FROM unknown_clusters
+                 WHERE id_cliente IS NOT DISTINCT FROM $3 ${includePromoted ? '' : 'AND promoted_at IS NULL'}
+                 ORDER BY last_seen_at DESC NULLS LAST, id DESC
+                 LIMIT $1 OFFSET $2`,
+                [limit, offset, tenant]
+            );
+
+        } catch (error) {
+            logger.error('Error al listar clusters de desconocidos:', error);
+            throw error;
+        }
+    }
+
+    static async count(options = {}) {
+        try {
+            await db.initialize();
+
+            const { includePromoted = false, tenant = null } = options;
+            const rows = await db.query(
+                `SELECT COUNT(*) AS total FROM unknown_clusters
+                 WHERE id_cliente IS NOT DISTINCT FROM $1 ${includePromoted ? '' : 'AND promoted_at IS NULL'}`,
+                [tenant]
+            );
+
+            return parseInt(rows[0].total);
+
+        } catch (error) {
+            logger.error('Error al contar clusters de desconocidos:', error);
+            throw error;
+        }
+    }
+
+    static async update(id, clusterData) {
+        try {
+            await db.initialize();
+
+            await db.run(
+                `UPDATE unknown_clusters
+                 SET centroid = $1, face_count = $2, sightings = $3,
+                     first_seen_at = $4, last_seen_at = $5, updated_at = NOW()
+                 WHERE id = $6`,
+                [
+                    clusterData.centroid,
+                    clusterData.face_count,
+                    clusterData.sightings,
+                    clusterData.first_seen_at,
+                    clusterData.last_seen_at,
+                    id
+                ]
+            );
+
+            return true;
+
+        } catch (error) {
+            logger.error('Error al actualizar cluster de desconocidos:', error);
+            throw error;
+        }
+    }
+
+    static async markPromoted(id, userId) {
+        try {
+            await db.initialize();
+
+            await db.run(
+                `UPDATE unknown_clusters
+                 SET promoted_user_id = $1, promoted_at = NOW(), updated_at = NOW()
+                 WHERE id = $2`,
+                [userId, id]
+            );
+
+            return true;
+
+        } catch (error) {
+            logger.error('Error al marcar cluster como promovido:', error);
+            throw error;
+        }
+    }
+
+    static async deleteById(id) {
+        try {
+            await db.initialize();
+
+            await db.run('DELETE FROM unknown_clusters WHERE id = $1', [id]);
+            return true;
+
+        } catch (error) {
+            logger.error('Error al eliminar cluster de desconocidos:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Elimina los clusters no promovidos del tenant que ya no existen tras el clustering
+     * @param {number[]} keepIds - Clusters vigentes
+     */
+    static async deleteStale(keepIds, tenant = null) {
+        try {
+            await db.initialize();
+
+            const result = await db.run(
+                `DELETE FROM unknown_clusters
+                 WHERE promoted_at IS NULL AND NOT (id = ANY($1::int[]))
+                   AND id_cliente IS NOT DISTINCT FROM $2`,
+                [keepIds, tenant]
+            );
+
+            return result.changes;
+
+        } catch (error) {
+            logger.error('Error al eliminar clusters obsoletos:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = UnknownCluster;
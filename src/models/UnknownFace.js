@@ -0,0 +1,216 @@
+/**
+ * UnknownFace Model — PostgreSQL
+ *
+ * Descriptores de rostros que no coincidieron con ningún usuario registrado.
+ * Se agrupan en clusters anónimos (unknown_clusters) por un job periódico y se
+ * purgan según UNKNOWN_FACES_RETENTION_DAYS (last_seen_at).
+ *
+ * Con tenancy cada rostro pertenece al tenant (id_cliente) de la petición que lo vio y
+ * se agrupa solo con los de ese tenant. Sin tenancy id_cliente es NULL.
+ *
+ * source: recognize | multi
+ */
+
+const db = require('../config/database');
+const logger = require('../utils/logger');
+
+class UnknownFace {
+    static async create(faceData) {
+        try {
+            await db.initialize();
+
+            const result = await db.run(
+                `INSERT INTO unknown_faces
+                    (descriptor, detection_score, source, id_cliente, created_at, last_seen_at)
+                 VALUES ($1, $2, $3, $4, NOW(), NOW())
+                 RETURNING id`,
+                [
+                    faceData.descriptor,
+                    faceData.detection_score || 0,
+                    faceData.source || 'recognize',
+                    faceData.id_cliente || null
+                ]
+            );
+
+            return { id: result.id, ...faceData };
+
+        } catch (error) {
+            logger.error('Error al guardar rostro desconocido:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * El mismo rostro se volvió a ver: suma un avistamiento (también a su cluster)
+     */
+    static async touch(id) {
+        try {
+            await db.initialize();
+
+            const rows = await db.query(
+                `UPDATE unknown_faces
+                 SET sightings = sightings + 1, last_seen_at = NOW()
+                 WHERE id = $1
+                 RETURNING cluster_id`,
+                [id]
+            );
+
+            if (rows[0] && rows[0].cluster_id) {
+                await db.run(
+                    `UPDATE unknown_clusters
+                     SET sightings = sightings + 1, last_seen_at = NOW()
+                     WHERE id = $1`,
+                    [rows[0].cluster_id]
+                );
+            }
+
+            return rows.length > 0;
+
+        } catch (error) {
+            logger.error('Error al actualizar rostro desconocido:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Rostros del tenant con descriptor (entrada del clustering y del índice HNSW)
+     */
+    static async findAll(tenant = null) {
+        try {
+            await db.initialize();
+
+            return await db.query(
+                `SELECT id, cluster_id, descriptor, detection_score, sightings, created_at, last_seen_at
+                 FROM unknown_faces
+                 WHERE id_cliente IS NOT DISTINCT FROM $1
+                 ORDER BY id`,
+                [tenant]
+            );
+
+        } catch (error) {
+            logger.error('Error al listar rostros desconocidos:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Rostros de un cluster, mejor detección primero
+     * @param {boolean} withDescriptor - Incluir el descriptor (no exponer en respuestas API)
+     */
+    static async findByCluster(clusterId, withDescriptor = false) {
+        try {
+            await db.initialize();
+
+            return await db.query(
+                `SELECT id, cluster_id, ${withDescriptor ? 'descriptor, ' : ''}detection_score, source,
+                        sightings, created_at, last_seen_at
+                 FROM unknown_faces
+                 WHERE cluster_id = $1
+                 ORDER BY detection_score DESC, id`,
+                [clusterId]
+            );
+
+        } catch (error) {
+            logger.error('Error al listar rostros del cluster:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Tenants con rostros guardados (el clustering corre por separado en cada uno)
+     * @returns {Promise<Array<string|null>>}
+     */
+    static async findTenants() {
+        try {
+            await db.initialize();
+
+            const rows = await db.query('SELECT DISTINCT id_cliente FROM unknown_faces', []);
+            return rows.map(r => r.id_cliente);
+
+        } catch (error) {
+            logger.error('Error al listar tenants con rostros desconocidos:', error);
+            throw error;
+        }
+    }
+
+    static async assignCluster(clusterId, faceIds) {
+        try {
+            await db.initialize();
+
+            if (faceIds.length === 0) return 0;
+
+            const result = await db.run(
+                'UPDATE unknown_faces SET cluster_id = $1 WHERE id = ANY($2::int[])',
+                [clusterId, faceIds]
+            );
+
+            return result.changes;
+
+        } catch (error) {
+            logger.error('Error al asignar rostros a cluster:', error);
+            throw error;
+        }
+    }
+
+    static async count(tenant = null) {
+        try {
+            await db.initialize();
+
+            const rows = await db.query(
+                'SELECT COUNT(*) AS total FROM unknown_faces WHERE id_cliente IS NOT DISTINCT FROM $1',
+                [tenant]
+            );
+            return parseInt(rows[0].total);
+
+        } catch (error) {
+            logger.error('Error al contar rostros desconocidos:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Elimina los rostros del tenant no vistos en los últimos `days` días
+     * @returns {Promise<number[]>} IDs eliminados (para quitarlos del índice)
+     */
+    static async purgeOlderThan(days, tenant = null) {
+        try {
+            await db.initialize();
+
+            const rows = await db.query(
+                `DELETE FROM unknown_faces
+                 WHERE last_seen_at < NOW() - ($1 || ' days')::INTERVAL
+                   AND id_cliente IS NOT DISTINCT FROM $2
+                 RETURNING id`,
+                [String(days), tenant]
+            );
+
+            return rows.map(r => r.id);
+
+        } catch (error) {
+            logger.error('Error al purgar rostros desconocidos:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * @returns {Promise<number[]>} IDs eliminados
+     */
+    static async deleteByCluster(clusterId) {
+        try {
+            await db.initialize();
+
+            const rows = await db.query(
+                'DELETE FROM unknown_faces WHERE cluster_id = $1 RETURNING id',
+                [clusterId]
+            );
+
+            return rows.map(r => r.id);
+
+        } catch (error) {
+            logger.error('Error al eliminar rostros del cluster:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = UnknownFace;
@@ -57,13 +57,17 @@ class User {
         }
     }
 
-    static async findByCI(ci) {
+    /**
+     * @param {string} ci
+     * @param {string} [tenant] - Con tenancy el CI es único por id_cliente: solo se busca en ese tenant
+     */
+    static async findByCI(ci, tenant = null) {
         try {
             await db.initialize();
 
             const users = await db.query(
-                'SELECT * FROM users WHERE ci = $1 AND is_active = TRUE',
-                [ci]
+                `SELECT * FROM users WHERE ci = $1 AND is_active = TRUE ${tenant ? 'AND id_cliente = $2' : ''}`,
+                tenant ? [ci, tenant] : [ci]
             );
 
             return users[0] || null;
@@ -78,7 +82,7 @@ class User {
         try {
             await db.initialize();
 
-            const { page = 1, limit = 50, activeOnly = true, active_only } = options;
+            const { page = 1, limit = 50, activeOnly = true, active_only, tenant } = options;
             // Soportar tanto activeOnly como active_only (snake_case del controller)
             const filterActive = activeOnly || active_only;
             const offset = (page - 1) * limit;
@@ -87,12 +91,20 @@ class User {
                                 created_at, updated_at, is_active
                          FROM users`;
             const params = [];
+            const conditions = [];
 
             if (filterActive) {
-                query += ' WHERE is_active = TRUE';
+                conditions.push('is_active = TRUE');
+            }
+            if (tenant) {
+                params.push(tenant);
+                conditions.push(`id_cliente = $${params.length}`);
+            }
+            if (conditions.length > 0) {
+                query += ` WHERE ${conditions.join(' AND ')}`;
             }
 
-            // $1, $2 si no hay WHERE, $1, $2 si sí (params está vacío o tiene 0 elementos)
+            // LIMIT/OFFSET numerados después de los filtros
             const limitN  = params.length + 1;
             const offsetN = params.length + 2;
             query += ` ORDER BY created_at DESC LIMIT $${limitN} OFFSET $${offsetN}`;
@@ -109,21 +121,50 @@ class User {
     /**
      * Obtiene todos los usuarios activos con su descriptor.
      * Usada para cargar descriptores en memoria / reconstruir índice HNSW.
+     *
+     * @param {Object} options
+     * @param {string} options.tenant - Solo usuarios de este id_cliente
+     */
+    static async getActiveUsers(options = {}) {
+        try {
+            await db.initialize();
+
+            const { tenant } = options;
+
+            // template_descriptors: todas las plantillas del usuario (la búsqueda lineal
+            // compara contra cada una, igual que el índice HNSW)
+            return await db.query(
+                `SELECT u.id, u.id_cliente, u.name, u.ci, u.descriptor, u.confidence_score, u.match_threshold,
+                        ARRAY(SELECT t.descriptor FROM face_templates t WHERE t.user_id = u.id ORDER BY t.id)
+                            AS template_descriptors
+                 FROM users u
+                 WHERE u.is_active = TRUE ${tenant ? 'AND u.id_cliente = $1' : ''}
+                 ORDER BY u.id`,
+                tenant ? [tenant] : []
+            );
+
+        } catch (error) {
+            logger.error('Error al obtener usuarios activos:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Usuarios activos con umbral de decisión propio (match_threshold no NULL)
      */
-    static async getActiveUsers() {
+    static async getThresholdOverrides() {
         try {
             await db.initialize();
 
             return await db.query(
-                `SELECT id, id_cliente, name, ci, descriptor, confidence_score
+                `SELECT id, match_threshold
                  FROM users
-                 WHERE is_active = TRUE
-                 ORDER BY id`,
+                 WHERE is_active = TRUE AND match_threshold IS NOT NULL`,
                 []
             );
 
         } catch (error) {
-            logger.error('Error al obtener usuarios activos:', error);
+            logger.error('Error al obtener umbrales por usuario:', error);
             throw error;
         }
     }
@@ -165,15 +206,22 @@ class User {
         try {
             await db.initialize();
 
-            const { activeOnly = true, active_only } = options;
+            const { activeOnly = true, active_only, tenant } = options;
             const filterActive = activeOnly || active_only;
 
             let query = 'SELECT COUNT(*) AS count FROM users';
+            const conditions = [];
             if (filterActive) {
-                query += ' WHERE is_active = TRUE';
+                conditions.push('is_active = TRUE');
+            }
+            if (tenant) {
+                conditions.push('id_cliente = $1');
+            }
+            if (conditions.length > 0) {
+                query += ` WHERE ${conditions.join(' AND ')}`;
             }
 
-            const result = await db.query(query, []);
+            const result = await db.query(query, tenant ? [tenant] : []);
             return parseInt(result[0].count, 10);
 
         } catch (error) {
@@ -0,0 +1,217 @@
+/**
+ * Watchlist Model — PostgreSQL
+ *
+ * Listas de vigilancia (clientes vetados, VIPs, personal...) con sus miembros.
+ * match_threshold NULL → se usa el umbral normal de reconocimiento.
+ *
+ * Con tenancy cada watchlist pertenece a un tenant (id_cliente), solo alerta sobre
+ * reconocimientos de ese tenant y su nombre es único dentro de él. Sin tenancy es NULL.
+ *
+ * severity: low | medium | high | critical
+ */
+
+const db = require('../config/database');
+const logger = require('../utils/logger');
+
+class Watchlist {
+    static async create(data) {
+        try {
+            await db.initialize();
+
+            const result = await db.run(
+                `INSERT INTO watchlists
+                    (name, severity, description, match_threshold, is_active, id_cliente, created_at, updated_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+                 RETURNING id`,
+                [
+                    data.name,
+                    data.severity || 'medium',
+                    data.description || '',
+                    data.match_threshold ?? null,
+                    data.is_active !== false,
+                    data.id_cliente || null
+                ]
+            );
+
+            return Watchlist.findById(result.id);
+
+        } catch (error) {
+            logger.error('Error al crear watchlist:', error);
+            throw error;
+        }
+    }
+
+    static async findById(id) {
+        try {
+            await db.initialize();
+
+            const rows = await db.query(
+                `SELECT w.*, (SELECT COUNT(*) FROM watchlist_members m WHERE m.watchlist_id = w.id)::int AS member_count
+                 FROM watchlists w
+                 WHERE w.id = $1`,
+                [id]
+            );
+
+            return rows[0] || null;
+
+        } catch (error) {
+            logger.error('Error al buscar watchlist:', error);
+            throw error;
+        }
+    }
+
+    static async findByName(name, tenant = null) {
+        try {
+            await db.initialize();
+
+            const rows = await db.query(
+                'SELECT * FROM watchlists WHERE name = $1 AND id_cliente IS NOT DISTINCT FROM $2',
+                [name, tenant]
+            );
+            return rows[0] || null;
+
+        } catch (error) {
+            logger.error('Error al buscar watchlist por nombre:', error);
+            throw error;
+        }
+    }
+
+    static async findAll(tenant = null) {
+        try {
+            await db.initialize();
+
+            return await db.query(
+                `SELECT w.*, COUNT(m.user_id)::int AS member_count
+                 FROM watchlists w
+                 LEFT JOIN watchlist_members m ON m.watchlist_id = w.id
+                 WHERE w.id_cliente IS NOT DISTINCT FROM $1
+                 GROUP BY w.id
+                 ORDER BY w.name`,
+                [tenant]
+            );
+
+        } catch (error) {
+            logger.error('Error al listar watchlists:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Actualiza solo los campos presentes en `data`
+     */
+    static async update(id, data) {
+        try {
+            await db.initialize();
+
+            const fields = ['name', 'severity', 'description', 'match_threshold', 'is_active']
+                .filter(field => data[field] !== undefined);
+            if (fields.length === 0) return Watchlist.findById(id);
+
+            const assignments = fields.map((field, i) => `${field} = $${i + 1}`);
+            await db.run(
+                `UPDATE watchlists SET ${assignments.join(', ')}, updated_at = NOW() WHERE id = $${fields.length + 1}`,
+                [...fields.map(field => data[field]), id]
+            );
+
+            return Watchlist.findById(id);
+
+        } catch (error) {
+            logger.error('Error al actualizar watchlist:', error);
+            throw error;
+        }
+    }
+
+    static async deleteById(id) {
+        try {
+            await db.initialize();
+
+            const result = await db.run('DELETE FROM watchlists WHERE id = $1', [id]);
+            return result.changes > 0;
+
+        } catch (error) {
+            logger.error('Error al eliminar watchlist:', error);
+            throw error;
+        }
+    }
+
+    static async getMembers(watchlistId) {
+        try {
+            await db.initialize();
+
+            return await db.query(
+                `SELECT u.id AS user_id, u.ci, u.name, u.id_cliente, m.note, m.added_at
+                 FROM watchlist_members m
+                 JOIN users u ON u.id = m.user_id
+                 WHERE m.watchlist_id = $1
+                 ORDER BY m.added_at DESC`,
+                [watchlistId]
+            );
+
+        } catch (error) {
+            logger.error('Error al listar miembros de watchlist:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * @returns {Promise<boolean>} false si el usuario ya era miembro
+     */
+    static async addMember(watchlistId, userId, note = '') {
+        try {
+            await db.initialize();
+
+            const result = await db.run(
+                `INSERT INTO watchlist_members (watchlist_id, user_id, note, added_at)
+                 VALUES ($1, $2, $3, NOW())
+                 ON CONFLICT (watchlist_id, user_id) DO NOTHING`,
+                [watchlistId, userId, note]
+            );
+
+            return result.changes > 0;
+
+        } catch (error) {
+            logger.error('Error al agregar miembro a watchlist:', error);
+            throw error;
+        }
+    }
+
+    static async removeMember(watchlistId, userId) {
+        try {
+            await db.initialize();
+
+            const result = await db.run(
+                'DELETE FROM watchlist_members WHERE watchlist_id = $1 AND user_id = $2',
+                [watchlistId, userId]
+            );
+
+            return result.changes > 0;
+
+        } catch (error) {
+            logger.error('Error al quitar miembro de watchlist:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Membresías de todas las watchlists activas (caché en memoria de watchlistService)
+     */
+    static async getActiveMemberships() {
+        try {
+            await db.initialize();
+
+            return await db.query(
+                `SELECT m.user_id, w.id AS watchlist_id, w.name, w.severity, w.match_threshold, w.id_cliente
+                 FROM watchlist_members m
+                 JOIN watchlists w ON w.id = m.watchlist_id
+                 WHERE w.is_active = TRUE`,
+                []
+            );
+
+        } catch (error) {
+            logger.error('Error al obtener membresías de watchlists:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = Watchlist;
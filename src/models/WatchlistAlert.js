@@ -0,0 +1,138 @@
+/**
+ * WatchlistAlert Model — PostgreSQL
+ *
+ * Alertas generadas cuando se reconoce a un miembro de una watchlist.
+ * Quedan pendientes hasta que un operador las reconoce (acknowledge).
+ * id_cliente: tenant de la watchlist y del reconocimiento (NULL sin tenancy).
+ */
+
+const db = require('../config/database');
+const logger = require('../utils/logger');
+
+class WatchlistAlert {
+    static async create(data) {
+        try {
+            await db.initialize();
+
+            const result = await db.run(
+                `INSERT INTO watchlist_alerts
+                    (watchlist_id, user_id, severity, distance, threshold, source, id_cliente, created_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+                 RETURNING id`,
+                [
+                    data.watchlist_id,
+                    data.user_id,
+                    data.severity,
+                    data.distance,
+                    data.threshold,
+                    data.source || 'recognize',
+                    data.id_cliente || null
+                ]
+            );
+
+            return { id: result.id, ...data, created_at: new Date().toISOString() };
+
+        } catch (error) {
+            logger.error('Error al registrar alerta de watchlist:', error);
+            throw error;
+        }
+    }
+
+    static async findById(id) {
+        try {
+            await db.initialize();
+
+            const rows = await db.query('SELECT * FROM watchlist_alerts WHERE id = $1', [id]);
+            return rows[0] || null;
+
+        } catch (error) {
+            logger.error('Error al buscar alerta de watchlist:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Alertas del tenant más recientes primero, con datos de la watchlist y del usuario
+     * @param {Object} filters - { tenant, acknowledged, watchlistId, severity, limit, offset }
+     */
+    static async findAll(filters = {}) {
+        try {
+            await db.initialize();
+
+            const { tenant = null, acknowledged, watchlistId, severity, limit = 50, offset = 0 } = filters;
+            const conditions = ['a.id_cliente IS NOT DISTINCT FROM $1'];
+            const params = [tenant];
+
+            if (acknowledged !== undefined) {
+                conditions.push(`a.acknowledged_at IS ${acknowledged ? 'NOT ' : ''}NULL`);
+            }
+            if (watchlistId) {
+                params.push(watchlistId);
+                conditions.push(`a.watchlist_id = $${params.length}`);
+            }
+            if (severity) {
+                params.push(severity);
+                conditions.push(`a.severity = $${params.length}`);
+            }
+
+            params.push(limit, offset);
+
+            return await db.query(
+                `SELECT a.*, w.name AS watchlist_name, u.ci, u.name AS user_name
+                 FROM watchlist_alerts a
+                 JOIN watchlists w ON w.id = a.watchlist_id
+                 LEFT JOIN users u ON u.id = a.user_id
+                 WHERE ${conditions.join(' AND ')}
+                 ORDER BY a.created_at DESC, a.id DESC
+                 LIMIT $${params.length - 1} OFFSET $${params.length}`,
+                params
+            );
+
+        } catch (error) {
+            logger.error('Error al listar alertas de watchlist:', error);
+            throw error;
+        }
+    }
+
+    static async countPending(tenant = null) {
+        try {
+            await db.initialize();
+
+            const rows = await db.query(
+                `SELECT COUNT(*) AS total FROM watchlist_alerts
+                 WHERE acknowledged_at IS NULL AND id_cliente IS NOT DISTINCT FROM $1`,
+                [tenant]
+            );
+
+            return parseInt(rows[0].total);
+
+        } catch (error) {
+            logger.error('Error al contar alertas pendientes:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * @returns {Promise<boolean>} false si no existe o ya estaba reconocida
+     */
+    static async acknowledge(id, acknowledgedBy, note = '') {
+        try {
+            await db.initialize();
+
+            const result = await db.run(
+                `UPDATE watchlist_alerts
+                 SET acknowledged_at = NOW(), acknowledged_by = $1, acknowledge_note = $2
+                 WHERE id = $3 AND acknowledged_at IS NULL`,
+                [acknowledgedBy, note, id]
+            );
+
+            return result.changes > 0;
+
+        } catch (error) {
+            logger.error('Error al reconocer alerta de watchlist:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = WatchlistAlert;
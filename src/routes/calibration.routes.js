@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const calibrationController = require('../controllers/calibration.controller');
+const { requireAdmin } = require('../middleware/auth.middleware');
+
+// Calibración de scores (distancia → probabilidad): solo administradores
+router.use(requireAdmin);
+
+router.get('/', calibrationController.getAll);
+router.post('/', calibrationController.create);
+router.delete('/active', calibrationController.deactivate);
+router.get('/:version', calibrationController.getByVersion);
+router.post('/:version/activate', calibrationController.activate);
+
+module.exports = router;
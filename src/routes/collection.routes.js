@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const collectionController = require('../controllers/collection.controller');
+
+// Colecciones (galerías) del tenant de la petición
+router.get('/', collectionController.getAll);
+router.post('/', collectionController.create);
+router.get('/:id', collectionController.getById);
+router.put('/:id', collectionController.update);
+router.delete('/:id', collectionController.delete);
+
+// Miembros
+router.post('/:id/members', collectionController.addMembers);
+router.delete('/:id/members/:userId', collectionController.removeMember);
+
+module.exports = router;
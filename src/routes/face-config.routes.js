@@ -42,6 +42,9 @@ router.put('/config', (req, res) => {
         }
         
     } catch (error) {
+        if (error.name === 'RecognitionError') {
+            return res.status(error.statusCode).json({ error: error.message, code: error.code });
+        }
         logger.error('Error actualizando configuración:', error);
         res.status(500).json({
             error: 'Error interno actualizando configuración'
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const recognitionController = require('../controllers/recognition.controller');
+const livenessController = require('../controllers/liveness.controller');
+const sessionController = require('../controllers/session.controller');
 const {
     recognitionLimiter,
     registerLimiter,
@@ -8,10 +10,12 @@ const {
     validateRecognize,
     handleValidationErrors
 } = require('../middleware/validation.middleware');
+const { acceptImageUpload } = require('../middleware/upload.middleware');
 
 // ── Rutas existentes (sin cambios en firma) ─────────────────────
 router.post('/register',
     registerLimiter,
+    acceptImageUpload,
     validateRegister,
     handleValidationErrors,
     recognitionController.register
@@ -19,13 +23,48 @@ router.post('/register',
 
 router.post('/recognize',
     recognitionLimiter,
+    acceptImageUpload,
     validateRecognize,
     handleValidationErrors,
     recognitionController.recognize
 );
 
+// POST /api/recognition/search-descriptor - identificación con un descriptor de 128D calculado en el cliente
+router.post('/search-descriptor', recognitionLimiter, recognitionController.searchDescriptor);
+
+// POST /api/recognition/verify - verificación 1:1 contra un usuario (ci o user_id)
+router.post('/verify',
+    recognitionLimiter,
+    acceptImageUpload,
+    validateRecognize,
+    handleValidationErrors,
+    recognitionController.verify
+);
+
+// POST /api/recognition/compare - dos imágenes, sin enrolamiento (documento vs selfie)
+router.post('/compare', recognitionLimiter, acceptImageUpload, recognitionController.compare);
+
+// POST /api/recognition/quality - métricas de calidad por rostro (sin reconocimiento)
+router.post('/quality',
+    recognitionLimiter,
+    acceptImageUpload,
+    validateRecognize,
+    handleValidationErrors,
+    recognitionController.quality
+);
+
+// POST /api/recognition/analyze - atributos por rostro: expresión, edad, género (opt-in)
+router.post('/analyze',
+    recognitionLimiter,
+    acceptImageUpload,
+    validateRecognize,
+    handleValidationErrors,
+    recognitionController.analyze
+);
+
 router.put('/update',
     registerLimiter,
+    acceptImageUpload,
     validateRegister,
     handleValidationErrors,
     recognitionController.update
@@ -33,9 +72,12 @@ router.put('/update',
 
 router.get('/stats', recognitionController.getStats);
 
+// GET /api/recognition/logs - eventos recientes (con tenancy, solo los del tenant)
+router.get('/logs', recognitionController.getLogs);
+
 // ── Nuevas rutas batch ────────────────────────────────────────────
 // POST /api/recognition/batch - encolar reconocimiento batch (hasta 50 imágenes)
-router.post('/batch', recognitionLimiter, recognitionController.batchRecognize);
+router.post('/batch', recognitionLimiter, acceptImageUpload, recognitionController.batchRecognize);
 
 // GET /api/recognition/batch - listar jobs batch recientes
 router.get('/batch', recognitionController.listBatchJobs);
@@ -43,6 +85,30 @@ router.get('/batch', recognitionController.listBatchJobs);
 // GET /api/recognition/batch/:jobId - estado y resultados de un job
 router.get('/batch/:jobId', recognitionController.getBatchJob);
 
+// ── Liveness activo (desafío / respuesta) ─────────────────────────
+// POST /api/recognition/liveness/challenge - crear sesión con desafío aleatorio
+router.post('/liveness/challenge', recognitionLimiter, livenessController.createChallenge);
+
+// POST /api/recognition/liveness/challenge/:sessionId/verify - subir frames del desafío
+router.post('/liveness/challenge/:sessionId/verify',
+    recognitionLimiter,
+    acceptImageUpload,
+    livenessController.verifyChallenge
+);
+
+// ── Sesiones multi-frame (decisión por votación o promedio) ──────
+// POST /api/recognition/sessions - crear sesión (opcional: frames + finalize en la misma petición)
+router.post('/sessions', recognitionLimiter, acceptImageUpload, sessionController.createSession);
+
+// GET /api/recognition/sessions/:sessionId - estado de la sesión
+router.get('/sessions/:sessionId', sessionController.getSession);
+
+// POST /api/recognition/sessions/:sessionId/frames - agregar frames
+router.post('/sessions/:sessionId/frames', recognitionLimiter, acceptImageUpload, sessionController.addFrames);
+
+// POST /api/recognition/sessions/:sessionId/decide - decisión final (consume la sesión)
+router.post('/sessions/:sessionId/decide', recognitionLimiter, sessionController.decide);
+
 // ── Gestión del índice HNSW ───────────────────────────────────────
 // POST /api/recognition/index/rebuild - reconstruir índice HNSW desde DB
 router.post('/index/rebuild', registerLimiter, recognitionController.rebuildHNSWIndex);
@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const unknownController = require('../controllers/unknown.controller');
+const { requireAdmin } = require('../middleware/auth.middleware');
+
+// Datos biométricos de personas no registradas: solo administradores
+router.use(requireAdmin);
+
+// Clusters anónimos de rostros desconocidos
+router.get('/clusters', unknownController.listClusters);
+router.post('/clusters/run', unknownController.runClustering);
+router.get('/clusters/:id', unknownController.getCluster);
+router.post('/clusters/:id/promote', unknownController.promoteCluster);
+router.delete('/clusters/:id', unknownController.deleteCluster);
+
+module.exports = router;
@@ -1,6 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/user.controller');
+const {
+    registerLimiter,
+    validateRecognize,
+    handleValidationErrors
+} = require('../middleware/validation.middleware');
+const { acceptImageUpload } = require('../middleware/upload.middleware');
+const { requireAdmin } = require('../middleware/auth.middleware');
 
 // Rutas de usuarios
 router.get('/', userController.getAll);
@@ -9,4 +16,24 @@ router.get('/ci/:ci', userController.getByCI);
 router.delete('/:id', userController.delete);
 router.put('/:id/activate', userController.activate);
 
+// Plantillas de enrolamiento (varias fotos por usuario)
+router.get('/:id/templates', userController.listTemplates);
+router.post('/:id/templates',
+    registerLimiter,
+    acceptImageUpload,
+    validateRecognize,
+    handleValidationErrors,
+    userController.addTemplate
+);
+router.delete('/:id/templates/:templateId', userController.removeTemplate);
+
+// Umbral de decisión propio del usuario (cambios solo administradores, auditados)
+router.get('/:id/threshold', userController.getThreshold);
+router.put('/:id/threshold', requireAdmin, userController.setThreshold);
+router.delete('/:id/threshold', requireAdmin, userController.clearThreshold);
+
+// Auditoría y reversión de plantillas adaptativas
+router.get('/:id/templates/adaptations', userController.listAdaptations);
+router.post('/:id/templates/adaptations/revert', requireAdmin, userController.revertAdaptations);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const watchlistController = require('../controllers/watchlist.controller');
+const { requireAdmin } = require('../middleware/auth.middleware');
+
+// Gestión de watchlists y alertas: solo administradores
+router.use(requireAdmin);
+
+// Alertas (antes de /:id para no capturar "alerts" como ID)
+router.get('/alerts', watchlistController.listAlerts);
+router.post('/alerts/:alertId/acknowledge', watchlistController.acknowledgeAlert);
+
+// Watchlists
+router.get('/', watchlistController.getAll);
+router.post('/', watchlistController.create);
+router.get('/:id', watchlistController.getById);
+router.put('/:id', watchlistController.update);
+router.delete('/:id', watchlistController.delete);
+
+// Miembros
+router.post('/:id/members', watchlistController.addMember);
+router.delete('/:id/members/:userId', watchlistController.removeMember);
+
+module.exports = router;
@@ -0,0 +1,215 @@
+/**
+ * Servicio de Plantillas Adaptativas (opt-in: ADAPTIVE_TEMPLATES_ENABLED=true)
+ *
+ * Los rostros cambian con la edad y la iluminación. Un reconocimiento que supera
+ * compuertas mucho más estrictas que el umbral normal actualiza las plantillas
+ * del usuario:
+ * - blend:  mezcla el descriptor reconocido sobre la plantilla más cercana
+ *           (peso ADAPTIVE_BLEND_WEIGHT)
+ * - append: agrega el descriptor como plantilla nueva (source 'adaptive'); si el
+ *           usuario ya tiene el máximo de plantillas, se hace blend
+ *
+ * Límites:
+ * - Compuertas: distancia <= ADAPTIVE_MAX_DISTANCE, score de detección >=
+ *   ADAPTIVE_MIN_DETECTION_SCORE y reglas de calidad facial superadas
+ * - Frecuencia: como máximo una adaptación cada ADAPTIVE_MIN_INTERVAL_HOURS por usuario
+ * - Deriva: una plantilla nunca se aleja más de ADAPTIVE_MAX_DRIFT de su descriptor original
+ *
+ * Cada adaptación queda en template_adaptations y puede revertirse por usuario.
+ * Solo aplica al reconocimiento de un rostro (no multi-rostro ni caché).
+ */
+
+const faceapi = require('@vladmandic/face-api');
+const logger = require('../utils/logger');
+const User = require('../models/User');
+const FaceTemplate = require('../models/FaceTemplate');
+const TemplateAdaptation = require('../models/TemplateAdaptation');
+const templateService = require('./template.service');
+const faceQualityService = require('./face-quality.service');
+const metricsService = require('./metrics.service');
+
+class AdaptiveTemplateService {
+    constructor() {
+        this.enabled = process.env.ADAPTIVE_TEMPLATES_ENABLED === 'true';
+        this.mode = process.env.ADAPTIVE_TEMPLATES_MODE === 'append' ? 'append' : 'blend';
+        this.maxDistance = parseFloat(process.env.ADAPTIVE_MAX_DISTANCE) || 0.3;
+        this.minDetectionScore = parseFloat(process.env.ADAPTIVE_MIN_DETECTION_SCORE) || 0.9;
+        this.minIntervalHours = parseFloat(process.env.ADAPTIVE_MIN_INTERVAL_HOURS) || 24;
+        this.blendWeight = parseFloat(process.env.ADAPTIVE_BLEND_WEIGHT) || 0.1;
+        this.maxDrift = parseFloat(process.env.ADAPTIVE_MAX_DRIFT) || 0.2;
+    }
+
+    /**
+     * Evalúa un reconocimiento y, si supera todas las compuertas, adapta las plantillas.
+     * Pensado para ejecutarse en background: nunca lanza.
+     *
+     * @param {Object} match - Match del reconocimiento ({ id, ci, distance })
+     * @param {Object} detection - Detección de face-api (landmarks + descriptor)
+     * @param {Image} image - Imagen de canvas procesada (para la evaluación de calidad)
+     * @returns {Object} { adapted, action?, templateId?, reason? }
+     */
+    async consider(match, detection, image) {
+        if (!this.enabled || !match) return { adapted: false, reason: 'disabled' };
+
+        try {
+            if (match.distance > this.maxDistance) return this._skip('distance');
+            if (detection.detection.score < this.minDetectionScore) return this._skip('detection_score');
+
+            const quality = faceQualityService.assess(image, detection);
+            if (!quality.passed) return this._skip('quality');
+
+            const lastAt = await TemplateAdaptation.getLastAdaptationAt(match.id);
+            if (lastAt && Date.now() - lastAt.getTime() < this.minIntervalHours * 3600 * 1000) {
+                return this._skip('interval');
+            }
+
+            const user = await User.findById(match.id);
+            if (!user) return this._skip('inactive_user');
+
+            const probe = Array.from(detection.descriptor);
+            const detectionScore = Math.round(detection.detection.score * 1000) / 1000;
+
+            if (this.mode === 'append') {
+                const templateCount = await FaceTemplate.countByUser(user.id);
+                if (templateCount < templateService.maxTemplatesPerUser) {
+                    return await this._append(user, probe, match.distance, detectionScore);
+                }
+            }
+
+            return await this._blend(user, probe, match.distance, detectionScore);
+
+        } catch (error) {
+            logger.warn(`⚠️ Error adaptando plantillas del usuario ${match.id}: ${error.message}`);
+            return { adapted: false, reason: 'error' };
+        }
+    }
+
+    async _append(user, probe, distance, detectionScore) {
+        const template = await templateService.addTemplate(
+            user,
+            { descriptor: probe, confidenceScore: detectionScore },
+            'adaptive'
+        );
+
+        await TemplateAdaptation.create({
+            user_id: user.id,
+            template_id: template.id,
+            action: 'append',
+            new_descriptor: template.descriptor,
+            distance,
+            quality_score: detectionScore
+        });
+
+        metricsService.recordTemplateAdaptation('append');
+        logger.info(`🧬 Adaptación (append) usuario ${user.ci}: plantilla ${template.id} (dist: ${distance.toFixed(4)})`);
+
+        return { adapted: true, action: 'append', templateId: template.id };
+    }
+
+    async _blend(user, probe, distance, detectionScore) {
+        const templates = await FaceTemplate.findByUser(user.id, true);
+        if (templates.length === 0) return this._skip('no_templates');
+
+        // Plantilla más cercana al rostro reconocido
+        let nearest = null;
+        let nearestDescriptor = null;
+        let nearestDistance = Infinity;
+        for (const template of templates) {
+            const descriptor = JSON.parse(template.descriptor);
+            const d = faceapi.euclideanDistance(probe, descriptor);
+            if (d < nearestDistance) {
+                nearest = template;
+                nearestDescriptor = descriptor;
+                nearestDistance = d;
+            }
+        }
+
+        const w = this.blendWeight;
+        const blended = nearestDescriptor.map((value, i) => (1 - w) * value + w * probe[i]);
+
+        // Límite de deriva respecto del descriptor original de la plantilla
+        const original = await TemplateAdaptation.getOriginalDescriptor(nearest.id);
+        const originalDescriptor = original ? JSON.parse(original) : nearestDescriptor;
+        const drift = faceapi.euclideanDistance(blended, originalDescriptor);
+        if (drift > this.maxDrift) {
+            logger.info(`🧬 Adaptación descartada para ${user.ci}: deriva ${drift.toFixed(4)} > ${this.maxDrift}`);
+            return this._skip('drift');
+        }
+
+        await templateService.updateTemplateDescriptor(user, nearest.id, blended);
+
+        await TemplateAdaptation.create({
+            user_id: user.id,
+            template_id: nearest.id,
+            action: 'blend',
+            previous_descriptor: nearest.descriptor,
+            new_descriptor: JSON.stringify(blended),
+            distance,
+            quality_score: detectionScore
+        });
+
+        metricsService.recordTemplateAdaptation('blend');
+        logger.info(`🧬 Adaptación (blend) usuario ${user.ci}: plantilla ${nearest.id} ` +
+            `(dist: ${distance.toFixed(4)}, deriva: ${drift.toFixed(4)})`);
+
+        return { adapted: true, action: 'blend', templateId: nearest.id, drift };
+    }
+
+    /**
+     * Revierte todas las adaptaciones vigentes de un usuario (de la más reciente a la más antigua)
+     */
+    async revertUser(user) {
+        const adaptations = await TemplateAdaptation.findActiveByUser(user.id);
+        let reverted = 0;
+        const skipped = [];
+
+        for (const adaptation of adaptations) {
+            if (adaptation.template_id) {
+                const template = await FaceTemplate.findById(adaptation.template_id);
+
+                if (template && adaptation.action === 'blend') {
+                    await templateService.updateTemplateDescriptor(
+                        user,
+                        template.id,
+                        JSON.parse(adaptation.previous_descriptor)
+                    );
+                } else if (template && adaptation.action === 'append') {
+                    const count = await FaceTemplate.countByUser(user.id);
+                    if (count <= 1) {
+                        // Única plantilla que le queda al usuario: no se deja sin rostro
+                        skipped.push({ id: adaptation.id, reason: 'LAST_TEMPLATE' });
+                        continue;
+                    }
+                    await templateService.removeTemplate(user, template.id);
+                }
+            }
+
+            await TemplateAdaptation.markReverted(adaptation.id);
+            reverted++;
+        }
+
+        logger.warn(`↩️ Adaptaciones revertidas para usuario ${user.ci}: ${reverted}` +
+            (skipped.length > 0 ? ` (${skipped.length} omitidas)` : ''));
+
+        return { reverted, skipped };
+    }
+
+    _skip(reason) {
+        metricsService.recordTemplateAdaptation(`skipped_${reason}`);
+        return { adapted: false, reason };
+    }
+
+    getStats() {
+        return {
+            enabled: this.enabled,
+            mode: this.mode,
+            maxDistance: this.maxDistance,
+            minDetectionScore: this.minDetectionScore,
+            minIntervalHours: this.minIntervalHours,
+            blendWeight: this.blendWeight,
+            maxDrift: this.maxDrift
+        };
+    }
+}
+
+module.exports = new AdaptiveTemplateService();
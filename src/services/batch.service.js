@@ -27,8 +27,9 @@ class BatchService {
     /**
      * Crea y encola un nuevo job de reconocimiento batch
      *
-     * @param {Array<{id: string, image: string}>} images - Array de imágenes base64 con IDs
-     * @param {Object} options - Opciones de procesamiento
+     * @param {Array<{id: string, image?: string, buffer?: Buffer}>} images - Imágenes (base64 o buffer) con IDs
+     * @param {Object} options - Opciones de procesamiento (options.tenant: tenant dueño del job;
+     *                           options.collections: acotar la búsqueda a esas colecciones)
      * @returns {Object} - Job creado con ID y estado inicial
      */
     async createRecognitionJob(images, options = {}) {
@@ -71,10 +72,11 @@ class BatchService {
 
     /**
      * Obtiene el estado y resultados de un job batch
+     * Con tenancy, los jobs de otro tenant no existen para el que consulta.
      */
-    getJob(jobId) {
+    getJob(jobId, tenant = null) {
         const job = this.jobs.get(jobId);
-        if (!job) return null;
+        if (!job || (job.options.tenant || null) !== tenant) return null;
 
         return {
             id: job.id,
@@ -107,10 +109,9 @@ class BatchService {
         try {
             // Importar servicio de reconocimiento aquí para evitar ciclo circular
             const faceRecognitionService = require('./face-recognition.service');
-            const User = require('../models/User');
 
-            // Cargar usuarios activos una sola vez para todo el lote
-            const activeUsers = await User.getActiveUsers();
+            // Usuarios para búsqueda lineal (solo sin índice HNSW), una sola vez para todo el lote
+            const activeUsers = await faceRecognitionService.getFallbackUsers(options.tenant);
 
             // Procesar imágenes con concurrencia controlada
             await this._processWithConcurrency(
@@ -120,12 +121,12 @@ class BatchService {
                     const startTime = Date.now();
 
                     try {
-                        const imageBuffer = Buffer.from(imageItem.image, 'base64');
+                        const imageBuffer = imageItem.buffer || Buffer.from(imageItem.image, 'base64');
 
                         const recognition = await faceRecognitionService.recognizeFace(
                             imageBuffer,
                             activeUsers,
-                            { enableCache: true, ...options }
+                            { enableCache: true, ...options, source: 'batch' }
                         );
 
                         const result = {
@@ -137,8 +138,10 @@ class BatchService {
                                 name: recognition.match.name,
                                 id_cliente: recognition.match.id_cliente,
                                 confidence: recognition.confidence,
-                                similarity: recognition.match.similarity
+                                similarity: recognition.match.similarity,
+                                probability: recognition.match.probability
                             } : null,
+                            ...(recognition.ambiguity && { ambiguity: recognition.ambiguity }),
                             processingTimeMs: Date.now() - startTime
                         };
 
@@ -200,8 +203,9 @@ class BatchService {
     /**
      * Lista todos los jobs con su estado (últimos N)
      */
-    listJobs(limit = 20) {
+    listJobs(limit = 20, tenant = null) {
         const jobs = Array.from(this.jobs.values())
+            .filter(job => (job.options.tenant || null) === tenant)
             .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
             .slice(0, limit)
             .map(job => ({
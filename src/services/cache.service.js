@@ -195,6 +195,70 @@ class CacheService {
         }
     }
 
+    /**
+     * Obtiene y elimina una clave en una sola operación (uso único).
+     * En Redis usa MULTI/EXEC para que dos workers no consuman la misma clave.
+     */
+    async take(key) {
+        if (!this.enabled) return null;
+
+        try {
+            let value = null;
+
+            if (this.usingRedis && this.redisClient) {
+                const [[, raw]] = await this.redisClient.multi().get(key).del(key).exec();
+                if (raw !== null) {
+                    value = JSON.parse(raw);
+                }
+            } else if (this.memoryCache) {
+                value = this.memoryCache.take(key);
+            }
+
+            if (value !== null && value !== undefined) {
+                this.stats.hits++;
+                this.stats.deletes++;
+                logger.debug(`Cache TAKE: ${key}`);
+                return value;
+            }
+
+            this.stats.misses++;
+            return null;
+
+        } catch (error) {
+            logger.debug('Error en cache take:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Guarda la clave solo si no existe (SET NX). Sirve de lock o de cooldown entre workers.
+     *
+     * @returns {Promise<boolean>} true si la clave se creó
+     */
+    async setIfAbsent(key, value, ttl = null) {
+        if (!this.enabled) return false;
+
+        try {
+            const effectiveTtl = ttl || config.CACHE.TTL;
+            let created = false;
+
+            if (this.usingRedis && this.redisClient) {
+                created = await this.redisClient.set(key, JSON.stringify(value), 'EX', effectiveTtl, 'NX') === 'OK';
+            } else if (this.memoryCache) {
+                // node-cache es síncrono: has + set no se intercalan dentro del proceso
+                created = !this.memoryCache.has(key) && this.memoryCache.set(key, value, effectiveTtl);
+            }
+
+            if (created) this.stats.sets++;
+            logger.debug(`Cache SET NX: ${key} (${created ? 'creada' : 'ya existía'})`);
+            return created;
+
+        } catch (error) {
+            logger.debug('Error en cache setIfAbsent:', error.message);
+            return false;
+        }
+    }
+
     async flush() {
         if (!this.enabled) return false;
 
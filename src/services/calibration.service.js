@@ -0,0 +1,359 @@
+/**
+ * Servicio de Calibración de scores
+ *
+ * `similarity` ((1 - distancia) * 100) no es una probabilidad. Este servicio ajusta,
+ * a partir de pares etiquetados (distancias genuinas e impostoras), una función
+ * distancia L2 → P(misma persona):
+ * - platt: sigmoide 1 / (1 + exp(a·d + b)) (Platt, 1999; targets suavizados)
+ * - isotonic: función escalonada no creciente (PAVA), interpolada linealmente
+ *
+ * Cada ajuste se guarda como una versión (score_calibrations) junto con la curva
+ * FAR/FRR de sus pares, de la que sale la tasa de falsa aceptación estimada en el
+ * umbral vigente. La probabilidad refleja la proporción genuinos/impostores del
+ * conjunto de calibración.
+ *
+ * La versión activa se recarga cada CALIBRATION_REFRESH_SEC (activaciones hechas
+ * desde otro worker PM2). Con tenancy cada tenant ajusta y activa la suya: sus
+ * usuarios y su umbral son distintos, y la de un tenant no afecta a los demás.
+ */
+
+const logger = require('../utils/logger');
+const config = require('../config/server');
+const faceConfig = require('../config/face-recognition');
+const ScoreCalibration = require('../models/ScoreCalibration');
+const { RecognitionError } = require('../utils/errors');
+
+const METHODS = ['platt', 'isotonic'];
+const MIN_PAIRS = 20;
+const MAX_PAIRS = 500000;
+// Rejilla de umbrales de la curva FAR/FRR guardada con cada versión
+const CURVE_STEP = 0.01;
+const CURVE_MAX = 1.5;
+
+const round = (value, decimals = 4) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Interpolación lineal sobre puntos (xs ascendente), constante fuera del rango
+ */
+const interpolate = (xs, ys, x) => {
+    if (x <= xs[0]) return ys[0];
+    if (x >= xs[xs.length - 1]) return ys[ys.length - 1];
+
+    let lo = 0;
+    let hi = xs.length - 1;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (xs[mid] <= x) lo = mid; else hi = mid;
+    }
+
+    const span = xs[hi] - xs[lo];
+    return span === 0 ? ys[hi] : ys[lo] + (ys[hi] - ys[lo]) * (x - xs[lo]) / span;
+};
+
+/**
+ * Regresión logística de 1 variable por Newton con búsqueda lineal
+ * (Lin, Lin & Weng, "A note on Platt's probabilistic outputs", 2007)
+ */
+const fitPlatt = (genuine, impostor) => {
+    const hiTarget = (genuine.length + 1) / (genuine.length + 2);
+    const loTarget = 1 / (impostor.length + 2);
+    const data = [
+        ...genuine.map(d => [d, hiTarget]),
+        ...impostor.map(d => [d, loTarget])
+    ];
+
+    const objective = (a, b) => data.reduce((sum, [d, t]) => {
+        const fApB = d * a + b;
+        return sum + (fApB >= 0
+            ? t * fApB + Math.log1p(Math.exp(-fApB))
+            : (t - 1) * fApB + Math.log1p(Math.exp(fApB)));
+    }, 0);
+
+    let a = 0;
+    let b = Math.log((impostor.length + 1) / (genuine.length + 1));
+    let fval = objective(a, b);
+
+    for (let iter = 0; iter < 100; iter++) {
+        let h11 = 1e-12, h22 = 1e-12, h21 = 0, g1 = 0, g2 = 0;
+
+        for (const [d, t] of data) {
+            const fApB = d * a + b;
+            const p = fApB >= 0 ? Math.exp(-fApB) / (1 + Math.exp(-fApB)) : 1 / (1 + Math.exp(fApB));
+            const q = 1 - p;
+            h11 += d * d * p * q;
+            h22 += p * q;
+            h21 += d * p * q;
+            g1 += d * (t - p);
+            g2 += t - p;
+        }
+
+        if (Math.abs(g1) < 1e-5 && Math.abs(g2) < 1e-5) break;
+
+        const det = h11 * h22 - h21 * h21;
+        const dA = -(h22 * g1 - h21 * g2) / det;
+        const dB = -(-h21 * g1 + h11 * g2) / det;
+        const gd = g1 * dA + g2 * dB;
+
+        let step = 1;
+        while (step >= 1e-10) {
+            const newF = objective(a + step * dA, b + step * dB);
+            if (newF < fval + 1e-4 * step * gd) {
+                a += step * dA;
+                b += step * dB;
+                fval = newF;
+                break;
+            }
+            step /= 2;
+        }
+
+        if (step < 1e-10) break;
+    }
+
+    return { a, b };
+};
+
+/**
+ * Regresión isotónica no creciente (pool adjacent violators)
+ * Los bloques se guardan por sus extremos: [d_min, p], [d_max, p]
+ */
+const fitIsotonic = (genuine, impostor) => {
+    const points = [
+        ...genuine.map(d => [d, 1]),
+        ...impostor.map(d => [d, 0])
+    ].sort((x, y) => x[0] - y[0]);
+
+    // Distancias repetidas forman un solo punto (con la media de sus etiquetas) antes de
+    // unir bloques: un empate no debe arrastrar a un bloque que ya abarca otras distancias
+    const tied = [];
+    for (const [d, y] of points) {
+        const last = tied[tied.length - 1];
+        if (last && last.min === d) {
+            last.sum += y;
+            last.count++;
+        } else {
+            tied.push({ min: d, max: d, sum: y, count: 1 });
+        }
+    }
+
+    const blocks = [];
+    for (const point of tied) {
+        blocks.push(point);
+
+        while (blocks.length > 1) {
+            const cur = blocks[blocks.length - 1];
+            const prev = blocks[blocks.length - 2];
+            // Bloques con la misma media también se unen (menos puntos que guardar)
+            if (prev.sum / prev.count > cur.sum / cur.count) break;
+            prev.max = cur.max;
+            prev.sum += cur.sum;
+            prev.count += cur.count;
+            blocks.pop();
+        }
+    }
+
+    const distances = [];
+    const probabilities = [];
+    for (const block of blocks) {
+        const p = round(block.sum / block.count);
+        distances.push(round(block.min, 6));
+        probabilities.push(p);
+        if (block.max !== block.min) {
+            distances.push(round(block.max, 6));
+            probabilities.push(p);
+        }
+    }
+
+    return { distances, probabilities };
+};
+
+/**
+ * FAR (impostores con distancia ≤ t) y FRR (genuinos con distancia > t) en la rejilla
+ */
+const buildFarCurve = (genuine, impostor) => {
+    const sortedGenuine = [...genuine].sort((x, y) => x - y);
+    const sortedImpostor = [...impostor].sort((x, y) => x - y);
+    const curve = { thresholds: [], far: [], frr: [] };
+
+    let gi = 0;
+    let ii = 0;
+    for (let step = 0; step <= Math.round(CURVE_MAX / CURVE_STEP); step++) {
+        const t = round(step * CURVE_STEP, 2);
+        while (gi < sortedGenuine.length && sortedGenuine[gi] <= t) gi++;
+        while (ii < sortedImpostor.length && sortedImpostor[ii] <= t) ii++;
+
+        curve.thresholds.push(t);
+        curve.far.push(round(ii / sortedImpostor.length, 6));
+        curve.frr.push(round(1 - gi / sortedGenuine.length, 6));
+    }
+
+    return curve;
+};
+
+const evaluate = (method, params, distance) => (method === 'platt'
+    ? 1 / (1 + Math.exp(params.a * distance + params.b))
+    : interpolate(params.distances, params.probabilities, distance));
+
+class CalibrationService {
+    constructor() {
+        this.refreshMs = (parseInt(process.env.CALIBRATION_REFRESH_SEC) || 60) * 1000;
+        this.active = new Map(); // id_cliente (null sin tenancy) -> versión activa
+        this.timer = null;
+    }
+
+    /**
+     * Carga la versión activa y programa su recarga periódica
+     */
+    async initialize() {
+        await this.refresh();
+
+        this.timer = setInterval(() => {
+            this.refresh().catch(error => logger.error('❌ Error recargando calibración:', error));
+        }, this.refreshMs);
+        this.timer.unref();
+
+        logger.info(this.active.size > 0
+            ? `✅ Calibración de scores: ${[...this.active.values()].map(c => `versión ${c.id} (${c.method})`).join(', ')}`
+            : 'ℹ️ Sin calibración de scores activa (probability = null)');
+    }
+
+    /**
+     * Recarga las versiones activas (una por tenant)
+     */
+    async refresh() {
+        const active = new Map();
+        const encoding = faceConfig.getEncoding('RECOGNIZE');
+
+        for (const calibration of await ScoreCalibration.findActive()) {
+            const tenant = calibration.id_cliente || null;
+            if (calibration.id !== this.active.get(tenant)?.id && calibration.encoding !== encoding) {
+                logger.warn(`⚠️ La calibración ${calibration.id} se ajustó con descriptores '${calibration.encoding}' y la codificación vigente es '${encoding}'`);
+            }
+            active.set(tenant, calibration);
+        }
+
+        this.active = active;
+        return active;
+    }
+
+    /**
+     * Versión activa del tenant (sin tenancy, la única)
+     */
+    activeFor(tenant = null) {
+        return this.active.get(config.TENANCY.ENABLED ? tenant || null : null) || null;
+    }
+
+    /**
+     * Versión activa para la clave de caché del reconocimiento: tras activar otra
+     * versión no se sirven probabilidades calculadas con la anterior
+     */
+    version(tenant = null) {
+        return this.activeFor(tenant)?.id ?? 'none';
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Valida el cuerpo de POST /api/calibrations
+     * { method, genuine: number[], impostor: number[], notes?, activate? }
+     */
+    parseFitRequest(body = {}) {
+        const method = body.method || 'isotonic';
+        if (!METHODS.includes(method)) {
+            throw new RecognitionError(`method debe ser uno de: ${METHODS.join(', ')}`, 'INVALID_CALIBRATION');
+        }
+
+        const parseDistances = (value, name) => {
+            if (!Array.isArray(value) || value.length < MIN_PAIRS || value.length > MAX_PAIRS) {
+                throw new RecognitionError(
+                    `${name} debe ser un array de ${MIN_PAIRS}-${MAX_PAIRS} distancias`,
+                    'INVALID_CALIBRATION'
+                );
+            }
+            const distances = value.map(Number);
+            if (!distances.every(d => Number.isFinite(d) && d >= 0)) {
+                throw new RecognitionError(`${name} contiene distancias inválidas`, 'INVALID_CALIBRATION');
+            }
+            return distances;
+        };
+
+        const genuine = parseDistances(body.genuine, 'genuine');
+        const impostor = parseDistances(body.impostor, 'impostor');
+        // Con una sola distancia en todos los pares no hay nada que separar
+        // (Platt no tiene pendiente y la isotónica es un único bloque)
+        if (new Set([...genuine, ...impostor]).size < 2) {
+            throw new RecognitionError('Los pares deben tener al menos dos distancias distintas', 'INVALID_CALIBRATION');
+        }
+
+        return {
+            method,
+            genuine,
+            impostor,
+            notes: body.notes ? String(body.notes).slice(0, 500) : '',
+            activate: body.activate !== false && body.activate !== 'false'
+        };
+    }
+
+    /**
+     * Ajusta una calibración (sin guardarla)
+     *
+     * @throws {RecognitionError} INVALID_CALIBRATION si falta una de las dos etiquetas
+     */
+    fit(method, genuine, impostor) {
+        // Con una sola etiqueta la probabilidad sería constante y la FAR/FRR no se puede medir
+        if (!genuine?.length || !impostor?.length) {
+            throw new RecognitionError('Se requieren pares genuinos e impostores', 'INVALID_CALIBRATION');
+        }
+
+        const params = method === 'platt'
+            ? fitPlatt(genuine, impostor)
+            : fitIsotonic(genuine, impostor);
+
+        const squaredError = [
+            ...genuine.map(d => (1 - evaluate(method, params, d)) ** 2),
+            ...impostor.map(d => evaluate(method, params, d) ** 2)
+        ].reduce((sum, e) => sum + e, 0);
+
+        return {
+            method,
+            params,
+            far_curve: buildFarCurve(genuine, impostor),
+            genuine_pairs: genuine.length,
+            impostor_pairs: impostor.length,
+            brier_score: round(squaredError / (genuine.length + impostor.length)),
+            encoding: faceConfig.getEncoding('RECOGNIZE')
+        };
+    }
+
+    /**
+     * P(misma persona) para una distancia según la versión activa del tenant (null sin calibración)
+     */
+    probability(distance, tenant = null) {
+        const active = this.activeFor(tenant);
+        if (!active || !Number.isFinite(distance)) return null;
+        return round(evaluate(active.method, active.params, distance));
+    }
+
+    /**
+     * Tasas de error estimadas de la decisión en el umbral vigente
+     *
+     * @returns {{ version, method, threshold, far, frr }|null}
+     */
+    decision(threshold = faceConfig.CONFIDENCE_THRESHOLD, tenant = null) {
+        const active = this.activeFor(tenant);
+        if (!active) return null;
+
+        const { thresholds, far, frr } = active.far_curve;
+        return {
+            version: active.id,
+            method: active.method,
+            threshold,
+            far: round(interpolate(thresholds, far, threshold), 6),
+            frr: round(interpolate(thresholds, frr, threshold), 6)
+        };
+    }
+}
+
+module.exports = new CalibrationService();
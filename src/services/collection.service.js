@@ -0,0 +1,150 @@
+/**
+ * Servicio de Colecciones (galerías)
+ *
+ * Acota el reconocimiento (recognize, multi, batch) a los miembros de una o varias
+ * colecciones: { collections: ["empleados-hq", "visitantes-2026"] }. La búsqueda HNSW
+ * descarta durante el recorrido del grafo las plantillas de usuarios fuera de ellas
+ * (filtro de hnswlib), así que el top-K siempre sale de las colecciones pedidas.
+ *
+ * Los miembros de cada colección se cachean en memoria y se recargan cada
+ * COLLECTION_REFRESH_SEC (cambios hechos desde otro worker PM2) o tras invalidate().
+ * La huella de los miembros (version) entra en la clave de caché del reconocimiento.
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const Collection = require('../models/Collection');
+const { RecognitionError } = require('../utils/errors');
+
+const NAME_PATTERN = /^[\w.-]{1,64}$/;
+// Colecciones que se pueden combinar en un mismo reconocimiento
+const MAX_PER_REQUEST = 20;
+
+const fingerprint = (values) => crypto.createHash('md5').update(JSON.stringify(values)).digest('hex').slice(0, 8);
+
+class CollectionService {
+    constructor() {
+        this.refreshMs = (parseInt(process.env.COLLECTION_REFRESH_SEC) || 30) * 1000;
+        this.members = new Map(); // collectionId -> { userIds: Set, hash, loadedAt }
+    }
+
+    /**
+     * Normaliza el parámetro `collections` de una petición
+     * Acepta un array o una lista separada por comas (multipart / query string).
+     *
+     * @returns {string[]|null} null si no se pidió ninguna colección
+     */
+    parseNames(value) {
+        if (value === undefined || value === null || value === '') return null;
+
+        const names = (Array.isArray(value) ? value : String(value).split(','))
+            .map(name => String(name).trim())
+            .filter(Boolean);
+
+        if (names.length === 0 || names.length > MAX_PER_REQUEST || !names.every(name => NAME_PATTERN.test(name))) {
+            throw new RecognitionError(
+                `collections debe ser una lista de 1-${MAX_PER_REQUEST} nombres (1-64 caracteres: letras, números, _ . -)`,
+                'INVALID_COLLECTIONS'
+            );
+        }
+
+        return [...new Set(names)];
+    }
+
+    /**
+     * Valida los campos de una colección (creación o actualización parcial)
+     */
+    parseCollection(body = {}, partial = false) {
+        const data = {};
+
+        if (body.name !== undefined || !partial) {
+            if (typeof body.name !== 'string' || !NAME_PATTERN.test(body.name.trim())) {
+                throw new RecognitionError('name es requerido (1-64 caracteres: letras, números, _ . -)', 'INVALID_COLLECTION');
+            }
+            data.name = body.name.trim();
+        }
+
+        if (body.description !== undefined) {
+            data.description = String(body.description).slice(0, 500);
+        }
+
+        return data;
+    }
+
+    /**
+     * Resuelve nombres de colección a los IDs de usuario permitidos en la búsqueda
+     *
+     * @param {string[]|null} names - Salida de parseNames()
+     * @param {string|null} tenant - Con tenancy, solo colecciones del tenant
+     * @returns {Promise<Set<number>|null>} Unión de los miembros; null = sin filtro
+     * @throws {RecognitionError} COLLECTION_NOT_FOUND (404) si alguna no existe
+     */
+    async resolve(names, tenant = null) {
+        const scope = await this.resolveScope(names, tenant);
+        return scope ? scope.userIds : null;
+    }
+
+    /**
+     * Como resolve(), junto con la versión de los miembros: una huella del contenido
+     * (coincide entre workers PM2) que cambia al agregar o quitar miembros, o al
+     * recrear una colección con el mismo nombre
+     *
+     * @returns {Promise<{ userIds: Set<number>, version: string }|null>}
+     */
+    async resolveScope(names, tenant = null) {
+        if (!names || names.length === 0) return null;
+
+        const collections = await Collection.findByNames(names, tenant);
+        if (collections.length !== names.length) {
+            const found = new Set(collections.map(c => c.name));
+            const missing = names.filter(name => !found.has(name));
+            throw new RecognitionError(
+                `Colección no encontrada: ${missing.join(', ')}`,
+                'COLLECTION_NOT_FOUND',
+                404,
+                { missing }
+            );
+        }
+
+        const userIds = new Set();
+        const hashes = [];
+        for (const collection of [...collections].sort((a, b) => a.id - b.id)) {
+            const members = await this._getMembers(collection.id);
+            for (const userId of members.userIds) {
+                userIds.add(userId);
+            }
+            hashes.push(`${collection.id}:${members.hash}`);
+        }
+
+        return { userIds, version: fingerprint(hashes) };
+    }
+
+    async _getMembers(collectionId) {
+        const cached = this.members.get(collectionId);
+        if (cached && Date.now() - cached.loadedAt < this.refreshMs) return cached;
+
+        const ids = await Collection.getMemberIds(collectionId);
+        const members = {
+            userIds: new Set(ids),
+            hash: fingerprint([...ids].sort((a, b) => a - b)),
+            loadedAt: Date.now()
+        };
+        this.members.set(collectionId, members);
+        logger.debug(`Colección ${collectionId}: ${members.userIds.size} miembros cargados`);
+
+        return members;
+    }
+
+    /**
+     * Descarta la caché de una colección (o de todas) tras cambiar sus miembros
+     */
+    invalidate(collectionId) {
+        if (collectionId === undefined) {
+            this.members.clear();
+        } else {
+            this.members.delete(collectionId);
+        }
+    }
+}
+
+module.exports = new CollectionService();
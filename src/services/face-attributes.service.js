@@ -0,0 +1,133 @@
+/**
+ * Servicio de Atributos Faciales (expresión, edad y género estimados)
+ *
+ * Etapa opcional y a demanda: solo se ejecuta cuando la llamada la pide
+ * (recognize con `attributes` o POST /api/recognition/analyze).
+ *
+ * Privacidad:
+ * - Los atributos nunca se guardan en recognition_logs ni en la caché
+ * - Solo se escriben en el log de aplicación con FACE_ATTRIBUTES_LOG=true
+ *
+ * Modelos: faceExpressionNet (expresiones) y ageGenderNet (edad/género).
+ * Si un modelo no está cargado, su atributo simplemente no está disponible.
+ */
+
+const logger = require('../utils/logger');
+const faceConfig = require('../config/face-recognition');
+const { RecognitionError } = require('../utils/errors');
+
+const ATTRIBUTES = ['expression', 'age', 'gender'];
+const MODEL_BY_ATTRIBUTE = {
+    expression: 'faceExpressionNet',
+    age: 'ageGenderNet',
+    gender: 'ageGenderNet'
+};
+
+const round = (value, decimals = 3) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+class FaceAttributesService {
+    constructor() {
+        this.logEnabled = process.env.FACE_ATTRIBUTES_LOG === 'true';
+    }
+
+    getAvailableAttributes() {
+        return ATTRIBUTES.filter(attr => faceConfig.isModelLoaded(MODEL_BY_ATTRIBUTE[attr]));
+    }
+
+    /**
+     * Interpreta el parámetro `attributes` de la petición
+     *
+     * @param {boolean|string|string[]} requested - true / "true" (todos los disponibles),
+     *        lista ["expression", "age", "gender"] o "expression,age"
+     * @returns {string[]|null} Atributos a calcular, o null si no se pidieron
+     */
+    parseRequest(requested) {
+        if (requested === undefined || requested === null || requested === false || requested === 'false') {
+            return null;
+        }
+
+        let list;
+        if (requested === true || requested === 'true') {
+            list = ATTRIBUTES;
+        } else if (Array.isArray(requested)) {
+            list = requested;
+        } else if (typeof requested === 'string') {
+            list = requested.split(',').map(attr => attr.trim()).filter(Boolean);
+        } else {
+            list = [];
+        }
+
+        const unknown = list.filter(attr => !ATTRIBUTES.includes(attr));
+        if (list.length === 0 || unknown.length > 0) {
+            throw new RecognitionError(
+                `attributes debe ser true o una lista de: ${ATTRIBUTES.join(', ')}`,
+                'INVALID_ATTRIBUTES'
+            );
+        }
+
+        const available = this.getAvailableAttributes();
+        const selected = [...new Set(list)].filter(attr => available.includes(attr));
+        if (selected.length === 0) {
+            throw new RecognitionError(
+                `Modelos de atributos no cargados (${[...new Set(list.map(a => MODEL_BY_ATTRIBUTE[a]))].join(', ')}). ` +
+                'Ejecute scripts/download-models.js.',
+                'ATTRIBUTES_UNAVAILABLE',
+                503
+            );
+        }
+
+        return selected;
+    }
+
+    /**
+     * Opciones de detección (faceConfig.detectFace / detectAllFaces) para los atributos pedidos
+     */
+    getDetectionOptions(attributes) {
+        if (!attributes) return {};
+        return {
+            withExpressions: attributes.includes('expression'),
+            withAgeAndGender: attributes.includes('age') || attributes.includes('gender')
+        };
+    }
+
+    /**
+     * Extrae los atributos pedidos de una detección de face-api
+     */
+    extract(detection, attributes) {
+        if (!attributes) return undefined;
+
+        const result = {};
+
+        if (attributes.includes('expression') && detection.expressions) {
+            const probabilities = {};
+            let dominant = null;
+            for (const [expression, probability] of Object.entries(detection.expressions)) {
+                if (typeof probability !== 'number') continue;
+                probabilities[expression] = round(probability);
+                if (!dominant || probability > detection.expressions[dominant]) dominant = expression;
+            }
+            result.expression = { dominant, probabilities };
+        }
+
+        if (attributes.includes('age') && typeof detection.age === 'number') {
+            result.age = Math.round(detection.age);
+        }
+
+        if (attributes.includes('gender') && detection.gender) {
+            result.gender = detection.gender;
+            result.genderProbability = round(detection.genderProbability);
+        }
+
+        return result;
+    }
+
+    /**
+     * Log de atributos solo si está habilitado explícitamente (FACE_ATTRIBUTES_LOG=true)
+     */
+    log(context, attributes) {
+        if (!this.logEnabled || !attributes) return;
+        logger.info(`🧾 Atributos (${context}): ${JSON.stringify(attributes)}`);
+    }
+}
+
+module.exports = new FaceAttributesService();
@@ -0,0 +1,144 @@
+/**
+ * Servicio de Calidad Facial
+ *
+ * Evalúa cada rostro detectado (no la imagen completa) con:
+ * - Pose de la cabeza (yaw/pitch/roll) estimada desde los 68 landmarks
+ * - Nitidez: varianza del Laplaciano sobre el recorte del rostro
+ * - Exposición de la región facial: brillo medio, contraste y fracción de píxeles recortados
+ * - Apertura de ojos (Eye Aspect Ratio)
+ * - Distancia entre ojos en píxeles (resolución efectiva del rostro)
+ *
+ * El resultado se compara contra faceConfig.QUALITY_RULES (configurables por
+ * variables de entorno o PUT /api/face-config/config → qualityRules).
+ */
+
+const logger = require('../utils/logger');
+const faceConfig = require('../config/face-recognition');
+const imageProcessingService = require('./image-processing.service');
+const { getEyeOpenness, estimateHeadPose, getInterEyeDistance } = require('../utils/landmarks');
+const { RecognitionError } = require('../utils/errors');
+
+// Tamaño del recorte analizado (nitidez/exposición comparables entre rostros)
+const CROP_SIZE = 112;
+// Límites de píxel considerados sub/sobreexpuestos
+const UNDEREXPOSED_LEVEL = 20;
+const OVEREXPOSED_LEVEL = 235;
+
+const round = (value, decimals = 3) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+class FaceQualityService {
+    /**
+     * Métricas de calidad de un rostro detectado
+     *
+     * @param {Image} image - Imagen de canvas ya procesada
+     * @param {Object} detection - Detección de face-api con landmarks
+     * @returns {Object} { pose, sharpness, exposure, eyeOpenness, interEyeDistance, detectionScore, passed, failures }
+     */
+    assess(image, detection) {
+        const box = detection.detection.box;
+        const positions = detection.landmarks.positions;
+
+        const crop = imageProcessingService.getFaceCropPixels(image, box, CROP_SIZE);
+        const gray = imageProcessingService.toGrayscale(crop);
+
+        const metrics = {
+            detectionScore: round(detection.detection.score),
+            pose: estimateHeadPose(positions),
+            sharpness: round(imageProcessingService.laplacianVariance(gray, crop.width, crop.height), 1),
+            exposure: this._exposure(gray),
+            eyeOpenness: this._roundEyes(getEyeOpenness(positions)),
+            interEyeDistance: round(getInterEyeDistance(positions), 1)
+        };
+
+        const failures = this._applyRules(metrics, faceConfig.QUALITY_RULES);
+
+        return {
+            ...metrics,
+            passed: failures.length === 0,
+            failures
+        };
+    }
+
+    /**
+     * Lanza POOR_FACE_QUALITY si la evaluación no supera las reglas
+     */
+    assertAcceptable(quality) {
+        if (quality.passed) return;
+
+        logger.warn(`⚠️ Calidad facial insuficiente: ${quality.failures.map(f => f.rule).join(', ')}`);
+        throw new RecognitionError(
+            `Calidad del rostro insuficiente: ${quality.failures.map(f => f.message).join('; ')}`,
+            'POOR_FACE_QUALITY',
+            400,
+            { quality }
+        );
+    }
+
+    _exposure(gray) {
+        let sum = 0;
+        let sumSq = 0;
+        let under = 0;
+        let over = 0;
+
+        for (let i = 0; i < gray.length; i++) {
+            const v = gray[i];
+            sum += v;
+            sumSq += v * v;
+            if (v <= UNDEREXPOSED_LEVEL) under++;
+            else if (v >= OVEREXPOSED_LEVEL) over++;
+        }
+
+        const mean = sum / gray.length;
+        return {
+            brightness: round(mean, 1),
+            contrast: round(Math.sqrt(Math.max(0, sumSq / gray.length - mean * mean)), 1),
+            underexposedRatio: round(under / gray.length),
+            overexposedRatio: round(over / gray.length)
+        };
+    }
+
+    _roundEyes(eyes) {
+        return { left: round(eyes.left), right: round(eyes.right), mean: round(eyes.mean) };
+    }
+
+    _applyRules(metrics, rules) {
+        const failures = [];
+        const fail = (rule, value, limit, message) => failures.push({ rule, value, limit, message });
+
+        const { pose, exposure } = metrics;
+
+        if (Math.abs(pose.yaw) > rules.maxYaw) {
+            fail('maxYaw', pose.yaw, rules.maxYaw, 'Rostro girado lateralmente; mire de frente a la cámara');
+        }
+        if (Math.abs(pose.pitch) > rules.maxPitch) {
+            fail('maxPitch', pose.pitch, rules.maxPitch, 'Cabeza inclinada hacia arriba o abajo');
+        }
+        if (Math.abs(pose.roll) > rules.maxRoll) {
+            fail('maxRoll', pose.roll, rules.maxRoll, 'Cabeza inclinada hacia un costado');
+        }
+        if (metrics.sharpness < rules.minSharpness) {
+            fail('minSharpness', metrics.sharpness, rules.minSharpness, 'Rostro desenfocado o movido');
+        }
+        if (exposure.brightness < rules.minBrightness) {
+            fail('minBrightness', exposure.brightness, rules.minBrightness, 'Rostro subexpuesto; mejore la iluminación');
+        }
+        if (exposure.brightness > rules.maxBrightness) {
+            fail('maxBrightness', exposure.brightness, rules.maxBrightness, 'Rostro sobreexpuesto');
+        }
+        const clipped = round(exposure.underexposedRatio + exposure.overexposedRatio);
+        if (clipped > rules.maxClippedRatio) {
+            fail('maxClippedRatio', clipped, rules.maxClippedRatio, 'Zonas del rostro quemadas o en sombra');
+        }
+        if (metrics.eyeOpenness.mean < rules.minEyeOpenness) {
+            fail('minEyeOpenness', metrics.eyeOpenness.mean, rules.minEyeOpenness, 'Ojos cerrados o tapados');
+        }
+        if (metrics.interEyeDistance < rules.minInterEyeDistance) {
+            fail('minInterEyeDistance', metrics.interEyeDistance, rules.minInterEyeDistance,
+                'Rostro con resolución insuficiente; acérquese a la cámara');
+        }
+
+        return failures;
+    }
+}
+
+module.exports = new FaceQualityService();
@@ -15,11 +15,29 @@ const { Canvas, Image } = require('canvas');
 const sharp = require('sharp');
 const crypto = require('crypto');
 const logger = require('../utils/logger');
+const config = require('../config/server');
 const faceConfig = require('../config/face-recognition');
+const User = require('../models/User');
+const FaceTemplate = require('../models/FaceTemplate');
 const cacheService = require('./cache.service');
 const imageProcessingService = require('./image-processing.service');
 const hnswService = require('./hnsw.service');
 const metricsService = require('./metrics.service');
+const livenessService = require('./liveness.service');
+const faceQualityService = require('./face-quality.service');
+const faceAttributesService = require('./face-attributes.service');
+const watchlistService = require('./watchlist.service');
+const collectionService = require('./collection.service');
+const calibrationService = require('./calibration.service');
+const userThresholdService = require('./user-threshold.service');
+const { RecognitionError } = require('../utils/errors');
+
+// Vecinos listados en la salida explain (si no se pidieron candidates)
+const EXPLAIN_CANDIDATES = 5;
+// Lado del recorte que FaceRecognitionNet convierte en descriptor (150x150)
+const EMBEDDING_INPUT_SIZE = 150;
+// Codificaciones de descriptor (ver faceConfig.getEncoding)
+const DESCRIPTOR_ENCODINGS = ['crop', 'aligned'];
 
 class FaceRecognitionService {
     constructor() {
@@ -33,12 +51,20 @@ class FaceRecognitionService {
         };
     }
 
+    /**
+     * @param {Object} options
+     * @param {Object} options.trace - Salida explain: recibe los pasos de preprocesamiento
+     *        (trace.steps) y la imagen procesada (trace.buffer)
+     */
     async processImageBuffer(imageBuffer, options = {}) {
         if (!Buffer.isBuffer(imageBuffer) || imageBuffer.length === 0) {
             throw new Error('Buffer de imagen inválido');
         }
 
-        const processedBuffer = await imageProcessingService.optimizeForRecognition(imageBuffer);
+        const processedBuffer = await imageProcessingService.optimizeForRecognition(imageBuffer, {
+            steps: options.trace?.steps
+        });
+        if (options.trace) options.trace.buffer = processedBuffer;
         const image = await this.bufferToImage(processedBuffer);
         this.validateImageDimensions(image);
 
@@ -87,6 +113,13 @@ class FaceRecognitionService {
 
             this.validateFaceQuality(detection, image);
 
+            // Calidad del rostro (pose, nitidez, exposición, ojos) - lanza POOR_FACE_QUALITY
+            const quality = faceQualityService.assess(image, detection);
+            faceQualityService.assertAcceptable(quality);
+
+            // Anti-spoofing pasivo (lanza SPOOF_SUSPECTED si no supera el umbral)
+            const liveness = await livenessService.check(image, detection.detection.box, 'register');
+
             const descriptor = Array.from(detection.descriptor);
             const confidenceScore = this.calculateConfidenceScore(detection);
 
@@ -99,6 +132,9 @@ class FaceRecognitionService {
                 confidenceScore,
                 landmarks: detection.landmarks?.positions || null,
                 box: detection.detection?.box || null,
+                quality,
+                liveness,
+                encoding: faceConfig.getEncoding('REGISTER'),
                 processingTime
             };
 
@@ -119,6 +155,10 @@ class FaceRecognitionService {
      * 3. Buscar en índice HNSW O(log n) - escala a 1M+ caras
      * 4. Fallback a búsqueda lineal si HNSW no está disponible
      * 5. Guardar resultado en caché
+     *
+     * Con tenancy (options.tenant) la búsqueda usa solo el índice de ese tenant, y con
+     * options.collections solo los miembros de esas colecciones.
+     * Con options.explain (solo administradores) el resultado incluye `explain`, ver _explain().
      */
     async recognizeFace(imageBuffer, userDescriptors = [], options = {}) {
         const startTime = Date.now();
@@ -126,41 +166,76 @@ class FaceRecognitionService {
         try {
             logger.info('🔄 Iniciando reconocimiento facial');
 
-            // 1. Verificar caché
-            const cacheKey = options.enableCache ?
-                this.generateCacheKey(imageBuffer) : null;
+            const scope = await this.searchScope(options);
+
+            // 1. Verificar caché (la clave incluye tenant, colecciones y sus miembros, opciones de candidatos,
+            //    la versión de los umbrales, los márgenes de ambigüedad y la calibración activa:
+            //    cambian la respuesta)
+            const candidatesK = options.candidates ? Math.min(options.candidates, faceConfig.MAX_CANDIDATES) : 0;
+            const applyThreshold = options.applyThreshold !== false;
+            // Los atributos (edad/género/expresión) nunca se guardan en caché
+            const attributes = options.attributes || null;
+            const cacheKey = options.enableCache && !attributes && !options.includeDescriptor && !options.explain ?
+                this.generateCacheKey(imageBuffer, [
+                    options.tenant ? `t_${options.tenant}` : '',
+                    options.collections ? `c_${[...options.collections].sort().join(',')}_${scope.collectionsVersion}` : '',
+                    candidatesK ? `top${candidatesK}${applyThreshold ? '' : '_all'}` : '',
+                    `th_${await userThresholdService.version()}`,
+                    `amb_${faceConfig.AMBIGUITY_MIN_MARGIN}_${faceConfig.AMBIGUITY_MIN_RATIO}`,
+                    `cal_${calibrationService.version(options.tenant)}`
+                ].filter(Boolean).join('_')) : null;
 
             if (cacheKey) {
                 const cached = await cacheService.get(cacheKey);
                 if (cached) {
+                    // El descriptor guardado permite a las watchlists laxas buscar vecinos igual que sin caché
+                    const { queryDescriptor, ...cachedResult } = cached;
+                    watchlistService.check({
+                        match: cachedResult.match,
+                        ambiguity: cachedResult.ambiguity,
+                        source: options.source,
+                        tenant: options.tenant,
+                        searchCandidates: queryDescriptor && ((k) => this._searchCandidates(
+                            new Float32Array(queryDescriptor), k, false, userDescriptors, scope
+                        ))
+                    });
                     this.stats.cacheHits++;
                     metricsService.recordCacheHit();
                     metricsService.recordRecognition(Date.now() - startTime, 'cache_hit');
                     logger.info('✅ Resultado desde caché');
-                    return cached;
+                    return cachedResult;
                 }
                 metricsService.recordCacheMiss();
             }
 
             // 2. Procesar imagen + detección (GPU si disponible)
-            const image = await this.processImageBuffer(imageBuffer, options);
-            const detection = await faceConfig.detectFace(image, 'RECOGNIZE');
+            const trace = options.explain ? { steps: [] } : null;
+            const image = await this.processImageBuffer(imageBuffer, { ...options, trace });
+            const detection = await faceConfig.detectFace(
+                image,
+                'RECOGNIZE',
+                faceAttributesService.getDetectionOptions(attributes)
+            );
 
             if (!detection) {
                 throw new Error('No se detectó ningún rostro en la imagen');
             }
 
-            // 3. Buscar match (HNSW preferido, fallback a lineal)
-            let match = null;
+            // 2b. Anti-spoofing pasivo (lanza SPOOF_SUSPECTED si no supera el umbral)
+            const liveness = await livenessService.check(image, detection.detection.box, 'recognize');
 
-            if (hnswService.isInitialized && hnswService.size() > 0) {
-                match = await this._searchHNSW(detection.descriptor);
-                this.stats.hnswSearches++;
-            } else if (userDescriptors.length > 0) {
-                // Fallback a búsqueda lineal (O(n))
-                logger.debug('Usando búsqueda lineal (HNSW no disponible)');
-                match = await this.findBestMatch(detection.descriptor, userDescriptors);
-            }
+            // 3. Buscar match (HNSW preferido, fallback a lineal; ambiguo → match = null)
+            const { match, ambiguity } = await this._matchDescriptor(
+                detection.descriptor,
+                userDescriptors,
+                scope,
+                options.source || 'recognize'
+            );
+
+            // 3b. Lista de candidatos top-K (opcional, flujo de investigación)
+            const candidates = candidatesK
+                ? await this._searchCandidates(detection.descriptor, candidatesK, applyThreshold, userDescriptors, scope)
+                : undefined;
 
             const processingTime = Date.now() - startTime;
             const result = {
@@ -168,17 +243,66 @@ class FaceRecognitionService {
                 confidence: match ? match.distance : null,
                 processingTime,
                 backend: faceConfig.tfBackend,
-                detectionBox: detection.detection?.box || null
+                detectionBox: detection.detection?.box || null,
+                liveness,
+                ...(ambiguity && { ambiguity }),
+                ...(candidates && { candidates }),
+                ...(attributes && { attributes: faceAttributesService.extract(detection, attributes) }),
+                ...(trace && {
+                    explain: await this._explain(detection, trace, candidatesK, userDescriptors, scope)
+                }),
+                // Descriptor del frame (sesiones multi-frame); nunca se expone en la API
+                ...(options.includeDescriptor && {
+                    descriptor: Array.from(detection.descriptor),
+                    detectionScore: detection.detection.score
+                })
             };
 
+            // 3c. Plantillas adaptativas (opt-in): en background, no retrasa la respuesta
+            if (match) {
+                // Importar aquí para evitar ciclo circular
+                const adaptiveTemplateService = require('./adaptive-template.service');
+                if (adaptiveTemplateService.enabled) {
+                    adaptiveTemplateService.consider(match, detection, image);
+                }
+            }
+
+            // 3d. Watchlists: alerta si el rostro es de un miembro (en background)
+            watchlistService.check({
+                match,
+                ambiguity,
+                source: options.source,
+                tenant: options.tenant,
+                searchCandidates: (k) => this._searchCandidates(detection.descriptor, k, false, userDescriptors, scope)
+            });
+
+            // 3e. Rostro sin match: al almacén de desconocidos (opt-in, en background)
+            // Con colecciones no se sabe si el rostro está enrolado fuera de ellas: no se guarda
+            // (tampoco si es ambiguo: se parece a usuarios enrolados). Sesiones y streaming
+            // pasan recordUnknown = false: decenas de frames por visitante inflarían un cluster
+            if (!match && !ambiguity && !scope.userIds && options.recordUnknown !== false) {
+                // Importar aquí para evitar ciclo circular
+                const unknownFaceService = require('./unknown-face.service');
+                if (unknownFaceService.enabled) {
+                    unknownFaceService.record(detection.descriptor, {
+                        detectionScore: detection.detection.score,
+                        source: 'recognize',
+                        tenant: options.tenant
+                    });
+                }
+            }
+
             // 4. Guardar en caché si hay match
             if (cacheKey && match) {
-                await cacheService.set(cacheKey, result, 1800); // 30 min TTL
+                await cacheService.set(cacheKey, {
+                    ...result,
+                    queryDescriptor: Array.from(detection.descriptor)
+                }, 1800); // 30 min TTL
             }
 
             // 5. Actualizar métricas y stats
             this._updateStats(processingTime, !!match);
-            metricsService.recordRecognition(processingTime, match ? 'success' : 'not_found');
+            metricsService.recordRecognition(processingTime, match ? 'success' : ambiguity ? 'ambiguous' : 'not_found');
             logger.info(`✅ Reconocimiento en ${processingTime}ms (${faceConfig.tfBackend})`);
 
             return result;
@@ -191,49 +315,734 @@ class FaceRecognitionService {
         }
     }
 
+    /**
+     * Reconoce todos los rostros presentes en la imagen (fotos grupales, cámaras amplias)
+     * Cada rostro se busca de forma independiente en el índice HNSW.
+     * Cada rostro pasa por el liveness pasivo: los sospechosos de suplantación quedan
+     * marcados (spoofSuspected) con su score y no se identifican.
+     * Sin caché: el resultado depende de todos los rostros de la imagen.
+     */
+    async recognizeFaces(imageBuffer, userDescriptors = [], options = {}) {
+        const startTime = Date.now();
+
+        try {
+            logger.info('🔄 Iniciando reconocimiento multi-rostro');
+
+            const attributes = options.attributes || null;
+            const scope = await this.searchScope(options);
+            const trace = options.explain ? { steps: [] } : null;
+            const image = await this.processImageBuffer(imageBuffer, { ...options, trace });
+            const { faces, totalDetected, skippedSmall } = await faceConfig.detectAllFaces(
+                image,
+                faceAttributesService.getDetectionOptions(attributes)
+            );
+
+            if (faces.length === 0) {
+                throw new Error(totalDetected > 0
+                    ? `Rostros demasiado pequeños. Mínimo ${faceConfig.MIN_FACE_SIZE}px`
+                    : 'No se detectó ningún rostro en la imagen');
+            }
+
+            const results = [];
+            for (const face of faces) {
+                // Anti-spoofing por rostro: uno sospechoso (foto, pantalla) no se identifica,
+                // el resto de la imagen sí
+                let liveness;
+                try {
+                    liveness = await livenessService.check(image, face.detection.box, 'multi');
+                } catch (error) {
+                    if (error.code !== 'SPOOF_SUSPECTED') throw error;
+                    results.push({
+                        box: this.serializeBox(face.detection.box),
+                        detectionScore: face.detection.score,
+                        match: null,
+                        distance: null,
+                        spoofSuspected: true,
+                        liveness: error.details.liveness
+                    });
+                    continue;
+                }
+
+                const { match, ambiguity } = await this._matchDescriptor(face.descriptor, userDescriptors, scope, 'multi');
+                results.push({
+                    box: this.serializeBox(face.detection.box),
+                    detectionScore: face.detection.score,
+                    match,
+                    distance: match ? match.distance : null,
+                    liveness,
+                    ...(ambiguity && { ambiguity }),
+                    ...(attributes && { attributes: faceAttributesService.extract(face, attributes) }),
+                    ...(trace && { explain: await this._explain(face, trace, 0, userDescriptors, scope) })
+                });
+            }
+
+            // Watchlists por rostro (en background; los sospechosos de suplantación no cuentan)
+            faces.forEach((face, i) => {
+                if (results[i].spoofSuspected) return;
+                watchlistService.check({
+                    match: results[i].match,
+                    ambiguity: results[i].ambiguity,
+                    source: 'multi',
+                    tenant: options.tenant,
+                    searchCandidates: (k) => this._searchCandidates(face.descriptor, k, false, userDescriptors, scope)
+                });
+            });
+
+            // Rostros sin match: al almacén de desconocidos (opt-in, en background)
+            const unknownFaceService = require('./unknown-face.service');
+            if (unknownFaceService.enabled && !scope.userIds && options.recordUnknown !== false) {
+                faces.forEach((face, i) => {
+                    if (!results[i].match && !results[i].ambiguity && !results[i].spoofSuspected) {
+                        unknownFaceService.record(face.descriptor, {
+                            detectionScore: face.detection.score,
+                            source: 'multi',
+                            tenant: options.tenant
+                        });
+                    }
+                });
+            }
+
+            const recognized = results.filter(r => r.match).length;
+            const processingTime = Date.now() - startTime;
+
+            this._updateStats(processingTime, recognized > 0);
+            metricsService.recordRecognition(processingTime, recognized > 0 ? 'success' : 'not_found', 'multi');
+            logger.info(`✅ Multi-rostro en ${processingTime}ms: ${recognized}/${results.length} reconocidos`);
+
+            return {
+                faces: results,
+                totalDetected,
+                skippedSmall,
+                processingTime,
+                backend: faceConfig.tfBackend
+            };
+
+        } catch (error) {
+            const processingTime = Date.now() - startTime;
+            metricsService.recordRecognition(processingTime, 'error', 'multi');
+            logger.error('❌ Error en reconocimiento multi-rostro:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Sección explain (depuración de falsos rechazos, solo administradores):
+     * - detección: score, caja y caja alineada por landmarks (la que se recorta para el descriptor)
+     * - los 68 landmarks
+     * - pasos de preprocesamiento de optimizeForRecognition
+     * - miniatura del rostro alineado tal como entra a la red (150x150, JPEG base64;
+     *   el rostro rotado por landmarks si el perfil usa align)
+     * - distancia a los vecinos más cercanos, sin aplicar el umbral
+     */
+    async _explain(detection, trace, candidatesK, userDescriptors, scope) {
+        const alignedBox = detection.alignedRect.box;
+
+        let alignedFace = null;
+        try {
+            // Con alineación por landmarks (align en el perfil) el canvas ya es la entrada de la red
+            const thumbnail = detection.alignedFace
+                ? detection.alignedFace.toBuffer('image/jpeg', { quality: 0.8 })
+                : await imageProcessingService.generateThumbnail(
+                    await imageProcessingService.extractFaceRegion(trace.buffer, alignedBox, 0),
+                    EMBEDDING_INPUT_SIZE
+                );
+            alignedFace = `data:image/jpeg;base64,${thumbnail.toString('base64')}`;
+        } catch (error) {
+            logger.warn('⚠️ No se pudo generar el recorte alineado (explain):', error.message);
+        }
+
+        return {
+            detectionScore: Math.round(detection.detection.score * 1000) / 1000,
+            box: this.serializeBox(detection.detection.box),
+            alignedBox: this.serializeBox(alignedBox),
+            landmarks: detection.landmarks.positions.map(p => ({
+                x: Math.round(p.x * 10) / 10,
+                y: Math.round(p.y * 10) / 10
+            })),
+            preprocessing: trace.steps,
+            alignedFace,
+            threshold: faceConfig.CONFIDENCE_THRESHOLD,
+            candidates: await this._searchCandidates(
+                detection.descriptor,
+                candidatesK || EXPLAIN_CANDIDATES,
+                false,
+                userDescriptors,
+                scope
+            )
+        };
+    }
+
+    /**
+     * Evalúa la calidad de cada rostro de la imagen (sin reconocimiento)
+     * Mismas métricas y reglas que aplica el registro.
+     */
+    async assessQuality(imageBuffer, options = {}) {
+        const startTime = Date.now();
+
+        const image = await this.processImageBuffer(imageBuffer, options);
+        const { faces, totalDetected, skippedSmall } = await faceConfig.detectAllFaces(image);
+
+        const results = faces.map(face => ({
+            box: this.serializeBox(face.detection.box),
+            ...faceQualityService.assess(image, face)
+        }));
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`✅ Calidad evaluada en ${processingTime}ms: ` +
+            `${results.filter(r => r.passed).length}/${results.length} rostros aptos`);
+
+        return {
+            faces: results,
+            totalDetected,
+            skippedSmall,
+            rules: faceConfig.QUALITY_RULES,
+            processingTime
+        };
+    }
+
+    /**
+     * Estima atributos (expresión, edad, género) de cada rostro, sin reconocimiento
+     *
+     * @param {string[]} attributes - Atributos validados por faceAttributesService.parseRequest
+     */
+    async analyzeFaces(imageBuffer, attributes, options = {}) {
+        const startTime = Date.now();
+
+        const image = await this.processImageBuffer(imageBuffer, options);
+        const { faces, totalDetected, skippedSmall } = await faceConfig.detectAllFaces(
+            image,
+            faceAttributesService.getDetectionOptions(attributes)
+        );
+
+        const results = faces.map(face => ({
+            box: this.serializeBox(face.detection.box),
+            detectionScore: Math.round(face.detection.score * 1000) / 1000,
+            attributes: faceAttributesService.extract(face, attributes)
+        }));
+
+        const processingTime = Date.now() - startTime;
+        logger.info(`✅ Análisis de atributos en ${processingTime}ms: ${results.length} rostros`);
+
+        return {
+            faces: results,
+            attributes,
+            totalDetected,
+            skippedSmall,
+            processingTime,
+            backend: faceConfig.tfBackend
+        };
+    }
+
+    /**
+     * Identifica un descriptor ya calculado (p.ej. el promedio de una sesión multi-frame)
+     *
+     * @param {Object} options
+     * @param {string} options.tenant - Buscar solo en el índice de este tenant
+     * @param {string[]} options.collections - Buscar solo entre los miembros de estas colecciones
+     * @param {string} options.mode - Modo para la métrica de decisiones
+     * @returns {Promise<Object|null>} Match, o null si no hay match o es ambiguo
+     */
+    async matchDescriptor(descriptor, userDescriptors = [], options = {}) {
+        const { match } = await this._matchDescriptor(
+            descriptor,
+            userDescriptors,
+            await this.searchScope(options),
+            options.mode
+        );
+        return match;
+    }
+
+    /**
+     * Identificación 1:N a partir de un descriptor calculado en el cliente
+     * (face-api.js en el navegador o en el dispositivo): sin imagen, sin detección
+     * ni liveness. Mismo umbral, watchlists y métricas que recognizeFace.
+     *
+     * El descriptor se normaliza (L2) antes de buscar: el cliente puede enviar el vector
+     * con otra escala. Las plantillas de FaceRecognitionNet ya tienen norma ≈ 1, así que
+     * la distancia a un genuino cambia como mucho en |1 - ‖plantilla‖|.
+     *
+     * La codificación (options.encoding, por defecto 'crop': la de face-api.js en el
+     * navegador) debe coincidir con la del índice (perfil RECOGNIZE): un descriptor del
+     * recorte contra plantillas alineadas, o al revés, no es comparable.
+     *
+     * @param {Float32Array} rawDescriptor - Ver validators.parseDescriptor
+     * @param {Object} options - candidates, applyThreshold, tenant, collections, encoding
+     * @throws {RecognitionError} INVALID_ENCODING | ENCODING_MISMATCH | INVALID_DESCRIPTOR (norma 0)
+     */
+    async searchByDescriptor(rawDescriptor, userDescriptors = [], options = {}) {
+        const startTime = Date.now();
+
+        const encoding = options.encoding ?? 'crop';
+        if (!DESCRIPTOR_ENCODINGS.includes(encoding)) {
+            throw new RecognitionError(`encoding debe ser uno de: ${DESCRIPTOR_ENCODINGS.join(', ')}`, 'INVALID_ENCODING');
+        }
+        const indexEncoding = faceConfig.getEncoding('RECOGNIZE');
+        if (encoding !== indexEncoding) {
+            throw new RecognitionError(
+                `El descriptor es '${encoding}' y las plantillas del índice son '${indexEncoding}'`,
+                'ENCODING_MISMATCH',
+                400,
+                { encoding, expected: indexEncoding }
+            );
+        }
+
+        const norm = Math.sqrt(rawDescriptor.reduce((sum, v) => sum + v * v, 0));
+        if (!(norm > 0)) {
+            throw new RecognitionError('El descriptor no se puede normalizar (norma 0)', 'INVALID_DESCRIPTOR');
+        }
+        const descriptor = rawDescriptor.map(v => v / norm);
+
+        try {
+            const scope = await this.searchScope(options);
+            const candidatesK = options.candidates ? Math.min(options.candidates, faceConfig.MAX_CANDIDATES) : 0;
+
+            const { match, ambiguity } = await this._matchDescriptor(descriptor, userDescriptors, scope, 'descriptor');
+            const candidates = candidatesK
+                ? await this._searchCandidates(descriptor, candidatesK, options.applyThreshold !== false, userDescriptors, scope)
+                : undefined;
+
+            watchlistService.check({
+                match,
+                ambiguity,
+                source: 'descriptor',
+                tenant: options.tenant,
+                searchCandidates: (k) => this._searchCandidates(descriptor, k, false, userDescriptors, scope)
+            });
+
+            const processingTime = Date.now() - startTime;
+            this._updateStats(processingTime, !!match);
+            metricsService.recordRecognition(processingTime, match ? 'success' : ambiguity ? 'ambiguous' : 'not_found', 'descriptor');
+
+            return {
+                match,
+                confidence: match ? match.distance : null,
+                threshold: this.effectiveThreshold({ match, ambiguity, candidates }),
+                processingTime,
+                ...(ambiguity && { ambiguity }),
+                ...(candidates && { candidates })
+            };
+
+        } catch (error) {
+            metricsService.recordRecognition(Date.now() - startTime, 'error', 'descriptor');
+            logger.error('❌ Error en búsqueda por descriptor:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Umbral con el que se decidió un resultado: el propio del usuario del match, del
+     * ganador de un match ambiguo o del candidato más cercano; sin ninguno, el global
+     */
+    effectiveThreshold({ match, ambiguity, candidates } = {}) {
+        return match?.threshold ?? ambiguity?.threshold ?? candidates?.[0]?.threshold ?? faceConfig.CONFIDENCE_THRESHOLD;
+    }
+
+    /**
+     * Dónde buscar: índice (global o del tenant) y, con colecciones, los usuarios permitidos
+     *
+     * @returns {Promise<{ index: HNSWService, userIds: Set<number>|null, collectionsVersion: string|null, tenant: string|null }>}
+     */
+    async searchScope(options = {}) {
+        const collections = await collectionService.resolveScope(options.collections, options.tenant);
+        return {
+            index: await this.indexFor(options.tenant),
+            userIds: collections ? collections.userIds : null,
+            collectionsVersion: collections ? collections.version : null,
+            tenant: options.tenant || null
+        };
+    }
+
+    /**
+     * Índice HNSW donde buscar: con tenancy, el del tenant (id_cliente); sin ella, el global
+     */
+    async indexFor(tenant) {
+        if (!config.TENANCY.ENABLED) return hnswService;
+
+        if (!tenant) {
+            throw new RecognitionError('Se requiere un tenant para buscar en el índice', 'TENANT_REQUIRED');
+        }
+
+        return hnswService.forTenant(tenant, () => FaceTemplate.getActiveTemplates({ tenant }));
+    }
+
+    /**
+     * Usuarios para la búsqueda lineal: solo se cargan si el índice (del tenant) está vacío
+     */
+    async getFallbackUsers(tenant) {
+        const index = await this.indexFor(tenant);
+        if (index.isInitialized && index.size() > 0) return [];
+        return User.getActiveUsers({ tenant });
+    }
+
+    /**
+     * Busca el mejor match para un descriptor (HNSW preferido, fallback a lineal)
+     * Un match ambiguo (ver _checkAmbiguity) se retorna como match = null con `ambiguity`.
+     *
+     * @param {string} mode - Modo para la métrica de decisiones (recognize, multi, descriptor, session)
+     * @returns {Promise<{ match: Object|null, ambiguity: Object|null }>}
+     */
+    async _matchDescriptor(descriptor, userDescriptors = [], scope = { index: hnswService }, mode = 'recognize') {
+        let decision;
+
+        if (scope.index.isInitialized && scope.index.size() > 0) {
+            this.stats.hnswSearches++;
+            decision = await this._searchHNSW(descriptor, scope);
+        } else if (userDescriptors.length > 0) {
+            // Fallback a búsqueda lineal (O(n))
+            logger.debug('Usando búsqueda lineal (HNSW no disponible)');
+            decision = await this.findBestMatch(descriptor, this._usersInScope(userDescriptors, scope), scope.tenant);
+        } else {
+            return { match: null, ambiguity: null };
+        }
+
+        if (decision.ambiguity) {
+            logger.info(`⚖️ Match ambiguo: ${decision.ambiguity.candidates.map(c => c.ci).join(', ')} ` +
+                `(margen ${decision.ambiguity.margin.toFixed(4)})`);
+        }
+        metricsService.recordMatchDecision(mode, decision.ambiguity ? 'ambiguous' : decision.match ? 'match' : 'no_match');
+
+        return decision;
+    }
+
+    /**
+     * Radio de búsqueda ampliado con el margen de ambigüedad: un rival que queda
+     * justo fuera del umbral también puede hacer ambiguo al mejor candidato
+     */
+    _ambiguityRadius(radius) {
+        const ratio = Math.min(faceConfig.AMBIGUITY_MIN_RATIO, 0.99);
+        return Math.max(
+            radius + Math.max(faceConfig.AMBIGUITY_MIN_MARGIN, 0),
+            ratio > 0 ? radius / (1 - ratio) : radius
+        );
+    }
+
+    /**
+     * Rechazo por ambigüedad: si otro usuario queda a menos del margen mínimo del mejor
+     * (d2 - d1 < AMBIGUITY_MIN_MARGIN o (d2 - d1) / d2 < AMBIGUITY_MIN_RATIO) no se elige
+     * a ninguno. Un rival más cercano que no cumplía su propio umbral también cuenta.
+     *
+     * @param {Object} best - Candidato ganador { id, ci, name, id_cliente, distance, similarity, threshold }
+     * @param {Object[]} others - Resto de usuarios (distintos) encontrados
+     * @param {string|null} [tenant] - Para la calibración del tenant
+     * @returns {{ margin, minMargin, minRatio, threshold, candidates }|null}
+     */
+    _checkAmbiguity(best, others, tenant = null) {
+        const minMargin = faceConfig.AMBIGUITY_MIN_MARGIN;
+        const minRatio = faceConfig.AMBIGUITY_MIN_RATIO;
+        if (minMargin <= 0 && minRatio <= 0) return null;
+
+        const rivals = others.filter(r => {
+            const margin = r.distance - best.distance;
+            return (minMargin > 0 && margin < minMargin) || (minRatio > 0 && margin < minRatio * r.distance);
+        });
+        if (rivals.length === 0) return null;
+
+        return {
+            margin: Math.min(...rivals.map(r => r.distance)) - best.distance,
+            minMargin,
+            minRatio,
+            threshold: best.threshold,
+            candidates: [best, ...rivals]
+                .sort((a, b) => a.distance - b.distance)
+                .map((r, i) => ({
+                    rank: i + 1,
+                    id: r.id,
+                    ci: r.ci,
+                    name: r.name,
+                    id_cliente: r.id_cliente,
+                    distance: r.distance,
+                    similarity: r.similarity,
+                    probability: calibrationService.probability(r.distance, tenant)
+                }))
+        };
+    }
+
+    /**
+     * Verificación 1:1 - compara el rostro de la imagen contra el descriptor
+     * almacenado de un único usuario (sin búsqueda en el índice HNSW)
+     */
+    async verifyFace(imageBuffer, user, options = {}) {
+        const startTime = Date.now();
+
+        try {
+            logger.info(`🔄 Verificando rostro contra CI: ${user.ci}`);
+
+            const image = await this.processImageBuffer(imageBuffer, options);
+            const detection = await faceConfig.detectFace(image, 'RECOGNIZE');
+
+            if (!detection) {
+                throw new Error('No se detectó ningún rostro en la imagen');
+            }
+
+            const liveness = await livenessService.check(image, detection.detection.box, 'verify');
+
+            // Se compara contra todas las plantillas del usuario (la más cercana decide)
+            const templates = await FaceTemplate.findByUser(user.id, true);
+            const storedDescriptors = (templates.length > 0 ? templates : [user])
+                .map(t => new Float32Array(JSON.parse(t.descriptor)));
+            const distance = Math.min(...storedDescriptors.map(stored =>
+                faceapi.euclideanDistance(detection.descriptor, stored)
+            ));
+            const threshold = user.match_threshold ?? faceConfig.CONFIDENCE_THRESHOLD;
+            const isMatch = distance <= threshold;
+
+            const processingTime = Date.now() - startTime;
+            metricsService.recordRecognition(processingTime, isMatch ? 'success' : 'not_match', 'verify');
+            logger.info(`✅ Verificación en ${processingTime}ms: ${isMatch ? 'match' : 'no match'} (dist: ${distance.toFixed(4)})`);
+
+            return {
+                match: isMatch,
+                distance,
+                similarity: Math.round((1 - distance) * 100),
+                probability: calibrationService.probability(distance, options.tenant),
+                threshold,
+                templatesCompared: storedDescriptors.length,
+                liveness,
+                processingTime,
+                backend: faceConfig.tfBackend,
+                detectionBox: detection.detection?.box || null
+            };
+
+        } catch (error) {
+            const processingTime = Date.now() - startTime;
+            metricsService.recordRecognition(processingTime, 'error', 'verify');
+            logger.error('❌ Error en verificación facial:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Comparación 1:1 entre dos imágenes sin enrolamiento (p.ej. foto del documento vs selfie)
+     * No consulta el índice ni guarda nada: solo detecta, mide calidad y compara descriptores.
+     *
+     * @param {Buffer[]} imageBuffers - Exactamente dos imágenes
+     * @throws {RecognitionError} NO_FACE_DETECTED (404) con `image` = image1 | image2
+     */
+    async compareFaces(imageBuffers, options = {}) {
+        const startTime = Date.now();
+
+        try {
+            // En secuencia: el backend de TensorFlow no gana nada con dos inferencias en paralelo
+            const faces = [];
+            for (const [i, imageBuffer] of imageBuffers.entries()) {
+                const image = await this.processImageBuffer(imageBuffer, options);
+                const detection = await faceConfig.detectFace(image, 'RECOGNIZE');
+
+                if (!detection) {
+                    throw new RecognitionError(
+                        `No se detectó ningún rostro en la imagen ${i + 1}`,
+                        'NO_FACE_DETECTED',
+                        404,
+                        { image: `image${i + 1}` }
+                    );
+                }
+
+                faces.push({
+                    descriptor: detection.descriptor,
+                    box: this.serializeBox(detection.detection.box),
+                    quality: faceQualityService.assess(image, detection)
+                });
+            }
+
+            const distance = faceapi.euclideanDistance(faces[0].descriptor, faces[1].descriptor);
+            const threshold = faceConfig.CONFIDENCE_THRESHOLD;
+            const isMatch = distance <= threshold;
+
+            const processingTime = Date.now() - startTime;
+            metricsService.recordRecognition(processingTime, isMatch ? 'success' : 'not_match', 'compare');
+            logger.info(`✅ Comparación en ${processingTime}ms: ${isMatch ? 'match' : 'no match'} (dist: ${distance.toFixed(4)})`);
+
+            return {
+                match: isMatch,
+                distance,
+                similarity: Math.round((1 - distance) * 100),
+                probability: calibrationService.probability(distance, options.tenant),
+                threshold,
+                faces: faces.map(({ box, quality }) => ({ box, quality })),
+                processingTime,
+                backend: faceConfig.tfBackend
+            };
+
+        } catch (error) {
+            metricsService.recordRecognition(Date.now() - startTime, 'error', 'compare');
+            logger.error('❌ Error en comparación de rostros:', error.message);
+            throw error;
+        }
+    }
+
     /**
      * Búsqueda HNSW O(log n) - para 100K-1M caras
+     * Cada candidato se evalúa contra su propio umbral (users.match_threshold o el global):
+     * gana el más cercano que lo cumple, salvo que otro usuario quede dentro del margen
+     * de ambigüedad.
+     *
+     * @returns {Promise<{ match: Object|null, ambiguity: Object|null }>}
      */
-    async _searchHNSW(queryDescriptor) {
+    async _searchHNSW(queryDescriptor, scope = { index: hnswService }) {
         const startTime = Date.now();
+        const overrides = await userThresholdService.getOverrides();
 
-        const results = await hnswService.search(
+        const results = (await scope.index.search(
             queryDescriptor,
-            5, // Buscar top-5 candidatos
-            faceConfig.CONFIDENCE_THRESHOLD
-        );
+            5, // Buscar top-5 candidatos (un resultado por usuario)
+            this._ambiguityRadius(userThresholdService.searchRadius(overrides)),
+            { userIds: scope.userIds }
+        )).map(r => ({ ...r, id: r.userId }));
 
         metricsService.recordHnswSearch(Date.now() - startTime);
 
-        if (results.length === 0) return null;
+        const best = results.find(r => r.distance <= userThresholdService.thresholdFor(r.id, overrides));
+        if (!best) return { match: null, ambiguity: null };
 
-        const best = results[0];
-        if (best.distance > faceConfig.CONFIDENCE_THRESHOLD) return null;
+        const threshold = userThresholdService.thresholdFor(best.id, overrides);
+        const ambiguity = this._checkAmbiguity({ ...best, threshold }, results.filter(r => r !== best), scope.tenant);
+        if (ambiguity) return { match: null, ambiguity };
 
-        return {
+        const match = {
             id: best.userId,
             ci: best.ci,
             name: best.name,
             id_cliente: best.id_cliente,
             distance: best.distance,
-            similarity: best.similarity
+            similarity: best.similarity,
+            probability: calibrationService.probability(best.distance, scope.tenant),
+            threshold
         };
+
+        return { match, ambiguity: null };
+    }
+
+    /**
+     * Lista ordenada de los K candidatos más cercanos (ranking para investigadores)
+     * Con applyThreshold = false se retornan los K vecinos aunque superen el umbral
+     * (si no, cada uno se filtra por su propio umbral).
+     */
+    async _searchCandidates(queryDescriptor, k, applyThreshold = true, userDescriptors = [], scope = { index: hnswService }) {
+        const overrides = await userThresholdService.getOverrides();
+        const threshold = applyThreshold ? userThresholdService.searchRadius(overrides) : Infinity;
+        let results = [];
+
+        if (scope.index.isInitialized && scope.index.size() > 0) {
+            const startTime = Date.now();
+            results = (await scope.index.search(queryDescriptor, k, threshold, { userIds: scope.userIds }))
+                .map(r => ({ ...r, id: r.userId }));
+            metricsService.recordHnswSearch(Date.now() - startTime);
+        } else if (userDescriptors.length > 0) {
+            results = this._linearSearch(queryDescriptor, this._usersInScope(userDescriptors, scope), k, threshold);
+        }
+
+        if (applyThreshold) {
+            results = results.filter(r => r.distance <= userThresholdService.thresholdFor(r.id, overrides));
+        }
+
+        return results.map((r, i) => ({
+            rank: i + 1,
+            id: r.id,
+            ci: r.ci,
+            name: r.name,
+            id_cliente: r.id_cliente,
+            distance: r.distance,
+            similarity: r.similarity,
+            probability: calibrationService.probability(r.distance, scope.tenant),
+            threshold: userThresholdService.thresholdFor(r.id, overrides)
+        }));
+    }
+
+    /**
+     * Usuarios de la búsqueda lineal que caen dentro de las colecciones pedidas
+     */
+    _usersInScope(userDescriptors, scope) {
+        return scope.userIds ? userDescriptors.filter(user => scope.userIds.has(user.id)) : userDescriptors;
+    }
+
+    /**
+     * Distancia de un usuario en la búsqueda lineal: la de su plantilla más cercana,
+     * igual que el índice HNSW (sin plantillas cargadas, la de users.descriptor)
+     */
+    _userDistance(queryDescriptor, user) {
+        const descriptors = user.template_descriptors?.length ? user.template_descriptors : [user.descriptor];
+        return Math.min(...descriptors.map(descriptor =>
+            faceapi.euclideanDistance(queryDescriptor, new Float32Array(JSON.parse(descriptor)))
+        ));
+    }
+
+    /**
+     * Búsqueda lineal O(n) de los k usuarios más cercanos dentro del umbral
+     */
+    _linearSearch(queryDescriptor, userDescriptors, k, threshold) {
+        return userDescriptors
+            .map(user => {
+                try {
+                    const distance = this._userDistance(queryDescriptor, user);
+                    return { ...user, distance, similarity: Math.round((1 - distance) * 100) };
+                } catch (error) {
+                    logger.warn(`Error comparando descriptor usuario ${user.ci}:`, error);
+                    return null;
+                }
+            })
+            .filter(r => r && r.distance <= threshold)
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, k);
+    }
+
+    /**
+     * Busca un usuario activo ya registrado con el mismo rostro (DUPLICATE_THRESHOLD)
+     * Los candidatos del índice se confirman contra la DB: el soft delete no
+     * quita al usuario del índice HNSW.
+     *
+     * @param {Object} options
+     * @param {number} options.excludeUserId - Ignorar a este usuario (al agregarle plantillas)
+     * @param {string} options.tenant - Solo usuarios de este tenant (con tenancy)
+     * @returns {Object|null} { id, ci, name, distance, similarity } del usuario en conflicto
+     */
+    async findDuplicateIdentity(descriptor, options = {}) {
+        const threshold = faceConfig.DUPLICATE_THRESHOLD;
+        const index = await this.indexFor(options.tenant);
+        let candidates;
+
+        if (index.isInitialized && index.size() > 0) {
+            const startTime = Date.now();
+            candidates = (await index.search(descriptor, 5, threshold))
+                .map(r => ({ ...r, id: r.userId }));
+            metricsService.recordHnswSearch(Date.now() - startTime);
+        } else {
+            candidates = this._linearSearch(descriptor, await User.getActiveUsers({ tenant: options.tenant }), 5, threshold);
+        }
+
+        for (const candidate of candidates) {
+            if (candidate.id === options.excludeUserId) continue;
+            const user = await User.findById(candidate.id);
+            if (user) {
+                return {
+                    id: user.id,
+                    ci: user.ci,
+                    name: user.name,
+                    distance: candidate.distance,
+                    similarity: candidate.similarity
+                };
+            }
+        }
+
+        return null;
     }
 
     /**
      * Búsqueda lineal O(n) - fallback para cuando HNSW no está disponible
+     *
+     * @param {string|null} [tenant] - Para la calibración del tenant
+     * @returns {Promise<{ match: Object|null, ambiguity: Object|null }>}
      */
-    async findBestMatch(queryDescriptor, userDescriptors) {
-        if (!userDescriptors || userDescriptors.length === 0) return null;
+    async findBestMatch(queryDescriptor, userDescriptors, tenant = null) {
+        if (!userDescriptors || userDescriptors.length === 0) return { match: null, ambiguity: null };
 
         let bestMatch = null;
         let bestDistance = Infinity;
 
         const comparisons = userDescriptors.map(async (user) => {
             try {
-                const dbDescriptor = new Float32Array(JSON.parse(user.descriptor));
-                const distance = faceapi.euclideanDistance(queryDescriptor, dbDescriptor);
-                return { user, distance, isMatch: distance < faceConfig.CONFIDENCE_THRESHOLD };
+                const distance = this._userDistance(queryDescriptor, user);
+                const threshold = user.match_threshold ?? faceConfig.CONFIDENCE_THRESHOLD;
+                return { user, distance, threshold, isMatch: distance <= threshold };
             } catch (error) {
                 logger.warn(`Error comparando descriptor usuario ${user.ci}:`, error);
                 return null;
@@ -248,27 +1057,48 @@ class FaceRecognitionService {
                 bestMatch = {
                     ...result.user,
                     distance: result.distance,
-                    similarity: Math.round((1 - result.distance) * 100)
+                    similarity: Math.round((1 - result.distance) * 100),
+                    probability: calibrationService.probability(result.distance, tenant),
+                    threshold: result.threshold
                 };
             }
         }
 
-        return bestMatch;
+        if (!bestMatch) return { match: null, ambiguity: null };
+
+        const others = results
+            .filter(r => r && r.user.id !== bestMatch.id)
+            .map(r => ({ ...r.user, distance: r.distance, similarity: Math.round((1 - r.distance) * 100) }));
+        const ambiguity = this._checkAmbiguity(bestMatch, others, tenant);
+
+        return ambiguity ? { match: null, ambiguity } : { match: bestMatch, ambiguity: null };
     }
 
     /**
      * Sincroniza el índice HNSW con la base de datos
-     * Llama esto después de register/update/delete para mantener el índice actualizado
+     * Llama esto después de crear/eliminar plantillas para mantener el índice actualizado
+     *
+     * @param {string} operation - add (plantilla) | remove (plantilla) | removeUser (todas las del usuario)
+     * @param {Object} data - { templateId, userId, descriptor, userMeta, tenant }
+     *                        (tenant: id_cliente del usuario; por defecto userMeta.id_cliente)
      */
-    async syncHNSWIndex(userId, descriptor, userMeta, operation = 'add') {
+    async syncHNSWIndex(operation, { templateId, userId, descriptor, userMeta = {}, tenant = userMeta.id_cliente } = {}) {
         try {
-            if (operation === 'add' || operation === 'update') {
-                await hnswService.addUser(userId, descriptor, userMeta);
-                metricsService.updateHnswIndexSize(hnswService.size());
+            // Con tenancy, los usuarios sin id_cliente no pertenecen a ningún índice
+            if (config.TENANCY.ENABLED && !tenant) {
+                logger.debug(`HNSW: usuario ${userId} sin id_cliente, no se indexa`);
+                return;
+            }
+
+            const index = await this.indexFor(tenant);
+            if (operation === 'add') {
+                await index.addTemplate(templateId, userId, descriptor, userMeta);
             } else if (operation === 'remove') {
-                await hnswService.removeUser(userId);
-                metricsService.updateHnswIndexSize(hnswService.size());
+                await index.removeTemplate(templateId);
+            } else if (operation === 'removeUser') {
+                await index.removeUser(userId);
             }
+            metricsService.updateHnswIndexSize(hnswService.totalSize());
         } catch (error) {
             // Error en HNSW no es crítico - búsqueda lineal como fallback
             logger.warn(`Error sincronizando HNSW para usuario ${userId}:`, error.message);
@@ -291,14 +1121,27 @@ class FaceRecognitionService {
         }
     }
 
+    /**
+     * Caja de detección con coordenadas enteras (formato de respuesta de la API)
+     */
+    serializeBox(box) {
+        return {
+            x: Math.round(box.x),
+            y: Math.round(box.y),
+            width: Math.round(box.width),
+            height: Math.round(box.height)
+        };
+    }
+
     calculateConfidenceScore(detection) {
         const detectionScore = detection.detection.score || 0;
         const landmarkQuality = detection.landmarks ? 0.9 : 0.7;
         return Math.round((detectionScore * landmarkQuality) * 100) / 100;
     }
 
-    generateCacheKey(imageBuffer) {
-        return `face_recog_${crypto.createHash('md5').update(imageBuffer).digest('hex')}`;
+    generateCacheKey(imageBuffer, suffix = '') {
+        const hash = crypto.createHash('md5').update(imageBuffer).digest('hex');
+        return `face_recog_${hash}${suffix ? `_${suffix}` : ''}`;
     }
 
     _updateStats(processingTime, success) {
@@ -324,7 +1167,9 @@ class FaceRecognitionService {
             gpuEnabled: faceConfig.tfBackend === 'gpu',
             hnswEnabled: hnswService.isInitialized,
             hnswSize: hnswService.size(),
-            hnswStats: hnswService.getStats()
+            hnswStats: hnswService.getStats(),
+            ...(config.TENANCY.ENABLED && { tenantIndexes: hnswService.getTenantStats() }),
+            liveness: livenessService.getStats()
         };
     }
 
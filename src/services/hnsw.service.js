@@ -9,6 +9,7 @@
  */
 
 const { HierarchicalNSW } = require('hnswlib-node');
+const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs');
 const logger = require('../utils/logger');
@@ -20,16 +21,33 @@ const HNSW_M = 16;           // Conexiones por nodo (16-64 recomendado)
 const HNSW_EF_CONSTRUCTION = 200; // Calidad de construcción (>=2*M)
 const HNSW_EF_SEARCH = 100;  // Calidad de búsqueda (>=k)
 const MAX_ELEMENTS = 1_100_000; // Capacidad máxima del índice
+// Capacidad inicial de cada índice de tenant (crece al llenarse, ver addTemplate)
+const TENANT_MAX_ELEMENTS = parseInt(process.env.HNSW_TENANT_MAX_ELEMENTS) || 100_000;
+// Cada usuario puede tener varias plantillas: se piden más vecinos que k para que, al
+// colapsar por usuario, sigan quedando k usuarios distintos. Si un usuario con muchas
+// plantillas llena los vecinos, la búsqueda se repite duplicando su cantidad (ver search)
+const TEMPLATE_OVERSAMPLING = 4;
+// Versión del formato de metadatos (v2: un vector por plantilla)
+const META_VERSION = 2;
 
 class HNSWService {
-    constructor() {
+    /**
+     * @param {Object} options - Para índices adicionales (p.ej. rostros desconocidos)
+     * @param {string} options.indexPath
+     * @param {string} options.metaPath
+     * @param {number} options.maxElements - Capacidad (hnswlib reserva la memoria al crear el índice)
+     */
+    constructor(options = {}) {
         this.index = null;
-        this.idMap = new Map();       // hnsw_label -> { userId, ci, name, id_cliente }
-        this.reverseIdMap = new Map(); // userId -> hnsw_label
+        this.idMap = new Map();        // hnsw_label -> { templateId, userId, ci, name, id_cliente }
+        this.reverseIdMap = new Map(); // templateId -> hnsw_label
+        this.userTemplates = new Map(); // userId -> Set(templateId)
         this.nextLabel = 0;
         this.isInitialized = false;
-        this.indexPath = path.resolve(process.env.HNSW_INDEX_PATH || './data/hnsw.index');
-        this.metaPath = path.resolve(process.env.HNSW_META_PATH || './data/hnsw.meta.json');
+        this.maxElements = options.maxElements || MAX_ELEMENTS;
+        this.indexPath = path.resolve(options.indexPath || process.env.HNSW_INDEX_PATH || './data/hnsw.index');
+        this.metaPath = path.resolve(options.metaPath || process.env.HNSW_META_PATH || './data/hnsw.meta.json');
+        this.tenants = new Map();       // id_cliente -> { index: HNSWService, ready: Promise }
         this.stats = {
             totalVectors: 0,
             totalSearches: 0,
@@ -72,10 +90,11 @@ class HNSWService {
      */
     async createIndex() {
         this.index = new HierarchicalNSW('l2', DESCRIPTOR_DIM);
-        this.index.initIndex(MAX_ELEMENTS, HNSW_M, HNSW_EF_CONSTRUCTION);
+        this.index.initIndex(this.maxElements, HNSW_M, HNSW_EF_CONSTRUCTION);
         this.index.setEf(HNSW_EF_SEARCH);
         this.idMap.clear();
         this.reverseIdMap.clear();
+        this.userTemplates.clear();
         this.nextLabel = 0;
         this.stats.totalVectors = 0;
         logger.info('🔨 Nuevo índice HNSW creado (vacío)');
@@ -90,10 +109,18 @@ class HNSWService {
             await this.index.readIndex(this.indexPath, false);
             this.index.setEf(HNSW_EF_SEARCH);
 
-            // Cargar metadatos (mapeo id -> label)
+            // Cargar metadatos (mapeo plantilla -> label)
             const meta = JSON.parse(fs.readFileSync(this.metaPath, 'utf-8'));
+            if (meta.version !== META_VERSION) {
+                // Índice de una versión anterior (un vector por usuario): se reconstruye desde DB
+                throw new Error(`formato de metadatos v${meta.version || 1} obsoleto (actual: v${META_VERSION})`);
+            }
             this.idMap = new Map(meta.idMap.map(([k, v]) => [parseInt(k), v]));
             this.reverseIdMap = new Map(meta.reverseIdMap.map(([k, v]) => [parseInt(k), parseInt(v)]));
+            this.userTemplates.clear();
+            for (const { templateId, userId } of this.idMap.values()) {
+                this._trackTemplate(userId, templateId);
+            }
             this.nextLabel = meta.nextLabel;
             this.stats.totalVectors = this.idMap.size;
             this.stats.lastRebuildAt = meta.lastRebuildAt;
@@ -115,6 +142,7 @@ class HNSWService {
             this.index.writeIndex(this.indexPath);
 
             const meta = {
+                version: META_VERSION,
                 nextLabel: this.nextLabel,
                 lastRebuildAt: new Date().toISOString(),
                 idMap: Array.from(this.idMap.entries()),
@@ -129,28 +157,36 @@ class HNSWService {
     }
 
     /**
-     * Agrega un usuario al índice HNSW
-     * @param {number} userId - ID del usuario en DB
+     * Agrega una plantilla facial al índice HNSW
+     * @param {number} templateId - ID de la plantilla en face_templates
+     * @param {number} userId - ID del usuario dueño de la plantilla
      * @param {number[]} descriptor - Descriptor facial de 128 dimensiones
      * @param {Object} userMeta - Metadata del usuario (ci, name, id_cliente)
      */
-    async addUser(userId, descriptor, userMeta = {}) {
+    async addTemplate(templateId, userId, descriptor, userMeta = {}) {
         if (!this.isInitialized) {
             throw new Error('HNSW Index no inicializado');
         }
 
-        // Si el usuario ya existe, actualizar descriptor
-        if (this.reverseIdMap.has(userId)) {
-            await this.updateUser(userId, descriptor, userMeta);
-            return;
+        // HNSW no soporta update directo: si la plantilla ya existe se reemplaza
+        if (this.reverseIdMap.has(templateId)) {
+            await this.removeTemplate(templateId);
+        }
+
+        // hnswlib reserva la capacidad al crear el índice: al llenarse se duplica
+        if (this.index.getCurrentCount() >= this.index.getMaxElements()) {
+            this.maxElements = this.index.getMaxElements() * 2;
+            this.index.resizeIndex(this.maxElements);
+            logger.info(`📈 HNSW: capacidad ampliada a ${this.maxElements} vectores (${this.indexPath})`);
         }
 
         const label = this.nextLabel++;
         const vector = descriptor instanceof Float32Array ? Array.from(descriptor) : descriptor;
 
         this.index.addPoint(vector, label);
-        this.idMap.set(label, { userId, ...userMeta });
-        this.reverseIdMap.set(userId, label);
+        this.idMap.set(label, { templateId, userId, ...userMeta });
+        this.reverseIdMap.set(templateId, label);
+        this._trackTemplate(userId, templateId);
         this.stats.totalVectors++;
 
         // Guardar periódicamente (cada 100 adiciones)
@@ -158,46 +194,51 @@ class HNSWService {
             await this.saveIndex();
         }
 
-        logger.debug(`HNSW: Usuario ${userId} agregado (label: ${label})`);
+        logger.debug(`HNSW: Plantilla ${templateId} del usuario ${userId} agregada (label: ${label})`);
     }
 
     /**
-     * Actualiza el descriptor de un usuario existente
+     * Elimina una plantilla del índice HNSW
      */
-    async updateUser(userId, descriptor, userMeta = {}) {
-        if (!this.reverseIdMap.has(userId)) {
-            await this.addUser(userId, descriptor, userMeta);
-            return;
-        }
+    async removeTemplate(templateId) {
+        if (!this.reverseIdMap.has(templateId)) return;
 
-        const label = this.reverseIdMap.get(userId);
-        const vector = descriptor instanceof Float32Array ? Array.from(descriptor) : descriptor;
+        const label = this.reverseIdMap.get(templateId);
+        const { userId } = this.idMap.get(label) || {};
 
-        // HNSW no soporta update directo - marcar como eliminado y agregar nuevo
         this.index.markDelete(label);
-
-        const newLabel = this.nextLabel++;
-        this.index.addPoint(vector, newLabel);
         this.idMap.delete(label);
-        this.idMap.set(newLabel, { userId, ...userMeta });
-        this.reverseIdMap.set(userId, newLabel);
+        this.reverseIdMap.delete(templateId);
+        this.stats.totalVectors = Math.max(0, this.stats.totalVectors - 1);
 
-        logger.debug(`HNSW: Usuario ${userId} actualizado (nuevo label: ${newLabel})`);
+        const templates = this.userTemplates.get(userId);
+        if (templates) {
+            templates.delete(templateId);
+            if (templates.size === 0) this.userTemplates.delete(userId);
+        }
+
+        logger.debug(`HNSW: Plantilla ${templateId} eliminada (label: ${label})`);
     }
 
     /**
-     * Elimina un usuario del índice HNSW
+     * Elimina todas las plantillas de un usuario del índice HNSW
      */
     async removeUser(userId) {
-        if (!this.reverseIdMap.has(userId)) return;
+        const templates = this.userTemplates.get(userId);
+        if (!templates) return;
 
-        const label = this.reverseIdMap.get(userId);
-        this.index.markDelete(label);
-        this.idMap.delete(label);
-        this.reverseIdMap.delete(userId);
-        this.stats.totalVectors = Math.max(0, this.stats.totalVectors - 1);
+        for (const templateId of [...templates]) {
+            await this.removeTemplate(templateId);
+        }
 
-        logger.debug(`HNSW: Usuario ${userId} eliminado (label: ${label})`);
+        logger.debug(`HNSW: Usuario ${userId} eliminado del índice`);
+    }
+
+    _trackTemplate(userId, templateId) {
+        if (!this.userTemplates.has(userId)) {
+            this.userTemplates.set(userId, new Set());
+        }
+        this.userTemplates.get(userId).add(templateId);
     }
 
     /**
@@ -205,41 +246,73 @@ class HNSWService {
      * O(log n) complejidad - escala eficientemente a 1M+ vectores
      *
      * @param {Float32Array|number[]} queryDescriptor - Descriptor de la cara a buscar
-     * @param {number} k - Número de candidatos a retornar (default: 5)
+     * Las plantillas encontradas se colapsan por usuario: cada usuario aparece
+     * una sola vez, con la distancia de su plantilla más cercana (templateId).
+     *
+     * @param {number} k - Número de usuarios a retornar (default: 5)
      * @param {number} threshold - Umbral de distancia L2 máxima
+     * @param {Object} options
+     * @param {Set<number>} options.userIds - Solo plantillas de estos usuarios (colecciones);
+     *        el filtro se aplica durante la búsqueda, no sobre el top-K ya calculado
      * @returns {Array} Resultados ordenados por distancia ascendente
      */
-    async search(queryDescriptor, k = 5, threshold = 0.6) {
+    async search(queryDescriptor, k = 5, threshold = 0.6, options = {}) {
         if (!this.isInitialized || !this.index || this.stats.totalVectors === 0) {
             return [];
         }
+        if (options.userIds && options.userIds.size === 0) return [];
 
         const startTime = Date.now();
 
         try {
             const vector = queryDescriptor instanceof Float32Array ? Array.from(queryDescriptor) : queryDescriptor;
-            const numNeighbors = Math.min(k, this.stats.totalVectors);
-
-            const { neighbors, distances } = this.index.searchKnn(vector, numNeighbors);
-
-            const results = [];
-            for (let i = 0; i < neighbors.length; i++) {
-                const label = neighbors[i];
-                const distance = distances[i];
+            const filter = options.userIds
+                ? (label) => options.userIds.has(this.idMap.get(label)?.userId)
+                : undefined;
+            const maxSquared = threshold * threshold; // L2 distance es el cuadrado
+
+            let numNeighbors = Math.min(k * TEMPLATE_OVERSAMPLING, this.stats.totalVectors);
+            let bestByUser;
+            for (;;) {
+                const { neighbors, distances } = this.index.searchKnn(vector, numNeighbors, filter);
+
+                // Mejor plantilla por usuario
+                bestByUser = new Map();
+                for (let i = 0; i < neighbors.length; i++) {
+                    const label = neighbors[i];
+                    const distance = distances[i];
+
+                    // Filtrar por umbral de distancia
+                    if (distance > maxSquared) continue;
+
+                    const templateMeta = this.idMap.get(label);
+                    if (!templateMeta) continue;
+
+                    const current = bestByUser.get(templateMeta.userId);
+                    if (!current || distance < current.squared) {
+                        bestByUser.set(templateMeta.userId, { meta: templateMeta, squared: distance });
+                    }
+                }
 
-                // Filtrar por umbral de distancia
-                if (distance > threshold * threshold) continue; // L2 distance es el cuadrado
+                // Ampliar solo si faltan usuarios y los vecinos pedidos llegaron completos
+                // y dentro del umbral (más allá no puede aparecer ningún usuario válido)
+                const exhausted = neighbors.length < numNeighbors ||
+                    numNeighbors >= this.stats.totalVectors ||
+                    distances.some(distance => distance > maxSquared);
+                if (bestByUser.size >= k || exhausted) break;
 
-                const userMeta = this.idMap.get(label);
-                if (userMeta) {
-                    results.push({
-                        ...userMeta,
-                        distance: Math.sqrt(distance), // Convertir a distancia euclidiana real
-                        similarity: Math.round((1 - Math.sqrt(distance)) * 100)
-                    });
-                }
+                numNeighbors = Math.min(numNeighbors * 2, this.stats.totalVectors);
             }
 
+            const results = Array.from(bestByUser.values())
+                .sort((a, b) => a.squared - b.squared)
+                .slice(0, k)
+                .map(({ meta, squared }) => ({
+                    ...meta,
+                    distance: Math.sqrt(squared), // Convertir a distancia euclidiana real
+                    similarity: Math.round((1 - Math.sqrt(squared)) * 100)
+                }));
+
             // Actualizar estadísticas
             const searchTime = Date.now() - startTime;
             this.stats.totalSearches++;
@@ -248,7 +321,7 @@ class HNSWService {
                 this.stats.totalSearches
             );
 
-            return results.sort((a, b) => a.distance - b.distance);
+            return results;
 
         } catch (error) {
             logger.error('Error en búsqueda HNSW:', error);
@@ -257,13 +330,14 @@ class HNSWService {
     }
 
     /**
-     * Reconstruye el índice completo desde los descriptores dados
-     * Usar cuando hay muchos usuarios eliminados o después de importación masiva
+     * Reconstruye el índice completo desde las plantillas dadas
+     * Usar cuando hay muchas plantillas eliminadas o después de importación masiva
      *
-     * @param {Array} users - Array de usuarios con { id, descriptor, ci, name, id_cliente }
+     * @param {Array} templates - Plantillas con { template_id, user_id, descriptor, ci, name, id_cliente }
+     *                            (FaceTemplate.getActiveTemplates)
      */
-    async rebuildIndex(users) {
-        logger.info(`🔨 Reconstruyendo índice HNSW con ${users.length} usuarios...`);
+    async rebuildIndex(templates) {
+        logger.info(`🔨 Reconstruyendo índice HNSW con ${templates.length} plantillas...`);
         const startTime = Date.now();
 
         await this.createIndex();
@@ -271,17 +345,18 @@ class HNSWService {
         let added = 0;
         let errors = 0;
 
-        for (const user of users) {
+        for (const template of templates) {
             try {
-                const descriptor = JSON.parse(user.descriptor);
-                await this.addUser(
-                    user.id,
+                const descriptor = JSON.parse(template.descriptor);
+                await this.addTemplate(
+                    template.template_id,
+                    template.user_id,
                     descriptor,
-                    { ci: user.ci, name: user.name, id_cliente: user.id_cliente }
+                    { ci: template.ci, name: template.name, id_cliente: template.id_cliente }
                 );
                 added++;
             } catch (error) {
-                logger.error(`Error agregando usuario ${user.id} al índice: ${error.message}`);
+                logger.error(`Error agregando plantilla ${template.template_id} al índice: ${error.message}`);
                 errors++;
             }
         }
@@ -290,9 +365,99 @@ class HNSWService {
         await this.saveIndex();
 
         const elapsed = Date.now() - startTime;
-        logger.info(`✅ Índice HNSW reconstruido: ${added} usuarios en ${elapsed}ms (${errors} errores)`);
+        logger.info(`✅ Índice HNSW reconstruido: ${added} plantillas de ${this.userTemplates.size} usuarios ` +
+            `en ${elapsed}ms (${errors} errores)`);
+
+        return { added, users: this.userTemplates.size, errors, timeMs: elapsed };
+    }
+
+    /**
+     * Índice propio de un tenant (id_cliente), con archivos junto al índice global.
+     * Se carga de disco la primera vez que se usa; si está vacío se puebla con loadTemplates.
+     *
+     * @param {string} tenantId
+     * @param {Function} [loadTemplates] - async () => plantillas del tenant (FaceTemplate.getActiveTemplates)
+     * @returns {Promise<HNSWService>}
+     */
+    async forTenant(tenantId, loadTemplates) {
+        let entry = this.tenants.get(tenantId);
+
+        if (!entry) {
+            const index = new HNSWService({
+                indexPath: this._tenantPath(this.indexPath, tenantId),
+                metaPath: this._tenantPath(this.metaPath, tenantId),
+                maxElements: TENANT_MAX_ELEMENTS
+            });
+            entry = {
+                index,
+                ready: this._loadTenant(index, tenantId, loadTemplates).catch(error => {
+                    // Permitir reintento en la próxima petición (p.ej. DB caída)
+                    this.tenants.delete(tenantId);
+                    throw error;
+                })
+            };
+            this.tenants.set(tenantId, entry);
+        }
+
+        await entry.ready;
+        return entry.index;
+    }
+
+    async _loadTenant(index, tenantId, loadTemplates) {
+        await index.initialize();
+
+        if (index.size() === 0 && loadTemplates) {
+            const templates = await loadTemplates();
+            if (templates.length > 0) {
+                await index.rebuildIndex(templates);
+            }
+        }
+
+        logger.info(`🏢 Índice HNSW del tenant ${tenantId}: ${index.size()} vectores`);
+    }
+
+    /**
+     * hnsw.index → hnsw.tenant-<id>.index (los ids con caracteres no seguros llevan hash)
+     */
+    _tenantPath(filePath, tenantId) {
+        const safe = tenantId.replace(/[^\w-]/g, '_');
+        const slug = safe === tenantId
+            ? safe
+            : `${safe}-${crypto.createHash('md5').update(tenantId).digest('hex').slice(0, 8)}`;
+        const { dir, name, ext } = path.parse(filePath);
+        return path.join(dir, `${name}.tenant-${slug}${ext}`);
+    }
+
+    /**
+     * Guarda el índice global y los de todos los tenants cargados (apagado limpio)
+     */
+    async saveAll() {
+        await this.saveIndex();
+        for (const { index, ready } of this.tenants.values()) {
+            await ready.catch(() => {});
+            await index.saveIndex();
+        }
+    }
+
+    /**
+     * Plantillas indexadas en total (global + tenants cargados)
+     */
+    totalSize() {
+        let total = this.size();
+        for (const { index } of this.tenants.values()) {
+            total += index.size();
+        }
+        return total;
+    }
 
-        return { added, errors, timeMs: elapsed };
+    getTenantStats() {
+        return Array.from(this.tenants.entries()).map(([tenant, { index }]) => ({
+            tenant,
+            totalVectors: index.size(),
+            totalUsers: index.userTemplates.size,
+            isInitialized: index.isInitialized,
+            maxElements: index.maxElements
+        }));
     }
 
     /**
@@ -301,9 +466,10 @@ class HNSWService {
     getStats() {
         return {
             ...this.stats,
+            totalUsers: this.userTemplates.size,
             isInitialized: this.isInitialized,
             dimension: DESCRIPTOR_DIM,
-            maxElements: MAX_ELEMENTS,
+            maxElements: this.maxElements,
             hnswM: HNSW_M,
             hnswEfConstruction: HNSW_EF_CONSTRUCTION,
             hnswEfSearch: HNSW_EF_SEARCH,
@@ -315,11 +481,11 @@ class HNSWService {
      * Verifica si un usuario está en el índice
      */
     hasUser(userId) {
-        return this.reverseIdMap.has(userId);
+        return this.userTemplates.has(userId);
     }
 
     /**
-     * Retorna el tamaño actual del índice
+     * Retorna el tamaño actual del índice (número de plantillas)
      */
     size() {
         return this.stats.totalVectors;
@@ -327,3 +493,5 @@ class HNSWService {
 }
 
 module.exports = new HNSWService();
+module.exports.HNSWService = HNSWService;
+module.exports.DESCRIPTOR_DIM = DESCRIPTOR_DIM;
@@ -1,4 +1,6 @@
 const sharp = require('sharp');
+const { createCanvas } = require('canvas');
+const { getAlignmentTransform } = require('../utils/landmarks');
 const logger = require('../utils/logger');
 
 class ImageProcessingService {
@@ -9,7 +11,13 @@ class ImageProcessingService {
         this.quality = 90;
     }
 
-    async optimizeForRecognition(imageBuffer) {
+    /**
+     * @param {Object} options
+     * @param {Array} options.steps - Si se pasa, se agregan los pasos aplicados (salida explain)
+     */
+    async optimizeForRecognition(imageBuffer, options = {}) {
+        const steps = options.steps || [];
+
         try {
             const image = sharp(imageBuffer);
             const metadata = await image.metadata();
@@ -29,6 +37,11 @@ class ImageProcessingService {
                     fit: 'inside',
                     withoutEnlargement: true
                 });
+                steps.push({
+                    step: 'resize',
+                    from: `${metadata.width}x${metadata.height}`,
+                    max: `${this.maxWidth}x${this.maxHeight}`
+                });
             }
 
             // Optimizar para reconocimiento facial
@@ -43,6 +56,13 @@ class ImageProcessingService {
                 })
                 .toBuffer();
 
+            steps.push(
+                { step: 'normalize' },
+                { step: 'sharpen' },
+                { step: 'gamma', value: 1.2 },
+                { step: 'jpeg', quality: this.quality, inputFormat: metadata.format }
+            );
+
             logger.info(`Imagen optimizada: ${imageBuffer.length} -> ${optimized.length} bytes`);
             
             return optimized;
@@ -56,15 +76,16 @@ class ImageProcessingService {
     async extractFaceRegion(imageBuffer, faceBox, padding = 0.2) {
         try {
             const { x, y, width, height } = faceBox;
+            const metadata = await sharp(imageBuffer).metadata();
             
-            // Calcular región ampliada con padding
+            // Calcular región ampliada con padding (enteros y dentro de la imagen: sharp lo exige)
             const paddingX = Math.round(width * padding);
             const paddingY = Math.round(height * padding);
             
-            const extractX = Math.max(0, x - paddingX);
-            const extractY = Math.max(0, y - paddingY);
-            const extractWidth = width + (paddingX * 2);
-            const extractHeight = height + (paddingY * 2);
+            const extractX = Math.max(0, Math.round(x) - paddingX);
+            const extractY = Math.max(0, Math.round(y) - paddingY);
+            const extractWidth = Math.min(metadata.width - extractX, Math.round(width) + (paddingX * 2));
+            const extractHeight = Math.min(metadata.height - extractY, Math.round(height) + (paddingY * 2));
 
             const extracted = await sharp(imageBuffer)
                 .extract({
@@ -102,6 +123,87 @@ class ImageProcessingService {
         }
     }
 
+    /**
+     * Recorta la región del rostro de una imagen de canvas y la escala a size x size.
+     * Retorna ImageData (RGBA) para análisis de textura/calidad sin pasar por sharp.
+     */
+    getFaceCropPixels(image, box, size = 112, padding = 0) {
+        const padX = box.width * padding;
+        const padY = box.height * padding;
+
+        const sx = Math.max(0, box.x - padX);
+        const sy = Math.max(0, box.y - padY);
+        const sw = Math.min(image.width - sx, box.width + padX * 2);
+        const sh = Math.min(image.height - sy, box.height + padY * 2);
+
+        const canvas = createCanvas(size, size);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, sx, sy, sw, sh, 0, 0, size, size);
+
+        return ctx.getImageData(0, 0, size, size);
+    }
+
+    /**
+     * Rostro alineado por landmarks: rota y escala la imagen para dejar los ojos
+     * horizontales en la posición canónica (ver getAlignmentTransform) y retorna
+     * un canvas size x size listo para computeFaceDescriptor.
+     *
+     * @param {Image|Canvas} image - Imagen sobre la que se detectaron los landmarks
+     * @param {Array<{x, y}>} positions - Los 68 landmarks
+     */
+    alignFace(image, positions, size = 150) {
+        const { angle, scale, eyeMid, target } = getAlignmentTransform(positions, size);
+
+        const canvas = createCanvas(size, size);
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.translate(target.x, target.y);
+        ctx.scale(scale, scale);
+        ctx.rotate(-angle);
+        ctx.translate(-eyeMid.x, -eyeMid.y);
+        ctx.drawImage(image, 0, 0);
+
+        return canvas;
+    }
+
+    /**
+     * Convierte ImageData RGBA a luminancia (0-255, BT.601)
+     */
+    toGrayscale(imageData) {
+        const { data, width, height } = imageData;
+        const gray = new Float32Array(width * height);
+
+        for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+            gray[p] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+        }
+
+        return gray;
+    }
+
+    /**
+     * Varianza del Laplaciano (kernel 4-vecinos): medida estándar de nitidez.
+     * Valores bajos = imagen borrosa.
+     */
+    laplacianVariance(gray, width, height) {
+        let sum = 0;
+        let sumSq = 0;
+        let count = 0;
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                const lap = gray[i - width] + gray[i + width] + gray[i - 1] + gray[i + 1] - 4 * gray[i];
+                sum += lap;
+                sumSq += lap * lap;
+                count++;
+            }
+        }
+
+        if (count === 0) return 0;
+        const mean = sum / count;
+        return sumSq / count - mean * mean;
+    }
+
     async analyzeImageQuality(imageBuffer) {
         try {
             const image = sharp(imageBuffer);
@@ -0,0 +1,278 @@
+/**
+ * Servicio de Liveness Activo (desafío / respuesta)
+ *
+ * Flujo:
+ * 1. createSession()  → el servidor elige un desafío aleatorio (parpadear, girar, sonreír)
+ * 2. El cliente sube una secuencia corta de frames realizando el desafío
+ * 3. verifySession()  → landmarks 68 puntos + expresiones por frame:
+ *    - todos los frames deben ser del mismo rostro (distancia de descriptores)
+ *    - la secuencia debe mostrar el gesto pedido
+ * 4. Si pasa, queda una verificación de uso único que register consume
+ *    (liveness_session_id) comparando el rostro registrado con el verificado
+ *
+ * Sesiones y verificaciones viven en cacheService (Redis) → funcionan entre workers PM2.
+ * Ambas son de uso único (cacheService.take) y expiran por TTL.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const faceapi = require('@vladmandic/face-api');
+const logger = require('../utils/logger');
+const faceConfig = require('../config/face-recognition');
+const cacheService = require('./cache.service');
+const metricsService = require('./metrics.service');
+const { getEyeOpenness, estimateHeadPose } = require('../utils/landmarks');
+const { RecognitionError } = require('../utils/errors');
+
+const SESSION_PREFIX = 'liveness_session_';
+const VERIFIED_PREFIX = 'liveness_verified_';
+
+// Umbrales de los gestos
+const EAR_OPEN = 0.25;          // ojo abierto
+const EAR_CLOSED = 0.19;        // ojo cerrado
+const YAW_FRONTAL = 12;         // grados: se considera mirando al frente
+const YAW_TURNED = 22;          // grados: giro suficiente
+const SMILE_NEUTRAL = 0.3;      // probabilidad "happy" máxima en frame neutral
+const SMILE_HAPPY = 0.7;        // probabilidad "happy" mínima en frame sonriendo
+
+const CHALLENGES = {
+    blink: 'Parpadee una vez mirando a la cámara',
+    turn_left: 'Gire lentamente la cabeza hacia su izquierda',
+    turn_right: 'Gire lentamente la cabeza hacia su derecha',
+    smile: 'Comience con rostro neutral y luego sonría'
+};
+
+class LivenessChallengeService {
+    constructor() {
+        this.sessionTtl = parseInt(process.env.LIVENESS_CHALLENGE_TTL) || 120;          // segundos
+        this.verifiedTtl = parseInt(process.env.LIVENESS_VERIFIED_TTL) || 300;          // segundos
+        this.minFrames = parseInt(process.env.LIVENESS_CHALLENGE_MIN_FRAMES) || 3;
+        this.maxFrames = parseInt(process.env.LIVENESS_CHALLENGE_MAX_FRAMES) || 10;
+        this.requiredOnRegister = process.env.REQUIRE_ACTIVE_LIVENESS_REGISTER === 'true';
+    }
+
+    /**
+     * Desafíos disponibles según los modelos cargados
+     */
+    getAvailableChallenges() {
+        return Object.keys(CHALLENGES).filter(challenge =>
+            challenge !== 'smile' || faceConfig.isModelLoaded('faceExpressionNet')
+        );
+    }
+
+    async createSession() {
+        if (!cacheService.enabled) {
+            throw new RecognitionError(
+                'El liveness activo requiere la caché habilitada (CACHE_ENABLED=true)',
+                'CACHE_DISABLED',
+                503
+            );
+        }
+
+        const available = this.getAvailableChallenges();
+        const challenge = available[crypto.randomInt(available.length)];
+        const now = Date.now();
+
+        const session = {
+            id: uuidv4(),
+            challenge,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + this.sessionTtl * 1000).toISOString()
+        };
+
+        await cacheService.set(SESSION_PREFIX + session.id, session, this.sessionTtl);
+        logger.info(`🎯 Sesión de liveness creada: ${session.id} (desafío: ${challenge})`);
+
+        return {
+            sessionId: session.id,
+            challenge,
+            instructions: CHALLENGES[challenge],
+            expiresAt: session.expiresAt,
+            minFrames: this.minFrames,
+            maxFrames: this.maxFrames
+        };
+    }
+
+    /**
+     * Verifica los frames contra el desafío de la sesión (la sesión se consume siempre)
+     *
+     * @param {string} sessionId
+     * @param {Buffer[]} frameBuffers - Frames en orden temporal
+     */
+    async verifySession(sessionId, frameBuffers) {
+        const startTime = Date.now();
+
+        if (frameBuffers.length < this.minFrames || frameBuffers.length > this.maxFrames) {
+            throw new RecognitionError(
+                `Se requieren entre ${this.minFrames} y ${this.maxFrames} frames`,
+                'INVALID_FRAME_COUNT'
+            );
+        }
+
+        // Uso único: se elimina antes de procesar para que no se pueda reintentar
+        const session = await cacheService.take(SESSION_PREFIX + sessionId);
+        if (!session) {
+            throw new RecognitionError(
+                'Sesión de liveness inexistente, expirada o ya utilizada',
+                'CHALLENGE_SESSION_NOT_FOUND',
+                404
+            );
+        }
+
+        // Importar aquí para evitar ciclo circular
+        const faceRecognitionService = require('./face-recognition.service');
+
+        const frames = [];
+        for (let i = 0; i < frameBuffers.length; i++) {
+            try {
+                const image = await faceRecognitionService.processImageBuffer(frameBuffers[i]);
+                const detection = await faceConfig.detectFace(image, 'RECOGNIZE', {
+                    withExpressions: session.challenge === 'smile'
+                });
+
+                if (detection) {
+                    frames.push({
+                        index: i,
+                        descriptor: detection.descriptor,
+                        eyes: getEyeOpenness(detection.landmarks.positions),
+                        pose: estimateHeadPose(detection.landmarks.positions),
+                        happy: detection.expressions ? detection.expressions.happy : null
+                    });
+                }
+            } catch (error) {
+                logger.debug(`Liveness ${sessionId}: frame ${i} descartado: ${error.message}`);
+            }
+        }
+
+        const sameFace = this._checkSameFace(frames);
+        const gesture = frames.length >= this.minFrames
+            ? this._evaluateChallenge(session.challenge, frames)
+            : { performed: false, reason: 'Rostro no detectado en suficientes frames' };
+
+        const passed = sameFace.passed && gesture.performed;
+
+        metricsService.recordLivenessChallenge(session.challenge, passed ? 'passed' : 'failed');
+        logger.info(`${passed ? '✅' : '❌'} Liveness activo ${sessionId} (${session.challenge}): ` +
+            `${frames.length}/${frameBuffers.length} frames con rostro, ` +
+            `mismo rostro: ${sameFace.passed}, gesto: ${gesture.performed}`);
+
+        if (passed) {
+            await cacheService.set(VERIFIED_PREFIX + sessionId, {
+                sessionId,
+                challenge: session.challenge,
+                descriptor: Array.from(frames[0].descriptor),
+                verifiedAt: new Date().toISOString()
+            }, this.verifiedTtl);
+        }
+
+        return {
+            sessionId,
+            challenge: session.challenge,
+            passed,
+            framesReceived: frameBuffers.length,
+            framesWithFace: frames.length,
+            sameFace: sameFace.passed,
+            maxFaceDistance: sameFace.maxDistance,
+            gesture,
+            processingTime: Date.now() - startTime,
+            ...(passed && { verifiedUntil: new Date(Date.now() + this.verifiedTtl * 1000).toISOString() })
+        };
+    }
+
+    /**
+     * Consume la verificación de una sesión aprobada y comprueba que el rostro
+     * a registrar es el mismo que realizó el desafío.
+     */
+    async consumeVerification(sessionId, descriptor) {
+        if (!sessionId) {
+            throw new RecognitionError(
+                'Se requiere un desafío de liveness aprobado (liveness_session_id)',
+                'LIVENESS_REQUIRED',
+                403
+            );
+        }
+
+        const verification = await cacheService.take(VERIFIED_PREFIX + sessionId);
+        if (!verification) {
+            throw new RecognitionError(
+                'Verificación de liveness inexistente, expirada o ya utilizada',
+                'LIVENESS_NOT_VERIFIED',
+                403
+            );
+        }
+
+        const distance = faceapi.euclideanDistance(descriptor, verification.descriptor);
+        if (distance > faceConfig.CONFIDENCE_THRESHOLD) {
+            logger.warn(`⚠️ Liveness ${sessionId}: el rostro registrado no coincide (dist: ${distance.toFixed(4)})`);
+            throw new RecognitionError(
+                'El rostro no coincide con el que realizó el desafío de liveness',
+                'LIVENESS_FACE_MISMATCH',
+                403
+            );
+        }
+
+        return { sessionId, challenge: verification.challenge, distance };
+    }
+
+    _checkSameFace(frames) {
+        if (frames.length === 0) return { passed: false, maxDistance: null };
+
+        let maxDistance = 0;
+        for (let i = 1; i < frames.length; i++) {
+            const distance = faceapi.euclideanDistance(frames[0].descriptor, frames[i].descriptor);
+            maxDistance = Math.max(maxDistance, distance);
+        }
+
+        return {
+            passed: maxDistance <= faceConfig.CONFIDENCE_THRESHOLD,
+            maxDistance: Math.round(maxDistance * 10000) / 10000
+        };
+    }
+
+    _evaluateChallenge(challenge, frames) {
+        switch (challenge) {
+            case 'blink': {
+                // abierto → cerrado → abierto
+                const ear = frames.map(f => f.eyes.mean);
+                const closedIdx = ear.findIndex((v, i) =>
+                    v <= EAR_CLOSED &&
+                    ear.slice(0, i).some(o => o >= EAR_OPEN) &&
+                    ear.slice(i + 1).some(o => o >= EAR_OPEN)
+                );
+                return {
+                    performed: closedIdx !== -1,
+                    minEyeAspectRatio: Math.round(Math.min(...ear) * 1000) / 1000,
+                    maxEyeAspectRatio: Math.round(Math.max(...ear) * 1000) / 1000
+                };
+            }
+
+            case 'turn_left':
+            case 'turn_right': {
+                // Empieza de frente y luego gira hacia el lado pedido
+                const sign = challenge === 'turn_left' ? 1 : -1;
+                const yaws = frames.map(f => f.pose.yaw * sign);
+                const frontalIdx = yaws.findIndex(y => Math.abs(y) <= YAW_FRONTAL);
+                const turned = frontalIdx !== -1 && yaws.slice(frontalIdx + 1).some(y => y >= YAW_TURNED);
+                return {
+                    performed: turned,
+                    maxYaw: Math.max(...yaws) * sign
+                };
+            }
+
+            case 'smile': {
+                const happy = frames.map(f => f.happy || 0);
+                const neutralIdx = happy.findIndex(h => h <= SMILE_NEUTRAL);
+                const smiled = neutralIdx !== -1 && happy.slice(neutralIdx + 1).some(h => h >= SMILE_HAPPY);
+                return {
+                    performed: smiled,
+                    maxHappy: Math.round(Math.max(...happy) * 1000) / 1000
+                };
+            }
+
+            default:
+                return { performed: false, reason: `Desafío desconocido: ${challenge}` };
+        }
+    }
+}
+
+module.exports = new LivenessChallengeService();
@@ -0,0 +1,209 @@
+/**
+ * Servicio de Liveness Pasivo (anti-spoofing / presentation attack detection)
+ *
+ * Puntúa el recorte del rostro con un score 0-1 (1 = rostro real) a partir de:
+ * 1. Modelo opcional en MODELS_PATH/liveness/model.json (TF GraphModel)
+ *    Entrada: [1, LIVENESS_MODEL_INPUT_SIZE, LIVENESS_MODEL_INPUT_SIZE, 3] RGB en [0, 1]
+ *    Salida:  [1, 1] probabilidad de rostro real, o [1, 2] softmax [spoof, real]
+ * 2. Si no hay modelo: heurísticas de textura sobre el recorte facial
+ *    - Nitidez (varianza del Laplaciano): fotos impresas/pantallas re-capturadas pierden detalle
+ *    - Moiré: exceso de energía de alta frecuencia respecto del contraste (patrón de píxeles de pantalla)
+ *    - Reflejos especulares: píxeles saturados casi blancos (brillo de pantalla o papel satinado)
+ *    - Croma: las impresiones tienen menor variación de color que la piel real
+ *
+ * Las heurísticas detectan ataques burdos; para alta seguridad usar un modelo
+ * entrenado o el flujo de liveness activo.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const logger = require('../utils/logger');
+const config = require('../config/server');
+const faceConfig = require('../config/face-recognition');
+const imageProcessingService = require('./image-processing.service');
+const metricsService = require('./metrics.service');
+const { RecognitionError } = require('../utils/errors');
+
+// Tamaño del recorte analizado por las heurísticas
+const CROP_SIZE = 112;
+// Valores de referencia de las heurísticas (rostro real bien capturado)
+const SHARPNESS_REFERENCE = 120;   // varianza del Laplaciano
+const MOIRE_RATIO_MAX = 1.5;       // energía HF / varianza a partir de la cual se sospecha moiré
+const SPECULAR_RATIO_MAX = 0.04;   // fracción de píxeles saturados tolerada
+const CHROMA_STDEV_REFERENCE = 12; // desvío del croma en rostros reales
+
+class LivenessService {
+    constructor() {
+        this.enabled = process.env.LIVENESS_ENABLED === 'true';
+        this.threshold = parseFloat(process.env.LIVENESS_THRESHOLD) || 0.5;
+        this.modelPath = path.resolve(config.MODELS_PATH, 'liveness', 'model.json');
+        this.modelInputSize = parseInt(process.env.LIVENESS_MODEL_INPUT_SIZE) || 80;
+        this.model = null;
+    }
+
+    /**
+     * Carga el modelo de liveness si existe en disco (opcional)
+     */
+    async initialize() {
+        if (!this.enabled) {
+            logger.info('ℹ️ Liveness pasivo deshabilitado (LIVENESS_ENABLED=false)');
+            return;
+        }
+
+        const tf = faceConfig.tf;
+        if (tf && fs.existsSync(this.modelPath)) {
+            try {
+                this.model = await tf.loadGraphModel(`file://${this.modelPath}`);
+                logger.info(`✅ Modelo de liveness cargado: ${this.modelPath}`);
+                return;
+            } catch (error) {
+                logger.warn(`⚠️ No se pudo cargar modelo de liveness, usando heurísticas: ${error.message}`);
+            }
+        }
+
+        logger.info(`✅ Liveness pasivo activo (heurísticas de textura, umbral: ${this.threshold})`);
+    }
+
+    /**
+     * Evalúa el rostro y lanza SPOOF_SUSPECTED si el score no alcanza el umbral
+     *
+     * @param {Image} image - Imagen de canvas ya procesada
+     * @param {Box} box - Caja de detección del rostro
+     * @param {string} operation - register | recognize | verify (etiqueta de métricas)
+     * @returns {Object|null} { score, passed, threshold, method, cues } o null si está deshabilitado
+     */
+    async check(image, box, operation) {
+        if (!this.enabled) return null;
+
+        const liveness = await this.assess(image, box);
+
+        metricsService.recordLiveness(liveness.score, operation, liveness.passed ? 'live' : 'spoof');
+        logger.info(`🛡️ Liveness (${operation}): score ${liveness.score.toFixed(3)} ` +
+            `[${liveness.method}] ${liveness.passed ? 'OK' : 'SOSPECHA DE SUPLANTACIÓN'}`);
+
+        if (!liveness.passed) {
+            throw new RecognitionError(
+                'Posible suplantación detectada (foto, pantalla o máscara). Use un rostro en vivo.',
+                'SPOOF_SUSPECTED',
+                403,
+                { liveness }
+            );
+        }
+
+        return liveness;
+    }
+
+    async assess(image, box) {
+        const crop = imageProcessingService.getFaceCropPixels(image, box, CROP_SIZE);
+
+        if (this.model) {
+            const score = await this._scoreWithModel(crop);
+            return this._result(score, 'model', null);
+        }
+
+        const cues = this._textureCues(crop);
+        const score = 0.4 * cues.sharpness + 0.25 * cues.moire + 0.2 * cues.reflection + 0.15 * cues.chroma;
+        return this._result(score, 'texture', cues);
+    }
+
+    _result(score, method, cues) {
+        const rounded = Math.round(score * 1000) / 1000;
+        return {
+            score: rounded,
+            passed: rounded >= this.threshold,
+            threshold: this.threshold,
+            method,
+            ...(cues && { cues })
+        };
+    }
+
+    async _scoreWithModel(crop) {
+        const tf = faceConfig.tf;
+
+        const output = tf.tidy(() => {
+            const pixels = tf.browser.fromPixels({
+                data: new Uint8Array(crop.data.buffer),
+                width: crop.width,
+                height: crop.height
+            }, 3);
+            const input = tf.image
+                .resizeBilinear(pixels, [this.modelInputSize, this.modelInputSize])
+                .toFloat()
+                .div(255)
+                .expandDims(0);
+            return this.model.predict(input);
+        });
+
+        const values = await output.data();
+        output.dispose();
+
+        // [real] o [spoof, real]
+        return values.length > 1 ? values[1] : values[0];
+    }
+
+    /**
+     * Cada cue se normaliza a 0-1 (1 = compatible con rostro real)
+     */
+    _textureCues(crop) {
+        const { data, width, height } = crop;
+        const gray = imageProcessingService.toGrayscale(crop);
+        const pixelCount = width * height;
+
+        // Nitidez
+        const lapVariance = imageProcessingService.laplacianVariance(gray, width, height);
+        const sharpness = Math.min(1, lapVariance / SHARPNESS_REFERENCE);
+
+        // Moiré: energía HF relativa al contraste global
+        let mean = 0;
+        for (let i = 0; i < pixelCount; i++) mean += gray[i];
+        mean /= pixelCount;
+        let variance = 0;
+        for (let i = 0; i < pixelCount; i++) variance += (gray[i] - mean) ** 2;
+        variance /= pixelCount;
+        const hfRatio = variance > 0 ? lapVariance / variance : 0;
+        const moire = hfRatio <= MOIRE_RATIO_MAX
+            ? 1
+            : Math.max(0, 1 - (hfRatio - MOIRE_RATIO_MAX) / MOIRE_RATIO_MAX);
+
+        // Reflejos especulares y croma (Cb/Cr)
+        let specular = 0;
+        let chromaSum = 0;
+        let chromaSumSq = 0;
+        for (let i = 0; i < data.length; i += 4) {
+            const r = data[i];
+            const g = data[i + 1];
+            const b = data[i + 2];
+            const max = Math.max(r, g, b);
+            const min = Math.min(r, g, b);
+            if (max >= 245 && max - min <= 15) specular++;
+
+            const cr = 0.5 * r - 0.4187 * g - 0.0813 * b;
+            const cb = -0.1687 * r - 0.3313 * g + 0.5 * b;
+            const chroma = Math.sqrt(cr * cr + cb * cb);
+            chromaSum += chroma;
+            chromaSumSq += chroma * chroma;
+        }
+        const specularRatio = specular / pixelCount;
+        const reflection = Math.max(0, 1 - specularRatio / SPECULAR_RATIO_MAX);
+        const chromaMean = chromaSum / pixelCount;
+        const chromaStdev = Math.sqrt(Math.max(0, chromaSumSq / pixelCount - chromaMean * chromaMean));
+        const chromaCue = Math.min(1, chromaStdev / CHROMA_STDEV_REFERENCE);
+
+        return {
+            sharpness: Math.round(sharpness * 1000) / 1000,
+            moire: Math.round(moire * 1000) / 1000,
+            reflection: Math.round(reflection * 1000) / 1000,
+            chroma: Math.round(chromaCue * 1000) / 1000
+        };
+    }
+
+    getStats() {
+        return {
+            enabled: this.enabled,
+            threshold: this.threshold,
+            method: this.model ? 'model' : 'texture'
+        };
+    }
+}
+
+module.exports = new LivenessService();
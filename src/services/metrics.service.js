@@ -5,10 +5,13 @@
  * Métricas disponibles en GET /metrics:
  * - Latencia de reconocimiento (histograma)
  * - Tasa de éxito/error
+ * - Tasa de matches ambiguos (margen top-1/top-2)
  * - Cache hit rate
  * - GPU memoria utilizada
  * - Tamaño del índice HNSW
  * - Usuarios activos
+ * - Score de liveness (anti-spoofing)
+ * - Frames y conexiones de streaming WebSocket
  */
 
 const promClient = require('prom-client');
@@ -47,6 +50,14 @@ class MetricsService {
             registers: [this.register]
         });
 
+        // Tasa de ambigüedad: ambiguous / total por modo (búsquedas 1:N, una por rostro)
+        this.matchDecisionsTotal = new promClient.Counter({
+            name: 'facerecog_match_decisions_total',
+            help: 'Decisiones de identificación 1:N (match, no_match, ambiguous por margen top-1/top-2)',
+            labelNames: ['mode', 'result'],
+            registers: [this.register]
+        });
+
         this.registrationDuration = new promClient.Histogram({
             name: 'facerecog_registration_duration_seconds',
             help: 'Latencia del proceso de registro facial',
@@ -62,6 +73,22 @@ class MetricsService {
             registers: [this.register]
         });
 
+        // ── Liveness (anti-spoofing) ─────────────────────────────────
+        this.livenessScore = new promClient.Histogram({
+            name: 'facerecog_liveness_score',
+            help: 'Score de liveness pasivo (1 = rostro real, 0 = suplantación)',
+            labelNames: ['operation', 'result'],
+            buckets: [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1],
+            registers: [this.register]
+        });
+
+        this.livenessChallengesTotal = new promClient.Counter({
+            name: 'facerecog_liveness_challenges_total',
+            help: 'Total de desafíos de liveness activo verificados',
+            labelNames: ['challenge', 'result'],
+            registers: [this.register]
+        });
+
         // ── Cache ────────────────────────────────────────────────────
         this.cacheHits = new promClient.Counter({
             name: 'facerecog_cache_hits_total',
@@ -89,6 +116,50 @@ class MetricsService {
             registers: [this.register]
         });
 
+        // ── Plantillas adaptativas ───────────────────────────────────
+        this.templateAdaptationsTotal = new promClient.Counter({
+            name: 'facerecog_template_adaptations_total',
+            help: 'Adaptaciones de plantillas tras reconocimientos confiables (o descartadas por los límites)',
+            labelNames: ['action'],
+            registers: [this.register]
+        });
+
+        // ── Rostros desconocidos ─────────────────────────────────────
+        this.unknownFacesTotal = new promClient.Counter({
+            name: 'facerecog_unknown_faces_total',
+            help: 'Rostros sin match procesados por el almacén de desconocidos',
+            labelNames: ['action'],
+            registers: [this.register]
+        });
+
+        this.unknownClusters = new promClient.Gauge({
+            name: 'facerecog_unknown_clusters',
+            help: 'Clusters de rostros desconocidos tras la última corrida del clustering',
+            registers: [this.register]
+        });
+
+        // ── Watchlists ───────────────────────────────────────────────
+        this.watchlistAlertsTotal = new promClient.Counter({
+            name: 'facerecog_watchlist_alerts_total',
+            help: 'Alertas de watchlist (raised) y repeticiones suprimidas por cooldown (suppressed)',
+            labelNames: ['severity', 'status'],
+            registers: [this.register]
+        });
+
+        // ── Streaming WebSocket ──────────────────────────────────────
+        this.streamConnections = new promClient.Gauge({
+            name: 'facerecog_stream_connections',
+            help: 'Conexiones WebSocket de streaming activas',
+            registers: [this.register]
+        });
+
+        this.streamFramesTotal = new promClient.Counter({
+            name: 'facerecog_stream_frames_total',
+            help: 'Frames recibidos por streaming (processed, dropped, error)',
+            labelNames: ['status'],
+            registers: [this.register]
+        });
+
         // ── GPU ──────────────────────────────────────────────────────
         this.gpuMemoryUsed = new promClient.Gauge({
             name: 'facerecog_gpu_memory_used_bytes',
@@ -162,11 +233,23 @@ class MetricsService {
         this.recognitionTotal.labels(status, mode).inc();
     }
 
+    recordMatchDecision(mode = 'recognize', result = 'match') {
+        this.matchDecisionsTotal.labels(mode, result).inc();
+    }
+
     recordRegistration(durationMs, status = 'success') {
         this.registrationDuration.labels(status).observe(durationMs / 1000);
         this.registrationTotal.labels(status).inc();
     }
 
+    recordLiveness(score, operation = 'recognize', result = 'live') {
+        this.livenessScore.labels(operation, result).observe(score);
+    }
+
+    recordLivenessChallenge(challenge, result = 'passed') {
+        this.livenessChallengesTotal.labels(challenge, result).inc();
+    }
+
     recordCacheHit() {
         this.cacheHits.inc();
     }
@@ -183,6 +266,30 @@ class MetricsService {
         this.hnswIndexSize.set(size);
     }
 
+    recordTemplateAdaptation(action) {
+        this.templateAdaptationsTotal.labels(action).inc();
+    }
+
+    recordUnknownFace(action) {
+        this.unknownFacesTotal.labels(action).inc();
+    }
+
+    updateUnknownClusters(count) {
+        this.unknownClusters.set(count);
+    }
+
+    recordWatchlistAlert(severity, status = 'raised') {
+        this.watchlistAlertsTotal.labels(severity, status).inc();
+    }
+
+    updateStreamConnections(count) {
+        this.streamConnections.set(count);
+    }
+
+    recordStreamFrame(status = 'processed') {
+        this.streamFramesTotal.labels(status).inc();
+    }
+
     updateActiveUsers(count) {
         this.activeUsers.set(count);
     }
@@ -0,0 +1,370 @@
+/**
+ * Servicio de Sesiones de Reconocimiento Multi-frame
+ *
+ * Un solo frame borroso puede causar un falso rechazo y un frame "con suerte" un
+ * falso positivo. Una sesión acumula varios frames (en una o varias peticiones) y
+ * decide con todos ellos:
+ * - vote    → cada frame se identifica por separado (HNSW) y gana el usuario más votado
+ * - average → se promedian los descriptores de los frames y se identifica el promedio
+ *
+ * La decisión incluye un score de consistencia (0-1): fracción de frames que apoyan
+ * el resultado. Por debajo de SESSION_MIN_CONSISTENCY la sesión no reconoce a nadie.
+ *
+ * Las sesiones viven en cacheService (Redis) → cualquier worker PM2 puede atenderlas.
+ * Un lock por sesión (SET NX) impide que addFrames y decide se solapen: la petición
+ * concurrente recibe SESSION_BUSY. decide consume la sesión con take() (uso único).
+ * Con tenancy la sesión pertenece al tenant que la creó; para otro tenant no existe.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const faceapi = require('@vladmandic/face-api');
+const logger = require('../utils/logger');
+const faceConfig = require('../config/face-recognition');
+const cacheService = require('./cache.service');
+const faceRecognitionService = require('./face-recognition.service');
+const calibrationService = require('./calibration.service');
+const { RecognitionError } = require('../utils/errors');
+
+const SESSION_PREFIX = 'recognition_session_';
+const SESSION_LOCK_PREFIX = 'recognition_session_lock_';
+const STRATEGIES = ['vote', 'average'];
+
+class RecognitionSessionService {
+    constructor() {
+        this.sessionTtl = parseInt(process.env.SESSION_TTL) || 120;                     // segundos
+        this.minFrames = parseInt(process.env.SESSION_MIN_FRAMES) || 3;
+        this.maxFrames = parseInt(process.env.SESSION_MAX_FRAMES) || 20;
+        this.minConsistency = parseFloat(process.env.SESSION_MIN_CONSISTENCY) || 0.6;
+        this.defaultStrategy = STRATEGIES.includes(process.env.SESSION_STRATEGY)
+            ? process.env.SESSION_STRATEGY
+            : 'vote';
+    }
+
+    /**
+     * @param {string} strategy - vote | average
+     * @param {string|null} tenant - Tenant dueño de la sesión (null sin tenancy)
+     */
+    async createSession(strategy = this.defaultStrategy, tenant = null) {
+        if (!STRATEGIES.includes(strategy)) {
+            throw new RecognitionError(
+                `strategy debe ser una de: ${STRATEGIES.join(', ')}`,
+                'INVALID_STRATEGY'
+            );
+        }
+
+        if (!cacheService.enabled) {
+            throw new RecognitionError(
+                'Las sesiones multi-frame requieren la caché habilitada (CACHE_ENABLED=true)',
+                'CACHE_DISABLED',
+                503
+            );
+        }
+
+        const now = Date.now();
+        const session = {
+            id: uuidv4(),
+            strategy,
+            tenant,
+            frames: [],
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + this.sessionTtl * 1000).toISOString()
+        };
+
+        await this._save(session);
+        logger.info(`🎞️ Sesión multi-frame creada: ${session.id} (estrategia: ${strategy})`);
+
+        return session;
+    }
+
+    async getSession(sessionId, tenant = null) {
+        const session = await cacheService.get(SESSION_PREFIX + sessionId);
+        if (!session || (session.tenant || null) !== tenant) {
+            throw new RecognitionError(
+                'Sesión de reconocimiento inexistente, expirada o ya decidida',
+                'SESSION_NOT_FOUND',
+                404
+            );
+        }
+        return session;
+    }
+
+    /**
+     * Procesa frames y los agrega a la sesión. Cada frame se identifica por separado;
+     * los frames sin rostro o rechazados (p.ej. liveness) se guardan pero no votan.
+     *
+     * @param {string} sessionId
+     * @param {Buffer[]} frameBuffers
+     * @param {Array} userDescriptors - Fallback lineal si HNSW no está disponible
+     * @param {string|null} tenant
+     */
+    async addFrames(sessionId, frameBuffers, userDescriptors = [], tenant = null) {
+        return this._withLock(sessionId, async () => {
+            const session = await this.getSession(sessionId, tenant);
+
+            if (session.frames.length + frameBuffers.length > this.maxFrames) {
+                throw new RecognitionError(
+                    `La sesión admite como máximo ${this.maxFrames} frames (tiene ${session.frames.length})`,
+                    'TOO_MANY_FRAMES'
+                );
+            }
+
+            for (const buffer of frameBuffers) {
+                session.frames.push(await this._processFrame(buffer, session.frames.length, userDescriptors, tenant));
+            }
+
+            // Cada frame nuevo renueva el TTL
+            session.expiresAt = new Date(Date.now() + this.sessionTtl * 1000).toISOString();
+            await this._save(session);
+
+            return session;
+        });
+    }
+
+    /**
+     * Ejecuta fn con la sesión bloqueada: una sola petición por sesión a la vez,
+     * también entre workers. El TTL del lock solo cubre a un worker caído.
+     */
+    async _withLock(sessionId, fn) {
+        const lockKey = SESSION_LOCK_PREFIX + sessionId;
+
+        if (!(await cacheService.setIfAbsent(lockKey, Date.now(), this.sessionTtl))) {
+            throw new RecognitionError(
+                'La sesión está procesando otra petición; reintente cuando termine',
+                'SESSION_BUSY',
+                409
+            );
+        }
+
+        try {
+            return await fn();
+        } finally {
+            await cacheService.del(lockKey);
+        }
+    }
+
+    async _processFrame(buffer, index, userDescriptors, tenant) {
+        try {
+            const recognition = await faceRecognitionService.recognizeFace(buffer, userDescriptors, {
+                enableCache: false,
+                includeDescriptor: true,
+                recordUnknown: false,
+                source: 'session',
+                tenant
+            });
+
+            return {
+                index,
+                status: 'face',
+                descriptor: recognition.descriptor,
+                detectionScore: recognition.detectionScore,
+                match: recognition.match ? {
+                    id: recognition.match.id,
+                    ci: recognition.match.ci,
+                    name: recognition.match.name,
+                    id_cliente: recognition.match.id_cliente,
+                    distance: recognition.match.distance
+                } : null
+            };
+
+        } catch (error) {
+            const noFace = /No se detectó ningún rostro/.test(error.message);
+            logger.debug(`Sesión multi-frame: frame ${index} sin voto: ${error.message}`);
+
+            return {
+                index,
+                status: noFace ? 'no_face' : 'rejected',
+                ...(!noFace && { code: error.code || 'FRAME_PROCESSING_ERROR' })
+            };
+        }
+    }
+
+    /**
+     * Decide la sesión con los frames acumulados. La sesión se consume (uso único).
+     *
+     * @param {string} sessionId
+     * @param {Array} userDescriptors - Fallback lineal si HNSW no está disponible
+     * @param {string|null} tenant
+     */
+    async decide(sessionId, userDescriptors = [], tenant = null) {
+        const session = await this._withLock(sessionId, async () => {
+            await this.getSession(sessionId, tenant);
+
+            // Uso único: take() lee y elimina en una sola operación
+            const taken = await cacheService.take(SESSION_PREFIX + sessionId);
+            if (!taken) {
+                throw new RecognitionError(
+                    'Sesión de reconocimiento inexistente, expirada o ya decidida',
+                    'SESSION_NOT_FOUND',
+                    404
+                );
+            }
+
+            const withFace = taken.frames.filter(f => f.status === 'face').length;
+            if (withFace < this.minFrames) {
+                // Todavía no se puede decidir: la sesión vuelve a la caché para recibir más frames,
+                // con el tiempo que le quedaba (sin frames nuevos no se renueva)
+                await this._save(taken);
+                throw new RecognitionError(
+                    `Se requieren al menos ${this.minFrames} frames con rostro (hay ${withFace})`,
+                    'INSUFFICIENT_FRAMES',
+                    400,
+                    { session: this.summarize(taken) }
+                );
+            }
+
+            return taken;
+        });
+        const faceFrames = session.frames.filter(f => f.status === 'face');
+
+        const decision = session.strategy === 'average'
+            ? await this._decideByAverage(faceFrames, userDescriptors, tenant)
+            : this._decideByVote(faceFrames, tenant);
+
+        const recognized = !!decision.match && decision.consistency >= this.minConsistency;
+
+        logger.info(`${recognized ? '✅' : '❌'} Sesión ${sessionId} (${session.strategy}): ` +
+            `${decision.match ? decision.match.ci : 'sin match'}, consistencia ${decision.consistency}`);
+
+        return {
+            sessionId,
+            strategy: session.strategy,
+            recognized,
+            match: recognized ? decision.match : null,
+            consistency: decision.consistency,
+            minConsistency: this.minConsistency,
+            ...decision.details,
+            frames: this._frameSummary(session.frames)
+        };
+    }
+
+    /**
+     * Votación: cada frame vota por su match (o por "desconocido").
+     * Consistencia = votos del ganador / frames con rostro.
+     */
+    _decideByVote(faceFrames, tenant = null) {
+        const tally = new Map();
+        let unknownVotes = 0;
+
+        for (const frame of faceFrames) {
+            if (!frame.match) {
+                unknownVotes++;
+                continue;
+            }
+            const entry = tally.get(frame.match.id) || { match: frame.match, votes: 0, distances: [] };
+            entry.votes++;
+            entry.distances.push(frame.match.distance);
+            tally.set(frame.match.id, entry);
+        }
+
+        const ranking = [...tally.values()].sort((a, b) =>
+            b.votes - a.votes || this._mean(a.distances) - this._mean(b.distances)
+        );
+        const winner = ranking[0];
+
+        // "Desconocido" también compite: si gana, no hay match
+        if (!winner || winner.votes <= unknownVotes) {
+            return {
+                match: null,
+                consistency: this._round(unknownVotes / faceFrames.length),
+                details: { votes: this._voteSummary(ranking, unknownVotes) }
+            };
+        }
+
+        const meanDistance = this._mean(winner.distances);
+
+        return {
+            match: {
+                id: winner.match.id,
+                id_cliente: winner.match.id_cliente,
+                name: winner.match.name,
+                ci: winner.match.ci,
+                distance: this._round(meanDistance),
+                similarity: Math.round((1 - meanDistance) * 100),
+                probability: calibrationService.probability(meanDistance, tenant)
+            },
+            consistency: this._round(winner.votes / faceFrames.length),
+            details: { votes: this._voteSummary(ranking, unknownVotes) }
+        };
+    }
+
+    /**
+     * Promedio: se identifica el descriptor medio de los frames.
+     * Consistencia = fracción de frames a distancia ≤ umbral del descriptor medio
+     * (frames de otra persona bajan la consistencia).
+     */
+    async _decideByAverage(faceFrames, userDescriptors, tenant) {
+        const dims = faceFrames[0].descriptor.length;
+        const mean = new Float32Array(dims);
+
+        for (const frame of faceFrames) {
+            for (let i = 0; i < dims; i++) mean[i] += frame.descriptor[i] / faceFrames.length;
+        }
+
+        const distancesToMean = faceFrames.map(f => faceapi.euclideanDistance(f.descriptor, mean));
+        const consistent = distancesToMean.filter(d => d <= faceConfig.CONFIDENCE_THRESHOLD).length;
+        const match = await faceRecognitionService.matchDescriptor(mean, userDescriptors, { tenant, mode: 'session' });
+
+        return {
+            match: match ? {
+                id: match.id,
+                id_cliente: match.id_cliente,
+                name: match.name,
+                ci: match.ci,
+                distance: this._round(match.distance),
+                similarity: match.similarity,
+                probability: match.probability
+            } : null,
+            consistency: this._round(consistent / faceFrames.length),
+            details: { maxDistanceToMean: this._round(Math.max(...distancesToMean)) }
+        };
+    }
+
+    /**
+     * Estado público de la sesión (sin descriptores)
+     */
+    summarize(session) {
+        return {
+            sessionId: session.id,
+            strategy: session.strategy,
+            expiresAt: session.expiresAt,
+            minFrames: this.minFrames,
+            maxFrames: this.maxFrames,
+            frames: this._frameSummary(session.frames)
+        };
+    }
+
+    _frameSummary(frames) {
+        return {
+            received: frames.length,
+            withFace: frames.filter(f => f.status === 'face').length,
+            noFace: frames.filter(f => f.status === 'no_face').length,
+            rejected: frames.filter(f => f.status === 'rejected').length
+        };
+    }
+
+    _voteSummary(ranking, unknownVotes) {
+        return [
+            ...ranking.map(r => ({ id: r.match.id, ci: r.match.ci, votes: r.votes })),
+            ...(unknownVotes > 0 ? [{ id: null, ci: null, votes: unknownVotes }] : [])
+        ];
+    }
+
+    /**
+     * El TTL en la caché es siempre el tiempo que falta hasta session.expiresAt,
+     * así la expiración real coincide con la informada al cliente
+     */
+    async _save(session) {
+        const remaining = Math.ceil((Date.parse(session.expiresAt) - Date.now()) / 1000);
+        await cacheService.set(SESSION_PREFIX + session.id, session, Math.max(1, remaining));
+    }
+
+    _mean(values) {
+        return values.reduce((sum, v) => sum + v, 0) / values.length;
+    }
+
+    _round(value) {
+        return Math.round(value * 10000) / 10000;
+    }
+}
+
+module.exports = new RecognitionSessionService();
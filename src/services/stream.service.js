@@ -0,0 +1,467 @@
+/**
+ * Servicio de Reconocimiento en Streaming (WebSocket)
+ *
+ * Pensado para kioscos y cámaras en vivo: en lugar de un POST base64 por frame,
+ * el cliente mantiene una conexión WebSocket y envía cada frame como mensaje binario
+ * (JPEG/PNG). El servidor responde con un mensaje JSON por frame procesado.
+ *
+ * Protocolo (ws://host:PORT/ws/recognize?mode=single&candidates=5&minIntervalMs=200):
+ * - Mensaje binario                   → frame a reconocer
+ * - {"type":"config", ...settings}    → cambia la configuración de la conexión
+ * - {"type":"ping"}                   → {"type":"pong"}
+ *
+ * Con tenancy (TENANCY_ENABLED) el tenant sale de los headers del upgrade (X-API-Key /
+ * X-Tenant-Id) o de ?tenant= y queda fijo para toda la conexión.
+ *
+ * Frames descartados: solo se procesa un frame a la vez por conexión. Si llegan
+ * frames mientras la inferencia está ocupada (o antes de minIntervalMs) se conserva
+ * únicamente el más reciente y los anteriores se descartan → la latencia no se acumula.
+ */
+
+const WebSocket = require('ws');
+const logger = require('../utils/logger');
+const config = require('../config/server');
+const faceConfig = require('../config/face-recognition');
+const Recognition = require('../models/Recognition');
+const faceRecognitionService = require('./face-recognition.service');
+const metricsService = require('./metrics.service');
+const { RecognitionError } = require('../utils/errors');
+const { resolveTenant } = require('../middleware/tenant.middleware');
+
+const MODES = ['single', 'multi'];
+const MAX_MIN_INTERVAL_MS = 10000;
+
+class StreamService {
+    constructor() {
+        this.wss = null;
+        this.heartbeatTimer = null;
+        this.connections = new Set();
+        this.stats = {
+            totalConnections: 0,
+            framesReceived: 0,
+            framesProcessed: 0,
+            framesDropped: 0,
+            framesFailed: 0
+        };
+    }
+
+    /**
+     * Adjunta el servidor WebSocket al servidor HTTP de Express
+     */
+    attach(server) {
+        if (!config.STREAM.ENABLED) {
+            logger.info('ℹ️ Streaming WebSocket deshabilitado (STREAM_ENABLED=false)');
+            return;
+        }
+
+        this.wss = new WebSocket.Server({
+            server,
+            path: config.STREAM.PATH,
+            maxPayload: config.MAX_IMAGE_SIZE,
+            verifyClient: (info) => this._isOriginAllowed(info.origin)
+        });
+
+        this.wss.on('connection', (ws, req) => this._onConnection(ws, req));
+        this.wss.on('error', (error) => logger.error('❌ Error en servidor WebSocket:', error));
+
+        // Heartbeat: cerrar conexiones que no responden al ping (cámaras desconectadas)
+        this.heartbeatTimer = setInterval(() => {
+            for (const conn of this.connections) {
+                if (!conn.alive) {
+                    conn.ws.terminate();
+                    continue;
+                }
+                conn.alive = false;
+                conn.ws.ping();
+            }
+        }, config.STREAM.HEARTBEAT_MS);
+        this.heartbeatTimer.unref();
+
+        logger.info(`✅ Streaming WebSocket en ${config.STREAM.PATH}`);
+    }
+
+    _isOriginAllowed(origin) {
+        // Clientes no-navegador (kioscos, cámaras) no envían Origin
+        if (!origin) return true;
+        const allowed = config.CORS_OPTIONS.origin;
+        return allowed === '*' || (Array.isArray(allowed) && allowed.includes(origin));
+    }
+
+    _onConnection(ws, req) {
+        if (this.connections.size >= config.STREAM.MAX_CONNECTIONS) {
+            this._send({ ws }, {
+                type: 'error',
+                error: 'Demasiadas conexiones de streaming activas',
+                code: 'STREAM_LIMIT_REACHED'
+            });
+            ws.close(1013, 'STREAM_LIMIT_REACHED');
+            return;
+        }
+
+        let settings;
+        let tenant;
+        try {
+            const query = new URL(req.url, 'http://localhost').searchParams;
+            tenant = resolveTenant(req, query.get('tenant'));
+            settings = this.parseSettings(Object.fromEntries(query), this._defaultSettings());
+        } catch (error) {
+            this._send({ ws }, { type: 'error', error: error.message, code: error.code });
+            ws.close(1008, error.code);
+            return;
+        }
+
+        const conn = {
+            ws,
+            settings,
+            tenant,
+            alive: true,
+            closed: false,
+            busy: false,
+            pending: null,
+            timer: null,
+            seq: 0,
+            lastStartedAt: 0,
+            lastUserId: null,
+            ip: req.headers['x-forwarded-for']?.split(',')[0].trim() || req.socket.remoteAddress,
+            userAgent: req.headers['user-agent'],
+            stats: { received: 0, processed: 0, dropped: 0 }
+        };
+
+        this.connections.add(conn);
+        this.stats.totalConnections++;
+        metricsService.updateStreamConnections(this.connections.size);
+        logger.info(`🔌 Stream conectado (${conn.ip}) - activos: ${this.connections.size}`);
+
+        ws.on('pong', () => { conn.alive = true; });
+        ws.on('message', (data, isBinary) => this._onMessage(conn, data, isBinary));
+        ws.on('close', () => this._onClose(conn));
+        ws.on('error', (error) => logger.warn(`⚠️ Error en stream (${conn.ip}): ${error.message}`));
+
+        this._send(conn, { type: 'ready', settings: conn.settings, ...(tenant && { tenant }) });
+    }
+
+    _onMessage(conn, data, isBinary) {
+        if (isBinary) {
+            this._enqueueFrame(conn, data);
+            return;
+        }
+
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (error) {
+            this._send(conn, { type: 'error', error: 'Mensaje JSON inválido', code: 'INVALID_MESSAGE' });
+            return;
+        }
+
+        switch (message.type) {
+        case 'config':
+            try {
+                conn.settings = this.parseSettings(message, conn.settings);
+                this._send(conn, { type: 'config', settings: conn.settings });
+            } catch (error) {
+                this._send(conn, { type: 'error', error: error.message, code: error.code });
+            }
+            break;
+        case 'ping':
+            this._send(conn, { type: 'pong', stats: conn.stats });
+            break;
+        default:
+            this._send(conn, {
+                type: 'error',
+                error: 'Tipo de mensaje desconocido. Válidos: config, ping (los frames van como binario)',
+                code: 'INVALID_MESSAGE'
+            });
+        }
+    }
+
+    _enqueueFrame(conn, data) {
+        conn.seq++;
+        conn.stats.received++;
+        this.stats.framesReceived++;
+
+        // Solo se conserva el frame más reciente: el pendiente anterior se descarta
+        if (conn.pending) {
+            this._dropFrame(conn);
+        }
+
+        conn.pending = { buffer: data, frame: conn.seq, receivedAt: Date.now() };
+        this._pump(conn);
+    }
+
+    _dropFrame(conn) {
+        conn.stats.dropped++;
+        this.stats.framesDropped++;
+        metricsService.recordStreamFrame('dropped');
+    }
+
+    /**
+     * Procesa el frame pendiente si la conexión está libre y respetó minIntervalMs
+     */
+    _pump(conn) {
+        if (conn.closed || conn.busy || !conn.pending) return;
+
+        const wait = conn.lastStartedAt + conn.settings.minIntervalMs - Date.now();
+        if (wait > 0) {
+            if (!conn.timer) {
+                conn.timer = setTimeout(() => {
+                    conn.timer = null;
+                    this._pump(conn);
+                }, wait);
+            }
+            return;
+        }
+
+        const frame = conn.pending;
+        conn.pending = null;
+        conn.busy = true;
+        conn.lastStartedAt = Date.now();
+
+        this._processFrame(conn, frame)
+            .catch(error => logger.error('❌ Error inesperado en stream:', error))
+            .finally(() => {
+                conn.busy = false;
+                this._pump(conn);
+            });
+    }
+
+    async _processFrame(conn, frame) {
+        const { settings } = conn;
+
+        try {
+            // Sin índice HNSW se necesita la lista de usuarios para la búsqueda lineal
+            const users = await faceRecognitionService.getFallbackUsers(conn.tenant);
+
+            const message = settings.mode === 'multi'
+                ? await this._recognizeMulti(conn, frame, users)
+                : await this._recognizeSingle(conn, frame, users);
+
+            conn.stats.processed++;
+            this.stats.framesProcessed++;
+            metricsService.recordStreamFrame('processed');
+
+            this._send(conn, {
+                ...message,
+                frame: frame.frame,
+                latency_ms: Date.now() - frame.receivedAt,
+                dropped: conn.stats.dropped
+            });
+
+        } catch (error) {
+            // Frames sin rostro son normales en streaming: no es un error
+            if (/No se detectó ningún rostro|demasiado pequeños/.test(error.message)) {
+                conn.stats.processed++;
+                this.stats.framesProcessed++;
+                metricsService.recordStreamFrame('processed');
+                this._send(conn, {
+                    type: 'result',
+                    frame: frame.frame,
+                    status: 'no_face',
+                    latency_ms: Date.now() - frame.receivedAt,
+                    dropped: conn.stats.dropped
+                });
+                return;
+            }
+
+            this.stats.framesFailed++;
+            metricsService.recordStreamFrame('error');
+
+            const known = error instanceof RecognitionError;
+            if (!known) {
+                logger.warn(`⚠️ Frame ${frame.frame} falló (${conn.ip}): ${error.message}`);
+            }
+
+            this._send(conn, {
+                type: 'error',
+                frame: frame.frame,
+                error: known ? error.message : 'No se pudo procesar el frame',
+                code: known ? error.code : 'FRAME_PROCESSING_ERROR'
+            });
+        }
+    }
+
+    async _recognizeSingle(conn, frame, users) {
+        const recognition = await faceRecognitionService.recognizeFace(frame.buffer, users, {
+            enableCache: false,
+            recordUnknown: false,
+            source: 'stream',
+            tenant: conn.tenant,
+            candidates: conn.settings.candidates,
+            applyThreshold: conn.settings.applyThreshold
+        });
+
+        const match = recognition.match;
+        await this._logIdentityChange(conn, match, recognition);
+
+        return {
+            type: 'result',
+            status: match ? 'recognized' : (recognition.ambiguity ? 'ambiguous' : 'unknown'),
+            match: match ? this._serializeMatch(match) : null,
+            ...(recognition.ambiguity && { ambiguity: recognition.ambiguity }),
+            confidence: recognition.confidence,
+            box: recognition.detectionBox ? faceRecognitionService.serializeBox(recognition.detectionBox) : null,
+            liveness: recognition.liveness,
+            processing_time_ms: recognition.processingTime,
+            ...(recognition.candidates && { candidates: recognition.candidates })
+        };
+    }
+
+    async _recognizeMulti(conn, frame, users) {
+        const multi = await faceRecognitionService.recognizeFaces(frame.buffer, users, {
+            tenant: conn.tenant,
+            recordUnknown: false
+        });
+
+        // Igual que en modo simple: sin ningún rostro reconocido, un rostro ambiguo hace ambiguo el frame
+        const status = multi.faces.some(f => f.match) ? 'recognized'
+            : multi.faces.some(f => f.ambiguity) ? 'ambiguous' : 'unknown';
+
+        return {
+            type: 'result',
+            status,
+            faces: multi.faces.map(face => ({
+                box: face.box,
+                status: face.match ? 'recognized'
+                    : face.spoofSuspected ? 'spoof_suspected'
+                    : face.ambiguity ? 'ambiguous' : 'unknown',
+                match: face.match ? this._serializeMatch(face.match) : null,
+                distance: face.distance,
+                liveness: face.liveness,
+                ...(face.ambiguity && { ambiguity: face.ambiguity })
+            })),
+            total_detected: multi.totalDetected,
+            processing_time_ms: multi.processingTime
+        };
+    }
+
+    _serializeMatch(match) {
+        return {
+            id: match.id,
+            id_cliente: match.id_cliente,
+            name: match.name,
+            ci: match.ci,
+            similarity: match.similarity,
+            probability: match.probability
+        };
+    }
+
+    /**
+     * Registra un evento solo cuando cambia la identidad reconocida en la conexión:
+     * una cámara a 10 fps no debe generar 10 filas por segundo en recognition_logs
+     */
+    async _logIdentityChange(conn, match, recognition) {
+        const userId = match ? match.id : null;
+        if (!match || userId === conn.lastUserId) {
+            conn.lastUserId = userId;
+            return;
+        }
+        conn.lastUserId = userId;
+
+        try {
+            await Recognition.logEvent({
+                user_id: userId,
+                recognition_type: 'STREAM_RECOGNIZE',
+                confidence_score: recognition.confidence,
+                processing_time_ms: recognition.processingTime,
+                success: true,
+                id_cliente: conn.tenant,
+                ip_address: conn.ip,
+                user_agent: conn.userAgent
+            });
+        } catch (error) {
+            logger.warn('⚠️ No se pudo registrar evento de stream:', error.message);
+        }
+    }
+
+    _defaultSettings() {
+        return {
+            mode: 'single',
+            candidates: 0,
+            applyThreshold: true,
+            minIntervalMs: config.STREAM.MIN_INTERVAL_MS
+        };
+    }
+
+    /**
+     * Valida y combina la configuración de la conexión (query string o mensaje config)
+     */
+    parseSettings(input, base) {
+        const settings = { ...base };
+
+        if (input.mode !== undefined) {
+            if (!MODES.includes(input.mode)) {
+                throw new RecognitionError(`mode debe ser uno de: ${MODES.join(', ')}`, 'INVALID_STREAM_CONFIG');
+            }
+            settings.mode = input.mode;
+        }
+
+        if (input.candidates !== undefined) {
+            const k = parseInt(input.candidates);
+            if (isNaN(k) || k < 0 || k > faceConfig.MAX_CANDIDATES) {
+                throw new RecognitionError(
+                    `candidates debe ser un número entre 0 y ${faceConfig.MAX_CANDIDATES}`,
+                    'INVALID_STREAM_CONFIG'
+                );
+            }
+            settings.candidates = k;
+        }
+
+        if (input.applyThreshold !== undefined) {
+            settings.applyThreshold = input.applyThreshold !== false && input.applyThreshold !== 'false';
+        }
+
+        if (input.minIntervalMs !== undefined) {
+            const ms = parseInt(input.minIntervalMs);
+            if (isNaN(ms) || ms < 0 || ms > MAX_MIN_INTERVAL_MS) {
+                throw new RecognitionError(
+                    `minIntervalMs debe ser un número entre 0 y ${MAX_MIN_INTERVAL_MS}`,
+                    'INVALID_STREAM_CONFIG'
+                );
+            }
+            settings.minIntervalMs = ms;
+        }
+
+        return settings;
+    }
+
+    _send(conn, payload) {
+        if (conn.ws.readyState !== WebSocket.OPEN) return;
+        conn.ws.send(JSON.stringify(payload));
+    }
+
+    _onClose(conn) {
+        conn.closed = true;
+        if (conn.timer) clearTimeout(conn.timer);
+        if (conn.pending) this._dropFrame(conn);
+        conn.pending = null;
+
+        this.connections.delete(conn);
+        metricsService.updateStreamConnections(this.connections.size);
+        logger.info(`🔌 Stream desconectado (${conn.ip}) - frames: ${conn.stats.processed} procesados, ${conn.stats.dropped} descartados`);
+    }
+
+    /**
+     * Cierra todas las conexiones (apagado limpio)
+     */
+    close() {
+        if (!this.wss) return;
+
+        clearInterval(this.heartbeatTimer);
+        for (const conn of this.connections) {
+            conn.ws.close(1001, 'SERVER_SHUTDOWN');
+        }
+        this.wss.close();
+        this.wss = null;
+    }
+
+    getStats() {
+        return {
+            enabled: !!this.wss,
+            path: config.STREAM.PATH,
+            activeConnections: this.connections.size,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = new StreamService();
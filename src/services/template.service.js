@@ -0,0 +1,169 @@
+/**
+ * Servicio de Plantillas de Enrolamiento
+ *
+ * Un usuario puede tener varias plantillas (descriptores) en face_templates;
+ * una foto de enrolamiento mala ya no arruina el reconocimiento de esa persona.
+ * El índice HNSW guarda un vector por plantilla y colapsa los resultados por usuario.
+ *
+ * users.descriptor se mantiene como espejo de la plantilla más reciente
+ * (compatibilidad con integraciones existentes; la búsqueda lineal de fallback
+ * compara contra todas las plantillas, ver User.getActiveUsers).
+ */
+
+const logger = require('../utils/logger');
+const User = require('../models/User');
+const FaceTemplate = require('../models/FaceTemplate');
+const faceRecognitionService = require('./face-recognition.service');
+const faceConfig = require('../config/face-recognition');
+const { RecognitionError } = require('../utils/errors');
+
+class TemplateService {
+    constructor() {
+        this.maxTemplatesPerUser = parseInt(process.env.FACE_MAX_TEMPLATES_PER_USER) || 10;
+    }
+
+    /**
+     * Agrega una plantilla a un usuario y la indexa en HNSW
+     *
+     * @param {Object} user - Usuario ({ id, ci, name, id_cliente })
+     * @param {Object} faceData - Resultado de faceRecognitionService.registerFace
+     * @param {string} source - register | update | api
+     * @param {Object} options
+     * @param {boolean} options.syncUserDescriptor - Actualizar users.descriptor (false al crear el usuario)
+     */
+    async addTemplate(user, faceData, source, options = {}) {
+        const { syncUserDescriptor = true } = options;
+
+        const count = await FaceTemplate.countByUser(user.id);
+        if (count >= this.maxTemplatesPerUser) {
+            throw new RecognitionError(
+                `El usuario ya tiene el máximo de ${this.maxTemplatesPerUser} plantillas. Elimine alguna antes de agregar otra.`,
+                'TEMPLATE_LIMIT_REACHED',
+                409
+            );
+        }
+
+        const template = await FaceTemplate.create(this._templateData(user, faceData, source));
+
+        if (syncUserDescriptor) {
+            await this._syncUserDescriptorFrom(user, template, faceData);
+        }
+
+        await this._indexTemplate(user, template, faceData);
+
+        logger.info(`🧬 Plantilla ${template.id} agregada a usuario ${user.ci} (${source}, total: ${count + 1})`);
+
+        return template;
+    }
+
+    /**
+     * Reemplaza todas las plantillas del usuario por una nueva
+     * La DB se actualiza en una transacción (nueva primero, luego el borrado) y el
+     * índice HNSW se sincroniza recién tras el commit.
+     */
+    async replaceTemplates(user, faceData, source) {
+        const { templates: [template], removed } = await FaceTemplate.replaceByUser(
+            user.id,
+            [this._templateData(user, faceData, source)]
+        );
+
+        await this._syncUserDescriptorFrom(user, template, faceData);
+        await faceRecognitionService.syncHNSWIndex('removeUser', { userId: user.id, tenant: user.id_cliente });
+        await this._indexTemplate(user, template, faceData);
+
+        logger.info(`🧬 Plantillas de ${user.ci} reemplazadas (${removed} eliminadas)`);
+
+        return { template, removed };
+    }
+
+    _templateData(user, faceData, source) {
+        return {
+            user_id: user.id,
+            descriptor: JSON.stringify(faceData.descriptor),
+            quality_score: faceData.confidenceScore,
+            source,
+            // Plantillas derivadas de reconocimientos (adaptive, unknown_cluster) usan el perfil RECOGNIZE
+            encoding: faceData.encoding || faceConfig.getEncoding('RECOGNIZE')
+        };
+    }
+
+    async _syncUserDescriptorFrom(user, template, faceData) {
+        await User.update(user.id, {
+            descriptor: template.descriptor,
+            confidence_score: faceData.confidenceScore,
+            updated_at: new Date().toISOString()
+        });
+    }
+
+    async _indexTemplate(user, template, faceData) {
+        await faceRecognitionService.syncHNSWIndex('add', {
+            templateId: template.id,
+            userId: user.id,
+            descriptor: faceData.descriptor,
+            userMeta: { ci: user.ci, name: user.name, id_cliente: user.id_cliente }
+        });
+    }
+
+    /**
+     * Elimina una plantilla; no se permite dejar al usuario sin plantillas
+     */
+    async removeTemplate(user, templateId) {
+        const template = await FaceTemplate.findById(templateId);
+        if (!template || template.user_id !== user.id) {
+            throw new RecognitionError('Plantilla no encontrada', 'TEMPLATE_NOT_FOUND', 404);
+        }
+
+        const count = await FaceTemplate.countByUser(user.id);
+        if (count <= 1) {
+            throw new RecognitionError(
+                'No se puede eliminar la única plantilla del usuario. Agregue otra o use PUT /api/recognition/update.',
+                'LAST_TEMPLATE',
+                409
+            );
+        }
+
+        await FaceTemplate.deleteById(templateId);
+        await faceRecognitionService.syncHNSWIndex('remove', { templateId, userId: user.id, tenant: user.id_cliente });
+        await this.syncUserDescriptor(user.id);
+
+        logger.info(`🧬 Plantilla ${templateId} eliminada de usuario ${user.ci}`);
+
+        return { removed: templateId, remaining: count - 1 };
+    }
+
+    /**
+     * Reemplaza el descriptor de una plantilla existente (DB + HNSW)
+     *
+     * @param {Object} user - Usuario dueño ({ id, ci, name, id_cliente })
+     * @param {number} templateId
+     * @param {number[]} descriptor
+     */
+    async updateTemplateDescriptor(user, templateId, descriptor) {
+        await FaceTemplate.updateDescriptor(templateId, JSON.stringify(descriptor));
+
+        await faceRecognitionService.syncHNSWIndex('add', {
+            templateId,
+            userId: user.id,
+            descriptor,
+            userMeta: { ci: user.ci, name: user.name, id_cliente: user.id_cliente }
+        });
+
+        await this.syncUserDescriptor(user.id);
+    }
+
+    /**
+     * users.descriptor vuelve a reflejar la plantilla más reciente del usuario
+     */
+    async syncUserDescriptor(userId) {
+        const [latest] = await FaceTemplate.findByUser(userId, true);
+        if (!latest) return;
+
+        await User.update(userId, {
+            descriptor: latest.descriptor,
+            confidence_score: latest.quality_score,
+            updated_at: new Date().toISOString()
+        });
+    }
+}
+
+module.exports = new TemplateService();
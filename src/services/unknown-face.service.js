@@ -0,0 +1,500 @@
+/**
+ * Servicio de Rostros Desconocidos
+ *
+ * Con UNKNOWN_FACES_ENABLED=true los descriptores de rostros sin match se guardan
+ * (unknown_faces) en lugar de descartarse, con su propio índice HNSW:
+ * - Al ingresar, un rostro casi idéntico a uno ya guardado (UNKNOWN_DEDUP_DISTANCE)
+ *   solo suma un avistamiento → una cámara a 10 fps no llena la tabla.
+ * - Un job periódico purga por retención y agrupa los rostros con DBSCAN (distancia L2)
+ *   en identidades anónimas (unknown_clusters) con primera/última vez visto y contadores.
+ * - Un administrador puede promover un cluster a usuario registrado.
+ *
+ * Con tenancy cada tenant tiene su propio índice de desconocidos (unknown.tenant-<id>.index)
+ * y su propio clustering: un rostro visto en un tenant nunca se agrupa, deduplica ni
+ * promueve en otro.
+ *
+ * En modo PM2 cluster el job corre en un solo worker a la vez (advisory lock de PostgreSQL);
+ * todos los workers reconstruyen su índice de desconocidos desde la DB en cada corrida.
+ */
+
+const path = require('path');
+const logger = require('../utils/logger');
+const db = require('../config/database');
+const config = require('../config/server');
+const User = require('../models/User');
+const UnknownFace = require('../models/UnknownFace');
+const UnknownCluster = require('../models/UnknownCluster');
+const metricsService = require('./metrics.service');
+const { HNSWService } = require('./hnsw.service');
+const { RecognitionError } = require('../utils/errors');
+
+// Clave del advisory lock del job de clustering (arbitraria, única en la aplicación)
+const CLUSTER_LOCK_KEY = 7311401;
+// Vecinos consultados por punto en DBSCAN (la región se aproxima con k-NN del índice)
+const DBSCAN_MAX_NEIGHBORS = 50;
+// Plantillas creadas al promover un cluster (los rostros con mejor detección)
+const PROMOTE_TEMPLATES = 5;
+
+const NOISE = -1;
+
+class UnknownFaceService {
+    constructor() {
+        this.enabled = process.env.UNKNOWN_FACES_ENABLED === 'true';
+        this.minDetectionScore = parseFloat(process.env.UNKNOWN_MIN_DETECTION_SCORE) || 0.8;
+        this.dedupDistance = parseFloat(process.env.UNKNOWN_DEDUP_DISTANCE) || 0.15;
+        this.retentionDays = parseInt(process.env.UNKNOWN_FACES_RETENTION_DAYS) || 30;
+        this.clusterEps = parseFloat(process.env.UNKNOWN_CLUSTER_EPS) || 0.45;
+        this.clusterMinSamples = parseInt(process.env.UNKNOWN_CLUSTER_MIN_SAMPLES) || 3;
+        this.clusterIntervalMin = parseInt(process.env.UNKNOWN_CLUSTER_INTERVAL_MIN) || 60;
+
+        this.index = new HNSWService({
+            indexPath: path.join(path.dirname(process.env.HNSW_INDEX_PATH || './data/hnsw.index'), 'unknown.index'),
+            metaPath: path.join(path.dirname(process.env.HNSW_META_PATH || './data/hnsw.meta.json'), 'unknown.meta.json'),
+            maxElements: parseInt(process.env.UNKNOWN_MAX_FACES) || 200000
+        });
+
+        this.timer = null;
+        this.running = false;
+        this.stats = {
+            recorded: 0,
+            deduplicated: 0,
+            lastRunAt: null,
+            lastRun: null
+        };
+    }
+
+    /**
+     * Carga los índices desde la DB y programa el job de clustering
+     */
+    async initialize() {
+        if (!this.enabled) {
+            logger.info('ℹ️ Almacén de rostros desconocidos deshabilitado (UNKNOWN_FACES_ENABLED=false)');
+            return;
+        }
+
+        // La DB es la fuente de verdad: los índices se reconstruyen en cada arranque
+        await this.index.initialize();
+        const faces = await this._reloadIndexes(await this._tenants());
+
+        this.timer = setInterval(() => {
+            this.runJob().catch(error => logger.error('❌ Error en job de rostros desconocidos:', error));
+        }, this.clusterIntervalMin * 60 * 1000);
+        this.timer.unref();
+
+        logger.info(`✅ Rostros desconocidos: ${faces} en índice, clustering cada ${this.clusterIntervalMin} min`);
+    }
+
+    /**
+     * Índice de desconocidos del tenant (con tenancy) o el global
+     */
+    async _indexFor(tenant) {
+        if (!config.TENANCY.ENABLED) return this.index;
+
+        if (!tenant) {
+            throw new RecognitionError('Se requiere un tenant para el almacén de desconocidos', 'TENANT_REQUIRED');
+        }
+
+        return this.index.forTenant(tenant);
+    }
+
+    /**
+     * Tenants a procesar: los que tienen rostros guardados (sin tenancy, solo NULL)
+     */
+    async _tenants() {
+        if (!config.TENANCY.ENABLED) return [null];
+        return (await UnknownFace.findTenants()).filter(Boolean);
+    }
+
+    /**
+     * Guarda el descriptor de un rostro sin match. Nunca lanza: el reconocimiento
+     * ya respondió y un fallo aquí no debe afectarlo.
+     *
+     * @param {Float32Array|number[]} descriptor
+     * @param {Object} options - { detectionScore, source, tenant }
+     */
+    async record(descriptor, options = {}) {
+        if (!this.enabled || !this.index.isInitialized) return null;
+
+        try {
+            const { detectionScore = 0, source = 'recognize', tenant = null } = options;
+
+            if (detectionScore < this.minDetectionScore) {
+                metricsService.recordUnknownFace('skipped_low_score');
+                return null;
+            }
+
+            const index = await this._indexFor(tenant);
+
+            // ¿Ya lo tenemos? Suma un avistamiento en lugar de otra fila
+            const [nearest] = await index.search(descriptor, 1, this.dedupDistance);
+            if (nearest && await UnknownFace.touch(nearest.templateId)) {
+                this.stats.deduplicated++;
+                metricsService.recordUnknownFace('deduplicated');
+                return { id: nearest.templateId, deduplicated: true };
+            }
+
+            const vector = Array.from(descriptor);
+            const face = await UnknownFace.create({
+                descriptor: JSON.stringify(vector),
+                detection_score: detectionScore,
+                source,
+                id_cliente: tenant
+            });
+            // En este índice "plantilla" y "usuario" son el mismo rostro desconocido
+            await index.addTemplate(face.id, face.id, vector);
+
+            this.stats.recorded++;
+            metricsService.recordUnknownFace('recorded');
+            logger.debug(`👤 Rostro desconocido guardado: ${face.id} (${source})`);
+
+            return { id: face.id, deduplicated: false };
+
+        } catch (error) {
+            logger.warn('⚠️ No se pudo guardar rostro desconocido:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Purga por retención + clustering DBSCAN, por separado en cada tenant.
+     * Solo un worker a la vez (advisory lock); el resto solo recarga sus índices.
+     *
+     * @param {Array<string|null>} [tenants] - Solo estos tenants (por defecto, todos)
+     */
+    async runJob(tenants) {
+        if (!this.enabled || this.running) return null;
+        this.running = true;
+
+        try {
+            const targets = tenants || await this._tenants();
+            const result = await db.transaction(async (client) => {
+                const { rows } = await client.query('SELECT pg_try_advisory_xact_lock($1) AS locked', [CLUSTER_LOCK_KEY]);
+                if (!rows[0].locked) return null;
+                return this._purgeAndCluster(targets);
+            });
+
+            if (!result) {
+                logger.debug('Job de desconocidos en curso en otro worker; solo se recargan los índices');
+                await this._reloadIndexes(targets);
+                return null;
+            }
+
+            // El gauge refleja todos los tenants: solo se actualiza en la corrida completa
+            if (!tenants || !config.TENANCY.ENABLED) metricsService.updateUnknownClusters(result.clusters);
+
+            this.stats.lastRunAt = new Date().toISOString();
+            this.stats.lastRun = result;
+            return result;
+
+        } finally {
+            this.running = false;
+        }
+    }
+
+    async _purgeAndCluster(tenants) {
+        const startTime = Date.now();
+        const result = { tenants: tenants.length, faces: 0, purged: 0, clusters: 0, created: 0, removed: 0, noise: 0 };
+
+        for (const tenant of tenants) {
+            const partial = await this._clusterTenant(tenant);
+            for (const key of ['faces', 'purged', 'clusters', 'created', 'removed', 'noise']) {
+                result[key] += partial[key];
+            }
+        }
+
+        result.timeMs = Date.now() - startTime;
+        logger.info(`🧩 Clustering de desconocidos (${result.tenants} tenant/s): ${result.faces} rostros → ` +
+            `${result.clusters} clusters (${result.created} nuevos, ${result.removed} eliminados, ` +
+            `${result.purged} purgados) en ${result.timeMs}ms`);
+
+        return result;
+    }
+
+    async _clusterTenant(tenant) {
+        const purged = await UnknownFace.purgeOlderThan(this.retentionDays, tenant);
+        const faces = await this._reloadIndex(tenant);
+
+        const labels = await this._dbscan(faces, await this._indexFor(tenant));
+        const groups = new Map();
+        for (const face of faces) {
+            const label = labels.get(face.id);
+            if (label === NOISE) continue;
+            if (!groups.has(label)) groups.set(label, []);
+            groups.get(label).push(face);
+        }
+
+        // Conservar el ID de cluster anterior mayoritario → identidades estables entre corridas
+        const keepIds = [];
+        let created = 0;
+        for (const members of groups.values()) {
+            const stats = this._clusterStats(members);
+            const previousId = this._majorityClusterId(members, keepIds);
+
+            let clusterId = previousId;
+            if (clusterId) {
+                await UnknownCluster.update(clusterId, stats);
+            } else {
+                clusterId = (await UnknownCluster.create({ ...stats, id_cliente: tenant })).id;
+                created++;
+            }
+
+            keepIds.push(clusterId);
+            await UnknownFace.assignCluster(clusterId, members.map(f => f.id));
+        }
+
+        const noiseIds = faces.filter(f => labels.get(f.id) === NOISE && f.cluster_id).map(f => f.id);
+        await UnknownFace.assignCluster(null, noiseIds);
+        const removed = await UnknownCluster.deleteStale(keepIds, tenant);
+
+        return {
+            faces: faces.length,
+            purged: purged.length,
+            clusters: groups.size,
+            created,
+            removed,
+            noise: faces.filter(f => labels.get(f.id) === NOISE).length
+        };
+    }
+
+    /**
+     * Reconstruye desde la DB el índice de un tenant
+     * @returns {Promise<Array>} Rostros del tenant (descriptor ya parseado)
+     */
+    async _reloadIndex(tenant) {
+        const faces = (await UnknownFace.findAll(tenant)).map(face => ({
+            ...face,
+            descriptor: JSON.parse(face.descriptor)
+        }));
+
+        const index = await this._indexFor(tenant);
+        await index.rebuildIndex(faces.map(face => ({
+            template_id: face.id,
+            user_id: face.id,
+            descriptor: JSON.stringify(face.descriptor)
+        })));
+
+        return faces;
+    }
+
+    /**
+     * @returns {Promise<number>} Rostros indexados en total
+     */
+    async _reloadIndexes(tenants) {
+        let total = 0;
+        for (const tenant of tenants) {
+            total += (await this._reloadIndex(tenant)).length;
+        }
+        return total;
+    }
+
+    /**
+     * DBSCAN sobre distancia L2. La región de cada punto (vecinos a distancia ≤ eps)
+     * se obtiene del índice HNSW en lugar de comparar todos contra todos.
+     *
+     * @param {Array} faces - Rostros de un tenant
+     * @param {HNSWService} index - Índice de desconocidos de ese tenant
+     * @returns {Promise<Map<number, number>>} faceId → cluster (NOISE = ruido)
+     */
+    async _dbscan(faces, index) {
+        const byId = new Map(faces.map(f => [f.id, f]));
+        const labels = new Map();
+        const region = async (face) =>
+            (await index.search(face.descriptor, DBSCAN_MAX_NEIGHBORS, this.clusterEps)).map(r => r.templateId);
+
+        let cluster = 0;
+        for (const face of faces) {
+            if (labels.has(face.id)) continue;
+
+            const neighbors = await region(face);
+            if (neighbors.length < this.clusterMinSamples) {
+                labels.set(face.id, NOISE);
+                continue;
+            }
+
+            labels.set(face.id, cluster);
+            const queue = neighbors.filter(id => id !== face.id);
+
+            while (queue.length > 0) {
+                const id = queue.pop();
+                const current = labels.get(id);
+
+                if (current === NOISE) labels.set(id, cluster); // punto frontera
+                if (current !== undefined) continue;
+
+                labels.set(id, cluster);
+                const expansion = await region(byId.get(id));
+                if (expansion.length >= this.clusterMinSamples) {
+                    queue.push(...expansion.filter(n => !labels.has(n) || labels.get(n) === NOISE));
+                }
+            }
+
+            cluster++;
+        }
+
+        return labels;
+    }
+
+    _clusterStats(members) {
+        const dims = members[0].descriptor.length;
+        const centroid = new Array(dims).fill(0);
+        for (const face of members) {
+            for (let i = 0; i < dims; i++) centroid[i] += face.descriptor[i] / members.length;
+        }
+
+        return {
+            centroid: JSON.stringify(centroid),
+            face_count: members.length,
+            sightings: members.reduce((sum, f) => sum + f.sightings, 0),
+            first_seen_at: new Date(Math.min(...members.map(f => new Date(f.created_at).getTime()))),
+            last_seen_at: new Date(Math.max(...members.map(f => new Date(f.last_seen_at).getTime())))
+        };
+    }
+
+    _majorityClusterId(members, claimed) {
+        const votes = new Map();
+        for (const face of members) {
+            if (face.cluster_id && !claimed.includes(face.cluster_id)) {
+                votes.set(face.cluster_id, (votes.get(face.cluster_id) || 0) + 1);
+            }
+        }
+
+        let best = null;
+        for (const [clusterId, count] of votes) {
+            if (!best || count > best.count) best = { clusterId, count };
+        }
+        return best ? best.clusterId : null;
+    }
+
+    /**
+     * Cluster del tenant de la petición: los de otro tenant responden como inexistentes
+     */
+    async getCluster(clusterId, tenant = null) {
+        const cluster = await UnknownCluster.findById(clusterId);
+        if (!cluster || (cluster.id_cliente || null) !== (tenant || null)) {
+            throw new RecognitionError('Cluster no encontrado', 'CLUSTER_NOT_FOUND', 404);
+        }
+        return cluster;
+    }
+
+    /**
+     * Promueve un cluster a usuario registrado: crea el usuario con las plantillas
+     * de sus mejores rostros y elimina los rostros desconocidos del cluster.
+     * Con tenancy el usuario pertenece siempre al tenant del cluster.
+     *
+     * @param {number} clusterId
+     * @param {Object} userData - { ci, name, id_cliente } ya sanitizados
+     * @param {Object} options - { allowDuplicate, tenant }
+     */
+    async promoteCluster(clusterId, userData, options = {}) {
+        // Importar aquí para evitar ciclo circular
+        const faceRecognitionService = require('./face-recognition.service');
+        const templateService = require('./template.service');
+
+        const tenant = options.tenant || null;
+        const cluster = await this.getCluster(clusterId, tenant);
+        if (cluster.promoted_at) {
+            throw new RecognitionError('El cluster ya fue promovido a usuario', 'CLUSTER_ALREADY_PROMOTED', 409, {
+                promoted_user_id: cluster.promoted_user_id
+            });
+        }
+
+        if (tenant && userData.id_cliente && userData.id_cliente !== tenant) {
+            throw new RecognitionError('id_cliente no corresponde al tenant de la petición', 'TENANT_MISMATCH', 403);
+        }
+
+        if (await User.findByCI(userData.ci, tenant)) {
+            throw new RecognitionError('Ya existe una persona registrada con ese documento', 'USER_EXISTS', 409);
+        }
+
+        const faces = (await UnknownFace.findByCluster(clusterId, true))
+            .slice(0, Math.min(PROMOTE_TEMPLATES, templateService.maxTemplatesPerUser));
+        if (faces.length === 0) {
+            throw new RecognitionError('El cluster no tiene rostros', 'EMPTY_CLUSTER', 409);
+        }
+
+        const centroid = JSON.parse(cluster.centroid);
+        const duplicate = await faceRecognitionService.findDuplicateIdentity(centroid, { tenant });
+        if (duplicate && !options.allowDuplicate) {
+            throw new RecognitionError('El rostro ya está registrado con otro documento', 'DUPLICATE_FACE', 409, {
+                conflict: {
+                    id: duplicate.id,
+                    ci: duplicate.ci,
+                    distance: duplicate.distance,
+                    similarity: duplicate.similarity
+                }
+            });
+        }
+
+        const [best] = faces;
+        const user = await User.create({
+            ...userData,
+            ...(tenant && { id_cliente: tenant }),
+            descriptor: best.descriptor,
+            confidence_score: best.detection_score
+        });
+
+        for (const face of faces) {
+            await templateService.addTemplate(user, {
+                descriptor: JSON.parse(face.descriptor),
+                confidenceScore: face.detection_score
+            }, 'unknown_cluster', { syncUserDescriptor: false });
+        }
+
+        // Los rostros pasan a ser plantillas del usuario: se quitan del almacén de desconocidos
+        const index = await this._indexFor(tenant);
+        const removedFaces = await UnknownFace.deleteByCluster(clusterId);
+        for (const faceId of removedFaces) {
+            await index.removeTemplate(faceId);
+        }
+        await UnknownCluster.markPromoted(clusterId, user.id);
+
+        logger.info(`🆔 Cluster ${clusterId} promovido a usuario ${user.id} (CI ${user.ci}, ${faces.length} plantillas)`);
+
+        return { user, templates: faces.length, duplicate };
+    }
+
+    /**
+     * Descarta un cluster y sus rostros (p.ej. pedido de borrado de datos)
+     */
+    async deleteCluster(clusterId, tenant = null) {
+        await this.getCluster(clusterId, tenant);
+
+        const index = await this._indexFor(tenant);
+        const removedFaces = await UnknownFace.deleteByCluster(clusterId);
+        for (const faceId of removedFaces) {
+            await index.removeTemplate(faceId);
+        }
+        await UnknownCluster.deleteById(clusterId);
+
+        logger.info(`🗑️ Cluster ${clusterId} eliminado (${removedFaces.length} rostros)`);
+        return { removed: clusterId, faces: removedFaces.length };
+    }
+
+    /**
+     * Estado del almacén. Con tenancy solo el índice del tenant: los contadores del
+     * worker mezclan a todos los tenants y no se exponen.
+     */
+    getStats(tenant = null) {
+        const settings = {
+            enabled: this.enabled,
+            retentionDays: this.retentionDays,
+            clusterEps: this.clusterEps,
+            clusterMinSamples: this.clusterMinSamples,
+            clusterIntervalMin: this.clusterIntervalMin
+        };
+
+        if (config.TENANCY.ENABLED) {
+            const entry = this.index.tenants.get(tenant);
+            return { ...settings, indexedFaces: entry ? entry.index.size() : 0 };
+        }
+
+        return { ...settings, indexedFaces: this.index.size(), ...this.stats };
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+}
+
+module.exports = new UnknownFaceService();
@@ -0,0 +1,134 @@
+/**
+ * Servicio de Umbrales por usuario
+ *
+ * Algunos enrolados necesitan un umbral de decisión distinto del global
+ * (CONFIDENCE_THRESHOLD): gemelos o parecidos (más estricto), fotos de enrolamiento
+ * de baja calidad (más laxo). users.match_threshold guarda el umbral propio; NULL
+ * sigue al global (que puede cambiar en caliente).
+ *
+ * La búsqueda recupera candidatos hasta el umbral más laxo en uso y evalúa cada uno
+ * contra el suyo. Los umbrales propios se cachean en memoria y se recargan cada
+ * USER_THRESHOLD_REFRESH_SEC (cambios hechos desde otro worker PM2) o tras invalidate().
+ * Cada cambio queda auditado en user_threshold_changes.
+ */
+
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const faceConfig = require('../config/face-recognition');
+const User = require('../models/User');
+const ThresholdChange = require('../models/ThresholdChange');
+const { RecognitionError } = require('../utils/errors');
+
+class UserThresholdService {
+    constructor() {
+        this.refreshMs = (parseInt(process.env.USER_THRESHOLD_REFRESH_SEC) || 30) * 1000;
+
+        this.overrides = new Map(); // userId -> match_threshold
+        this.loadedAt = 0;
+        this._loading = null;
+        this._fingerprint = null; // { overrides, hash }
+    }
+
+    /**
+     * Umbrales propios en memoria (userId -> umbral)
+     */
+    async getOverrides() {
+        if (Date.now() - this.loadedAt < this.refreshMs) return this.overrides;
+
+        if (!this._loading) {
+            this._loading = User.getThresholdOverrides()
+                .then(rows => {
+                    this.overrides = new Map(rows.map(row => [row.id, row.match_threshold]));
+                    this.loadedAt = Date.now();
+                    return this.overrides;
+                })
+                .finally(() => { this._loading = null; });
+        }
+
+        return this._loading;
+    }
+
+    invalidate() {
+        this.loadedAt = 0;
+    }
+
+    /**
+     * Huella de los umbrales vigentes (global + propios) para la clave de caché del
+     * reconocimiento: un resultado decidido con otros umbrales deja de servirse.
+     * Depende solo del contenido, así que coincide entre workers PM2 con los mismos umbrales.
+     */
+    async version() {
+        const overrides = await this.getOverrides();
+
+        if (this._fingerprint?.overrides !== overrides) {
+            const entries = [...overrides].sort((a, b) => a[0] - b[0]);
+            this._fingerprint = {
+                overrides,
+                hash: crypto.createHash('md5').update(JSON.stringify(entries)).digest('hex').slice(0, 8)
+            };
+        }
+
+        return `${faceConfig.CONFIDENCE_THRESHOLD}_${this._fingerprint.hash}`;
+    }
+
+    /**
+     * Umbral vigente de un usuario
+     */
+    thresholdFor(userId, overrides = this.overrides) {
+        return overrides.get(userId) ?? faceConfig.CONFIDENCE_THRESHOLD;
+    }
+
+    /**
+     * Radio de búsqueda: el umbral más laxo entre el global y los propios
+     */
+    searchRadius(overrides = this.overrides) {
+        let radius = faceConfig.CONFIDENCE_THRESHOLD;
+        for (const threshold of overrides.values()) {
+            radius = Math.max(radius, threshold);
+        }
+        return radius;
+    }
+
+    /**
+     * Valida el cuerpo de PUT /api/users/:id/threshold
+     */
+    parseThreshold(value) {
+        const threshold = parseFloat(value);
+        if (isNaN(threshold) || threshold <= 0 || threshold > 1.5) {
+            throw new RecognitionError('match_threshold debe ser un número entre 0 y 1.5', 'INVALID_THRESHOLD');
+        }
+        return threshold;
+    }
+
+    /**
+     * Fija (o quita, con null) el umbral propio del usuario y lo audita
+     *
+     * @param {Object} options - { reason, ip }
+     * @returns {Promise<{ previous: number|null, current: number|null }>}
+     */
+    async setThreshold(user, threshold, options = {}) {
+        const previous = user.match_threshold ?? null;
+
+        await User.update(user.id, {
+            match_threshold: threshold,
+            updated_at: new Date().toISOString()
+        });
+
+        await ThresholdChange.create({
+            user_id: user.id,
+            previous_threshold: previous,
+            new_threshold: threshold,
+            reason: options.reason ? String(options.reason).slice(0, 500) : '',
+            ip_address: options.ip
+        });
+
+        this.invalidate();
+
+        logger.info(`🎚️ Umbral de ${user.ci}: ${previous ?? 'global'} → ${threshold ?? 'global'}` +
+            `${options.reason ? ` (${options.reason})` : ''}`);
+
+        return { previous, current: threshold };
+    }
+}
+
+module.exports = new UserThresholdService();
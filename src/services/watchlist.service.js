@@ -0,0 +1,214 @@
+/**
+ * Servicio de Watchlists (listas de vigilancia)
+ *
+ * Tras cada reconocimiento (recognize, multi, batch, stream) se comprueba si el rostro
+ * corresponde a un miembro de alguna watchlist activa. Cada watchlist puede tener su
+ * propio umbral (match_threshold):
+ * - más estricto que CONFIDENCE_THRESHOLD → menos falsas alarmas
+ * - más laxo → alerta aunque el reconocimiento normal no haya dado match
+ *
+ * Cada alerta se guarda (watchlist_alerts), se cuenta en Prometheus y se emite como
+ * evento 'alert' (watchlistService.on('alert', fn)) para integraciones en tiempo real.
+ * Una misma persona en la misma watchlist no vuelve a alertar durante
+ * WATCHLIST_ALERT_COOLDOWN_SEC (compartido entre workers vía cacheService).
+ *
+ * Con tenancy una watchlist solo alerta sobre reconocimientos de su propio tenant.
+ */
+
+const EventEmitter = require('events');
+const logger = require('../utils/logger');
+const faceConfig = require('../config/face-recognition');
+const Watchlist = require('../models/Watchlist');
+const WatchlistAlert = require('../models/WatchlistAlert');
+const cacheService = require('./cache.service');
+const metricsService = require('./metrics.service');
+const { RecognitionError } = require('../utils/errors');
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const COOLDOWN_PREFIX = 'watchlist_cooldown_';
+// Candidatos revisados cuando algún umbral de watchlist es más laxo que el normal
+const LOOSE_CANDIDATES = 5;
+
+class WatchlistService extends EventEmitter {
+    constructor() {
+        super();
+        this.cooldownSec = parseInt(process.env.WATCHLIST_ALERT_COOLDOWN_SEC) || 60;
+        this.refreshMs = (parseInt(process.env.WATCHLIST_REFRESH_SEC) || 30) * 1000;
+
+        this.memberships = new Map(); // userId -> [{ watchlistId, name, severity, threshold, tenant }]
+        this.maxThreshold = 0;
+        this.loadedAt = 0;
+        this._loading = null;
+    }
+
+    /**
+     * Membresías en memoria; se recargan cada WATCHLIST_REFRESH_SEC
+     * (cambios hechos desde otro worker PM2) o tras invalidate()
+     */
+    async _getMemberships() {
+        if (Date.now() - this.loadedAt < this.refreshMs) return this.memberships;
+
+        if (!this._loading) {
+            this._loading = Watchlist.getActiveMemberships()
+                .then(rows => {
+                    const memberships = new Map();
+                    let maxThreshold = 0;
+
+                    for (const row of rows) {
+                        const threshold = row.match_threshold ?? faceConfig.CONFIDENCE_THRESHOLD;
+                        maxThreshold = Math.max(maxThreshold, threshold);
+                        if (!memberships.has(row.user_id)) memberships.set(row.user_id, []);
+                        memberships.get(row.user_id).push({
+                            watchlistId: row.watchlist_id,
+                            name: row.name,
+                            severity: row.severity,
+                            // NULL → umbral normal vigente (puede cambiar en caliente)
+                            threshold: row.match_threshold,
+                            tenant: row.id_cliente || null
+                        });
+                    }
+
+                    this.memberships = memberships;
+                    this.maxThreshold = maxThreshold;
+                    this.loadedAt = Date.now();
+                    return memberships;
+                })
+                .finally(() => { this._loading = null; });
+        }
+
+        return this._loading;
+    }
+
+    invalidate() {
+        this.loadedAt = 0;
+    }
+
+    /**
+     * Comprueba un reconocimiento contra las watchlists. Nunca lanza.
+     *
+     * @param {Object} params
+     * @param {Object|null} params.match - Match del reconocimiento normal ({ id, distance })
+     * @param {Object|null} [params.ambiguity] - Match ambiguo: sus candidatos también se comprueban
+     * @param {Function} [params.searchCandidates] - async () => [{ id, distance }] vecinos sin umbral;
+     *        solo se usa si alguna watchlist es más laxa que el umbral normal
+     * @param {string} params.source - recognize | multi | batch | stream | session | descriptor
+     * @param {string|null} [params.tenant] - Tenant del reconocimiento: solo sus watchlists
+     * @returns {Promise<Array>} Alertas emitidas
+     */
+    async check({ match, ambiguity, searchCandidates, source = 'recognize', tenant = null }) {
+        try {
+            const memberships = await this._getMemberships();
+            if (memberships.size === 0) return [];
+
+            // Candidatos: el match normal (o los del match ambiguo) y, si hay umbrales laxos,
+            // los vecinos más cercanos
+            const candidates = match
+                ? [{ id: match.id, distance: match.distance }]
+                : (ambiguity ? ambiguity.candidates.map(c => ({ id: c.id, distance: c.distance })) : []);
+            if (searchCandidates && this.maxThreshold > faceConfig.CONFIDENCE_THRESHOLD) {
+                for (const candidate of await searchCandidates(LOOSE_CANDIDATES)) {
+                    if (!candidates.some(c => c.id === candidate.id)) {
+                        candidates.push({ id: candidate.id, distance: candidate.distance });
+                    }
+                }
+            }
+
+            const alerts = [];
+            for (const candidate of candidates) {
+                for (const entry of memberships.get(candidate.id) || []) {
+                    if (entry.tenant !== (tenant || null)) continue;
+
+                    const threshold = entry.threshold ?? faceConfig.CONFIDENCE_THRESHOLD;
+                    if (candidate.distance > threshold) continue;
+
+                    const alert = await this._raise(entry, candidate, threshold, source);
+                    if (alert) alerts.push(alert);
+                }
+            }
+
+            return alerts;
+
+        } catch (error) {
+            logger.error('❌ Error comprobando watchlists:', error.message);
+            return [];
+        }
+    }
+
+    async _raise(entry, candidate, threshold, source) {
+        // SET NX: si dos workers ven a la misma persona a la vez, solo uno crea la clave y alerta
+        // (sin caché no hay cooldown)
+        const cooldownKey = `${COOLDOWN_PREFIX}${entry.watchlistId}_${candidate.id}`;
+        if (cacheService.enabled && !(await cacheService.setIfAbsent(cooldownKey, true, this.cooldownSec))) {
+            metricsService.recordWatchlistAlert(entry.severity, 'suppressed');
+            return null;
+        }
+
+        const alert = await WatchlistAlert.create({
+            watchlist_id: entry.watchlistId,
+            user_id: candidate.id,
+            severity: entry.severity,
+            distance: candidate.distance,
+            threshold,
+            source,
+            id_cliente: entry.tenant
+        });
+        alert.watchlist_name = entry.name;
+
+        metricsService.recordWatchlistAlert(entry.severity, 'raised');
+        logger.warn(`🚨 Watchlist "${entry.name}" (${entry.severity}): usuario ${candidate.id} ` +
+            `reconocido vía ${source} (dist: ${candidate.distance.toFixed(4)}, umbral: ${threshold})`);
+
+        this.emit('alert', alert);
+        return alert;
+    }
+
+    /**
+     * Valida los campos de una watchlist (creación o actualización parcial)
+     */
+    parseWatchlist(body = {}, partial = false) {
+        const data = {};
+
+        if (body.name !== undefined || !partial) {
+            if (typeof body.name !== 'string' || body.name.trim().length < 2 || body.name.length > 100) {
+                throw new RecognitionError('name es requerido (2-100 caracteres)', 'INVALID_WATCHLIST');
+            }
+            data.name = body.name.trim();
+        }
+
+        if (body.severity !== undefined) {
+            if (!SEVERITIES.includes(body.severity)) {
+                throw new RecognitionError(`severity debe ser uno de: ${SEVERITIES.join(', ')}`, 'INVALID_WATCHLIST');
+            }
+            data.severity = body.severity;
+        }
+
+        if (body.description !== undefined) {
+            data.description = String(body.description).slice(0, 500);
+        }
+
+        if (body.match_threshold !== undefined) {
+            const threshold = body.match_threshold === null ? null : parseFloat(body.match_threshold);
+            if (threshold !== null && (isNaN(threshold) || threshold <= 0 || threshold > 1.5)) {
+                throw new RecognitionError('match_threshold debe estar entre 0 y 1.5 (o null)', 'INVALID_WATCHLIST');
+            }
+            data.match_threshold = threshold;
+        }
+
+        if (body.is_active !== undefined) {
+            data.is_active = body.is_active === true || body.is_active === 'true';
+        }
+
+        return data;
+    }
+
+    getStats() {
+        return {
+            watchedUsers: this.memberships.size,
+            maxThreshold: this.maxThreshold,
+            cooldownSec: this.cooldownSec,
+            loadedAt: this.loadedAt ? new Date(this.loadedAt).toISOString() : null
+        };
+    }
+}
+
+module.exports = new WatchlistService();
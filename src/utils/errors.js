@@ -0,0 +1,17 @@
+/**
+ * Error de negocio del reconocimiento facial con código estable para el cliente
+ * (p.ej. SPOOF_SUSPECTED). error.middleware lo traduce a { error, code, ...details }.
+ */
+class RecognitionError extends Error {
+    constructor(message, code, statusCode = 400, details = {}) {
+        super(message);
+        this.name = 'RecognitionError';
+        this.code = code;
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+module.exports = {
+    RecognitionError
+};
@@ -0,0 +1,143 @@
+/**
+ * Geometría sobre los 68 landmarks de faceLandmark68Net
+ *
+ * Índices (modelo iBUG 300-W):
+ * - 0-16  contorno de mandíbula
+ * - 27-35 nariz (30 = punta)
+ * - 36-41 ojo izquierdo de la imagen, 42-47 ojo derecho de la imagen
+ * - 48-67 boca
+ *
+ * Convención de ángulos (grados, cámara sin espejo):
+ * - yaw > 0: la persona gira la cabeza hacia SU izquierda (nariz hacia la derecha de la imagen)
+ * - pitch > 0: la persona levanta el mentón
+ * - roll > 0: la cabeza se inclina en sentido horario en la imagen
+ */
+
+const LEFT_EYE = [36, 37, 38, 39, 40, 41];
+const RIGHT_EYE = [42, 43, 44, 45, 46, 47];
+const NOSE_TIP = 30;
+const MOUTH_LEFT = 48;
+const MOUTH_RIGHT = 54;
+
+// Posición canónica de los ojos en el rostro alineado (fracción del lado del recorte)
+const ALIGNED_EYE_Y = 0.38;
+const ALIGNED_EYE_DISTANCE = 0.4;
+
+const toDegrees = (rad) => rad * 180 / Math.PI;
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+const centroid = (points) => ({
+    x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+    y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+});
+
+const pick = (positions, indices) => indices.map(i => positions[i]);
+
+/**
+ * Eye Aspect Ratio (Soukupová & Čech, 2016)
+ * ~0.3 ojo abierto, <0.2 ojo cerrado
+ */
+const eyeAspectRatio = (eye) => {
+    const horizontal = distance(eye[0], eye[3]);
+    if (horizontal === 0) return 0;
+    return (distance(eye[1], eye[5]) + distance(eye[2], eye[4])) / (2 * horizontal);
+};
+
+/**
+ * Centros de ambos ojos (izquierdo/derecho de la imagen)
+ */
+const getEyeCenters = (positions) => ({
+    left: centroid(pick(positions, LEFT_EYE)),
+    right: centroid(pick(positions, RIGHT_EYE))
+});
+
+/**
+ * Apertura de ojos (EAR por ojo y promedio)
+ */
+const getEyeOpenness = (positions) => {
+    const left = eyeAspectRatio(pick(positions, LEFT_EYE));
+    const right = eyeAspectRatio(pick(positions, RIGHT_EYE));
+    return { left, right, mean: (left + right) / 2 };
+};
+
+/**
+ * Estimación aproximada de pose 2D (sin modelo 3D): suficiente para
+ * reglas de calidad y desafíos de "girar la cabeza", no para medición precisa.
+ */
+const estimateHeadPose = (positions) => {
+    const eyes = getEyeCenters(positions);
+    const nose = positions[NOSE_TIP];
+    const mouth = {
+        x: (positions[MOUTH_LEFT].x + positions[MOUTH_RIGHT].x) / 2,
+        y: (positions[MOUTH_LEFT].y + positions[MOUTH_RIGHT].y) / 2
+    };
+
+    const eyeMid = { x: (eyes.left.x + eyes.right.x) / 2, y: (eyes.left.y + eyes.right.y) / 2 };
+    const interEye = distance(eyes.left, eyes.right);
+
+    const roll = toDegrees(Math.atan2(eyes.right.y - eyes.left.y, eyes.right.x - eyes.left.x));
+
+    // Desplazamiento horizontal de la nariz respecto del centro de los ojos (rotado por roll)
+    const cos = Math.cos(-roll * Math.PI / 180);
+    const sin = Math.sin(-roll * Math.PI / 180);
+    const noseDx = (nose.x - eyeMid.x) * cos - (nose.y - eyeMid.y) * sin;
+    const noseDy = (nose.x - eyeMid.x) * sin + (nose.y - eyeMid.y) * cos;
+    const mouthDy = (mouth.x - eyeMid.x) * sin + (mouth.y - eyeMid.y) * cos;
+
+    const yawRatio = interEye > 0 ? Math.max(-1, Math.min(1, noseDx / (interEye / 2))) : 0;
+    const yaw = toDegrees(Math.asin(yawRatio));
+
+    // En un rostro frontal la punta de la nariz está a ~55% del trayecto ojos→boca
+    const pitchRatio = mouthDy > 0 ? noseDy / mouthDy : 0.55;
+    const pitch = Math.max(-90, Math.min(90, (0.55 - pitchRatio) * 180));
+
+    return {
+        yaw: Math.round(yaw * 10) / 10,
+        pitch: Math.round(pitch * 10) / 10,
+        roll: Math.round(roll * 10) / 10
+    };
+};
+
+/**
+ * Distancia entre centros de ojos en píxeles
+ */
+const getInterEyeDistance = (positions) => {
+    const eyes = getEyeCenters(positions);
+    return distance(eyes.left, eyes.right);
+};
+
+/**
+ * Transformación de similitud (rotación + escala + traslación) que lleva los
+ * centros de los ojos a su posición canónica en un recorte de size x size:
+ * ojos horizontales, a ALIGNED_EYE_Y del borde superior y separados
+ * ALIGNED_EYE_DISTANCE del ancho, centrados horizontalmente.
+ *
+ * Se aplica en canvas como: translate(target) → scale(scale) → rotate(-angle) → translate(-eyeMid)
+ *
+ * @returns {{ angle: number, scale: number, eyeMid: {x, y}, target: {x, y} }} angle en radianes
+ */
+const getAlignmentTransform = (positions, size) => {
+    const eyes = getEyeCenters(positions);
+    const interEye = distance(eyes.left, eyes.right);
+
+    if (interEye === 0) {
+        throw new Error('Landmarks inválidos: ojos superpuestos');
+    }
+
+    return {
+        angle: Math.atan2(eyes.right.y - eyes.left.y, eyes.right.x - eyes.left.x),
+        scale: (size * ALIGNED_EYE_DISTANCE) / interEye,
+        eyeMid: { x: (eyes.left.x + eyes.right.x) / 2, y: (eyes.left.y + eyes.right.y) / 2 },
+        target: { x: size / 2, y: size * ALIGNED_EYE_Y }
+    };
+};
+
+module.exports = {
+    eyeAspectRatio,
+    getEyeCenters,
+    getEyeOpenness,
+    estimateHeadPose,
+    getInterEyeDistance,
+    getAlignmentTransform
+};
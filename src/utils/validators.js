@@ -19,6 +19,50 @@ const validateBase64Image = (base64String) => {
     }
 };
 
+/**
+ * Obtiene el buffer de la imagen de la petición:
+ * archivo subido (multipart / body binario, ver upload.middleware) o base64 en el JSON.
+ * Retorna null si no hay una imagen válida.
+ */
+const resolveImageBuffer = (req, field = 'image') => {
+    if (field === 'image' && req.imageBuffer) {
+        return req.imageBuffer;
+    }
+
+    if (req.fileBuffers && req.fileBuffers[field]) {
+        return req.fileBuffers[field];
+    }
+
+    const value = req.body ? req.body[field] : null;
+    return validateBase64Image(value) ? Buffer.from(value, 'base64') : null;
+};
+
+/**
+ * Normaliza un descriptor facial recibido por la API a Float32Array
+ * Acepta un array de números o el objeto { "0": ..., "1": ... } que produce
+ * JSON.stringify(Float32Array) en el navegador (face-api.js).
+ * Retorna null si no tiene exactamente `dimension` números finitos.
+ */
+const parseDescriptor = (value, dimension) => {
+    if (!value || typeof value !== 'object') {
+        return null;
+    }
+
+    const values = Array.isArray(value)
+        ? value
+        : Array.from({ length: Object.keys(value).length }, (_, i) => value[i]);
+
+    if (values.length !== dimension) {
+        return null;
+    }
+
+    if (!values.every(v => typeof v === 'number' && Number.isFinite(v))) {
+        return null;
+    }
+
+    return Float32Array.from(values);
+};
+
 const sanitizeInput = (input) => {
     if (typeof input !== 'string') {
         return input;
@@ -47,6 +91,8 @@ const isValidName = (name) => {
 
 module.exports = {
     validateBase64Image,
+    resolveImageBuffer,
+    parseDescriptor,
     sanitizeInput,
     isValidCI,
     isValidName
@@ -0,0 +1,137 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('@vladmandic/face-api', () => ({
+    euclideanDistance: (a, b) => Math.sqrt(a.reduce((sum, v, i) => sum + (v - b[i]) ** 2, 0))
+}));
+jest.mock('../src/models/User', () => ({ findById: jest.fn() }));
+jest.mock('../src/models/FaceTemplate', () => ({ countByUser: jest.fn(), findByUser: jest.fn(), findById: jest.fn() }));
+jest.mock('../src/models/TemplateAdaptation', () => ({
+    getLastAdaptationAt: jest.fn(),
+    getOriginalDescriptor: jest.fn(),
+    create: jest.fn(),
+    findActiveByUser: jest.fn(),
+    markReverted: jest.fn()
+}));
+jest.mock('../src/services/template.service', () => ({
+    maxTemplatesPerUser: 3,
+    addTemplate: jest.fn(),
+    updateTemplateDescriptor: jest.fn(),
+    removeTemplate: jest.fn()
+}));
+jest.mock('../src/services/face-quality.service', () => ({ assess: jest.fn() }));
+jest.mock('../src/services/metrics.service', () => ({ recordTemplateAdaptation: jest.fn() }));
+
+const User = require('../src/models/User');
+const FaceTemplate = require('../src/models/FaceTemplate');
+const TemplateAdaptation = require('../src/models/TemplateAdaptation');
+const templateService = require('../src/services/template.service');
+const faceQualityService = require('../src/services/face-quality.service');
+const adaptiveTemplateService = require('../src/services/adaptive-template.service');
+
+const user = { id: 7, ci: '777' };
+const match = (distance = 0.2) => ({ id: 7, ci: '777', distance });
+const detection = (descriptor, score = 0.95) => ({ detection: { score }, descriptor: new Float32Array(descriptor) });
+const template = (id, descriptor) => ({ id, user_id: 7, descriptor: JSON.stringify(descriptor) });
+const HOUR = 3600 * 1000;
+
+describe('AdaptiveTemplateService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        Object.assign(adaptiveTemplateService, {
+            enabled: true,
+            mode: 'blend',
+            maxDistance: 0.3,
+            minDetectionScore: 0.9,
+            minIntervalHours: 24,
+            blendWeight: 0.1,
+            maxDrift: 0.2
+        });
+        faceQualityService.assess.mockReturnValue({ passed: true });
+        TemplateAdaptation.getLastAdaptationAt.mockResolvedValue(null);
+        TemplateAdaptation.getOriginalDescriptor.mockResolvedValue(null);
+        User.findById.mockResolvedValue(user);
+    });
+
+    it('debería saltear reconocimientos que no superan las compuertas estrictas', async () => {
+        expect(await adaptiveTemplateService.consider(match(0.35), detection([0, 0]), {}))
+            .toEqual({ adapted: false, reason: 'distance' });
+        expect(await adaptiveTemplateService.consider(match(), detection([0, 0], 0.8), {}))
+            .toEqual({ adapted: false, reason: 'detection_score' });
+
+        faceQualityService.assess.mockReturnValue({ passed: false });
+        expect(await adaptiveTemplateService.consider(match(), detection([0, 0]), {}))
+            .toEqual({ adapted: false, reason: 'quality' });
+        expect(templateService.updateTemplateDescriptor).not.toHaveBeenCalled();
+    });
+
+    it('debería adaptar como máximo una vez por intervalo', async () => {
+        FaceTemplate.findByUser.mockResolvedValue([template(70, [0, 0])]);
+
+        TemplateAdaptation.getLastAdaptationAt.mockResolvedValue(new Date(Date.now() - HOUR));
+        expect(await adaptiveTemplateService.consider(match(), detection([0.2, 0]), {}))
+            .toEqual({ adapted: false, reason: 'interval' });
+
+        TemplateAdaptation.getLastAdaptationAt.mockResolvedValue(new Date(Date.now() - 25 * HOUR));
+        expect(await adaptiveTemplateService.consider(match(), detection([0.2, 0]), {}))
+            .toMatchObject({ adapted: true, action: 'blend' });
+    });
+
+    it('debería mezclar el descriptor sobre la plantilla más cercana y auditar la anterior', async () => {
+        FaceTemplate.findByUser.mockResolvedValue([template(70, [1, 1]), template(71, [0, 0])]);
+
+        const result = await adaptiveTemplateService.consider(match(), detection([0.2, 0]), {});
+
+        expect(result).toMatchObject({ adapted: true, action: 'blend', templateId: 71 });
+        const [, templateId, blended] = templateService.updateTemplateDescriptor.mock.calls[0];
+        expect(templateId).toBe(71);
+        expect(blended[0]).toBeCloseTo(0.02);
+        expect(blended[1]).toBeCloseTo(0);
+        expect(TemplateAdaptation.create).toHaveBeenCalledWith(expect.objectContaining({
+            template_id: 71,
+            action: 'blend',
+            previous_descriptor: '[0,0]'
+        }));
+    });
+
+    it('debería limitar la deriva acumulada respecto del descriptor original', async () => {
+        // La plantilla ya se alejó 0.19 de su original: la próxima mezcla la llevaría a 0.206
+        FaceTemplate.findByUser.mockResolvedValue([template(70, [0.19, 0])]);
+        TemplateAdaptation.getOriginalDescriptor.mockResolvedValue('[0,0]');
+
+        const result = await adaptiveTemplateService.consider(match(0.16), detection([0.35, 0]), {});
+
+        expect(result).toEqual({ adapted: false, reason: 'drift' });
+        expect(templateService.updateTemplateDescriptor).not.toHaveBeenCalled();
+        expect(TemplateAdaptation.create).not.toHaveBeenCalled();
+    });
+
+    it('debería agregar una plantilla en modo append y mezclar al llegar al máximo', async () => {
+        adaptiveTemplateService.mode = 'append';
+        templateService.addTemplate.mockResolvedValue({ id: 72, descriptor: '[0.2,0]' });
+        FaceTemplate.findByUser.mockResolvedValue([template(70, [0, 0])]);
+
+        FaceTemplate.countByUser.mockResolvedValue(2);
+        expect(await adaptiveTemplateService.consider(match(), detection([0.2, 0]), {}))
+            .toMatchObject({ adapted: true, action: 'append', templateId: 72 });
+
+        FaceTemplate.countByUser.mockResolvedValue(3);
+        expect(await adaptiveTemplateService.consider(match(), detection([0.2, 0]), {}))
+            .toMatchObject({ adapted: true, action: 'blend', templateId: 70 });
+    });
+
+    it('debería revertir mezclas y plantillas agregadas sin dejar al usuario sin plantillas', async () => {
+        TemplateAdaptation.findActiveByUser.mockResolvedValue([
+            { id: 3, template_id: 72, action: 'append' },
+            { id: 2, template_id: 70, action: 'blend', previous_descriptor: '[0,0]' },
+            { id: 1, template_id: 71, action: 'append' }
+        ]);
+        FaceTemplate.findById.mockImplementation(async (id) => ({ id }));
+        FaceTemplate.countByUser.mockResolvedValueOnce(2).mockResolvedValueOnce(1);
+
+        const result = await adaptiveTemplateService.revertUser(user);
+
+        expect(result).toEqual({ reverted: 2, skipped: [{ id: 1, reason: 'LAST_TEMPLATE' }] });
+        expect(templateService.removeTemplate).toHaveBeenCalledWith(user, 72);
+        expect(templateService.updateTemplateDescriptor).toHaveBeenCalledWith(user, 70, [0, 0]);
+        expect(TemplateAdaptation.markReverted.mock.calls.map(([id]) => id)).toEqual([3, 2]);
+    });
+});
@@ -0,0 +1,98 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/config/server', () => ({ TENANCY: { ENABLED: false } }));
+jest.mock('../src/config/face-recognition', () => ({ CONFIDENCE_THRESHOLD: 0.5, getEncoding: () => 'crop' }));
+jest.mock('../src/models/ScoreCalibration', () => ({ findActive: jest.fn() }));
+
+const calibrationService = require('../src/services/calibration.service');
+
+// Distancias deterministas y solapadas: genuinos en [0.2, 0.6), impostores en [0.45, 0.95)
+const genuine = Array.from({ length: 40 }, (_, i) => 0.2 + ((i * 37) % 40) / 100);
+const impostor = Array.from({ length: 50 }, (_, i) => 0.45 + ((i * 23) % 50) / 100);
+
+const activate = (calibration) => calibrationService.active.set(null, { id: 1, ...calibration });
+const grid = Array.from({ length: 121 }, (_, i) => i / 100);
+
+describe('CalibrationService', () => {
+    afterEach(() => {
+        calibrationService.active.clear();
+    });
+
+    it('debería ajustar una isotónica no creciente con la distancia', () => {
+        const calibration = calibrationService.fit('isotonic', genuine, impostor);
+        const { distances, probabilities } = calibration.params;
+
+        for (let i = 1; i < distances.length; i++) {
+            expect(distances[i]).toBeGreaterThanOrEqual(distances[i - 1]);
+            expect(probabilities[i]).toBeLessThanOrEqual(probabilities[i - 1]);
+        }
+
+        activate(calibration);
+        const curve = grid.map(d => calibrationService.probability(d));
+        curve.slice(1).forEach((p, i) => expect(p).toBeLessThanOrEqual(curve[i]));
+        // Solo genuinos por debajo de 0.45 y solo impostores por encima de 0.6
+        expect(curve[0]).toBe(1);
+        expect(curve[curve.length - 1]).toBe(0);
+    });
+
+    it('debería ajustar una sigmoide de Platt decreciente con la distancia', () => {
+        const calibration = calibrationService.fit('platt', genuine, impostor);
+
+        expect(calibration.params.a).toBeGreaterThan(0);
+
+        activate(calibration);
+        const curve = grid.map(d => calibrationService.probability(d));
+        curve.slice(1).forEach((p, i) => expect(p).toBeLessThanOrEqual(curve[i]));
+        const [near, middle, far] = [0.2, 0.52, 0.9].map(d => calibrationService.probability(d));
+        expect(near).toBeGreaterThan(middle);
+        expect(middle).toBeGreaterThan(far);
+        expect(near).toBeGreaterThan(0.9);
+        expect(far).toBeLessThan(0.1);
+    });
+
+    it('debería mantener juntas las distancias repetidas sin arrastrar a las demás', () => {
+        // Empate en 0.3 (genuino e impostor) tras genuinos en 0.1 y 0.2
+        const { params } = calibrationService.fit('isotonic', [0.1, 0.2, 0.3], [0.3, 0.4]);
+
+        expect(params).toEqual({ distances: [0.1, 0.2, 0.3, 0.4], probabilities: [1, 1, 0.5, 0] });
+    });
+
+    it('debería calcular FAR y FRR en un umbral igual que un conteo a mano', () => {
+        const calibration = calibrationService.fit('isotonic', genuine, impostor);
+        const { thresholds, far, frr } = calibration.far_curve;
+        const i = thresholds.indexOf(0.5);
+
+        // FAR: impostores con distancia ≤ t; FRR: genuinos con distancia > t
+        const farByHand = impostor.filter(d => d <= 0.5).length / impostor.length;
+        const frrByHand = genuine.filter(d => d > 0.5).length / genuine.length;
+        expect(far[i]).toBeCloseTo(farByHand, 6);
+        expect(frr[i]).toBeCloseTo(frrByHand, 6);
+
+        activate(calibration);
+        expect(calibrationService.decision(0.5)).toMatchObject({ threshold: 0.5, far: far[i], frr: frr[i] });
+    });
+
+    it('debería rechazar pares de una sola etiqueta', () => {
+        expect(() => calibrationService.fit('isotonic', genuine, []))
+            .toThrow(expect.objectContaining({ code: 'INVALID_CALIBRATION' }));
+        expect(() => calibrationService.fit('platt', [], impostor))
+            .toThrow(expect.objectContaining({ code: 'INVALID_CALIBRATION' }));
+        expect(() => calibrationService.parseFitRequest({ genuine, impostor: [] }))
+            .toThrow(expect.objectContaining({ code: 'INVALID_CALIBRATION' }));
+    });
+
+    it('debería rechazar pares sin distancias distintas', () => {
+        const constant = new Array(20).fill(0.4);
+
+        expect(() => calibrationService.parseFitRequest({ method: 'platt', genuine: constant, impostor: constant }))
+            .toThrow(expect.objectContaining({ code: 'INVALID_CALIBRATION' }));
+        expect(calibrationService.parseFitRequest({ genuine: constant, impostor: new Array(20).fill(0.8) }))
+            .toMatchObject({ method: 'isotonic', activate: true });
+    });
+
+    it('debería exponer la versión activa para la clave de caché', () => {
+        expect(calibrationService.version()).toBe('none');
+
+        activate(calibrationService.fit('platt', genuine, impostor));
+        expect(calibrationService.version()).toBe(1);
+    });
+});
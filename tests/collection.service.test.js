@@ -0,0 +1,51 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/models/Collection', () => ({ findByNames: jest.fn(), getMemberIds: jest.fn() }));
+
+const Collection = require('../src/models/Collection');
+const collectionService = require('../src/services/collection.service');
+
+describe('CollectionService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        collectionService.invalidate();
+        Collection.findByNames.mockResolvedValue([{ id: 1, name: 'empleados' }, { id: 2, name: 'visitas' }]);
+        Collection.getMemberIds.mockImplementation(async (id) => (id === 1 ? [3, 1] : [1, 7]));
+    });
+
+    it('debería resolver la unión de los miembros de las colecciones pedidas', async () => {
+        const scope = await collectionService.resolveScope(['empleados', 'visitas']);
+
+        expect([...scope.userIds].sort()).toEqual([1, 3, 7]);
+        expect(await collectionService.resolveScope(null)).toBeNull();
+    });
+
+    it('debería rechazar colecciones inexistentes', async () => {
+        Collection.findByNames.mockResolvedValue([{ id: 1, name: 'empleados' }]);
+
+        await expect(collectionService.resolveScope(['empleados', 'otra']))
+            .rejects.toMatchObject({ code: 'COLLECTION_NOT_FOUND', statusCode: 404, details: { missing: ['otra'] } });
+    });
+
+    it('debería cambiar la versión al cambiar los miembros y no por el orden de carga', async () => {
+        const { version } = await collectionService.resolveScope(['empleados', 'visitas']);
+
+        // Mismos miembros en otro orden (otro worker PM2): misma versión
+        collectionService.invalidate();
+        Collection.getMemberIds.mockImplementation(async (id) => (id === 1 ? [1, 3] : [7, 1]));
+        expect((await collectionService.resolveScope(['visitas', 'empleados'])).version).toBe(version);
+
+        // Se quita al usuario 3 de la colección 1
+        collectionService.invalidate(1);
+        Collection.getMemberIds.mockImplementation(async (id) => (id === 1 ? [1] : [7, 1]));
+        expect((await collectionService.resolveScope(['empleados', 'visitas'])).version).not.toBe(version);
+    });
+
+    it('debería cambiar la versión al recrear una colección con el mismo nombre', async () => {
+        const { version } = await collectionService.resolveScope(['empleados', 'visitas']);
+
+        Collection.findByNames.mockResolvedValue([{ id: 5, name: 'empleados' }, { id: 2, name: 'visitas' }]);
+        Collection.getMemberIds.mockImplementation(async (id) => (id === 5 ? [3, 1] : [1, 7]));
+
+        expect((await collectionService.resolveScope(['empleados', 'visitas'])).version).not.toBe(version);
+    });
+});
@@ -0,0 +1,56 @@
+const { buildCurve, findEER, thresholdForFar } = require('../scripts/evaluate-thresholds');
+
+const at = (curve, threshold) => curve.find(p => p.threshold === threshold);
+
+describe('evaluate-thresholds', () => {
+    describe('buildCurve', () => {
+        const curve = buildCurve([0.1, 0.2, 0.3, 0.4], [0.5, 0.6, 0.7, 0.8]);
+
+        it('debería recorrer los umbrales de 0 a 1.5 con el paso configurado', () => {
+            expect(curve).toHaveLength(151);
+            expect(curve[0]).toEqual({ threshold: 0, far: 0, frr: 1, tar: 0 });
+            expect(curve.at(-1)).toEqual({ threshold: 1.5, far: 1, frr: 0, tar: 1 });
+        });
+
+        it('debería aceptar distancias iguales al umbral (FAR con ≤, FRR con >)', () => {
+            expect(at(curve, 0.3)).toMatchObject({ far: 0, frr: 0.25, tar: 0.75 });
+            expect(at(curve, 0.6)).toMatchObject({ far: 0.5, frr: 0 });
+        });
+    });
+
+    describe('findEER', () => {
+        it('debería encontrar el cruce FAR = FRR en un punto de la curva', () => {
+            const eer = findEER(buildCurve([0.2, 0.3, 0.4, 0.6], [0.35, 0.5, 0.7, 0.8]));
+
+            expect(eer).toEqual({ threshold: 0.4, rate: 0.25 });
+        });
+
+        it('debería interpolar el cruce entre dos puntos de la curva', () => {
+            // En 0.29: FAR 0, FRR 0.5; en 0.30: FAR 1, FRR 0 → cruce a 1/3 del intervalo
+            const eer = findEER(buildCurve([0.1, 0.3], [0.295]));
+
+            expect(eer.threshold).toBeCloseTo(0.2933, 4);
+            expect(eer.rate).toBeCloseTo(1 / 3, 5);
+        });
+
+        it('debería dar EER 0 con poblaciones separadas', () => {
+            expect(findEER(buildCurve([0.1, 0.2, 0.3, 0.4], [0.5, 0.6, 0.7, 0.8]))).toEqual({ threshold: 0.4, rate: 0 });
+        });
+    });
+
+    describe('thresholdForFar', () => {
+        const impostor = Array.from({ length: 100 }, (_, i) => (i + 1) / 100);
+
+        it('debería elegir el umbral más laxo que no supera la FAR objetivo', () => {
+            const point = thresholdForFar(0.01, [0.01, 0.05], impostor);
+
+            expect(point).toEqual({ targetFar: 0.01, threshold: 0.0199, far: 0.01, frr: 0.5, reliable: true });
+        });
+
+        it('debería marcar como no confiable una FAR que no se puede medir con pocos impostores', () => {
+            const point = thresholdForFar(0.001, [0.005], impostor);
+
+            expect(point).toMatchObject({ threshold: 0.0099, far: 0, frr: 0, reliable: false });
+        });
+    });
+});
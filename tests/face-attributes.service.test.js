@@ -0,0 +1,92 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/config/face-recognition', () => ({ isModelLoaded: jest.fn() }));
+
+const faceConfig = require('../src/config/face-recognition');
+const faceAttributesService = require('../src/services/face-attributes.service');
+
+const loadModels = (...models) => faceConfig.isModelLoaded.mockImplementation(name => models.includes(name));
+
+describe('FaceAttributesService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        loadModels('faceExpressionNet', 'ageGenderNet');
+    });
+
+    describe('parseRequest', () => {
+        it('debería retornar null si no se pidieron atributos', () => {
+            for (const requested of [undefined, null, false, 'false']) {
+                expect(faceAttributesService.parseRequest(requested)).toBeNull();
+            }
+        });
+
+        it('debería aceptar true, listas y texto separado por comas', () => {
+            expect(faceAttributesService.parseRequest(true)).toEqual(['expression', 'age', 'gender']);
+            expect(faceAttributesService.parseRequest('true')).toEqual(['expression', 'age', 'gender']);
+            expect(faceAttributesService.parseRequest(['age', 'age'])).toEqual(['age']);
+            expect(faceAttributesService.parseRequest(' expression , gender ')).toEqual(['expression', 'gender']);
+        });
+
+        it('debería rechazar atributos desconocidos o una lista vacía', () => {
+            for (const requested of ['emotion', ['age', 'race'], [], ',', 42]) {
+                expect(() => faceAttributesService.parseRequest(requested)).toThrow(
+                    expect.objectContaining({ code: 'INVALID_ATTRIBUTES', statusCode: 400 })
+                );
+            }
+        });
+
+        it('debería omitir los atributos cuyo modelo no está cargado', () => {
+            loadModels('faceExpressionNet');
+
+            expect(faceAttributesService.parseRequest(true)).toEqual(['expression']);
+        });
+
+        it('debería responder 503 si ningún modelo pedido está cargado', () => {
+            loadModels('faceExpressionNet');
+
+            expect(() => faceAttributesService.parseRequest('age,gender')).toThrow(
+                expect.objectContaining({ code: 'ATTRIBUTES_UNAVAILABLE', statusCode: 503 })
+            );
+        });
+    });
+
+    describe('getDetectionOptions', () => {
+        it('debería pedir solo las redes necesarias', () => {
+            expect(faceAttributesService.getDetectionOptions(null)).toEqual({});
+            expect(faceAttributesService.getDetectionOptions(['expression'])).toEqual({
+                withExpressions: true,
+                withAgeAndGender: false
+            });
+            expect(faceAttributesService.getDetectionOptions(['gender'])).toEqual({
+                withExpressions: false,
+                withAgeAndGender: true
+            });
+        });
+    });
+
+    describe('extract', () => {
+        const detection = {
+            expressions: { neutral: 0.12345, happy: 0.8, sad: 0.07655, asSortedArray: () => [] },
+            age: 31.6,
+            gender: 'female',
+            genderProbability: 0.93333
+        };
+
+        it('debería extraer la expresión dominante, la edad redondeada y el género', () => {
+            expect(faceAttributesService.extract(detection, ['expression', 'age', 'gender'])).toEqual({
+                expression: { dominant: 'happy', probabilities: { neutral: 0.123, happy: 0.8, sad: 0.077 } },
+                age: 32,
+                gender: 'female',
+                genderProbability: 0.933
+            });
+        });
+
+        it('debería extraer solo los atributos pedidos', () => {
+            expect(faceAttributesService.extract(detection, ['age'])).toEqual({ age: 32 });
+            expect(faceAttributesService.extract(detection, undefined)).toBeUndefined();
+        });
+
+        it('debería omitir atributos ausentes en la detección', () => {
+            expect(faceAttributesService.extract({}, ['expression', 'age', 'gender'])).toEqual({});
+        });
+    });
+});
@@ -0,0 +1,139 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/config/face-recognition', () => ({
+    QUALITY_RULES: {
+        maxYaw: 25,
+        maxPitch: 20,
+        maxRoll: 20,
+        minSharpness: 40,
+        minBrightness: 60,
+        maxBrightness: 200,
+        maxClippedRatio: 0.1,
+        minEyeOpenness: 0.2,
+        minInterEyeDistance: 40
+    }
+}));
+jest.mock('canvas', () => ({ createCanvas: jest.fn() }));
+jest.mock('sharp', () => jest.fn());
+
+const imageProcessingService = require('../src/services/image-processing.service');
+const faceQualityService = require('../src/services/face-quality.service');
+
+const SIZE = 112;
+
+/**
+ * Recorte RGBA sintético en escala de grises de SIZE x SIZE: pixel(x, y) → nivel 0-255
+ */
+const crop = (pixel) => {
+    const data = new Uint8ClampedArray(SIZE * SIZE * 4);
+    for (let y = 0; y < SIZE; y++) {
+        for (let x = 0; x < SIZE; x++) {
+            const v = pixel(x, y);
+            data.set([v, v, v, 255], (y * SIZE + x) * 4);
+        }
+    }
+    return { data, width: SIZE, height: SIZE };
+};
+
+// Rostro nítido y bien expuesto: textura de alta frecuencia alrededor de gris medio
+const sharpFace = crop((x, y) => 128 + 50 * Math.sin(x / 2) * Math.cos(y / 2));
+// Rostro desenfocado: degradé suave
+const blurredFace = crop((x) => 128 + 30 * Math.sin(x / 30));
+// Rostro en sombra: la misma textura, pero oscura y con zonas negras
+const darkFace = crop((x, y) => Math.max(0, 20 + 25 * Math.sin(x / 2) * Math.cos(y / 2)));
+
+/**
+ * 68 landmarks sintéticos (ver tests/landmarks.test.js): ojos en (cx ± 30·scale, cy),
+ * nariz a 44·scale bajo los ojos y comisuras a 80·scale.
+ */
+const landmarks = ({ ear = 0.3, noseX = 0, scale = 1, cx = 56, cy = 40 } = {}) => {
+    const positions = Array.from({ length: 68 }, () => ({ x: 0, y: 0 }));
+    const eye = (first, ex) => {
+        const [w, h] = [20, ear * 20];
+        [[-w / 2, 0], [-w / 6, -h / 2], [w / 6, -h / 2], [w / 2, 0], [w / 6, h / 2], [-w / 6, h / 2]]
+            .forEach(([dx, dy], i) => { positions[first + i] = { x: ex + dx, y: dy }; });
+    };
+    eye(36, -30);
+    eye(42, 30);
+    positions[30] = { x: noseX, y: 44 };
+    positions[48] = { x: -20, y: 80 };
+    positions[54] = { x: 20, y: 80 };
+
+    return positions.map(({ x, y }) => ({ x: cx + x * scale, y: cy + y * scale }));
+};
+
+const detection = (options = {}) => ({
+    detection: { score: 0.98765, box: { x: 0, y: 0, width: SIZE, height: SIZE } },
+    landmarks: { positions: landmarks(options) }
+});
+
+const rulesOf = (quality) => quality.failures.map(f => f.rule);
+
+describe('FaceQualityService', () => {
+    const assess = (pixels, options) => {
+        jest.spyOn(imageProcessingService, 'getFaceCropPixels').mockReturnValue(pixels);
+        return faceQualityService.assess({}, detection(options));
+    };
+
+    it('debería aprobar un rostro frontal, nítido, bien expuesto y con ojos abiertos', () => {
+        const quality = assess(sharpFace);
+
+        expect(quality).toMatchObject({
+            passed: true,
+            failures: [],
+            detectionScore: 0.988,
+            pose: { yaw: 0, pitch: 0, roll: 0 },
+            eyeOpenness: { mean: 0.3 },
+            interEyeDistance: 60
+        });
+        expect(quality.sharpness).toBeGreaterThan(40);
+        expect(quality.exposure.brightness).toBeCloseTo(128, 0);
+        expect(quality.exposure.underexposedRatio + quality.exposure.overexposedRatio).toBe(0);
+    });
+
+    it('debería rechazar un rostro girado con los ojos cerrados', () => {
+        // Nariz a media distancia entre ojos del centro: asin(0.5) = 30° de yaw
+        const quality = assess(sharpFace, { noseX: 15, ear: 0.1 });
+
+        expect(quality.passed).toBe(false);
+        expect(rulesOf(quality)).toEqual(['maxYaw', 'minEyeOpenness']);
+        expect(quality.failures[0]).toMatchObject({ value: 30, limit: 25 });
+        expect(quality.failures[1]).toMatchObject({ value: 0.1, limit: 0.2, message: 'Ojos cerrados o tapados' });
+    });
+
+    it('debería rechazar un rostro demasiado pequeño por la distancia entre ojos', () => {
+        const quality = assess(sharpFace, { scale: 0.5 });
+
+        expect(rulesOf(quality)).toEqual(['minInterEyeDistance']);
+        expect(quality.failures[0]).toMatchObject({ value: 30, limit: 40 });
+    });
+
+    it('debería rechazar un rostro desenfocado', () => {
+        const quality = assess(blurredFace);
+
+        expect(quality.sharpness).toBeLessThan(1);
+        expect(rulesOf(quality)).toEqual(['minSharpness']);
+    });
+
+    it('debería rechazar un rostro subexpuesto y con zonas en sombra', () => {
+        const quality = assess(darkFace);
+
+        expect(rulesOf(quality)).toEqual(expect.arrayContaining(['minBrightness', 'maxClippedRatio']));
+        expect(rulesOf(quality)).not.toContain('maxBrightness');
+        expect(quality.exposure.brightness).toBeLessThan(60);
+        expect(quality.exposure.underexposedRatio).toBeGreaterThan(0.1);
+    });
+
+    it('assertAcceptable debería lanzar POOR_FACE_QUALITY con los motivos', () => {
+        const quality = assess(blurredFace, { ear: 0.1 });
+
+        expect(() => faceQualityService.assertAcceptable(quality)).toThrow(
+            expect.objectContaining({
+                code: 'POOR_FACE_QUALITY',
+                statusCode: 400,
+                message: 'Calidad del rostro insuficiente: Rostro desenfocado o movido; Ojos cerrados o tapados',
+                details: { quality }
+            })
+        );
+        expect(() => faceQualityService.assertAcceptable(assess(sharpFace))).not.toThrow();
+    });
+});
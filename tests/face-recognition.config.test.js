@@ -0,0 +1,111 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+// Sin backends de TensorFlow: la configuración cae al backend por defecto de face-api
+jest.mock('@tensorflow/tfjs-node-gpu', () => { throw new Error('sin GPU'); }, { virtual: true });
+jest.mock('@tensorflow/tfjs-node', () => { throw new Error('sin binding'); });
+jest.mock('canvas', () => ({ Canvas: class {}, Image: class {}, ImageData: class {}, createCanvas: jest.fn() }));
+jest.mock('sharp', () => jest.fn());
+jest.mock('@vladmandic/face-api', () => {
+    class DetectorOptions {
+        constructor(options) { Object.assign(this, options); }
+    }
+    return {
+        env: { monkeyPatch: jest.fn() },
+        nets: {},
+        SsdMobilenetv1Options: DetectorOptions,
+        TinyFaceDetectorOptions: DetectorOptions,
+        detectAllFaces: jest.fn()
+    };
+});
+
+const faceapi = require('@vladmandic/face-api');
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+const faceConfig = require('../src/config/face-recognition');
+
+const face = (width, height) => ({ detection: { box: { width, height, area: width * height } } });
+
+/**
+ * detectAllFaces().withFaceLandmarks().withFaceDescriptors() resuelve a las detecciones dadas
+ */
+const detectedFaces = (detections) => faceapi.detectAllFaces.mockReturnValue({
+    withFaceLandmarks: () => ({ withFaceDescriptors: () => Promise.resolve(detections) })
+});
+
+describe('FaceRecognitionConfig.detectAllFaces', () => {
+    beforeAll(() => {
+        // El timeout de detección no debe quedar pendiente al terminar
+        jest.useFakeTimers();
+        faceConfig.modelsLoaded = true;
+        faceConfig.OPERATION_CONFIG.RECOGNIZE.align = false;
+        faceConfig.MIN_FACE_SIZE = 60;
+    });
+
+    afterAll(() => {
+        jest.useRealTimers();
+    });
+
+    it('debería descartar los rostros menores a MIN_FACE_SIZE en cualquiera de sus lados', async () => {
+        faceConfig.MAX_FACES_PER_IMAGE = 10;
+        detectedFaces([face(80, 90), face(59, 200), face(200, 40), face(60, 60)]);
+
+        const { faces, totalDetected, skippedSmall } = await faceConfig.detectAllFaces({});
+
+        expect(totalDetected).toBe(4);
+        expect(skippedSmall).toBe(2);
+        expect(faces.map(f => f.detection.box.width)).toEqual([80, 60]);
+    });
+
+    it('debería priorizar los rostros más grandes hasta MAX_FACES_PER_IMAGE', async () => {
+        faceConfig.MAX_FACES_PER_IMAGE = 2;
+        detectedFaces([face(70, 70), face(150, 150), face(100, 100)]);
+
+        const { faces, totalDetected, skippedSmall } = await faceConfig.detectAllFaces({});
+
+        expect(faces.map(f => f.detection.box.width)).toEqual([150, 100]);
+        expect(totalDetected).toBe(3);
+        expect(skippedSmall).toBe(0);
+    });
+
+    it('debería retornar vacío sin rostros detectados', async () => {
+        detectedFaces([]);
+
+        expect(await faceConfig.detectAllFaces({})).toEqual({ faces: [], totalDetected: 0, skippedSmall: 0 });
+    });
+});
+
+describe('FaceRecognitionConfig.updateConfiguration', () => {
+    beforeEach(() => {
+        faceConfig.AMBIGUITY_MIN_MARGIN = 0;
+        faceConfig.AMBIGUITY_MIN_RATIO = 0;
+        faceConfig.DUPLICATE_THRESHOLD = 0.4;
+    });
+
+    it('debería aplicar márgenes de ambigüedad válidos', () => {
+        expect(faceConfig.updateConfiguration({ ambiguityMinMargin: '0.05', ambiguityMinRatio: 0 })).toBe(true);
+
+        expect(faceConfig.AMBIGUITY_MIN_MARGIN).toBe(0.05);
+        expect(faceConfig.AMBIGUITY_MIN_RATIO).toBe(0);
+    });
+
+    it('debería rechazar márgenes de ambigüedad no numéricos o fuera de rango sin aplicar nada', () => {
+        for (const invalid of [{ ambiguityMinMargin: 'abc' }, { ambiguityMinMargin: -0.1 },
+            { ambiguityMinRatio: 1 }, { ambiguityMinRatio: -0.5 }, { ambiguityMinMargin: 0.05, ambiguityMinRatio: 'x' }]) {
+            expect(() => faceConfig.updateConfiguration(invalid)).toThrow(expect.objectContaining({ code: 'INVALID_CONFIG' }));
+        }
+
+        expect(faceConfig.AMBIGUITY_MIN_MARGIN).toBe(0);
+        expect(faceConfig.AMBIGUITY_MIN_RATIO).toBe(0);
+    });
+
+    it('debería rechazar un umbral de duplicados que desactivaría el control de registro', () => {
+        for (const duplicateThreshold of ['abc', 0, -1, 1.6]) {
+            expect(() => faceConfig.updateConfiguration({ duplicateThreshold }))
+                .toThrow(expect.objectContaining({ code: 'INVALID_CONFIG' }));
+        }
+        expect(faceConfig.DUPLICATE_THRESHOLD).toBe(0.4);
+
+        faceConfig.updateConfiguration({ duplicateThreshold: '0.35' });
+        expect(faceConfig.DUPLICATE_THRESHOLD).toBe(0.35);
+    });
+});
@@ -0,0 +1,715 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('@vladmandic/face-api', () => ({
+    euclideanDistance: (a, b) => Math.sqrt(a.reduce((sum, v, i) => sum + (v - b[i]) ** 2, 0))
+}));
+// Bindings nativos: no hacen falta para la lógica de búsqueda y decisión
+jest.mock('canvas', () => ({ Canvas: class {}, Image: class {}, createCanvas: jest.fn() }));
+jest.mock('sharp', () => jest.fn());
+// hnswlib en memoria con búsqueda exacta (misma API; distancias L2 al cuadrado)
+jest.mock('hnswlib-node', () => ({
+    HierarchicalNSW: class {
+        constructor() { this.points = new Map(); }
+        initIndex(maxElements) { this.maxElements = maxElements; }
+        setEf() {}
+        getCurrentCount() { return this.points.size; }
+        getMaxElements() { return this.maxElements; }
+        addPoint(vector, label) { this.points.set(label, vector); }
+        markDelete(label) { this.points.delete(label); }
+        searchKnn(vector, k, filter) {
+            const found = [...this.points]
+                .filter(([label]) => !filter || filter(label))
+                .map(([label, v]) => ({ label, distance: v.reduce((sum, x, i) => sum + (x - vector[i]) ** 2, 0) }))
+                .sort((a, b) => a.distance - b.distance)
+                .slice(0, k);
+            return { neighbors: found.map(f => f.label), distances: found.map(f => f.distance) };
+        }
+    }
+}));
+jest.mock('../src/config/database', () => ({}));
+jest.mock('../src/config/face-recognition', () => ({
+    CONFIDENCE_THRESHOLD: 0.5,
+    DUPLICATE_THRESHOLD: 0.4,
+    AMBIGUITY_MIN_MARGIN: 0,
+    AMBIGUITY_MIN_RATIO: 0,
+    MAX_CANDIDATES: 20,
+    MIN_FACE_SIZE: 60,
+    getEncoding: jest.fn(() => 'crop'),
+    detectFace: jest.fn(),
+    detectAllFaces: jest.fn()
+}));
+jest.mock('../src/services/metrics.service', () => ({
+    recordMatchDecision: jest.fn(),
+    recordHnswSearch: jest.fn(),
+    recordRecognition: jest.fn(),
+    recordCacheHit: jest.fn(),
+    recordCacheMiss: jest.fn(),
+    recordRegistration: jest.fn(),
+    updateHnswIndexSize: jest.fn()
+}));
+jest.mock('../src/services/calibration.service', () => ({ probability: () => null, decision: () => null, version: jest.fn(() => 'none') }));
+jest.mock('../src/services/watchlist.service', () => ({ check: jest.fn() }));
+jest.mock('../src/services/liveness.service', () => ({ check: jest.fn() }));
+jest.mock('../src/services/unknown-face.service', () => ({ enabled: false }));
+jest.mock('../src/models/User', () => ({ getThresholdOverrides: jest.fn(), getActiveUsers: jest.fn(), findById: jest.fn() }));
+jest.mock('../src/models/FaceTemplate', () => ({ getActiveTemplates: jest.fn(), findByUser: jest.fn() }));
+jest.mock('../src/models/ThresholdChange', () => ({ create: jest.fn() }));
+jest.mock('../src/models/Collection', () => ({}));
+
+process.env.REDIS_URL = '';
+
+const faceConfig = require('../src/config/face-recognition');
+const User = require('../src/models/User');
+const FaceTemplate = require('../src/models/FaceTemplate');
+const metricsService = require('../src/services/metrics.service');
+const livenessService = require('../src/services/liveness.service');
+const { RecognitionError } = require('../src/utils/errors');
+const { HNSWService } = require('../src/services/hnsw.service');
+const userThresholdService = require('../src/services/user-threshold.service');
+const calibrationService = require('../src/services/calibration.service');
+const imageProcessingService = require('../src/services/image-processing.service');
+const faceQualityService = require('../src/services/face-quality.service');
+const faceRecognitionService = require('../src/services/face-recognition.service');
+
+/**
+ * Índice falso: retorna los resultados dados (un resultado por usuario, como HNSWService)
+ */
+const fakeScope = (results) => ({
+    index: {
+        isInitialized: true,
+        size: () => results.length,
+        search: jest.fn(async (descriptor, k, threshold) => results
+            .filter(r => r.distance <= threshold)
+            .slice(0, k))
+    },
+    userIds: null,
+    tenant: null
+});
+
+const result = (userId, distance) => ({
+    userId,
+    ci: `ci-${userId}`,
+    name: `Usuario ${userId}`,
+    distance,
+    similarity: Math.round((1 - distance) * 100)
+});
+
+describe('FaceRecognitionService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        faceConfig.getEncoding.mockReturnValue('crop');
+        User.getThresholdOverrides.mockResolvedValue([]);
+        userThresholdService.invalidate();
+    });
+
+    describe('searchByDescriptor', () => {
+        it('debería rechazar un descriptor con otra codificación que la del índice', async () => {
+            faceConfig.getEncoding.mockReturnValue('aligned');
+            const searchScope = jest.spyOn(faceRecognitionService, 'searchScope');
+
+            await expect(faceRecognitionService.searchByDescriptor(new Float32Array(128), [], { encoding: 'crop' }))
+                .rejects.toMatchObject({ code: 'ENCODING_MISMATCH', details: { encoding: 'crop', expected: 'aligned' } });
+            // Sin encoding se asume 'crop' (face-api.js en el navegador)
+            await expect(faceRecognitionService.searchByDescriptor(new Float32Array(128)))
+                .rejects.toMatchObject({ code: 'ENCODING_MISMATCH' });
+            expect(searchScope).not.toHaveBeenCalled();
+
+            searchScope.mockRestore();
+        });
+
+        it('debería rechazar una codificación desconocida', async () => {
+            await expect(faceRecognitionService.searchByDescriptor(new Float32Array(128), [], { encoding: 'l2' }))
+                .rejects.toMatchObject({ code: 'INVALID_ENCODING' });
+        });
+
+        it('debería normalizar (L2) el descriptor antes de buscar', async () => {
+            const scope = fakeScope([result(1, 0.3)]);
+            jest.spyOn(faceRecognitionService, 'searchScope').mockResolvedValue(scope);
+            // Norma 2: se busca con el mismo vector a norma 1
+            const descriptor = new Float32Array(128).fill(2 / Math.sqrt(128));
+
+            const response = await faceRecognitionService.searchByDescriptor(descriptor, [], { encoding: 'crop' });
+
+            const searched = scope.index.search.mock.calls[0][0];
+            expect(searched).toBeInstanceOf(Float32Array);
+            expect(Math.hypot(...searched)).toBeCloseTo(1, 5);
+            expect(searched[0]).toBeCloseTo(1 / Math.sqrt(128), 6);
+            expect(descriptor[0]).toBeCloseTo(2 / Math.sqrt(128), 6);
+            expect(response.match).toMatchObject({ id: 1, distance: 0.3 });
+
+            faceRecognitionService.searchScope.mockRestore();
+        });
+
+        it('debería rechazar un descriptor de norma 0', async () => {
+            const searchScope = jest.spyOn(faceRecognitionService, 'searchScope');
+
+            await expect(faceRecognitionService.searchByDescriptor(new Float32Array(128), [], { encoding: 'crop' }))
+                .rejects.toMatchObject({ code: 'INVALID_DESCRIPTOR', statusCode: 400 });
+            expect(searchScope).not.toHaveBeenCalled();
+
+            searchScope.mockRestore();
+        });
+    });
+
+    describe('findDuplicateIdentity', () => {
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('debería buscar hasta DUPLICATE_THRESHOLD y saltar usuarios dados de baja y el excluido', async () => {
+            const { index } = fakeScope([result(1, 0.2), result(2, 0.25), result(3, 0.3), result(4, 0.45)]);
+            jest.spyOn(faceRecognitionService, 'indexFor').mockResolvedValue(index);
+            // 2: soft delete (sigue en el índice HNSW pero no en la DB activa)
+            User.findById.mockImplementation(async (id) => (id === 2 ? null : { id, ci: `ci-${id}`, name: `Usuario ${id}` }));
+
+            const duplicate = await faceRecognitionService.findDuplicateIdentity(new Float32Array(2), { excludeUserId: 1 });
+
+            expect(index.search.mock.calls[0][2]).toBe(faceConfig.DUPLICATE_THRESHOLD);
+            expect(duplicate).toEqual({ id: 3, ci: 'ci-3', name: 'Usuario 3', distance: 0.3, similarity: 70 });
+        });
+
+        it('no debería reportar duplicado fuera de DUPLICATE_THRESHOLD', async () => {
+            jest.spyOn(faceRecognitionService, 'indexFor').mockResolvedValue(fakeScope([result(4, 0.45)]).index);
+
+            expect(await faceRecognitionService.findDuplicateIdentity(new Float32Array(2))).toBeNull();
+            expect(User.findById).not.toHaveBeenCalled();
+        });
+
+        it('debería usar la búsqueda lineal del tenant con el índice vacío', async () => {
+            jest.spyOn(faceRecognitionService, 'indexFor').mockResolvedValue(fakeScope([]).index);
+            User.getActiveUsers.mockResolvedValue([
+                { id: 5, ci: 'ci-5', descriptor: JSON.stringify([0.25, 0]) },
+                { id: 6, ci: 'ci-6', descriptor: JSON.stringify([0, 0.6]) }
+            ]);
+            User.findById.mockImplementation(async (id) => ({ id, ci: `ci-${id}`, name: `Usuario ${id}` }));
+
+            const duplicate = await faceRecognitionService.findDuplicateIdentity(new Float32Array([0, 0]), { tenant: 'ACME' });
+
+            expect(User.getActiveUsers).toHaveBeenCalledWith({ tenant: 'ACME' });
+            expect(duplicate).toMatchObject({ id: 5, distance: 0.25 });
+        });
+    });
+
+    describe('umbral por usuario', () => {
+        afterEach(() => {
+            faceConfig.AMBIGUITY_MIN_MARGIN = 0;
+            jest.restoreAllMocks();
+        });
+
+        it('debería evaluar cada candidato contra su propio umbral', async () => {
+            // 1: más estricto (0.25), 3: más laxo (0.6), 2: global (0.5)
+            User.getThresholdOverrides.mockResolvedValue([
+                { id: 1, match_threshold: 0.25 },
+                { id: 3, match_threshold: 0.6 }
+            ]);
+            const scope = fakeScope([result(1, 0.3), result(2, 0.45), result(3, 0.55)]);
+            jest.spyOn(faceRecognitionService, 'searchScope').mockResolvedValue(scope);
+
+            const match = await faceRecognitionService.matchDescriptor(new Float32Array(2));
+
+            // Se busca hasta el umbral más laxo en uso
+            expect(scope.index.search.mock.calls[0][2]).toBe(0.6);
+            expect(match).toMatchObject({ id: 2, distance: 0.45, threshold: 0.5 });
+        });
+
+        it('debería aceptar a un candidato lejano con umbral propio más laxo', async () => {
+            User.getThresholdOverrides.mockResolvedValue([{ id: 3, match_threshold: 0.6 }]);
+            jest.spyOn(faceRecognitionService, 'searchScope').mockResolvedValue(fakeScope([result(3, 0.55)]));
+
+            const match = await faceRecognitionService.matchDescriptor(new Float32Array(2));
+
+            expect(match).toMatchObject({ id: 3, threshold: 0.6 });
+        });
+
+        it('debería filtrar y etiquetar los candidatos con su propio umbral', async () => {
+            User.getThresholdOverrides.mockResolvedValue([{ id: 1, match_threshold: 0.25 }]);
+            const scope = fakeScope([result(1, 0.3), result(2, 0.45)]);
+
+            const filtered = await faceRecognitionService._searchCandidates(new Float32Array(2), 5, true, [], scope);
+            const all = await faceRecognitionService._searchCandidates(new Float32Array(2), 5, false, [], scope);
+
+            expect(filtered.map(c => c.id)).toEqual([2]);
+            expect(all.map(c => [c.id, c.threshold])).toEqual([[1, 0.25], [2, 0.5]]);
+        });
+
+        it('debería aceptar en la búsqueda lineal una distancia igual al umbral', async () => {
+            const users = [{ id: 1, ci: 'ci-1', descriptor: JSON.stringify([0.5, 0]), match_threshold: null }];
+
+            const { match } = await faceRecognitionService.findBestMatch(new Float32Array([0, 0]), users);
+
+            expect(match).toMatchObject({ id: 1, distance: 0.5, threshold: 0.5 });
+        });
+
+        it('debería comparar en la búsqueda lineal contra todas las plantillas del usuario', async () => {
+            const users = [
+                // users.descriptor (la más reciente) queda lejos; otra plantilla está cerca
+                { id: 1, ci: 'ci-1', descriptor: '[0.75,0]', template_descriptors: ['[0.25,0]', '[0.75,0]'], match_threshold: null },
+                { id: 2, ci: 'ci-2', descriptor: '[0.5,0]', template_descriptors: [], match_threshold: null }
+            ];
+
+            const { match } = await faceRecognitionService.findBestMatch(new Float32Array([0, 0]), users);
+            const candidates = faceRecognitionService._linearSearch(new Float32Array([0, 0]), users, 5, 1);
+
+            expect(match).toMatchObject({ id: 1, distance: 0.25 });
+            expect(candidates.map(c => [c.id, c.distance])).toEqual([[1, 0.25], [2, 0.5]]);
+        });
+
+        it('debería reportar el umbral con el que se decidió cada resultado', async () => {
+            faceConfig.AMBIGUITY_MIN_MARGIN = 0.05;
+            User.getThresholdOverrides.mockResolvedValue([{ id: 1, match_threshold: 0.35 }]);
+            jest.spyOn(faceRecognitionService, 'searchScope')
+                .mockResolvedValue(fakeScope([result(1, 0.3), result(2, 0.32)]));
+
+            const ambiguous = await faceRecognitionService.searchByDescriptor(Float32Array.of(1, 0));
+            expect(ambiguous.match).toBeNull();
+            expect(ambiguous.ambiguity.threshold).toBe(0.35);
+            expect(ambiguous.threshold).toBe(0.35);
+
+            expect(faceRecognitionService.effectiveThreshold({ match: null, candidates: [{ id: 4, threshold: 0.42 }] })).toBe(0.42);
+            expect(faceRecognitionService.effectiveThreshold({ match: null })).toBe(0.5);
+        });
+
+        it('debería cambiar la clave de caché al cambiar los umbrales', async () => {
+            jest.spyOn(faceRecognitionService, 'searchScope').mockResolvedValue(fakeScope([]));
+            jest.spyOn(faceRecognitionService, 'processImageBuffer').mockRejectedValue(new Error('sin imagen'));
+            const generateCacheKey = jest.spyOn(faceRecognitionService, 'generateCacheKey');
+            const recognize = () => faceRecognitionService.recognizeFace(Buffer.from('img'), [], { enableCache: true })
+                .catch(() => null);
+
+            await recognize();
+            User.getThresholdOverrides.mockResolvedValue([{ id: 1, match_threshold: 0.3 }]);
+            userThresholdService.invalidate();
+            await recognize();
+            await recognize();
+
+            const [before, after, again] = generateCacheKey.mock.results.map(r => r.value);
+            expect(after).not.toBe(before);
+            expect(again).toBe(after);
+        });
+
+        it('debería cambiar la clave de caché al activar otra calibración', async () => {
+            jest.spyOn(faceRecognitionService, 'searchScope').mockResolvedValue(fakeScope([]));
+            jest.spyOn(faceRecognitionService, 'processImageBuffer').mockRejectedValue(new Error('sin imagen'));
+            const generateCacheKey = jest.spyOn(faceRecognitionService, 'generateCacheKey');
+            const recognize = () => faceRecognitionService.recognizeFace(Buffer.from('img'), [], { enableCache: true, tenant: 'ACME' })
+                .catch(() => null);
+
+            await recognize();
+            calibrationService.version.mockReturnValue(3);
+            await recognize();
+
+            const [before, after] = generateCacheKey.mock.results.map(r => r.value);
+            expect(calibrationService.version).toHaveBeenCalledWith('ACME');
+            expect(after).not.toBe(before);
+            calibrationService.version.mockReturnValue('none');
+        });
+
+        it('debería cambiar la clave de caché al cambiar los miembros de las colecciones', async () => {
+            jest.spyOn(faceRecognitionService, 'processImageBuffer').mockRejectedValue(new Error('sin imagen'));
+            const searchScope = jest.spyOn(faceRecognitionService, 'searchScope');
+            const generateCacheKey = jest.spyOn(faceRecognitionService, 'generateCacheKey');
+            const recognize = () => faceRecognitionService
+                .recognizeFace(Buffer.from('img'), [], { enableCache: true, collections: ['empleados'] })
+                .catch(() => null);
+
+            for (const collectionsVersion of ['a1', 'a1', 'b2']) {
+                searchScope.mockResolvedValueOnce({ ...fakeScope([]), userIds: new Set([1]), collectionsVersion });
+                await recognize();
+            }
+
+            const [before, same, after] = generateCacheKey.mock.results.map(r => r.value);
+            expect(same).toBe(before);
+            expect(after).not.toBe(before);
+        });
+    });
+
+    describe('ambigüedad', () => {
+        afterEach(() => {
+            faceConfig.AMBIGUITY_MIN_MARGIN = 0;
+            faceConfig.AMBIGUITY_MIN_RATIO = 0;
+            jest.restoreAllMocks();
+        });
+
+        const user = (id, distance) => ({ id, ci: `ci-${id}`, name: `Usuario ${id}`, distance });
+
+        it('debería cambiar la clave de caché al cambiar los márgenes de ambigüedad', async () => {
+            jest.spyOn(faceRecognitionService, 'searchScope').mockResolvedValue(fakeScope([]));
+            jest.spyOn(faceRecognitionService, 'processImageBuffer').mockRejectedValue(new Error('sin imagen'));
+            const generateCacheKey = jest.spyOn(faceRecognitionService, 'generateCacheKey');
+            const recognize = () => faceRecognitionService.recognizeFace(Buffer.from('img'), [], { enableCache: true })
+                .catch(() => null);
+
+            await recognize();
+            faceConfig.AMBIGUITY_MIN_MARGIN = 0.05;
+            await recognize();
+            faceConfig.AMBIGUITY_MIN_RATIO = 0.1;
+            await recognize();
+
+            const keys = generateCacheKey.mock.results.map(r => r.value);
+            expect(new Set(keys).size).toBe(3);
+        });
+
+        it('debería ampliar el radio de búsqueda con el margen absoluto o relativo', () => {
+            expect(faceRecognitionService._ambiguityRadius(0.5)).toBe(0.5);
+
+            faceConfig.AMBIGUITY_MIN_MARGIN = 0.05;
+            expect(faceRecognitionService._ambiguityRadius(0.5)).toBeCloseTo(0.55);
+
+            // Un rival a d2 = r / (1 - ratio) aún queda dentro del margen relativo
+            faceConfig.AMBIGUITY_MIN_RATIO = 0.2;
+            expect(faceRecognitionService._ambiguityRadius(0.5)).toBeCloseTo(0.625);
+
+            // El ratio se acota a 0.99: el radio no se vuelve infinito
+            faceConfig.AMBIGUITY_MIN_MARGIN = 0;
+            faceConfig.AMBIGUITY_MIN_RATIO = 1;
+            expect(faceRecognitionService._ambiguityRadius(0.5)).toBeCloseTo(50);
+        });
+
+        it('no debería revisar la ambigüedad con ambos márgenes desactivados', () => {
+            expect(faceRecognitionService._checkAmbiguity(user(1, 0.3), [user(2, 0.3)])).toBeNull();
+        });
+
+        it('debería aplicar el margen absoluto d2 - d1', () => {
+            faceConfig.AMBIGUITY_MIN_MARGIN = 0.05;
+
+            const ambiguity = faceRecognitionService._checkAmbiguity(user(1, 0.3), [user(2, 0.33), user(3, 0.4)]);
+
+            expect(ambiguity.margin).toBeCloseTo(0.03);
+            expect(ambiguity.candidates.map(c => [c.rank, c.id])).toEqual([[1, 1], [2, 2]]);
+            expect(faceRecognitionService._checkAmbiguity(user(1, 0.3), [user(2, 0.36)])).toBeNull();
+        });
+
+        it('debería aplicar el margen relativo (d2 - d1) / d2', () => {
+            // 0.9 vs 0.96: 0.06 supera el margen absoluto, pero es solo un 6% de d2
+            faceConfig.AMBIGUITY_MIN_MARGIN = 0.05;
+            expect(faceRecognitionService._checkAmbiguity(user(1, 0.9), [user(2, 0.96)])).toBeNull();
+
+            faceConfig.AMBIGUITY_MIN_MARGIN = 0;
+            faceConfig.AMBIGUITY_MIN_RATIO = 0.1;
+            expect(faceRecognitionService._checkAmbiguity(user(1, 0.9), [user(2, 0.96)])).not.toBeNull();
+            expect(faceRecognitionService._checkAmbiguity(user(1, 0.3), [user(2, 0.4)])).toBeNull();
+        });
+
+        it('debería contar como rival a un usuario más cercano que no cumple su propio umbral', async () => {
+            faceConfig.AMBIGUITY_MIN_MARGIN = 0.05;
+            User.getThresholdOverrides.mockResolvedValue([{ id: 1, match_threshold: 0.25 }]);
+            jest.spyOn(faceRecognitionService, 'searchScope')
+                .mockResolvedValue(fakeScope([result(1, 0.44), result(2, 0.45)]));
+
+            const response = await faceRecognitionService.searchByDescriptor(Float32Array.of(1, 0));
+
+            expect(response.match).toBeNull();
+            expect(response.ambiguity.candidates.map(c => c.id)).toEqual([1, 2]);
+        });
+
+        it('debería colapsar las plantillas de un mismo usuario antes de comparar top-1 y top-2', async () => {
+            faceConfig.AMBIGUITY_MIN_MARGIN = 0.05;
+            const index = new HNSWService({ maxElements: 10 });
+            await index.createIndex();
+            index.isInitialized = true;
+            // Dos plantillas del usuario 1 (0.30 y 0.31): no son rivales entre sí
+            await index.addTemplate(11, 1, [0.3, 0], { ci: 'ci-1' });
+            await index.addTemplate(12, 1, [0, 0.31], { ci: 'ci-1' });
+            await index.addTemplate(21, 2, [0.45, 0], { ci: 'ci-2' });
+            jest.spyOn(faceRecognitionService, 'searchScope').mockResolvedValue({ index, userIds: null, tenant: null });
+
+            const match = await faceRecognitionService.matchDescriptor(new Float32Array([0, 0]), [], { mode: 'session' });
+            expect(match).toMatchObject({ id: 1, ci: 'ci-1', distance: 0.3 });
+            expect(metricsService.recordMatchDecision).toHaveBeenLastCalledWith('session', 'match');
+
+            // Un segundo usuario a 0.32 sí lo es
+            await index.addTemplate(31, 3, [0.32, 0], { ci: 'ci-3' });
+            const ambiguous = await faceRecognitionService.matchDescriptor(new Float32Array([0, 0]), [], { mode: 'session' });
+            expect(ambiguous).toBeNull();
+            expect(metricsService.recordMatchDecision).toHaveBeenLastCalledWith('session', 'ambiguous');
+        });
+
+        it('debería contar cada decisión en la métrica con su modo y resultado', async () => {
+            jest.spyOn(faceRecognitionService, 'searchScope').mockResolvedValue(fakeScope([result(1, 0.7)]));
+
+            await faceRecognitionService.matchDescriptor(new Float32Array(2), [], { mode: 'multi' });
+
+            expect(metricsService.recordMatchDecision).toHaveBeenCalledTimes(1);
+            expect(metricsService.recordMatchDecision).toHaveBeenCalledWith('multi', 'no_match');
+        });
+    });
+
+    describe('explain', () => {
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        const detection = (extra = {}) => ({
+            detection: { score: 0.98765, box: { x: 10.4, y: 20.6, width: 99.5, height: 120.2 } },
+            alignedRect: { box: { x: 12.2, y: 18.8, width: 101, height: 118 } },
+            landmarks: { positions: Array.from({ length: 68 }, (_, i) => ({ x: i + 0.123, y: i * 2 + 0.456 })) },
+            descriptor: new Float32Array(2),
+            ...extra
+        });
+        const trace = { steps: [{ step: 'resize', width: 800 }, { step: 'normalize' }], buffer: Buffer.from('img') };
+
+        it('debería armar la salida explain con cajas, landmarks, preprocesamiento y vecinos sin umbral', async () => {
+            const scope = fakeScope([result(1, 0.42), result(2, 0.71)]);
+            const alignedFace = { toBuffer: jest.fn(() => Buffer.from('jpeg')) };
+
+            const explain = await faceRecognitionService._explain(detection({ alignedFace }), trace, 0, [], scope);
+
+            expect(explain).toMatchObject({
+                detectionScore: 0.988,
+                box: { x: 10, y: 21, width: 100, height: 120 },
+                alignedBox: { x: 12, y: 19, width: 101, height: 118 },
+                preprocessing: trace.steps,
+                alignedFace: `data:image/jpeg;base64,${Buffer.from('jpeg').toString('base64')}`,
+                threshold: 0.5
+            });
+            expect(explain.landmarks).toHaveLength(68);
+            expect(explain.landmarks[1]).toEqual({ x: 1.1, y: 2.5 });
+            // Sin candidates pedidos: 5 vecinos, aunque superen el umbral
+            expect(scope.index.search.mock.calls[0][1]).toBe(5);
+            expect(explain.candidates.map(c => [c.rank, c.id])).toEqual([[1, 1], [2, 2]]);
+        });
+
+        it('debería recortar la caja alineada de la imagen procesada si el perfil no alinea', async () => {
+            jest.spyOn(imageProcessingService, 'extractFaceRegion').mockResolvedValue(Buffer.from('face'));
+            jest.spyOn(imageProcessingService, 'generateThumbnail').mockResolvedValue(Buffer.from('thumb'));
+
+            const explain = await faceRecognitionService._explain(detection(), trace, 3, [], fakeScope([]));
+
+            expect(imageProcessingService.extractFaceRegion).toHaveBeenCalledWith(trace.buffer, detection().alignedRect.box, 0);
+            expect(imageProcessingService.generateThumbnail).toHaveBeenCalledWith(Buffer.from('face'), 150);
+            expect(explain.alignedFace).toBe(`data:image/jpeg;base64,${Buffer.from('thumb').toString('base64')}`);
+        });
+
+        it('debería responder sin recorte si no se puede generar', async () => {
+            jest.spyOn(imageProcessingService, 'extractFaceRegion').mockRejectedValue(new Error('sharp'));
+
+            const explain = await faceRecognitionService._explain(detection(), trace, 0, [], fakeScope([]));
+
+            expect(explain.alignedFace).toBeNull();
+            expect(explain.candidates).toEqual([]);
+        });
+
+        it('no debería usar la caché con explain', async () => {
+            jest.spyOn(faceRecognitionService, 'searchScope').mockResolvedValue(fakeScope([]));
+            jest.spyOn(faceRecognitionService, 'processImageBuffer').mockRejectedValue(new Error('sin imagen'));
+            const generateCacheKey = jest.spyOn(faceRecognitionService, 'generateCacheKey');
+
+            await expect(faceRecognitionService.recognizeFace(Buffer.from('img'), [], { enableCache: true, explain: true }))
+                .rejects.toThrow('sin imagen');
+
+            expect(generateCacheKey).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('recognizeFaces', () => {
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        const detected = (x, descriptor) => ({
+            detection: { score: 0.9, box: { x, y: 0, width: 100, height: 100 } },
+            descriptor: new Float32Array(descriptor)
+        });
+
+        it('debería identificar cada rostro por separado y no identificar a los sospechosos de suplantación', async () => {
+            const index = new HNSWService({ maxElements: 10 });
+            await index.createIndex();
+            index.isInitialized = true;
+            await index.addTemplate(11, 1, [0, 0], { ci: 'ci-1' });
+            await index.addTemplate(21, 2, [1, 1], { ci: 'ci-2' });
+            jest.spyOn(faceRecognitionService, 'searchScope').mockResolvedValue({ index, userIds: null, tenant: null });
+            jest.spyOn(faceRecognitionService, 'processImageBuffer').mockResolvedValue({});
+            faceConfig.detectAllFaces.mockResolvedValue({
+                faces: [detected(0, [0.1, 0]), detected(200, [1, 0.9]), detected(400, [0, 0.1]), detected(600, [5, 5])],
+                totalDetected: 5,
+                skippedSmall: 1
+            });
+            livenessService.check.mockImplementation(async (image, box) => {
+                if (box.x === 400) {
+                    throw new RecognitionError('Posible suplantación', 'SPOOF_SUSPECTED', 403, { liveness: { score: 0.1 } });
+                }
+                return { score: 0.9 };
+            });
+
+            const { faces, totalDetected, skippedSmall } = await faceRecognitionService.recognizeFaces(Buffer.from('img'));
+
+            expect(faces.map(f => f.match?.ci ?? null)).toEqual(['ci-1', 'ci-2', null, null]);
+            expect(faces[2]).toMatchObject({ spoofSuspected: true, liveness: { score: 0.1 } });
+            expect(faces[3]).toMatchObject({ match: null, distance: null });
+            expect({ totalDetected, skippedSmall }).toEqual({ totalDetected: 5, skippedSmall: 1 });
+            expect(metricsService.recordMatchDecision).toHaveBeenCalledTimes(3);
+        });
+
+        it('debería explicar que los rostros detectados eran demasiado pequeños', async () => {
+            jest.spyOn(faceRecognitionService, 'searchScope').mockResolvedValue(fakeScope([]));
+            jest.spyOn(faceRecognitionService, 'processImageBuffer').mockResolvedValue({});
+            faceConfig.detectAllFaces.mockResolvedValue({ faces: [], totalDetected: 2, skippedSmall: 2 });
+
+            await expect(faceRecognitionService.recognizeFaces(Buffer.from('img')))
+                .rejects.toThrow('Rostros demasiado pequeños. Mínimo 60px');
+        });
+    });
+
+    describe('verifyFace', () => {
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        const detected = (descriptor) => ({
+            detection: { score: 0.9, box: { x: 0, y: 0, width: 100, height: 100 } },
+            descriptor: new Float32Array(descriptor)
+        });
+        const template = (descriptor) => ({ descriptor: JSON.stringify(descriptor) });
+        const user = (extra = {}) => ({ id: 1, ci: 'ci-1', descriptor: JSON.stringify([0.75, 0]), match_threshold: null, ...extra });
+
+        beforeEach(() => {
+            jest.spyOn(faceRecognitionService, 'processImageBuffer').mockResolvedValue({});
+            faceConfig.detectFace.mockResolvedValue(detected([0, 0]));
+        });
+
+        it('debería decidir con la plantilla más cercana de todas las del usuario', async () => {
+            FaceTemplate.findByUser.mockResolvedValue([template([0.75, 0]), template([0.25, 0]), template([0, 1])]);
+
+            const result = await faceRecognitionService.verifyFace(Buffer.from('img'), user());
+
+            expect(FaceTemplate.findByUser).toHaveBeenCalledWith(1, true);
+            expect(result).toMatchObject({ match: true, distance: 0.25, similarity: 75, threshold: 0.5, templatesCompared: 3 });
+            expect(metricsService.recordRecognition).toHaveBeenCalledWith(expect.any(Number), 'success', 'verify');
+        });
+
+        it('debería usar users.descriptor si el usuario no tiene plantillas', async () => {
+            FaceTemplate.findByUser.mockResolvedValue([]);
+
+            const result = await faceRecognitionService.verifyFace(Buffer.from('img'), user());
+
+            expect(result).toMatchObject({ match: false, distance: 0.75, templatesCompared: 1 });
+            expect(metricsService.recordRecognition).toHaveBeenCalledWith(expect.any(Number), 'not_match', 'verify');
+        });
+
+        it('debería aplicar el umbral propio del usuario en lugar del global', async () => {
+            FaceTemplate.findByUser.mockResolvedValue([template([0.25, 0])]);
+
+            const strict = await faceRecognitionService.verifyFace(Buffer.from('img'), user({ match_threshold: 0.125 }));
+            const lax = await faceRecognitionService.verifyFace(Buffer.from('img'), user({ match_threshold: 0.25 }));
+
+            expect(strict).toMatchObject({ match: false, distance: 0.25, threshold: 0.125 });
+            // Una distancia igual al umbral es match
+            expect(lax).toMatchObject({ match: true, distance: 0.25, threshold: 0.25 });
+        });
+
+        it('debería fallar sin rostro y contarlo como error', async () => {
+            faceConfig.detectFace.mockResolvedValue(null);
+
+            await expect(faceRecognitionService.verifyFace(Buffer.from('img'), user()))
+                .rejects.toThrow('No se detectó ningún rostro en la imagen');
+            expect(FaceTemplate.findByUser).not.toHaveBeenCalled();
+            expect(metricsService.recordRecognition).toHaveBeenCalledWith(expect.any(Number), 'error', 'verify');
+        });
+    });
+
+    describe('compareFaces', () => {
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        const detected = (descriptor) => ({
+            detection: { score: 0.9, box: { x: 10.4, y: 0, width: 100, height: 100 } },
+            descriptor: new Float32Array(descriptor)
+        });
+
+        beforeEach(() => {
+            jest.spyOn(faceRecognitionService, 'processImageBuffer').mockResolvedValue({});
+            jest.spyOn(faceQualityService, 'assess').mockReturnValue({ passed: true, failures: [] });
+        });
+
+        it('debería reportar match con la distancia entre ambos rostros', async () => {
+            faceConfig.detectFace.mockResolvedValueOnce(detected([0, 0])).mockResolvedValueOnce(detected([0.25, 0]));
+
+            const result = await faceRecognitionService.compareFaces([Buffer.from('doc'), Buffer.from('selfie')]);
+
+            expect(result).toMatchObject({ match: true, distance: 0.25, similarity: 75, threshold: 0.5 });
+            expect(result.faces).toEqual([
+                { box: { x: 10, y: 0, width: 100, height: 100 }, quality: { passed: true, failures: [] } },
+                { box: { x: 10, y: 0, width: 100, height: 100 }, quality: { passed: true, failures: [] } }
+            ]);
+            expect(metricsService.recordRecognition).toHaveBeenCalledWith(expect.any(Number), 'success', 'compare');
+        });
+
+        it('debería reportar no-match más allá del umbral global', async () => {
+            faceConfig.detectFace.mockResolvedValueOnce(detected([0, 0])).mockResolvedValueOnce(detected([0.75, 0]));
+
+            const result = await faceRecognitionService.compareFaces([Buffer.from('doc'), Buffer.from('selfie')]);
+
+            expect(result).toMatchObject({ match: false, distance: 0.75, threshold: 0.5 });
+            expect(metricsService.recordRecognition).toHaveBeenCalledWith(expect.any(Number), 'not_match', 'compare');
+        });
+
+        it('debería indicar en qué imagen no se detectó rostro', async () => {
+            faceConfig.detectFace.mockResolvedValueOnce(detected([0, 0])).mockResolvedValueOnce(null);
+
+            await expect(faceRecognitionService.compareFaces([Buffer.from('doc'), Buffer.from('selfie')]))
+                .rejects.toMatchObject({ code: 'NO_FACE_DETECTED', statusCode: 404, details: { image: 'image2' } });
+            expect(metricsService.recordRecognition).toHaveBeenCalledWith(expect.any(Number), 'error', 'compare');
+        });
+    });
+
+    describe('candidatos top-K', () => {
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('debería rankear un usuario por fila con su plantilla más cercana', async () => {
+            const index = new HNSWService({ maxElements: 10 });
+            await index.createIndex();
+            index.isInitialized = true;
+            await index.addTemplate(11, 1, [0.3, 0], { ci: 'ci-1' });
+            await index.addTemplate(12, 1, [0.1, 0], { ci: 'ci-1' });
+            await index.addTemplate(21, 2, [0.2, 0], { ci: 'ci-2' });
+            await index.addTemplate(31, 3, [0.4, 0], { ci: 'ci-3' });
+            await index.addTemplate(41, 4, [0.9, 0], { ci: 'ci-4' });
+            const scope = { index, userIds: null, tenant: null };
+
+            const top2 = await faceRecognitionService._searchCandidates(new Float32Array([0, 0]), 2, true, [], scope);
+            expect(top2.map(c => [c.rank, c.ci])).toEqual([[1, 'ci-1'], [2, 'ci-2']]);
+            expect(top2[0].distance).toBeCloseTo(0.1);
+
+            // Con el umbral: el usuario 4 (0.9) queda fuera; sin él se lista igual
+            const withThreshold = await faceRecognitionService._searchCandidates(new Float32Array([0, 0]), 10, true, [], scope);
+            const all = await faceRecognitionService._searchCandidates(new Float32Array([0, 0]), 10, false, [], scope);
+            expect(withThreshold.map(c => c.ci)).toEqual(['ci-1', 'ci-2', 'ci-3']);
+            expect(all.map(c => c.ci)).toEqual(['ci-1', 'ci-2', 'ci-3', 'ci-4']);
+        });
+
+        it('debería rankear con la búsqueda lineal si el índice está vacío', async () => {
+            const users = [
+                { id: 1, ci: 'ci-1', descriptor: JSON.stringify([0.5, 0]) },
+                { id: 2, ci: 'ci-2', descriptor: JSON.stringify([0.25, 0]) },
+                { id: 3, ci: 'ci-3', descriptor: JSON.stringify([0.75, 0]) }
+            ];
+
+            const candidates = await faceRecognitionService._searchCandidates(new Float32Array([0, 0]), 2, false, users, fakeScope([]));
+
+            expect(candidates.map(c => [c.rank, c.id, c.distance])).toEqual([[1, 2, 0.25], [2, 1, 0.5]]);
+        });
+
+        it('debería limitar candidates a MAX_CANDIDATES y separar la caché por K', async () => {
+            const scope = fakeScope([]);
+            jest.spyOn(faceRecognitionService, 'searchScope').mockResolvedValue(scope);
+            const searchCandidates = jest.spyOn(faceRecognitionService, '_searchCandidates');
+
+            await faceRecognitionService.searchByDescriptor(Float32Array.of(1, 0), [], { candidates: 500 });
+            expect(searchCandidates.mock.calls[0][1]).toBe(faceConfig.MAX_CANDIDATES);
+
+            jest.spyOn(faceRecognitionService, 'processImageBuffer').mockRejectedValue(new Error('sin imagen'));
+            const generateCacheKey = jest.spyOn(faceRecognitionService, 'generateCacheKey');
+            const recognize = (options) => faceRecognitionService
+                .recognizeFace(Buffer.from('img'), [], { enableCache: true, ...options })
+                .catch(() => null);
+            await recognize({});
+            await recognize({ candidates: 5 });
+            await recognize({ candidates: 5, applyThreshold: false });
+
+            const keys = generateCacheKey.mock.results.map(r => r.value);
+            expect(new Set(keys).size).toBe(3);
+        });
+    });
+});
@@ -0,0 +1,138 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+// hnswlib en memoria con búsqueda exacta (misma API; distancias L2 al cuadrado)
+jest.mock('hnswlib-node', () => ({
+    HierarchicalNSW: class {
+        constructor() { this.points = new Map(); }
+        initIndex(maxElements) { this.maxElements = maxElements; }
+        setEf() {}
+        getCurrentCount() { return this.points.size; }
+        getMaxElements() { return this.maxElements; }
+        resizeIndex(maxElements) { this.maxElements = maxElements; }
+        addPoint(vector, label) { this.points.set(label, vector); }
+        markDelete(label) { this.points.delete(label); }
+        searchKnn(vector, k, filter) {
+            const found = [...this.points]
+                .filter(([label]) => !filter || filter(label))
+                .map(([label, v]) => ({ label, distance: v.reduce((sum, x, i) => sum + (x - vector[i]) ** 2, 0) }))
+                .sort((a, b) => a.distance - b.distance)
+                .slice(0, k);
+            return { neighbors: found.map(f => f.label), distances: found.map(f => f.distance) };
+        }
+    }
+}));
+
+const { HNSWService } = require('../src/services/hnsw.service');
+
+const emptyIndex = async (maxElements = 100) => {
+    const index = new HNSWService({ maxElements });
+    await index.createIndex();
+    index.isInitialized = true;
+    return index;
+};
+
+describe('HNSWService (plantillas múltiples)', () => {
+    it('debería colapsar las plantillas por usuario con la distancia de la más cercana', async () => {
+        const index = await emptyIndex();
+        await index.addTemplate(11, 1, [0.3, 0], { ci: 'ci-1' });
+        await index.addTemplate(12, 1, [0.1, 0], { ci: 'ci-1' });
+        await index.addTemplate(13, 1, [0.2, 0], { ci: 'ci-1' });
+        await index.addTemplate(21, 2, [0.25, 0], { ci: 'ci-2' });
+
+        const results = await index.search([0, 0], 5, 0.5);
+
+        expect(results.map(r => [r.userId, r.templateId])).toEqual([[1, 12], [2, 21]]);
+        expect(results[0].distance).toBeCloseTo(0.1);
+        expect(results[0].similarity).toBe(90);
+    });
+
+    it('debería retornar k usuarios distintos aunque uno tenga muchas plantillas más cercanas', async () => {
+        const index = await emptyIndex();
+        for (let t = 0; t < 4; t++) {
+            await index.addTemplate(10 + t, 1, [0.01 * t, 0], { ci: 'ci-1' });
+        }
+        await index.addTemplate(21, 2, [0.2, 0], { ci: 'ci-2' });
+        await index.addTemplate(31, 3, [0.3, 0], { ci: 'ci-3' });
+
+        const results = await index.search([0, 0], 2, 0.5);
+
+        expect(results.map(r => r.userId)).toEqual([1, 2]);
+    });
+
+    it('debería ampliar la búsqueda si un usuario con muchas plantillas llena todos los vecinos', async () => {
+        const index = await emptyIndex();
+        for (let t = 0; t < 12; t++) {
+            await index.addTemplate(100 + t, 1, [0.01 * t, 0], { ci: 'ci-1' });
+        }
+        await index.addTemplate(21, 2, [0.25, 0], { ci: 'ci-2' });
+        const searchKnn = jest.spyOn(index.index, 'searchKnn');
+
+        const results = await index.search([0, 0], 2, 0.5);
+
+        expect(results.map(r => r.userId)).toEqual([1, 2]);
+        expect(searchKnn.mock.calls.map(([, k]) => k)).toEqual([8, 13]);
+    });
+
+    it('no debería ampliar la búsqueda más allá del umbral', async () => {
+        const index = await emptyIndex();
+        for (let t = 0; t < 12; t++) {
+            await index.addTemplate(100 + t, 1, [0.05 * t, 0], { ci: 'ci-1' });
+        }
+        await index.addTemplate(21, 2, [0.9, 0], { ci: 'ci-2' });
+        const searchKnn = jest.spyOn(index.index, 'searchKnn');
+
+        const results = await index.search([0, 0], 2, 0.3);
+
+        expect(results.map(r => r.userId)).toEqual([1]);
+        expect(searchKnn).toHaveBeenCalledTimes(1);
+    });
+
+    it('debería aplicar el umbral y el filtro de usuarios durante la búsqueda', async () => {
+        const index = await emptyIndex();
+        await index.addTemplate(11, 1, [0.1, 0]);
+        await index.addTemplate(21, 2, [0.2, 0]);
+        await index.addTemplate(31, 3, [0.7, 0]);
+
+        expect((await index.search([0, 0], 5, 0.5)).map(r => r.userId)).toEqual([1, 2]);
+        expect((await index.search([0, 0], 5, 0.5, { userIds: new Set([2, 3]) })).map(r => r.userId)).toEqual([2]);
+        expect(await index.search([0, 0], 5, 0.5, { userIds: new Set() })).toEqual([]);
+    });
+
+    it('debería quitar una plantilla sin quitar al usuario hasta su última plantilla', async () => {
+        const index = await emptyIndex();
+        await index.addTemplate(11, 1, [0.1, 0]);
+        await index.addTemplate(12, 1, [0.3, 0]);
+
+        await index.removeTemplate(11);
+        expect(index.hasUser(1)).toBe(true);
+        expect(index.size()).toBe(1);
+        expect((await index.search([0, 0], 5, 0.5))[0]).toMatchObject({ userId: 1, templateId: 12 });
+
+        await index.removeTemplate(12);
+        expect(index.hasUser(1)).toBe(false);
+        expect(await index.search([0, 0], 5, 0.5)).toEqual([]);
+    });
+
+    it('debería quitar todas las plantillas de un usuario con removeUser', async () => {
+        const index = await emptyIndex();
+        await index.addTemplate(11, 1, [0.1, 0]);
+        await index.addTemplate(12, 1, [0.2, 0]);
+        await index.addTemplate(21, 2, [0.3, 0]);
+
+        await index.removeUser(1);
+
+        expect(index.size()).toBe(1);
+        expect((await index.search([0, 0], 5, 0.5)).map(r => r.userId)).toEqual([2]);
+    });
+
+    it('debería reemplazar una plantilla existente y ampliar la capacidad al llenarse', async () => {
+        const index = await emptyIndex(2);
+        await index.addTemplate(11, 1, [0.1, 0]);
+        await index.addTemplate(11, 1, [0.4, 0]);
+        await index.addTemplate(21, 2, [0.2, 0]);
+        await index.addTemplate(31, 3, [0.3, 0]);
+
+        expect(index.size()).toBe(3);
+        expect(index.maxElements).toBe(4);
+        expect((await index.search([0, 0], 5, 0.5)).find(r => r.userId === 1).distance).toBeCloseTo(0.4);
+    });
+});
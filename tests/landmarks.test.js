@@ -0,0 +1,102 @@
+const { getEyeOpenness, estimateHeadPose, getAlignmentTransform } = require('../src/utils/landmarks');
+
+/**
+ * 68 landmarks sintéticos: ojos centrados en (±30, 0), de ancho 20 y alto ear * 20;
+ * punta de la nariz en (noseX, 44) y comisuras en (±20, 80). Con roll se rota todo
+ * el rostro alrededor del origen (grados, sentido horario en la imagen).
+ */
+const syntheticFace = ({ ear = 0.3, noseX = 0, roll = 0 } = {}) => {
+    const positions = Array.from({ length: 68 }, () => ({ x: 0, y: 0 }));
+    const eye = (first, cx) => {
+        const [w, h] = [20, ear * 20];
+        [[-w / 2, 0], [-w / 6, -h / 2], [w / 6, -h / 2], [w / 2, 0], [w / 6, h / 2], [-w / 6, h / 2]]
+            .forEach(([dx, dy], i) => { positions[first + i] = { x: cx + dx, y: dy }; });
+    };
+    eye(36, -30);
+    eye(42, 30);
+    positions[30] = { x: noseX, y: 44 };
+    positions[48] = { x: -20, y: 80 };
+    positions[54] = { x: 20, y: 80 };
+
+    const angle = roll * Math.PI / 180;
+    return positions.map(({ x, y }) => ({
+        x: x * Math.cos(angle) - y * Math.sin(angle),
+        y: x * Math.sin(angle) + y * Math.cos(angle)
+    }));
+};
+
+describe('landmarks', () => {
+    describe('getEyeOpenness', () => {
+        it('debería calcular el EAR de cada ojo como alto / ancho', () => {
+            expect(getEyeOpenness(syntheticFace({ ear: 0.3 })).mean).toBeCloseTo(0.3);
+            expect(getEyeOpenness(syntheticFace({ ear: 0.1 }))).toMatchObject({
+                left: expect.closeTo(0.1),
+                right: expect.closeTo(0.1)
+            });
+        });
+
+        it('no debería depender de la inclinación de la cabeza', () => {
+            expect(getEyeOpenness(syntheticFace({ ear: 0.25, roll: 30 })).mean).toBeCloseTo(0.25);
+        });
+    });
+
+    describe('estimateHeadPose', () => {
+        it('debería estimar un rostro frontal sin giro', () => {
+            expect(estimateHeadPose(syntheticFace())).toEqual({ yaw: 0, pitch: 0, roll: 0 });
+        });
+
+        it('debería estimar el yaw por el desplazamiento de la nariz (positivo hacia la derecha de la imagen)', () => {
+            // Nariz a media distancia entre ojos del centro: asin(0.5) = 30°
+            expect(estimateHeadPose(syntheticFace({ noseX: 15 })).yaw).toBeCloseTo(30);
+            expect(estimateHeadPose(syntheticFace({ noseX: -15 })).yaw).toBeCloseTo(-30);
+        });
+
+        it('debería separar el roll del yaw', () => {
+            const pose = estimateHeadPose(syntheticFace({ noseX: 15, roll: 20 }));
+
+            expect(pose.roll).toBeCloseTo(20);
+            expect(pose.yaw).toBeCloseTo(30);
+        });
+    });
+
+    describe('getAlignmentTransform', () => {
+        // Aplica la transformación como en canvas: translate(target) → scale → rotate(-angle) → translate(-eyeMid)
+        const apply = ({ angle, scale, eyeMid, target }, { x, y }) => {
+            const [dx, dy] = [x - eyeMid.x, y - eyeMid.y];
+            return {
+                x: target.x + scale * (dx * Math.cos(-angle) - dy * Math.sin(-angle)),
+                y: target.y + scale * (dx * Math.sin(-angle) + dy * Math.cos(-angle))
+            };
+        };
+
+        it('debería calcular ángulo, escala y puntos de referencia a partir de los ojos', () => {
+            const transform = getAlignmentTransform(syntheticFace({ roll: 30 }), 160);
+
+            expect(transform.angle).toBeCloseTo(Math.PI / 6);
+            // Distancia entre ojos 60 → 40% de 160
+            expect(transform.scale).toBeCloseTo(64 / 60);
+            expect(transform.eyeMid.x).toBeCloseTo(0);
+            expect(transform.eyeMid.y).toBeCloseTo(0);
+            expect(transform.target).toEqual({ x: 80, y: 160 * 0.38 });
+        });
+
+        it('debería llevar los ojos a su posición canónica, horizontales y centrados', () => {
+            const positions = syntheticFace({ roll: -25 }).map(({ x, y }) => ({ x: x + 300, y: y + 120 }));
+            const transform = getAlignmentTransform(positions, 112);
+            const center = (first) => positions.slice(first, first + 6)
+                .reduce((sum, p) => ({ x: sum.x + p.x / 6, y: sum.y + p.y / 6 }), { x: 0, y: 0 });
+            const [left, right] = [center(36), center(42)].map(eye => apply(transform, eye));
+
+            expect(left.x).toBeCloseTo(112 * 0.3);
+            expect(right.x).toBeCloseTo(112 * 0.7);
+            expect(left.y).toBeCloseTo(112 * 0.38);
+            expect(right.y).toBeCloseTo(112 * 0.38);
+        });
+
+        it('debería rechazar landmarks con los ojos superpuestos', () => {
+            const positions = Array.from({ length: 68 }, () => ({ x: 10, y: 10 }));
+
+            expect(() => getAlignmentTransform(positions, 112)).toThrow('Landmarks inválidos');
+        });
+    });
+});
@@ -0,0 +1,106 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('@vladmandic/face-api', () => ({
+    euclideanDistance: (a, b) => Math.sqrt(a.reduce((sum, v, i) => sum + (v - b[i]) ** 2, 0))
+}));
+jest.mock('../src/config/face-recognition', () => ({
+    CONFIDENCE_THRESHOLD: 0.5,
+    detectFace: jest.fn(),
+    isModelLoaded: () => true
+}));
+jest.mock('../src/services/metrics.service', () => ({ recordLivenessChallenge: jest.fn() }));
+jest.mock('../src/services/face-recognition.service', () => ({ processImageBuffer: jest.fn(async (buffer) => buffer) }));
+
+// Caché en memoria (sin Redis) para sesiones y verificaciones
+process.env.REDIS_URL = '';
+
+const faceConfig = require('../src/config/face-recognition');
+const cacheService = require('../src/services/cache.service');
+const livenessChallengeService = require('../src/services/liveness-challenge.service');
+
+/**
+ * Landmarks mínimos para EAR y yaw: ojos en (±30, 0) de ancho 20 y nariz en (noseX, 44)
+ */
+const landmarks = ({ ear = 0.3, noseX = 0 }) => {
+    const positions = Array.from({ length: 68 }, () => ({ x: 0, y: 0 }));
+    for (const [first, cx] of [[36, -30], [42, 30]]) {
+        [[-10, 0], [-10 / 3, -ear * 10], [10 / 3, -ear * 10], [10, 0], [10 / 3, ear * 10], [-10 / 3, ear * 10]]
+            .forEach(([dx, dy], i) => { positions[first + i] = { x: cx + dx, y: dy }; });
+    }
+    positions[30] = { x: noseX, y: 44 };
+    positions[48] = { x: -20, y: 80 };
+    positions[54] = { x: 20, y: 80 };
+    return { positions };
+};
+
+/**
+ * Cada frame es el JSON de su detección simulada: { ear, noseX, descriptor }
+ */
+const frames = (specs) => specs.map(spec => Buffer.from(JSON.stringify(spec)));
+
+const startSession = async (challenge) => {
+    const id = `sesion-${challenge}-${Math.random()}`;
+    await cacheService.set(`liveness_session_${id}`, { id, challenge }, 60);
+    return id;
+};
+
+describe('LivenessChallengeService', () => {
+    beforeAll(() => {
+        faceConfig.detectFace.mockImplementation(async (buffer) => {
+            const { ear, noseX, descriptor = [0, 0] } = JSON.parse(buffer.toString());
+            return { descriptor, landmarks: landmarks({ ear, noseX }) };
+        });
+    });
+
+    it('debería aprobar un parpadeo abierto → cerrado → abierto y permitir consumir la verificación una vez', async () => {
+        const sessionId = await startSession('blink');
+
+        const result = await livenessChallengeService.verifySession(sessionId,
+            frames([{ ear: 0.3 }, { ear: 0.12 }, { ear: 0.31 }]));
+
+        expect(result).toMatchObject({ passed: true, sameFace: true, framesWithFace: 3 });
+        expect(result.gesture).toMatchObject({ performed: true, minEyeAspectRatio: 0.12, maxEyeAspectRatio: 0.31 });
+
+        await expect(livenessChallengeService.consumeVerification(sessionId, [0, 0.1]))
+            .resolves.toMatchObject({ challenge: 'blink' });
+        await expect(livenessChallengeService.consumeVerification(sessionId, [0, 0.1]))
+            .rejects.toMatchObject({ code: 'LIVENESS_NOT_VERIFIED' });
+    });
+
+    it('no debería aprobar ojos que nunca se cierran ni un cierre sin reapertura', async () => {
+        const open = await livenessChallengeService.verifySession(await startSession('blink'),
+            frames([{ ear: 0.3 }, { ear: 0.22 }, { ear: 0.3 }]));
+        const closing = await livenessChallengeService.verifySession(await startSession('blink'),
+            frames([{ ear: 0.3 }, { ear: 0.3 }, { ear: 0.1 }]));
+
+        expect(open.passed).toBe(false);
+        expect(closing.passed).toBe(false);
+    });
+
+    it('debería distinguir el lado del giro por el signo del yaw', async () => {
+        // Nariz hacia la derecha de la imagen: la persona gira hacia SU izquierda
+        const turning = [{ noseX: 0 }, { noseX: 8 }, { noseX: 15 }];
+
+        const left = await livenessChallengeService.verifySession(await startSession('turn_left'), frames(turning));
+        const right = await livenessChallengeService.verifySession(await startSession('turn_right'), frames(turning));
+
+        expect(left.passed).toBe(true);
+        expect(left.gesture.maxYaw).toBeCloseTo(30);
+        expect(right.passed).toBe(false);
+    });
+
+    it('debería rechazar frames de rostros distintos aunque hagan el gesto', async () => {
+        const result = await livenessChallengeService.verifySession(await startSession('blink'),
+            frames([{ ear: 0.3 }, { ear: 0.12, descriptor: [1, 1] }, { ear: 0.3 }]));
+
+        expect(result).toMatchObject({ passed: false, sameFace: false });
+        expect(result.gesture.performed).toBe(true);
+    });
+
+    it('debería consumir la sesión aunque el desafío falle', async () => {
+        const sessionId = await startSession('blink');
+        await livenessChallengeService.verifySession(sessionId, frames([{ ear: 0.3 }, { ear: 0.3 }, { ear: 0.3 }]));
+
+        await expect(livenessChallengeService.verifySession(sessionId, frames([{ ear: 0.3 }, { ear: 0.1 }, { ear: 0.3 }])))
+            .rejects.toMatchObject({ code: 'CHALLENGE_SESSION_NOT_FOUND' });
+    });
+});
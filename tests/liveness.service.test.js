@@ -0,0 +1,122 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/config/server', () => ({ MODELS_PATH: './models' }));
+jest.mock('../src/config/face-recognition', () => ({}));
+jest.mock('../src/services/metrics.service', () => ({ recordLiveness: jest.fn() }));
+jest.mock('canvas', () => ({ createCanvas: jest.fn() }));
+jest.mock('sharp', () => jest.fn());
+
+const metricsService = require('../src/services/metrics.service');
+const imageProcessingService = require('../src/services/image-processing.service');
+const livenessService = require('../src/services/liveness.service');
+
+const SIZE = 112;
+
+/**
+ * Recorte RGBA sintético de SIZE x SIZE: pixel(x, y) → [r, g, b]
+ */
+const crop = (pixel) => {
+    const data = new Uint8ClampedArray(SIZE * SIZE * 4);
+    for (let y = 0; y < SIZE; y++) {
+        for (let x = 0; x < SIZE; x++) {
+            const [r, g, b] = pixel(x, y).map(v => Math.max(0, Math.min(255, Math.round(v))));
+            data.set([r, g, b, 255], (y * SIZE + x) * 4);
+        }
+    }
+    return { data, width: SIZE, height: SIZE };
+};
+
+// Ruido pseudoaleatorio determinista en [-1, 1]
+const noise = (x, y) => {
+    const n = Math.sin(x * 12.9898 + y * 78.233) * 43758.5453;
+    return 2 * (n - Math.floor(n)) - 1;
+};
+
+// Piel con contraste, detalle fino y variación de color
+const liveFace = crop((x, y) => {
+    const shade = 128 + 70 * Math.sin(x / 4) * Math.cos(y / 5) + 8 * noise(x, y);
+    const tone = 18 * Math.sin(y / 7);
+    return [shade + 25 + tone, shade, shade - 20 - tone];
+});
+// Impresión borrosa: degradé suave y sin color
+const blurredPrint = crop((x) => {
+    const shade = 128 + 60 * Math.sin(x / 20);
+    return [shade, shade, shade];
+});
+// Pantalla re-capturada: patrón de píxeles de alta frecuencia y bajo contraste
+const screen = crop((x, y) => {
+    const shade = 128 + ((x + y) % 2 ? 25 : -25);
+    const tone = 18 * Math.sin(y / 7);
+    return [shade + 25 + tone, shade, shade - 20 - tone];
+});
+// Papel satinado: la mitad del rostro saturada por un reflejo
+const glossy = crop((x, y) => (y < SIZE / 2 ? [252, 252, 250] : liveFace.data.slice((y * SIZE + x) * 4, (y * SIZE + x) * 4 + 3)));
+
+describe('LivenessService (heurísticas de textura)', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        livenessService.enabled = true;
+        livenessService.threshold = 0.5;
+        livenessService.model = null;
+    });
+
+    const assess = (pixels) => {
+        jest.spyOn(imageProcessingService, 'getFaceCropPixels').mockReturnValue(pixels);
+        return livenessService.assess({}, { x: 0, y: 0, width: SIZE, height: SIZE });
+    };
+
+    // Pesos de assess(): nitidez 0.4, moiré 0.25, reflejos 0.2, croma 0.15
+    const weighted = ({ sharpness, moire, reflection, chroma }) =>
+        0.4 * sharpness + 0.25 * moire + 0.2 * reflection + 0.15 * chroma;
+
+    it('debería aprobar un rostro con detalle, contraste y color de piel', async () => {
+        const result = await assess(liveFace);
+
+        expect(result).toMatchObject({ passed: true, method: 'texture', cues: { sharpness: 1, moire: 1, reflection: 1 } });
+        expect(result.cues.chroma).toBeGreaterThan(0.8);
+        expect(result.score).toBeCloseTo(weighted(result.cues), 3);
+    });
+
+    it('debería rechazar una impresión borrosa y sin color', async () => {
+        const result = await assess(blurredPrint);
+
+        expect(result.passed).toBe(false);
+        expect(result.cues.sharpness).toBeLessThan(0.05);
+        expect(result.cues.chroma).toBe(0);
+        expect(result.score).toBeLessThan(0.5);
+    });
+
+    it('debería penalizar el moiré de una pantalla y los reflejos especulares', async () => {
+        const live = await assess(liveFace);
+        const screenResult = await assess(screen);
+        const glossyResult = await assess(glossy);
+
+        expect(screenResult.cues.moire).toBe(0);
+        expect(glossyResult.cues.reflection).toBe(0);
+        expect(screenResult.score).toBeLessThan(live.score);
+        expect(glossyResult.score).toBeLessThan(live.score);
+    });
+
+    it('debería aprobar un score igual al umbral y rechazar uno apenas menor', async () => {
+        const { score } = await assess(screen);
+
+        livenessService.threshold = score;
+        await expect(livenessService.check({}, {}, 'recognize')).resolves.toMatchObject({ passed: true, score });
+        expect(metricsService.recordLiveness).toHaveBeenLastCalledWith(score, 'recognize', 'live');
+
+        livenessService.threshold = score + 0.001;
+        await expect(livenessService.check({}, {}, 'recognize')).rejects.toMatchObject({
+            code: 'SPOOF_SUSPECTED',
+            statusCode: 403,
+            details: { liveness: { score, passed: false } }
+        });
+        expect(metricsService.recordLiveness).toHaveBeenLastCalledWith(score, 'recognize', 'spoof');
+    });
+
+    it('no debería evaluar nada con el liveness deshabilitado', async () => {
+        livenessService.enabled = false;
+        const getFaceCropPixels = jest.spyOn(imageProcessingService, 'getFaceCropPixels');
+
+        expect(await livenessService.check({}, {}, 'recognize')).toBeNull();
+        expect(getFaceCropPixels).not.toHaveBeenCalled();
+    });
+});
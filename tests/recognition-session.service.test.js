@@ -0,0 +1,107 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('@vladmandic/face-api', () => ({
+    euclideanDistance: (a, b) => Math.sqrt(a.reduce((sum, v, i) => sum + (v - b[i]) ** 2, 0))
+}));
+jest.mock('../src/config/face-recognition', () => ({ CONFIDENCE_THRESHOLD: 0.5 }));
+jest.mock('../src/services/calibration.service', () => ({ probability: () => null }));
+jest.mock('../src/services/face-recognition.service', () => ({
+    recognizeFace: jest.fn(),
+    matchDescriptor: jest.fn()
+}));
+
+// Caché en memoria (sin Redis) para las sesiones
+process.env.REDIS_URL = '';
+
+const cacheService = require('../src/services/cache.service');
+const faceRecognitionService = require('../src/services/face-recognition.service');
+const recognitionSessionService = require('../src/services/recognition-session.service');
+
+const frameFor = (id) => ({
+    match: { id, ci: `ci-${id}`, name: `Usuario ${id}`, distance: 0.3 },
+    descriptor: [0.1, 0.2],
+    detectionScore: 0.9
+});
+
+describe('RecognitionSessionService', () => {
+    beforeEach(() => {
+        faceRecognitionService.recognizeFace.mockReset();
+        faceRecognitionService.recognizeFace.mockResolvedValue(frameFor(1));
+    });
+
+    it('debería decidir una sesión una sola vez aun con decide simultáneos', async () => {
+        const session = await recognitionSessionService.createSession('vote');
+        await recognitionSessionService.addFrames(session.id, [Buffer.from('a'), Buffer.from('b'), Buffer.from('c')]);
+
+        const results = await Promise.allSettled([
+            recognitionSessionService.decide(session.id),
+            recognitionSessionService.decide(session.id)
+        ]);
+
+        const decided = results.filter(r => r.status === 'fulfilled');
+        expect(decided).toHaveLength(1);
+        expect(decided[0].value.match.id).toBe(1);
+        expect(['SESSION_BUSY', 'SESSION_NOT_FOUND'])
+            .toContain(results.find(r => r.status === 'rejected').reason.code);
+    });
+
+    it('debería conservar la sesión si faltan frames para decidir', async () => {
+        const session = await recognitionSessionService.createSession('vote');
+        await recognitionSessionService.addFrames(session.id, [Buffer.from('a')]);
+
+        await expect(recognitionSessionService.decide(session.id))
+            .rejects.toMatchObject({ code: 'INSUFFICIENT_FRAMES' });
+
+        await recognitionSessionService.addFrames(session.id, [Buffer.from('b'), Buffer.from('c')]);
+        const result = await recognitionSessionService.decide(session.id);
+        expect(result.recognized).toBe(true);
+    });
+
+    it('debería renovar expiresAt con cada frame y no con un decide sin frames suficientes', async () => {
+        const start = Date.now();
+        const now = jest.spyOn(Date, 'now').mockReturnValue(start);
+        const set = jest.spyOn(cacheService, 'set');
+        const ttl = recognitionSessionService.sessionTtl;
+
+        try {
+            const session = await recognitionSessionService.createSession('vote');
+
+            now.mockReturnValue(start + 30000);
+            const withFrame = await recognitionSessionService.addFrames(session.id, [Buffer.from('a')]);
+            expect(withFrame.expiresAt).toBe(new Date(start + 30000 + ttl * 1000).toISOString());
+            expect(set).toHaveBeenLastCalledWith(expect.stringContaining(session.id), expect.anything(), ttl);
+
+            now.mockReturnValue(start + 50000);
+            await expect(recognitionSessionService.decide(session.id)).rejects.toMatchObject({
+                code: 'INSUFFICIENT_FRAMES',
+                details: { session: { expiresAt: withFrame.expiresAt } }
+            });
+            // Vuelve a la caché con el tiempo restante, no con un TTL completo
+            expect(set).toHaveBeenLastCalledWith(expect.stringContaining(session.id), expect.anything(), ttl - 20);
+            expect((await recognitionSessionService.getSession(session.id)).expiresAt).toBe(withFrame.expiresAt);
+        } finally {
+            now.mockRestore();
+            set.mockRestore();
+        }
+    });
+
+    it('debería rechazar frames mientras otra petición procesa la misma sesión', async () => {
+        const session = await recognitionSessionService.createSession('vote');
+
+        let release;
+        faceRecognitionService.recognizeFace.mockImplementationOnce(() => new Promise(resolve => {
+            release = () => resolve(frameFor(1));
+        }));
+
+        const first = recognitionSessionService.addFrames(session.id, [Buffer.from('a')]);
+        await new Promise(resolve => setImmediate(resolve));
+
+        await expect(recognitionSessionService.addFrames(session.id, [Buffer.from('b')]))
+            .rejects.toMatchObject({ code: 'SESSION_BUSY' });
+        await expect(recognitionSessionService.decide(session.id))
+            .rejects.toMatchObject({ code: 'SESSION_BUSY' });
+
+        release();
+        const updated = await first;
+        expect(updated.frames).toHaveLength(1);
+    });
+});
@@ -0,0 +1,96 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/config/face-recognition', () => ({ tfBackend: 'cpu' }));
+jest.mock('../src/services/face-recognition.service', () => ({
+    registerFace: jest.fn(),
+    findDuplicateIdentity: jest.fn()
+}));
+jest.mock('../src/services/batch.service', () => ({}));
+jest.mock('../src/services/liveness-challenge.service', () => ({
+    requiredOnRegister: false,
+    consumeVerification: jest.fn()
+}));
+jest.mock('../src/services/face-attributes.service', () => ({}));
+jest.mock('../src/services/template.service', () => ({ addTemplate: jest.fn() }));
+jest.mock('../src/services/collection.service', () => ({}));
+jest.mock('../src/services/calibration.service', () => ({}));
+jest.mock('../src/services/hnsw.service', () => ({}));
+jest.mock('../src/services/metrics.service', () => ({ updateActiveUsers: jest.fn() }));
+jest.mock('../src/models/User', () => ({ findByCI: jest.fn(), create: jest.fn(), count: jest.fn() }));
+jest.mock('../src/models/FaceTemplate', () => ({}));
+jest.mock('../src/models/Recognition', () => ({ logEvent: jest.fn() }));
+
+const faceRecognitionService = require('../src/services/face-recognition.service');
+const livenessChallengeService = require('../src/services/liveness-challenge.service');
+const User = require('../src/models/User');
+const recognitionController = require('../src/controllers/recognition.controller');
+
+const request = (body = {}, tenant = null) => ({
+    body: { ci: '123', name: 'Ana', liveness_session_id: 'sesion-1', ...body },
+    imageBuffer: Buffer.from('img'),
+    tenant,
+    ip: '10.0.0.1',
+    get: () => 'jest'
+});
+
+const response = () => {
+    const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+    return res;
+};
+
+describe('RecognitionController.register', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        User.findByCI.mockResolvedValue(null);
+        User.create.mockImplementation(async (data) => ({ id: 50, ...data }));
+        faceRecognitionService.registerFace.mockResolvedValue({ descriptor: [0.1, 0.2], confidenceScore: 0.9 });
+        livenessChallengeService.consumeVerification.mockResolvedValue({ challenge: 'blink' });
+    });
+
+    it('no debería consumir la verificación de liveness si el registro es un duplicado', async () => {
+        faceRecognitionService.findDuplicateIdentity.mockResolvedValue({ id: 8, ci: '888', distance: 0.2, similarity: 80 });
+        const res = response();
+
+        await recognitionController.register(request(), res, jest.fn());
+
+        expect(res.status).toHaveBeenCalledWith(409);
+        expect(res.json.mock.calls[0][0]).toMatchObject({ code: 'DUPLICATE_FACE' });
+        expect(livenessChallengeService.consumeVerification).not.toHaveBeenCalled();
+        expect(User.create).not.toHaveBeenCalled();
+    });
+
+    it('debería consumir la verificación de liveness justo antes de crear el usuario', async () => {
+        faceRecognitionService.findDuplicateIdentity.mockResolvedValue(null);
+        const res = response();
+
+        await recognitionController.register(request(), res, jest.fn());
+
+        expect(res.status).toHaveBeenCalledWith(201);
+        expect(livenessChallengeService.consumeVerification).toHaveBeenCalledWith('sesion-1', [0.1, 0.2]);
+        expect(livenessChallengeService.consumeVerification.mock.invocationCallOrder[0])
+            .toBeGreaterThan(faceRecognitionService.findDuplicateIdentity.mock.invocationCallOrder[0]);
+        expect(livenessChallengeService.consumeVerification.mock.invocationCallOrder[0])
+            .toBeLessThan(User.create.mock.invocationCallOrder[0]);
+    });
+
+    it('debería buscar el CI solo dentro del tenant de la petición', async () => {
+        faceRecognitionService.findDuplicateIdentity.mockResolvedValue(null);
+        const res = response();
+
+        await recognitionController.register(request({}, 'ACME'), res, jest.fn());
+
+        expect(User.findByCI).toHaveBeenCalledWith('123', 'ACME');
+        expect(res.status).toHaveBeenCalledWith(201);
+        expect(User.create).toHaveBeenCalledWith(expect.objectContaining({ ci: '123', id_cliente: 'ACME' }));
+    });
+
+    it('debería responder USER_EXISTS si el CI ya existe en el mismo tenant', async () => {
+        User.findByCI.mockResolvedValue({ id: 7, ci: '123', id_cliente: 'ACME' });
+        const res = response();
+
+        await recognitionController.register(request({}, 'ACME'), res, jest.fn());
+
+        expect(res.status).toHaveBeenCalledWith(409);
+        expect(res.json.mock.calls[0][0]).toMatchObject({ code: 'USER_EXISTS' });
+        expect(faceRecognitionService.registerFace).not.toHaveBeenCalled();
+    });
+});
@@ -59,6 +59,132 @@ describe('Recognition API', () => {
         });
     });
 
+    describe('POST /api/recognition/verify', () => {
+        it('debería verificar un usuario existente por CI', async () => {
+            const userData = {
+                ci: '11223344',
+                name: 'Test User 3',
+                image: 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg=='
+            };
+
+            await request(app)
+                .post('/api/recognition/register')
+                .send(userData);
+
+            const response = await request(app)
+                .post('/api/recognition/verify')
+                .send({ ci: userData.ci, image: userData.image })
+                .expect(200);
+
+            expect(response.body.success).toBe(true);
+            expect(response.body.data.match).toBe(true);
+            expect(response.body.data).toHaveProperty('threshold');
+        });
+
+        it('debería fallar si el usuario no existe', async () => {
+            const response = await request(app)
+                .post('/api/recognition/verify')
+                .send({
+                    ci: '00000000',
+                    image: 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg=='
+                })
+                .expect(404);
+
+            expect(response.body.code).toBe('USER_NOT_FOUND');
+        });
+    });
+
+    describe('POST /api/recognition/search-descriptor', () => {
+        it('debería rechazar un descriptor de dimensión incorrecta', async () => {
+            const response = await request(app)
+                .post('/api/recognition/search-descriptor')
+                .send({ descriptor: new Array(64).fill(0.1) })
+                .expect(400);
+
+            expect(response.body.code).toBe('INVALID_DESCRIPTOR');
+        });
+    });
+
+    describe('POST /api/recognition/compare', () => {
+        it('debería exigir las dos imágenes', async () => {
+            const response = await request(app)
+                .post('/api/recognition/compare')
+                .send({ image1: 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==' })
+                .expect(400);
+
+            expect(response.body.code).toBe('INVALID_IMAGE_FORMAT');
+        });
+    });
+
+    describe('POST /api/recognition/quality', () => {
+        it('debería fallar sin imagen', async () => {
+            const response = await request(app)
+                .post('/api/recognition/quality')
+                .send({})
+                .expect(400);
+
+            expect(response.body.code).toBe('VALIDATION_ERROR');
+        });
+    });
+
+    describe('POST /api/recognition/analyze', () => {
+        it('debería rechazar atributos desconocidos', async () => {
+            const response = await request(app)
+                .post('/api/recognition/analyze')
+                .send({
+                    image: 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==',
+                    attributes: ['ethnicity']
+                })
+                .expect(400);
+
+            expect(response.body.code).toBe('INVALID_ATTRIBUTES');
+        });
+    });
+
+    describe('POST /api/recognition/sessions', () => {
+        it('debería rechazar una estrategia desconocida', async () => {
+            const response = await request(app)
+                .post('/api/recognition/sessions')
+                .send({ strategy: 'median' })
+                .expect(400);
+
+            expect(response.body.code).toBe('INVALID_STRATEGY');
+        });
+    });
+
+    describe('POST /api/collections', () => {
+        it('debería rechazar un nombre de colección inválido', async () => {
+            const response = await request(app)
+                .post('/api/collections')
+                .send({ name: 'empleados hq!' })
+                .expect(400);
+
+            expect(response.body.code).toBe('INVALID_COLLECTION');
+        });
+    });
+
+    describe('POST /api/calibrations', () => {
+        it('debería exigir administrador', async () => {
+            const response = await request(app)
+                .post('/api/calibrations')
+                .send({ method: 'platt', genuine: [0.3], impostor: [0.8] })
+                .expect(403);
+
+            expect(response.body.code).toBe('ADMIN_REQUIRED');
+        });
+    });
+
+    describe('GET /api/face-config/config', () => {
+        it('debería exponer los márgenes de ambigüedad (desactivados por defecto)', async () => {
+            const response = await request(app)
+                .get('/api/face-config/config')
+                .expect(200);
+
+            expect(response.body.data.ambiguityMinMargin).toBe(0);
+            expect(response.body.data.ambiguityMinRatio).toBe(0);
+        });
+    });
+
     describe('GET /api/recognition/stats', () => {
         it('debería retornar estadísticas del sistema', async () => {
             const response = await request(app)
@@ -70,4 +196,15 @@ describe('Recognition API', () => {
             expect(response.body.data).toHaveProperty('database');
         });
     });
+
+    describe('GET /api/recognition/logs', () => {
+        it('debería retornar los eventos recientes', async () => {
+            const response = await request(app)
+                .get('/api/recognition/logs?limit=10')
+                .expect(200);
+
+            expect(response.body.success).toBe(true);
+            expect(Array.isArray(response.body.data.logs)).toBe(true);
+        });
+    });
 });
\ No newline at end of file
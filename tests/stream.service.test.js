@@ -0,0 +1,169 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/config/server', () => ({
+    STREAM: { ENABLED: true, PATH: '/ws/recognize', MAX_CONNECTIONS: 5, MIN_INTERVAL_MS: 0, HEARTBEAT_MS: 30000 },
+    CORS_OPTIONS: { origin: '*' }
+}));
+jest.mock('../src/config/face-recognition', () => ({ MAX_CANDIDATES: 20 }));
+jest.mock('../src/middleware/tenant.middleware', () => ({ resolveTenant: () => null }));
+jest.mock('../src/models/Recognition', () => ({ logEvent: jest.fn() }));
+jest.mock('../src/services/metrics.service', () => ({ recordStreamFrame: jest.fn(), updateStreamConnections: jest.fn() }));
+jest.mock('../src/services/face-recognition.service', () => ({
+    getFallbackUsers: jest.fn(),
+    recognizeFace: jest.fn(),
+    recognizeFaces: jest.fn(),
+    serializeBox: jest.fn()
+}));
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const faceRecognitionService = require('../src/services/face-recognition.service');
+const streamService = require('../src/services/stream.service');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// Conexión WebSocket falsa: registra los mensajes JSON enviados al cliente
+const connect = (query = '') => {
+    const ws = new EventEmitter();
+    ws.readyState = WebSocket.OPEN;
+    ws.sent = [];
+    ws.send = (data) => ws.sent.push(JSON.parse(data));
+    ws.close = jest.fn();
+    streamService._onConnection(ws, { url: `/ws/recognize${query}`, headers: {}, socket: { remoteAddress: '10.0.0.1' } });
+    const conn = [...streamService.connections].find(c => c.ws === ws);
+    const frame = (name) => ws.emit('message', Buffer.from(name), true);
+    const results = () => ws.sent.filter(m => m.type === 'result');
+    return { ws, conn, frame, results };
+};
+
+// recognizeFace que queda pendiente hasta liberarlo, para simular una inferencia ocupada
+const blockingRecognition = () => {
+    const releases = [];
+    faceRecognitionService.recognizeFace.mockImplementation(() => new Promise(resolve => {
+        releases.push(() => resolve({ match: null, confidence: 0, processingTime: 1 }));
+    }));
+    return async () => {
+        releases.shift()();
+        await flush();
+    };
+};
+
+const processedBuffers = () => faceRecognitionService.recognizeFace.mock.calls.map(([buffer]) => buffer.toString());
+
+describe('StreamService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        faceRecognitionService.getFallbackUsers.mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        for (const conn of streamService.connections) streamService._onClose(conn);
+    });
+
+    it('debería conservar solo el frame más reciente mientras la inferencia está ocupada', async () => {
+        const release = blockingRecognition();
+        const { conn, frame, results } = connect();
+
+        frame('a');
+        await flush();
+        frame('b');
+        frame('c');
+        frame('d');
+
+        expect(processedBuffers()).toEqual(['a']);
+        expect(conn.stats).toMatchObject({ received: 4, dropped: 2 });
+
+        await release();
+        expect(processedBuffers()).toEqual(['a', 'd']);
+        await release();
+
+        expect(results().map(r => [r.frame, r.dropped])).toEqual([[1, 2], [4, 2]]);
+        expect(conn.stats.processed).toBe(2);
+    });
+
+    it('debería esperar minIntervalMs entre frames y procesar el último recibido', async () => {
+        jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+        faceRecognitionService.recognizeFace.mockResolvedValue({ match: null, confidence: 0, processingTime: 1 });
+        const { conn, frame, results } = connect('?minIntervalMs=500');
+
+        frame('a');
+        await flush();
+        frame('b');
+        frame('c');
+        await flush();
+
+        expect(processedBuffers()).toEqual(['a']);
+        expect(conn.stats.dropped).toBe(1);
+
+        jest.advanceTimersByTime(500);
+        await flush();
+
+        expect(processedBuffers()).toEqual(['a', 'c']);
+        expect(results().map(r => r.frame)).toEqual([1, 3]);
+    });
+
+    it('debería descartar el frame pendiente al cerrarse la conexión', async () => {
+        const release = blockingRecognition();
+        const { ws, conn, frame } = connect();
+
+        frame('a');
+        await flush();
+        frame('b');
+        ws.emit('close');
+        await release();
+
+        expect(processedBuffers()).toEqual(['a']);
+        expect(conn.stats.dropped).toBe(1);
+        expect(conn.pending).toBeNull();
+    });
+
+    it('debería informar los frames sin rostro como resultado y no como error', async () => {
+        faceRecognitionService.recognizeFace.mockRejectedValue(new Error('No se detectó ningún rostro en la imagen'));
+        const { ws, frame } = connect();
+
+        frame('a');
+        await flush();
+
+        expect(ws.sent.at(-1)).toMatchObject({ type: 'result', frame: 1, status: 'no_face' });
+        expect(streamService.stats.framesFailed).toBe(0);
+    });
+
+    describe('modo multi', () => {
+        const ambiguity = { margin: 0.01, candidates: [{ id: 1, distance: 0.3 }, { id: 2, distance: 0.31 }] };
+        const face = (extra = {}) => ({ box: { x: 0, y: 0, width: 100, height: 100 }, match: null, distance: 0.3, ...extra });
+
+        it('debería marcar el frame como ambiguo si ningún rostro se reconoció y alguno es ambiguo', async () => {
+            faceRecognitionService.recognizeFaces.mockResolvedValue({
+                faces: [face({ ambiguity }), face({ distance: 0.8 })],
+                totalDetected: 2,
+                processingTime: 1
+            });
+            const { frame, results } = connect('?mode=multi');
+
+            frame('a');
+            await flush();
+
+            expect(results().at(-1)).toMatchObject({
+                status: 'ambiguous',
+                faces: [{ status: 'ambiguous', ambiguity }, { status: 'unknown' }]
+            });
+        });
+
+        it('debería marcar el frame como reconocido si algún rostro se reconoció', async () => {
+            faceRecognitionService.recognizeFaces.mockResolvedValue({
+                faces: [face({ ambiguity }), face({ match: { id: 3, ci: 'ci-3' }, distance: 0.2 })],
+                totalDetected: 2,
+                processingTime: 1
+            });
+            const { frame, results } = connect('?mode=multi');
+
+            frame('a');
+            await flush();
+
+            expect(results().at(-1)).toMatchObject({
+                status: 'recognized',
+                faces: [{ status: 'ambiguous' }, { status: 'recognized', match: { id: 3, ci: 'ci-3' } }]
+            });
+        });
+    });
+});
@@ -0,0 +1,90 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/config/face-recognition', () => ({ getEncoding: () => 'crop' }));
+jest.mock('../src/models/User', () => ({ update: jest.fn() }));
+jest.mock('../src/models/FaceTemplate', () => ({
+    create: jest.fn(),
+    countByUser: jest.fn(),
+    findById: jest.fn(),
+    findByUser: jest.fn(),
+    deleteById: jest.fn(),
+    replaceByUser: jest.fn()
+}));
+jest.mock('../src/services/face-recognition.service', () => ({ syncHNSWIndex: jest.fn() }));
+
+const User = require('../src/models/User');
+const FaceTemplate = require('../src/models/FaceTemplate');
+const faceRecognitionService = require('../src/services/face-recognition.service');
+const templateService = require('../src/services/template.service');
+
+const user = { id: 7, ci: '777', name: 'Ana', id_cliente: 'ACME' };
+
+describe('TemplateService', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('no debería eliminar la única plantilla del usuario', async () => {
+        FaceTemplate.findById.mockResolvedValue({ id: 70, user_id: 7 });
+        FaceTemplate.countByUser.mockResolvedValue(1);
+
+        await expect(templateService.removeTemplate(user, 70))
+            .rejects.toMatchObject({ code: 'LAST_TEMPLATE', statusCode: 409 });
+
+        expect(FaceTemplate.deleteById).not.toHaveBeenCalled();
+        expect(faceRecognitionService.syncHNSWIndex).not.toHaveBeenCalled();
+    });
+
+    it('debería eliminar una plantilla del índice y reflejar la más reciente en users.descriptor', async () => {
+        FaceTemplate.findById.mockResolvedValue({ id: 70, user_id: 7 });
+        FaceTemplate.countByUser.mockResolvedValue(2);
+        FaceTemplate.findByUser.mockResolvedValue([{ id: 71, descriptor: '[0.2]', quality_score: 0.9 }]);
+
+        const result = await templateService.removeTemplate(user, 70);
+
+        expect(result).toEqual({ removed: 70, remaining: 1 });
+        expect(FaceTemplate.deleteById).toHaveBeenCalledWith(70);
+        expect(faceRecognitionService.syncHNSWIndex)
+            .toHaveBeenCalledWith('remove', { templateId: 70, userId: 7, tenant: 'ACME' });
+        expect(User.update).toHaveBeenCalledWith(7, expect.objectContaining({ descriptor: '[0.2]', confidence_score: 0.9 }));
+    });
+
+    it('debería tratar la plantilla de otro usuario como inexistente', async () => {
+        FaceTemplate.findById.mockResolvedValue({ id: 80, user_id: 8 });
+
+        await expect(templateService.removeTemplate(user, 80))
+            .rejects.toMatchObject({ code: 'TEMPLATE_NOT_FOUND', statusCode: 404 });
+        expect(FaceTemplate.countByUser).not.toHaveBeenCalled();
+    });
+
+    it('debería rechazar plantillas por encima del máximo por usuario', async () => {
+        FaceTemplate.countByUser.mockResolvedValue(templateService.maxTemplatesPerUser);
+
+        await expect(templateService.addTemplate(user, { descriptor: [0.1], confidenceScore: 0.9 }, 'api'))
+            .rejects.toMatchObject({ code: 'TEMPLATE_LIMIT_REACHED' });
+        expect(FaceTemplate.create).not.toHaveBeenCalled();
+    });
+
+    it('debería reemplazar las plantillas en la DB antes de tocar el índice', async () => {
+        FaceTemplate.replaceByUser.mockResolvedValue({ templates: [{ id: 72, descriptor: '[0.3]' }], removed: 2 });
+
+        const result = await templateService.replaceTemplates(user, { descriptor: [0.3], confidenceScore: 0.95 }, 'update');
+
+        expect(result).toEqual({ template: { id: 72, descriptor: '[0.3]' }, removed: 2 });
+        expect(FaceTemplate.replaceByUser)
+            .toHaveBeenCalledWith(7, [expect.objectContaining({ descriptor: '[0.3]', source: 'update' })]);
+        expect(faceRecognitionService.syncHNSWIndex.mock.calls.map(([operation]) => operation)).toEqual(['removeUser', 'add']);
+        expect(faceRecognitionService.syncHNSWIndex.mock.invocationCallOrder[0])
+            .toBeGreaterThan(FaceTemplate.replaceByUser.mock.invocationCallOrder[0]);
+        expect(User.update).toHaveBeenCalledWith(7, expect.objectContaining({ descriptor: '[0.3]', confidence_score: 0.95 }));
+    });
+
+    it('no debería tocar el índice ni users.descriptor si falla el reemplazo en la DB', async () => {
+        FaceTemplate.replaceByUser.mockRejectedValue(new Error('conexión perdida'));
+
+        await expect(templateService.replaceTemplates(user, { descriptor: [0.3], confidenceScore: 0.95 }, 'update'))
+            .rejects.toThrow('conexión perdida');
+
+        expect(faceRecognitionService.syncHNSWIndex).not.toHaveBeenCalled();
+        expect(User.update).not.toHaveBeenCalled();
+    });
+});
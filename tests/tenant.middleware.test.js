@@ -0,0 +1,143 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+
+/**
+ * Carga el middleware con una configuración de tenancy propia
+ * (las API keys se leen una sola vez al cargar el módulo)
+ */
+const loadMiddleware = ({ enabled = true, apiKeys = '' } = {}) => {
+    jest.resetModules();
+    jest.doMock('../src/config/server', () => ({ TENANCY: { ENABLED: enabled, API_KEYS: apiKeys } }));
+    return require('../src/middleware/tenant.middleware');
+};
+
+const request = (headers = {}) => ({ headers, method: 'POST', originalUrl: '/api/recognition/recognize', ip: '10.0.0.1' });
+
+describe('Tenant middleware', () => {
+    const originalAdminKey = process.env.ADMIN_API_KEY;
+
+    beforeEach(() => {
+        process.env.ADMIN_API_KEY = 'admin-secreta';
+    });
+
+    afterAll(() => {
+        if (originalAdminKey === undefined) delete process.env.ADMIN_API_KEY;
+        else process.env.ADMIN_API_KEY = originalAdminKey;
+    });
+
+    describe('resolveTenant', () => {
+        it('debería retornar null sin tenancy, aunque lleguen headers de tenant', () => {
+            const { resolveTenant } = loadMiddleware({ enabled: false, apiKeys: 'clave-a:alfa' });
+
+            expect(resolveTenant(request({ 'x-api-key': 'otra', 'x-tenant-id': 'beta' }))).toBeNull();
+        });
+
+        describe('con TENANT_API_KEYS', () => {
+            let resolveTenant;
+
+            beforeEach(() => {
+                ({ resolveTenant } = loadMiddleware({ apiKeys: 'clave-a:alfa, clave:con:dos-puntos:beta' }));
+            });
+
+            it('debería tomar el tenant de la API key', () => {
+                expect(resolveTenant(request({ 'x-api-key': 'clave-a' }))).toBe('alfa');
+                expect(resolveTenant(request({ 'x-api-key': 'clave:con:dos-puntos' }))).toBe('beta');
+            });
+
+            it('debería aceptar X-Tenant-Id si coincide con el de la API key', () => {
+                expect(resolveTenant(request({ 'x-api-key': 'clave-a', 'x-tenant-id': 'alfa' }))).toBe('alfa');
+            });
+
+            it('debería rechazar una API key desconocida con INVALID_API_KEY', () => {
+                expect(() => resolveTenant(request({ 'x-api-key': 'clave-b' }))).toThrow(
+                    expect.objectContaining({ code: 'INVALID_API_KEY', statusCode: 401 })
+                );
+            });
+
+            it('debería rechazar X-Tenant-Id distinto del de la API key con TENANT_MISMATCH', () => {
+                expect(() => resolveTenant(request({ 'x-api-key': 'clave-a', 'x-tenant-id': 'beta' }))).toThrow(
+                    expect.objectContaining({ code: 'TENANT_MISMATCH', statusCode: 403 })
+                );
+                // También el tenant pedido por query string del WebSocket
+                expect(() => resolveTenant(request({ 'x-api-key': 'clave-a' }), 'beta')).toThrow(
+                    expect.objectContaining({ code: 'TENANT_MISMATCH' })
+                );
+            });
+
+            it('no debería aceptar X-Tenant-Id sin API key', () => {
+                expect(() => resolveTenant(request({ 'x-tenant-id': 'alfa' }))).toThrow(
+                    expect.objectContaining({ code: 'API_KEY_REQUIRED', statusCode: 401 })
+                );
+            });
+
+            it('debería permitir X-Tenant-Id a un administrador', () => {
+                expect(resolveTenant(request({ 'x-admin-key': 'admin-secreta', 'x-tenant-id': 'beta' }))).toBe('beta');
+                expect(() => resolveTenant(request({ 'x-admin-key': 'incorrecta', 'x-tenant-id': 'beta' }))).toThrow(
+                    expect.objectContaining({ code: 'API_KEY_REQUIRED' })
+                );
+            });
+        });
+
+        describe('sin TENANT_API_KEYS (un gateway ya autentica)', () => {
+            let resolveTenant;
+
+            beforeEach(() => {
+                ({ resolveTenant } = loadMiddleware());
+            });
+
+            it('debería tomar el tenant de X-Tenant-Id o del tenant pedido', () => {
+                expect(resolveTenant(request({ 'x-tenant-id': 'alfa' }))).toBe('alfa');
+                expect(resolveTenant(request(), 'beta')).toBe('beta');
+            });
+
+            it('debería exigir un tenant válido', () => {
+                expect(() => resolveTenant(request())).toThrow(
+                    expect.objectContaining({ code: 'TENANT_REQUIRED', statusCode: 400 })
+                );
+                expect(() => resolveTenant(request({ 'x-tenant-id': '../alfa' }))).toThrow(
+                    expect.objectContaining({ code: 'INVALID_TENANT', statusCode: 400 })
+                );
+            });
+
+            it('debería rechazar cualquier X-API-Key (no hay claves registradas)', () => {
+                expect(() => resolveTenant(request({ 'x-api-key': 'clave-a', 'x-tenant-id': 'alfa' }))).toThrow(
+                    expect.objectContaining({ code: 'INVALID_API_KEY' })
+                );
+            });
+        });
+    });
+
+    describe('tenantScope', () => {
+        it('debería asignar req.tenant y continuar', () => {
+            const { tenantScope } = loadMiddleware({ apiKeys: 'clave-a:alfa' });
+            const req = request({ 'x-api-key': 'clave-a' });
+            const next = jest.fn();
+
+            tenantScope(req, {}, next);
+
+            expect(req.tenant).toBe('alfa');
+            expect(next).toHaveBeenCalled();
+        });
+
+        it('debería responder con el código del error sin continuar', () => {
+            const { tenantScope } = loadMiddleware({ apiKeys: 'clave-a:alfa' });
+            const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+            const next = jest.fn();
+
+            tenantScope(request({ 'x-api-key': 'clave-b' }), res, next);
+
+            expect(res.status).toHaveBeenCalledWith(401);
+            expect(res.json).toHaveBeenCalledWith({ error: 'API key inválida', code: 'INVALID_API_KEY' });
+            expect(next).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('belongsToTenant', () => {
+        it('debería comparar el id_cliente del usuario con el tenant de la petición', () => {
+            const { belongsToTenant } = loadMiddleware();
+
+            expect(belongsToTenant({ tenant: 'alfa' }, { id_cliente: 'alfa' })).toBe(true);
+            expect(belongsToTenant({ tenant: 'alfa' }, { id_cliente: 'beta' })).toBe(false);
+            expect(belongsToTenant({ tenant: null }, { id_cliente: 'beta' })).toBe(true);
+        });
+    });
+});
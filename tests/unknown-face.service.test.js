@@ -0,0 +1,215 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/config/server', () => ({ TENANCY: { ENABLED: true } }));
+jest.mock('../src/config/database', () => ({
+    transaction: (fn) => fn({ query: async () => ({ rows: [{ locked: true }] }) })
+}));
+jest.mock('../src/services/metrics.service', () => ({ recordUnknownFace: jest.fn(), updateUnknownClusters: jest.fn() }));
+jest.mock('../src/models/User', () => ({ findByCI: jest.fn(), create: jest.fn() }));
+jest.mock('../src/models/UnknownFace', () => ({
+    create: jest.fn(),
+    touch: jest.fn(),
+    findAll: jest.fn(),
+    findTenants: jest.fn(),
+    findByCluster: jest.fn(),
+    assignCluster: jest.fn(),
+    purgeOlderThan: jest.fn(),
+    deleteByCluster: jest.fn()
+}));
+jest.mock('../src/models/UnknownCluster', () => ({
+    create: jest.fn(),
+    update: jest.fn(),
+    findById: jest.fn(),
+    deleteStale: jest.fn(),
+    markPromoted: jest.fn()
+}));
+jest.mock('../src/services/face-recognition.service', () => ({ findDuplicateIdentity: jest.fn() }));
+jest.mock('../src/services/template.service', () => ({ maxTemplatesPerUser: 5, addTemplate: jest.fn() }));
+// Índice HNSW en memoria (búsqueda exacta): el binding nativo no hace falta para la lógica del servicio
+jest.mock('../src/services/hnsw.service', () => {
+    class MemoryIndex {
+        constructor() {
+            this.vectors = new Map();
+            this.tenants = new Map();
+            this.isInitialized = false;
+        }
+        async initialize() { this.isInitialized = true; }
+        size() { return this.vectors.size; }
+        totalSize() { return this.size(); }
+        async addTemplate(templateId, userId, descriptor) { this.vectors.set(templateId, Array.from(descriptor)); }
+        async removeTemplate(templateId) { this.vectors.delete(templateId); }
+        async rebuildIndex(templates) {
+            this.vectors = new Map(templates.map(t => [t.template_id, JSON.parse(t.descriptor)]));
+        }
+        async search(descriptor, k, threshold) {
+            return [...this.vectors]
+                .map(([templateId, v]) => ({ templateId, distance: Math.hypot(...v.map((x, i) => x - descriptor[i])) }))
+                .filter(r => r.distance <= threshold)
+                .sort((a, b) => a.distance - b.distance)
+                .slice(0, k);
+        }
+        async forTenant(tenant) {
+            if (!this.tenants.has(tenant)) {
+                const index = new MemoryIndex();
+                await index.initialize();
+                this.tenants.set(tenant, { index });
+            }
+            return this.tenants.get(tenant).index;
+        }
+    }
+    return { HNSWService: MemoryIndex };
+});
+
+process.env.UNKNOWN_FACES_ENABLED = 'true';
+
+const User = require('../src/models/User');
+const UnknownFace = require('../src/models/UnknownFace');
+const UnknownCluster = require('../src/models/UnknownCluster');
+const unknownFaceService = require('../src/services/unknown-face.service');
+
+const face = (id, descriptor) => ({
+    id,
+    cluster_id: null,
+    descriptor: JSON.stringify(descriptor),
+    detection_score: 0.9,
+    sightings: 1,
+    created_at: '2026-10-01T10:00:00Z',
+    last_seen_at: '2026-10-02T10:00:00Z'
+});
+
+describe('UnknownFaceService', () => {
+    beforeAll(async () => {
+        await unknownFaceService.index.initialize();
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        unknownFaceService.index.tenants.clear();
+    });
+
+    it('debería guardar y deduplicar cada rostro solo dentro de su tenant', async () => {
+        let nextId = 1;
+        UnknownFace.create.mockImplementation(async (data) => ({ id: nextId++, ...data }));
+        UnknownFace.touch.mockResolvedValue(true);
+        const descriptor = [0.1, 0.2, 0.3];
+
+        await unknownFaceService.record(descriptor, { detectionScore: 0.9, tenant: 'ACME' });
+        await unknownFaceService.record(descriptor, { detectionScore: 0.9, tenant: 'GLOBEX' });
+
+        expect(UnknownFace.touch).not.toHaveBeenCalled();
+        expect(UnknownFace.create.mock.calls.map(([data]) => data.id_cliente)).toEqual(['ACME', 'GLOBEX']);
+
+        const again = await unknownFaceService.record(descriptor, { detectionScore: 0.9, tenant: 'ACME' });
+        expect(again).toEqual({ id: 1, deduplicated: true });
+    });
+
+    it('no debería guardar rostros sin tenant con tenancy habilitada', async () => {
+        expect(await unknownFaceService.record([0.1, 0.2, 0.3], { detectionScore: 0.9 })).toBeNull();
+        expect(UnknownFace.create).not.toHaveBeenCalled();
+    });
+
+    it('debería agrupar los rostros de cada tenant por separado', async () => {
+        // Los mismos vectores en dos tenants: juntos serían un solo cluster
+        const vectors = [[0, 0, 0], [0.1, 0, 0], [0, 0.1, 0]];
+        const faces = {
+            ACME: vectors.map((v, i) => face(i + 1, v)),
+            GLOBEX: vectors.map((v, i) => face(i + 11, v))
+        };
+        UnknownFace.findTenants.mockResolvedValue(['ACME', 'GLOBEX']);
+        UnknownFace.findAll.mockImplementation(async (tenant) => faces[tenant]);
+        UnknownFace.purgeOlderThan.mockResolvedValue([]);
+        let nextCluster = 100;
+        UnknownCluster.create.mockImplementation(async (data) => ({ id: nextCluster++, ...data }));
+        UnknownCluster.deleteStale.mockResolvedValue(0);
+
+        const result = await unknownFaceService.runJob();
+
+        expect(result).toMatchObject({ tenants: 2, faces: 6, clusters: 2, created: 2 });
+        expect(UnknownCluster.create.mock.calls.map(([data]) => data.id_cliente)).toEqual(['ACME', 'GLOBEX']);
+        expect(UnknownFace.assignCluster).toHaveBeenCalledWith(100, [1, 2, 3]);
+        expect(UnknownFace.assignCluster).toHaveBeenCalledWith(101, [11, 12, 13]);
+        expect(UnknownCluster.deleteStale).toHaveBeenCalledWith([100], 'ACME');
+        expect(UnknownCluster.deleteStale).toHaveBeenCalledWith([101], 'GLOBEX');
+    });
+
+    it('debería tratar el cluster de otro tenant como inexistente', async () => {
+        UnknownCluster.findById.mockResolvedValue({ id: 3, id_cliente: 'ACME' });
+
+        await expect(unknownFaceService.getCluster(3, 'GLOBEX')).rejects.toMatchObject({ code: 'CLUSTER_NOT_FOUND' });
+        await expect(unknownFaceService.deleteCluster(3, 'GLOBEX')).rejects.toMatchObject({ code: 'CLUSTER_NOT_FOUND' });
+        await expect(unknownFaceService.getCluster(3, 'ACME')).resolves.toMatchObject({ id: 3 });
+    });
+
+    it('debería promover el cluster solo como usuario de su tenant', async () => {
+        UnknownCluster.findById.mockResolvedValue({ id: 3, id_cliente: 'ACME', centroid: '[0,0,0]' });
+        UnknownFace.findByCluster.mockResolvedValue([face(1, [0, 0, 0])]);
+        UnknownFace.deleteByCluster.mockResolvedValue([1]);
+        User.findByCI.mockResolvedValue(null);
+        User.create.mockImplementation(async (data) => ({ id: 50, ...data }));
+
+        await expect(unknownFaceService.promoteCluster(3, { ci: '123', name: 'Ana', id_cliente: 'GLOBEX' }, { tenant: 'ACME' }))
+            .rejects.toMatchObject({ code: 'TENANT_MISMATCH' });
+        expect(User.create).not.toHaveBeenCalled();
+
+        const { user } = await unknownFaceService.promoteCluster(3, { ci: '123', name: 'Ana', id_cliente: '' }, { tenant: 'ACME' });
+        expect(user.id_cliente).toBe('ACME');
+        // El CI solo se busca dentro del tenant: uno de otro tenant no bloquea ni se revela
+        expect(User.findByCI).toHaveBeenCalledWith('123', 'ACME');
+    });
+
+    describe('DBSCAN', () => {
+        const cluster = async (vectors) => {
+            const faces = vectors.map((descriptor, i) => ({ id: i + 1, descriptor }));
+            const index = await unknownFaceService.index.forTenant('ACME');
+            await index.rebuildIndex(faces.map(f => ({ template_id: f.id, descriptor: JSON.stringify(f.descriptor) })));
+            const labels = await unknownFaceService._dbscan(faces, index);
+            return faces.map(f => labels.get(f.id));
+        };
+
+        it('debería unir por densidad una cadena de rostros y marcar como ruido al aislado', async () => {
+            // eps 0.45, minSamples 3: 0.4 y 0.8 son núcleos; 0 y 1.2 son frontera
+            const labels = await cluster([[0, 0], [0.4, 0], [0.8, 0], [1.2, 0], [5, 5]]);
+
+            expect(labels.slice(0, 4)).toEqual([0, 0, 0, 0]);
+            expect(labels[4]).toBe(-1);
+        });
+
+        it('debería separar grupos densos distantes en clusters distintos', async () => {
+            const labels = await cluster([[0, 0], [0.1, 0], [0, 0.1], [3, 3], [3.1, 3], [3, 3.1]]);
+
+            expect(labels).toEqual([0, 0, 0, 1, 1, 1]);
+        });
+
+        it('debería dejar como ruido a un grupo con menos de minSamples rostros', async () => {
+            const labels = await cluster([[0, 0], [0.1, 0], [3, 3]]);
+
+            expect(labels).toEqual([-1, -1, -1]);
+        });
+    });
+
+    describe('promoteCluster (duplicados)', () => {
+        const faceRecognitionService = require('../src/services/face-recognition.service');
+
+        beforeEach(() => {
+            UnknownCluster.findById.mockResolvedValue({ id: 3, id_cliente: 'ACME', centroid: '[0,0,0]' });
+            UnknownFace.findByCluster.mockResolvedValue([face(1, [0, 0, 0])]);
+            UnknownFace.deleteByCluster.mockResolvedValue([1]);
+            User.findByCI.mockResolvedValue(null);
+            User.create.mockImplementation(async (data) => ({ id: 50, ...data }));
+            faceRecognitionService.findDuplicateIdentity.mockResolvedValue({ id: 8, ci: '888', distance: 0.2, similarity: 80 });
+        });
+
+        it('debería rechazar un cluster ya registrado con otro documento', async () => {
+            await expect(unknownFaceService.promoteCluster(3, { ci: '123', name: 'Ana' }, { tenant: 'ACME' }))
+                .rejects.toMatchObject({ code: 'DUPLICATE_FACE', statusCode: 409, details: { conflict: { id: 8, ci: '888' } } });
+
+            expect(faceRecognitionService.findDuplicateIdentity).toHaveBeenCalledWith([0, 0, 0], { tenant: 'ACME' });
+            expect(User.create).not.toHaveBeenCalled();
+        });
+
+        it('debería promover igual con allowDuplicate', async () => {
+            const { user } = await unknownFaceService.promoteCluster(3, { ci: '123', name: 'Ana' }, { tenant: 'ACME', allowDuplicate: true });
+
+            expect(user).toMatchObject({ id: 50, ci: '123' });
+        });
+    });
+});
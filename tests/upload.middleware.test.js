@@ -0,0 +1,128 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/config/server', () => ({ MAX_IMAGE_SIZE: 1024, MAX_UPLOAD_SIZE: 4096 }));
+
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const { acceptImageUpload } = require('../src/middleware/upload.middleware');
+
+const app = express();
+app.use(express.json());
+app.post('/upload', acceptImageUpload, (req, res) => res.json({
+    image: req.imageBuffer ? req.imageBuffer.length : null,
+    images: req.imageBuffers ? req.imageBuffers.map(item => item.id) : null,
+    files: Object.keys(req.fileBuffers || {}),
+    body: req.body
+}));
+
+const bytes = (size) => Buffer.alloc(size, 1);
+const jpeg = (filename = 'rostro.jpg') => ({ filename, contentType: 'image/jpeg' });
+
+/**
+ * Multipart enviado en chunks sin Content-Length (Transfer-Encoding: chunked)
+ */
+const sendChunked = (server, parts) => new Promise((resolve, reject) => {
+    const boundary = 'limite-de-prueba';
+    const req = http.request({
+        port: server.address().port,
+        path: '/upload',
+        method: 'POST',
+        headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}` }
+    }, (res) => {
+        let body = '';
+        res.on('data', chunk => { body += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+    });
+    req.on('error', reject);
+
+    parts.forEach(([field, size], i) => {
+        req.write(`--${boundary}\r\nContent-Disposition: form-data; name="${field}"; filename="f${i}.jpg"\r\n` +
+            'Content-Type: image/jpeg\r\n\r\n');
+        req.write(bytes(size));
+        req.write('\r\n');
+    });
+    req.end(`--${boundary}--\r\n`);
+});
+
+describe('acceptImageUpload', () => {
+    it('debería exponer las imágenes multipart por campo', async () => {
+        const response = await request(app)
+            .post('/upload')
+            .field('ci', '123')
+            .attach('image', bytes(100), jpeg())
+            .attach('image1', bytes(10), jpeg('a.jpg'));
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ image: 100, files: ['image1'], body: { ci: '123' } });
+    });
+
+    it('debería responder 413 IMAGE_TOO_LARGE si una imagen supera MAX_IMAGE_SIZE', async () => {
+        const response = await request(app).post('/upload').attach('image', bytes(2048), jpeg());
+
+        expect(response.status).toBe(413);
+        expect(response.body.code).toBe('IMAGE_TOO_LARGE');
+    });
+
+    it('debería responder 415 con un archivo que no es imagen', async () => {
+        const response = await request(app)
+            .post('/upload')
+            .attach('image', bytes(10), { filename: 'doc.pdf', contentType: 'application/pdf' });
+
+        expect(response.status).toBe(415);
+        expect(response.body).toMatchObject({ code: 'UNSUPPORTED_MEDIA_TYPE', error: expect.stringContaining('application/pdf') });
+    });
+
+    it('debería rechazar por Content-Length un multipart mayor que MAX_UPLOAD_SIZE', async () => {
+        const response = await request(app)
+            .post('/upload')
+            .set('Content-Type', 'multipart/form-data; boundary=x')
+            .set('Content-Length', '5000')
+            .send(bytes(5000));
+
+        expect(response.status).toBe(413);
+        expect(response.body.code).toBe('UPLOAD_TOO_LARGE');
+    });
+
+    it('debería cortar un multipart sin Content-Length al superar MAX_UPLOAD_SIZE en total', async () => {
+        const server = app.listen(0);
+        try {
+            // Cada imagen cabe en MAX_IMAGE_SIZE, pero juntas superan MAX_UPLOAD_SIZE
+            const tooMany = await sendChunked(server, Array.from({ length: 6 }, () => ['images', 1000]));
+            const allowed = await sendChunked(server, [['images', 1000], ['images', 1000]]);
+
+            expect(tooMany.status).toBe(413);
+            expect(tooMany.body.code).toBe('UPLOAD_TOO_LARGE');
+            expect(allowed.status).toBe(200);
+            expect(allowed.body.images).toEqual(['f0.jpg', 'f1.jpg']);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    it('debería aceptar un body binario con los campos de texto en el query string', async () => {
+        const response = await request(app)
+            .post('/upload?ci=123&name=Ana')
+            .set('Content-Type', 'image/png')
+            .send(bytes(200));
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ image: 200, body: { ci: '123', name: 'Ana' } });
+    });
+
+    it('debería responder 413 IMAGE_TOO_LARGE con un body binario mayor que MAX_IMAGE_SIZE', async () => {
+        const response = await request(app)
+            .post('/upload')
+            .set('Content-Type', 'image/jpeg')
+            .send(bytes(2048));
+
+        expect(response.status).toBe(413);
+        expect(response.body.code).toBe('IMAGE_TOO_LARGE');
+    });
+
+    it('debería dejar pasar las peticiones JSON sin cambios', async () => {
+        const response = await request(app).post('/upload').send({ ci: '123', image: 'base64' });
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({ image: null, body: { ci: '123', image: 'base64' } });
+    });
+});
@@ -0,0 +1,97 @@
+jest.mock('../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }));
+jest.mock('../src/config/face-recognition', () => ({ CONFIDENCE_THRESHOLD: 0.5 }));
+jest.mock('../src/services/metrics.service', () => ({ recordWatchlistAlert: jest.fn() }));
+jest.mock('../src/models/Watchlist', () => ({ getActiveMemberships: jest.fn() }));
+jest.mock('../src/models/WatchlistAlert', () => ({ create: jest.fn() }));
+
+// Caché en memoria (sin Redis) para el cooldown
+process.env.REDIS_URL = '';
+
+const Watchlist = require('../src/models/Watchlist');
+const WatchlistAlert = require('../src/models/WatchlistAlert');
+const cacheService = require('../src/services/cache.service');
+const watchlistService = require('../src/services/watchlist.service');
+
+const membership = (userId, threshold = null, watchlistId = 1, tenant = null) => ({
+    watchlist_id: watchlistId,
+    user_id: userId,
+    name: `Lista ${watchlistId}`,
+    severity: 'high',
+    match_threshold: threshold,
+    id_cliente: tenant
+});
+
+describe('WatchlistService', () => {
+    beforeEach(async () => {
+        await cacheService.flush();
+        watchlistService.invalidate();
+        WatchlistAlert.create.mockReset();
+        WatchlistAlert.create.mockImplementation(async (data) => ({ id: 1, ...data }));
+    });
+
+    it('debería alertar solo dentro del umbral propio de la watchlist', async () => {
+        Watchlist.getActiveMemberships.mockResolvedValue([membership(7, 0.3)]);
+
+        const far = await watchlistService.check({ match: { id: 7, distance: 0.4 } });
+        const near = await watchlistService.check({ match: { id: 7, distance: 0.25 } });
+
+        expect(far).toHaveLength(0);
+        expect(near).toHaveLength(1);
+        expect(near[0]).toMatchObject({ user_id: 7, threshold: 0.3 });
+    });
+
+    it('debería revisar vecinos sin match cuando una watchlist es más laxa que el umbral normal', async () => {
+        Watchlist.getActiveMemberships.mockResolvedValue([membership(9, 0.6)]);
+        const searchCandidates = jest.fn().mockResolvedValue([{ id: 9, distance: 0.55 }]);
+
+        const alerts = await watchlistService.check({ match: null, searchCandidates });
+
+        expect(searchCandidates).toHaveBeenCalled();
+        expect(alerts).toHaveLength(1);
+        expect(alerts[0]).toMatchObject({ user_id: 9, distance: 0.55 });
+    });
+
+    it('no debería buscar vecinos si ninguna watchlist es más laxa', async () => {
+        Watchlist.getActiveMemberships.mockResolvedValue([membership(9)]);
+        const searchCandidates = jest.fn().mockResolvedValue([]);
+
+        await watchlistService.check({ match: null, searchCandidates });
+
+        expect(searchCandidates).not.toHaveBeenCalled();
+    });
+
+    it('debería comprobar los candidatos de un match ambiguo', async () => {
+        Watchlist.getActiveMemberships.mockResolvedValue([membership(3)]);
+
+        const alerts = await watchlistService.check({
+            match: null,
+            ambiguity: { candidates: [{ id: 2, distance: 0.38 }, { id: 3, distance: 0.39 }] }
+        });
+
+        expect(alerts.map(a => a.user_id)).toEqual([3]);
+    });
+
+    it('debería alertar solo con las watchlists del tenant del reconocimiento', async () => {
+        Watchlist.getActiveMemberships.mockResolvedValue([membership(4, null, 1, 'ACME'), membership(4, null, 2, 'GLOBEX')]);
+
+        const alerts = await watchlistService.check({ match: { id: 4, distance: 0.2 }, tenant: 'GLOBEX' });
+
+        expect(alerts).toHaveLength(1);
+        expect(alerts[0]).toMatchObject({ watchlist_id: 2, id_cliente: 'GLOBEX' });
+    });
+
+    it('debería suprimir repeticiones durante el cooldown, también en paralelo', async () => {
+        Watchlist.getActiveMemberships.mockResolvedValue([membership(5)]);
+        const match = { id: 5, distance: 0.2 };
+
+        const concurrent = await Promise.all([
+            watchlistService.check({ match }),
+            watchlistService.check({ match })
+        ]);
+        const later = await watchlistService.check({ match });
+
+        expect(concurrent.flat()).toHaveLength(1);
+        expect(later).toHaveLength(0);
+        expect(WatchlistAlert.create).toHaveBeenCalledTimes(1);
+    });
+});